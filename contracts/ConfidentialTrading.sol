@@ -154,6 +154,7 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
         } else {
             balance.encryptedBalances[_token] = FHE.add(balance.encryptedBalances[_token], encryptedAmount);
         }
+        _allowBalance(msg.sender, _token);
         
         balance.totalDeposits += _amount;
         balance.lastUpdateTime = block.timestamp;
@@ -182,6 +183,7 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
 
         // Update encrypted balance
         balance.encryptedBalances[_token] = FHE.sub(balance.encryptedBalances[_token], encryptedAmount);
+        _allowBalance(msg.sender, _token);
         balance.totalWithdrawals += _amount;
         balance.lastUpdateTime = block.timestamp;
 
@@ -281,7 +283,8 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
         onlyOrderOwner(_orderId) 
     {
         TradingOrder storage order = orders[_orderId];
-        require(order.status == OrderStatus.Active, "ConfidentialTrading: Order not active");
+        // Partially filled orders stay active and can release their unfilled remainder
+        require(order.isActive, "ConfidentialTrading: Order not active");
 
         order.status = OrderStatus.Cancelled;
         order.isActive = false;
@@ -317,7 +320,11 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
             TradingOrder storage existingOrder = orders[i];
             
             if (_canMatch(newOrder, existingOrder)) {
-                _executeMatch(_newOrderId, i);
+                if (newOrder.orderType == OrderType.Buy) {
+                    _executeMatch(_newOrderId, i);
+                } else {
+                    _executeMatch(i, _newOrderId);
+                }
                 if (newOrder.status == OrderStatus.Filled) {
                     break;
                 }
@@ -360,7 +367,10 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
 
         // Execute trade at sell price
         uint256 tradePrice = sellOrder.actualPrice;
-        uint256 totalValue = (matchAmount * tradePrice) / (10 ** tokenPrecisions[buyOrder.baseToken]);
+        uint256 basePrecision = 10 ** tokenPrecisions[buyOrder.baseToken];
+        uint256 totalValue = (matchAmount * tradePrice) / basePrecision;
+        // The buyer locked at its own price; the difference to the trade price goes back to it
+        uint256 priceImprovement = (matchAmount * buyOrder.actualPrice) / basePrecision - totalValue;
 
         // Calculate trading fees
         uint256 fee = (totalValue * tradingFeeRate) / 10000;
@@ -390,9 +400,10 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
             sellOrder.status = OrderStatus.PartiallyFilled;
         }
 
-        // Execute token transfers
-        _executeTokenTransfer(buyOrder.trader, sellOrder.trader, buyOrder.baseToken, matchAmount);
-        _executeTokenTransfer(sellOrder.trader, buyOrder.trader, buyOrder.quoteToken, netValue);
+        // Execute token transfers: the seller delivers the base token out of its locked balance,
+        // the buyer pays the quote token out of its own
+        _executeTokenTransfer(sellOrder.trader, buyOrder.trader, buyOrder.baseToken, matchAmount);
+        _executeTokenTransfer(buyOrder.trader, sellOrder.trader, buyOrder.quoteToken, netValue);
         
         // Transfer fee to fee collector
         if (fee > 0) {
@@ -400,6 +411,10 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
             IERC20(buyOrder.quoteToken).safeTransfer(feeCollector, fee);
         }
 
+        if (priceImprovement > 0) {
+            _unlockBalance(buyOrder.trader, buyOrder.quoteToken, priceImprovement);
+        }
+
         emit OrderMatched(_buyOrderId, _sellOrderId, buyOrder.trader, block.timestamp);
     }
 
@@ -419,6 +434,7 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
         euint64 encryptedAmount = FHE.asEuint64(_amount);
         traderBalances[_from].encryptedBalances[_token] = 
             FHE.sub(traderBalances[_from].encryptedBalances[_token], encryptedAmount);
+        _allowBalance(_from, _token);
 
         // Add to receiver's encrypted balance
         if (FHE.decrypt(FHE.eq(traderBalances[_to].encryptedBalances[_token], FHE.asEuint64(0)))) {
@@ -427,6 +443,16 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
             traderBalances[_to].encryptedBalances[_token] = 
                 FHE.add(traderBalances[_to].encryptedBalances[_token], encryptedAmount);
         }
+        _allowBalance(_to, _token);
+    }
+
+    /**
+     * @dev Keep a trader's balance handle usable by this contract and decryptable by the trader
+     */
+    function _allowBalance(address _trader, address _token) internal {
+        euint64 balance = traderBalances[_trader].encryptedBalances[_token];
+        FHE.allowThis(balance);
+        FHE.allow(balance, _trader);
     }
 
     /**
@@ -521,6 +547,20 @@ contract ConfidentialTrading is SepoliaConfig, ReentrancyGuard, Ownable {
         return traderOrders[_trader];
     }
 
+    /**
+     * @dev Get trader's encrypted balance handle (user-decryptable by the trader)
+     */
+    function getEncryptedBalance(address _trader, address _token) external view returns (euint64) {
+        return traderBalances[_trader].encryptedBalances[_token];
+    }
+
+    /**
+     * @dev Get trader's balance locked in open orders
+     */
+    function getLockedBalance(address _trader, address _token) external view returns (uint256) {
+        return traderBalances[_trader].lockedBalances[_token];
+    }
+
     /**
      * @dev Get active orders
      */
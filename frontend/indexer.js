@@ -0,0 +1,52 @@
+// Standalone ZeroDrop indexer: `npm run indexer` (from frontend/).
+//
+// Backfills from the deployment's deploy block into a SQLite database, then follows new blocks
+// and rolls back on reorganizations. Run server.js with ZERODROP_INDEXER=external to serve the
+// API from the same database instead of indexing in the server process.
+//
+//   ZERODROP_RPC_URL   node to follow (default http://127.0.0.1:8545)
+//   ZERODROP_CHAIN_ID  deployment bundle to use (default: the node's chain id)
+//   ZERODROP_DB        database file (default data/indexer-<chainId>.sqlite)
+const { createRpcClient } = require('./lib/rpc');
+const { createIndexer } = require('./lib/indexer');
+const { createSqliteStore } = require('./lib/sqlite-store');
+const { resolveChainId, loadDeployment, databasePath } = require('./lib/deployments');
+
+async function main() {
+    const rpc = createRpcClient();
+    const chainId = await resolveChainId(rpc);
+    const deployment = await loadDeployment(chainId);
+    const dbPath = databasePath(chainId);
+
+    const store = createSqliteStore(dbPath);
+    const indexer = createIndexer({ rpc, deployment, store });
+
+    console.log(`🔎 Indexing chain ${chainId} from ${rpc.url}`);
+    console.log(`💾 Database: ${dbPath}`);
+    const resumeFrom = store.getCursor();
+    console.log(resumeFrom === null
+        ? `Backfilling from deploy block ${deployment.deployBlock}`
+        : `Resuming after block ${resumeFrom}`);
+
+    indexer.subscribe((applied, dropped) => {
+        const { indexedBlock } = indexer.status();
+        if (dropped.length > 0) {
+            console.log(`↩️  Dropped ${dropped.length} events from orphaned blocks`);
+        }
+        console.log(`📦 Block ${indexedBlock}: ${applied.length} events`);
+    });
+    indexer.start();
+
+    const shutdown = () => {
+        indexer.stop();
+        store.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+    console.error('❌ Indexer failed to start:', error.message);
+    process.exit(1);
+});
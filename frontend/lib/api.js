@@ -0,0 +1,166 @@
+// Read-only REST API over the indexer's store, mounted by server.js under /api.
+//
+//   GET /api/status                       indexer progress
+//   GET /api/campaigns?state=&offset=&limit=
+//   GET /api/campaigns/:id
+//   GET /api/orders?pair=<base>/<quote>&active=true
+//   GET /api/traders/:address/orders
+//   GET /api/vaults/:campaignId
+//   GET /api/stream?topic=...              live updates (stream.js)
+//
+// Campaigns, orders and vaults have the field names of getCampaign / getOrder / getVault.
+
+// Mirror SecretFundraiser.CampaignState
+const CAMPAIGN_STATES = ['draft', 'live', 'processing', 'successful', 'failed', 'completed'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const ID_PATTERN = /^\d+$/;
+
+class ApiError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.end(JSON.stringify(body));
+}
+
+function parsePage(query) {
+    const offset = Number(query.get('offset') || 0);
+    const limit = Number(query.get('limit') || DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1) {
+        throw new ApiError(400, 'offset and limit must be non-negative integers');
+    }
+    return { offset, limit: Math.min(limit, MAX_PAGE_SIZE) };
+}
+
+function parsePair(pair) {
+    const tokens = (pair || '').split('/');
+    if (tokens.length !== 2 || !tokens.every(token => ADDRESS_PATTERN.test(token))) {
+        throw new ApiError(400, 'pair must be <baseToken>/<quoteToken>');
+    }
+    return tokens.map(token => token.toLowerCase());
+}
+
+// Same test as SecretFundraiser.getLiveCampaigns
+function isLiveCampaign(campaign) {
+    return campaign.isLive && CAMPAIGN_STATES[Number(campaign.currentState)] === 'live';
+}
+
+function matchesState(campaign, state) {
+    return state === 'live' ? isLiveCampaign(campaign) : CAMPAIGN_STATES[Number(campaign.currentState)] === state;
+}
+
+function isResting(order, now) {
+    return order.isActive && Number(order.expiresAt) > now && BigInt(order.actualAmount) > BigInt(order.filledAmount);
+}
+
+/**
+ * @param {{ store: Object, status: Function }} indexer An indexer (lib/indexer.js), or just its store
+ *   and a status function when another process does the indexing
+ */
+function createApi(indexer) {
+    const { store } = indexer;
+
+    function envelope(body) {
+        const { chainId, indexedBlock } = indexer.status();
+        return { chainId, indexedBlock, ...body };
+    }
+
+    const routes = [
+        [/^\/api\/status$/, () => indexer.status()],
+
+        [/^\/api\/campaigns$/, (match, query) => {
+            const state = query.get('state');
+            if (state && !CAMPAIGN_STATES.includes(state)) {
+                throw new ApiError(400, `state must be one of ${CAMPAIGN_STATES.join(', ')}`);
+            }
+
+            const { offset, limit } = parsePage(query);
+            const all = store.listCampaigns();
+            const campaigns = state ? all.filter(campaign => matchesState(campaign, state)) : all;
+            return envelope({
+                total: campaigns.length,
+                live: all.filter(isLiveCampaign).length,
+                campaigns: campaigns.slice(offset, offset + limit)
+            });
+        }],
+
+        [/^\/api\/campaigns\/(\d+)$/, (match) => {
+            const campaign = store.getCampaign(match[1]);
+            if (!campaign) throw new ApiError(404, `Campaign ${match[1]} not found`);
+            return envelope({ campaign });
+        }],
+
+        [/^\/api\/orders$/, (match, query) => {
+            const [baseToken, quoteToken] = parsePair(query.get('pair'));
+            const now = Math.floor(Date.now() / 1000);
+            const activeOnly = query.get('active') === 'true';
+
+            const orders = store.listOrders().filter(order =>
+                order.baseToken.toLowerCase() === baseToken &&
+                order.quoteToken.toLowerCase() === quoteToken &&
+                (!activeOnly || isResting(order, now))
+            );
+            return envelope({ orders });
+        }],
+
+        [/^\/api\/traders\/([^/]+)\/orders$/, (match) => {
+            if (!ADDRESS_PATTERN.test(match[1])) throw new ApiError(400, 'Invalid trader address');
+            const trader = match[1].toLowerCase();
+            return envelope({ orders: store.listOrders().filter(order => order.trader.toLowerCase() === trader) });
+        }],
+
+        [/^\/api\/vaults\/([^/]+)$/, (match) => {
+            if (!ID_PATTERN.test(match[1])) throw new ApiError(400, 'Invalid campaign id');
+            const vault = store.getVault(match[1]);
+            if (!vault) throw new ApiError(404, `No vault for campaign ${match[1]}`);
+            return envelope({ vault });
+        }]
+    ];
+
+    /**
+     * Handle an /api request; resolves true when the path belonged to the API
+     */
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/api' && !url.pathname.startsWith('/api/')) return false;
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.setHeader('Allow', 'GET, HEAD');
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return true;
+        }
+
+        for (const [pattern, route] of routes) {
+            const match = pattern.exec(url.pathname);
+            if (!match) continue;
+
+            try {
+                sendJson(res, 200, await route(match, url.searchParams));
+            } catch (error) {
+                sendJson(res, error instanceof ApiError ? error.status : 500, { error: error.message });
+            }
+            return true;
+        }
+
+        sendJson(res, 404, { error: 'Unknown API route' });
+        return true;
+    }
+
+    return { handle };
+}
+
+module.exports = {
+    ApiError,
+    CAMPAIGN_STATES,
+    createApi,
+    parsePair,
+    sendJson
+};
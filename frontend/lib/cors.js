@@ -0,0 +1,49 @@
+// CORS for server.js: lets pages served from another origin (a wallet dev server, a hosted
+// frontend) call /api, /metadata and /rpc. Origins come from --cors / ZERODROP_CORS_ORIGINS.
+
+const ALLOWED_METHODS = 'GET, HEAD, POST, PUT, OPTIONS';
+const ALLOWED_HEADERS = 'Content-Type, Last-Event-ID';
+// How long browsers may cache a preflight answer, in seconds
+const PREFLIGHT_MAX_AGE = 600;
+
+/**
+ * @param {string[]} origins Allowed origins; '*' allows any
+ */
+function createCors(origins) {
+    const anyOrigin = origins.includes('*');
+    const allowed = new Set(origins);
+
+    /**
+     * Add CORS headers for an allowed Origin. Resolves true when the request was a preflight
+     * (OPTIONS) and has been answered.
+     */
+    function apply(req, res) {
+        const origin = req.headers.origin;
+        const isAllowed = origin && (anyOrigin || allowed.has(origin));
+
+        if (origins.length > 0) res.setHeader('Vary', 'Origin');
+        if (isAllowed) {
+            res.setHeader('Access-Control-Allow-Origin', anyOrigin ? '*' : origin);
+        }
+
+        if (req.method !== 'OPTIONS' || !req.headers['access-control-request-method']) return false;
+
+        if (isAllowed) {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': ALLOWED_METHODS,
+                'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+                'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE)
+            });
+        } else {
+            res.writeHead(403);
+        }
+        res.end();
+        return true;
+    }
+
+    return { apply };
+}
+
+module.exports = {
+    createCors
+};
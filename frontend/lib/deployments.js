@@ -0,0 +1,42 @@
+// Deployment bundle and database lookup shared by server.js and the standalone indexer (indexer.js).
+const fs = require('fs');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'public', 'deployments');
+// Default home of the indexer databases, one per chain
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+/**
+ * Chain to index: ZERODROP_CHAIN_ID when set, otherwise the node's own chain id
+ * @param {{ request: Function }} rpc
+ */
+async function resolveChainId(rpc) {
+    return process.env.ZERODROP_CHAIN_ID
+        ? Number(process.env.ZERODROP_CHAIN_ID)
+        : parseInt(await rpc.request('eth_chainId'), 16);
+}
+
+/**
+ * Read deployments/<chainId>.json as written by the deploy scripts
+ */
+async function loadDeployment(chainId) {
+    const bundlePath = path.join(DEPLOYMENTS_DIR, `${chainId}.json`);
+    if (!fs.existsSync(bundlePath)) {
+        throw new Error(`No deployment bundle for chain ${chainId} (deployments/${chainId}.json)`);
+    }
+    return JSON.parse(await fs.promises.readFile(bundlePath, 'utf8'));
+}
+
+/**
+ * SQLite file of the chain's indexer: ZERODROP_DB when set, otherwise data/indexer-<chainId>.sqlite
+ */
+function databasePath(chainId) {
+    return process.env.ZERODROP_DB || path.join(DATA_DIR, `indexer-${chainId}.sqlite`);
+}
+
+module.exports = {
+    DEPLOYMENTS_DIR,
+    resolveChainId,
+    loadDeployment,
+    databasePath
+};
@@ -0,0 +1,372 @@
+// ZeroDrop protocol indexer
+//
+// Follows SecretFundraiser, ConfidentialTrading and VaultManager events from a JSON-RPC node,
+// starting at the deployment bundle's deploy block. Each batch of logs is decoded and recorded,
+// and every campaign, order and vault the batch touched is re-read through the contracts'
+// getters at the batch's last block, so the store always holds consistent snapshots.
+//
+// Before each sync the hash of the last indexed block is compared with the node's. When they
+// differ the chain was reorganized: the indexer walks back through the recorded hashes to the
+// newest block both agree on, drops everything after it, re-reads the affected snapshots at
+// that block, and indexes the new branch from there.
+const { Interface } = require('ethers');
+const { createMemoryStore } = require('./store');
+
+const DEFAULT_POLL_INTERVAL = 4000;
+// Blocks per eth_getLogs request; public RPCs reject much larger ranges
+const DEFAULT_BATCH_SIZE = 2000;
+// How many recent block hashes are kept to find the fork point of a reorg
+const DEFAULT_REORG_DEPTH = 64;
+
+// Deployment bundle keys of the contracts whose events are indexed
+const INDEXED_CONTRACTS = {
+    SECRET_FUNDRAISER: 'SecretFundraiser',
+    CONFIDENTIAL_TRADING: 'ConfidentialTrading',
+    VAULT_MANAGER: 'VaultManager'
+};
+
+function toHex(value) {
+    return '0x' + value.toString(16);
+}
+
+// ethers Results -> plain JSON: integers as decimal strings, like web3 1.x returns them
+function toPlain(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return value.map(toPlain);
+    return value;
+}
+
+function namedValues(fragmentParams, result) {
+    const values = {};
+    fragmentParams.forEach((param, index) => {
+        values[param.name] = toPlain(result[index]);
+    });
+    return values;
+}
+
+function emptySnapshots() {
+    return {
+        campaigns: [],
+        orders: [],
+        vaults: [],
+        deleted: { campaigns: [], orders: [], vaults: [] }
+    };
+}
+
+function isRevert(error) {
+    return /revert/i.test(error.message);
+}
+
+/**
+ * Indexer progress as recorded in its store. server.js uses this directly when the indexer runs
+ * as a separate process (ZERODROP_INDEXER=external) and only the database is shared.
+ * @param {Object} store
+ * @param {Object} deployment
+ */
+function readStatus(store, deployment) {
+    return {
+        chainId: deployment.chainId,
+        deployBlock: deployment.deployBlock,
+        indexedBlock: store.getCursor(),
+        reorgs: store.getMeta('reorgs') || 0,
+        error: store.getMeta('error')
+    };
+}
+
+/**
+ * Create an indexer for one deployment bundle (see scripts/lib/deployment-bundle.js).
+ * @param {Object} options
+ * @param {{ request: Function }} options.rpc JSON-RPC client (lib/rpc.js)
+ * @param {Object} options.deployment Parsed deployments/<chainId>.json
+ * @param {Object} [options.store] memory (store.js) or SQLite (sqlite-store.js); defaults to memory
+ */
+function createIndexer({
+    rpc,
+    deployment,
+    store = createMemoryStore(),
+    pollInterval = DEFAULT_POLL_INTERVAL,
+    batchSize = DEFAULT_BATCH_SIZE,
+    reorgDepth = DEFAULT_REORG_DEPTH
+}) {
+    const contracts = {};
+    const byAddress = new Map();
+    Object.entries(INDEXED_CONTRACTS).forEach(([key, name]) => {
+        const entry = deployment.contracts[key];
+        if (!entry) {
+            throw new Error(`Deployment bundle for chain ${deployment.chainId} has no ${key}`);
+        }
+        const contract = { name, address: entry.address, iface: new Interface(entry.abi) };
+        contracts[name] = contract;
+        byAddress.set(entry.address.toLowerCase(), contract);
+    });
+
+    // A store filled from another deployment (e.g. a restarted Hardhat node) starts over
+    const deploymentKey = `${deployment.chainId}:${deployment.contracts.SECRET_FUNDRAISER.address.toLowerCase()}:${deployment.deployBlock}`;
+    if (store.getMeta('deployment') !== deploymentKey) {
+        store.reset();
+        store.setMeta('deployment', deploymentKey);
+        store.setMeta('reorgs', 0);
+    }
+
+    const listeners = new Set();
+    let timer = null;
+    let syncing = null;
+
+    async function call(contract, method, args, blockTag) {
+        const data = contract.iface.encodeFunctionData(method, args);
+        const result = await rpc.request('eth_call', [{ to: contract.address, data }, blockTag]);
+        const fragment = contract.iface.getFunction(method);
+        return namedValues(fragment.outputs, contract.iface.decodeFunctionResult(fragment, result));
+    }
+
+    /**
+     * Read a getter, resolving null when the entity does not exist at blockTag (the getter reverts)
+     */
+    async function callExisting(contract, method, id, blockTag) {
+        try {
+            return await call(contract, method, [id], blockTag);
+        } catch (error) {
+            if (isRevert(error)) return null;
+            throw error;
+        }
+    }
+
+    async function getBlockHash(blockNumber) {
+        const block = await rpc.request('eth_getBlockByNumber', [toHex(blockNumber), false]);
+        return block ? block.hash : null;
+    }
+
+    function decodeLog(log) {
+        const contract = byAddress.get(log.address.toLowerCase());
+        if (!contract) return null;
+
+        const parsed = contract.iface.parseLog({ topics: log.topics, data: log.data });
+        if (!parsed) return null;
+
+        return {
+            contract: contract.name,
+            name: parsed.name,
+            args: namedValues(parsed.fragment.inputs, parsed.args),
+            address: log.address,
+            blockNumber: Number(log.blockNumber),
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: Number(log.logIndex)
+        };
+    }
+
+    /**
+     * Campaign, order and vault ids a batch of events touched
+     */
+    function touchedEntities(events) {
+        const touched = { campaigns: new Set(), orders: new Set(), vaults: new Set() };
+        events.forEach(({ contract, name, args }) => {
+            if (contract === 'SecretFundraiser') {
+                touched.campaigns.add(Number(args.campaignId));
+            } else if (contract === 'VaultManager' && args.campaignId !== undefined) {
+                touched.vaults.add(Number(args.campaignId));
+            } else if (contract === 'ConfidentialTrading') {
+                if (name === 'OrderMatched') {
+                    touched.orders.add(Number(args.buyOrderId));
+                    touched.orders.add(Number(args.sellOrderId));
+                } else if (args.orderId !== undefined) {
+                    touched.orders.add(Number(args.orderId));
+                }
+            }
+        });
+        return touched;
+    }
+
+    /**
+     * Contribution counts up to and including `blockNumber`, plus events not stored yet
+     */
+    function contributionStats(campaignId, blockNumber, pending) {
+        const isContribution = event => event.contract === 'SecretFundraiser' &&
+            event.name === 'SecretContributionReceived' &&
+            Number(event.args.campaignId) === campaignId;
+        const contributions = [
+            ...store.listEvents({ contract: 'SecretFundraiser', name: 'SecretContributionReceived', toBlock: blockNumber }),
+            ...pending
+        ].filter(isContribution);
+
+        return {
+            contributions: contributions.length,
+            contributors: new Set(contributions.map(event => event.args.contributor.toLowerCase())).size
+        };
+    }
+
+    /**
+     * Re-read the touched entities at `blockNumber`; ones that do not exist there are listed as deleted
+     */
+    async function readSnapshots(touched, blockNumber, pending = []) {
+        const { SecretFundraiser, ConfidentialTrading, VaultManager } = contracts;
+        const blockTag = toHex(blockNumber);
+        const snapshots = emptySnapshots();
+
+        await Promise.all([
+            ...[...touched.campaigns].map(async (campaignId) => {
+                // getCampaign does not revert for unknown ids, it returns an empty struct
+                const campaign = await callExisting(SecretFundraiser, 'getCampaign', campaignId, blockTag);
+                if (campaign && campaign.campaignId !== '0') {
+                    snapshots.campaigns.push({ ...campaign, ...contributionStats(campaignId, blockNumber, pending) });
+                } else {
+                    snapshots.deleted.campaigns.push(campaignId);
+                }
+            }),
+            ...[...touched.orders].map(async (orderId) => {
+                const order = await callExisting(ConfidentialTrading, 'getOrder', orderId, blockTag);
+                if (order) {
+                    snapshots.orders.push({ orderId: String(orderId), ...order });
+                } else {
+                    snapshots.deleted.orders.push(orderId);
+                }
+            }),
+            ...[...touched.vaults].map(async (campaignId) => {
+                const vault = await callExisting(VaultManager, 'getVault', campaignId, blockTag);
+                if (vault) {
+                    snapshots.vaults.push(vault);
+                } else {
+                    snapshots.deleted.vaults.push(campaignId);
+                }
+            })
+        ]);
+        return snapshots;
+    }
+
+    async function indexRange(fromBlock, toBlock) {
+        const [logs, toBlockHash] = await Promise.all([
+            rpc.request('eth_getLogs', [{
+                address: Object.values(contracts).map(contract => contract.address),
+                fromBlock: toHex(fromBlock),
+                toBlock: toHex(toBlock)
+            }]),
+            getBlockHash(toBlock)
+        ]);
+
+        const events = logs
+            .filter(log => !log.removed)
+            .map(decodeLog)
+            .filter(Boolean)
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        const blocks = new Map(events.map(event => [event.blockNumber, event.blockHash]));
+        blocks.set(toBlock, toBlockHash);
+
+        store.apply({
+            events,
+            snapshots: await readSnapshots(touchedEntities(events), toBlock, events),
+            blocks: [...blocks].map(([number, hash]) => ({ number, hash })),
+            cursor: toBlock,
+            keepBlocksFrom: toBlock - reorgDepth
+        });
+        return events;
+    }
+
+    /**
+     * The newest indexed block the node still agrees with, or null when the cursor block is intact.
+     * When no recorded hash survived, indexing starts over from the deploy block.
+     */
+    async function findForkPoint() {
+        const recorded = store.listBlocks();
+        for (const [index, { number, hash }] of recorded.entries()) {
+            if (await getBlockHash(number) === hash) {
+                return index === 0 ? null : number;
+            }
+        }
+        return recorded.length > 0 ? deployment.deployBlock - 1 : null;
+    }
+
+    /**
+     * Drop everything after `blockNumber` and restore the snapshots the dropped events touched.
+     * Resolves with the dropped events.
+     */
+    async function rollback(blockNumber) {
+        const dropped = store.listEvents({ fromBlock: blockNumber + 1 });
+        if (blockNumber < deployment.deployBlock) {
+            // Nothing survived; the contracts did not exist yet at blockNumber
+            store.reset();
+        } else {
+            store.rollback(blockNumber, await readSnapshots(touchedEntities(dropped), blockNumber));
+        }
+        store.setMeta('reorgs', (store.getMeta('reorgs') || 0) + 1);
+        console.warn(`Chain reorganization: rolled back to block ${blockNumber} (${dropped.length} events dropped)`);
+        return dropped;
+    }
+
+    /**
+     * Index everything between the cursor and the chain head, rolling back first if the chain
+     * reorganized. Concurrent callers share one run. Resolves with the newly applied events.
+     */
+    function sync() {
+        if (!syncing) {
+            syncing = (async () => {
+                const forkPoint = await findForkPoint();
+                const dropped = forkPoint === null ? [] : await rollback(forkPoint);
+
+                const head = Number(await rpc.request('eth_blockNumber'));
+                const applied = [];
+                let fromBlock = store.getCursor() === null ? deployment.deployBlock : store.getCursor() + 1;
+
+                while (fromBlock <= head) {
+                    const toBlock = Math.min(fromBlock + batchSize - 1, head);
+                    applied.push(...await indexRange(fromBlock, toBlock));
+                    fromBlock = toBlock + 1;
+                }
+
+                if (applied.length > 0 || dropped.length > 0) {
+                    listeners.forEach(listener => listener(applied, dropped));
+                }
+                return applied;
+            })().finally(() => {
+                syncing = null;
+            });
+        }
+        return syncing;
+    }
+
+    function setError(message) {
+        if (store.getMeta('error') !== message) {
+            store.setMeta('error', message);
+        }
+    }
+
+    async function poll() {
+        try {
+            await sync();
+            setError(null);
+        } catch (error) {
+            setError(error.message);
+            console.error('Indexer sync failed:', error.message);
+        }
+        if (timer !== null) {
+            timer = setTimeout(poll, pollInterval);
+        }
+    }
+
+    return {
+        store,
+        sync,
+        start: () => {
+            if (timer === null) {
+                timer = setTimeout(poll, 0);
+            }
+        },
+        stop: () => {
+            clearTimeout(timer);
+            timer = null;
+        },
+        /** Called with (applied, dropped) events after every sync that changed the store */
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        status: () => readStatus(store, deployment)
+    };
+}
+
+module.exports = {
+    DEFAULT_REORG_DEPTH,
+    INDEXED_CONTRACTS,
+    createIndexer,
+    readStatus
+};
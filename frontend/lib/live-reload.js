@@ -0,0 +1,64 @@
+// Dev-mode live reload for server.js (--dev). Watches the public directory and tells open pages
+// to reload over a Server-Sent Events stream at RELOAD_PATH; the static handler adds SNIPPET to
+// every HTML page it serves.
+const fs = require('fs');
+const path = require('path');
+
+const RELOAD_PATH = '/__dev/reload';
+// Editors often write a file in several steps; wait for the burst to settle
+const DEBOUNCE_MS = 100;
+const WATCHED_EXTENSIONS = new Set(['.html', '.js', '.css', '.json']);
+
+const SNIPPET = `<script>new EventSource('${RELOAD_PATH}').addEventListener('reload', () => location.reload());</script>`;
+
+/**
+ * @param {string} dir Directory to watch (recursively)
+ * @param {{ ignore?: string[] }} [options] ignore: file names that never trigger a reload
+ */
+function createLiveReload(dir, { ignore = [] } = {}) {
+    const clients = new Set();
+    const ignored = new Set(ignore);
+    let timer = null;
+
+    function broadcast(file) {
+        clients.forEach(res => res.write(`event: reload\ndata: ${JSON.stringify({ file })}\n\n`));
+    }
+
+    const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+        if (!filename || ignored.has(path.basename(filename)) || !WATCHED_EXTENSIONS.has(path.extname(filename))) return;
+
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            console.log(`🔄 ${filename} changed, reloading ${clients.size} page${clients.size === 1 ? '' : 's'}`);
+            broadcast(filename);
+        }, DEBOUNCE_MS);
+    });
+
+    /**
+     * Handle the reload stream; resolves false for every other path
+     */
+    function handle(req, res) {
+        if (req.url.split('?')[0] !== RELOAD_PATH) return false;
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        res.write(': connected\n\n');
+        clients.add(res);
+        req.on('close', () => clients.delete(res));
+        return true;
+    }
+
+    function close() {
+        clearTimeout(timer);
+        watcher.close();
+        clients.forEach(res => res.end());
+        clients.clear();
+    }
+
+    return { handle, close };
+}
+
+module.exports = {
+    RELOAD_PATH,
+    SNIPPET,
+    createLiveReload
+};
@@ -0,0 +1,332 @@
+// JSON-RPC proxy mounted by server.js at /rpc, so pages can read the chain without a wallet.
+//
+// Calls are forwarded one by one to the upstream node (batches are split). Only allowlisted
+// methods pass; the default list is read-only. Results that can no longer change are cached:
+// eth_chainId / net_version, and blocks, receipts, transactions, logs and state reads pinned to
+// a block at least `confirmations` deep (or to a block hash). Every request first checks the
+// upstream head (at most once per HEAD_TTL) and drops the cache when it has moved backwards.
+// Identical calls already on their way upstream are shared. Each client address gets a token
+// bucket of `rateLimit` calls per minute.
+
+const DEFAULT_METHODS = [
+    'eth_chainId',
+    'net_version',
+    'web3_clientVersion',
+    'eth_blockNumber',
+    'eth_gasPrice',
+    'eth_maxPriorityFeePerGas',
+    'eth_feeHistory',
+    'eth_call',
+    'eth_estimateGas',
+    'eth_getBalance',
+    'eth_getCode',
+    'eth_getStorageAt',
+    'eth_getTransactionCount',
+    'eth_getBlockByNumber',
+    'eth_getBlockByHash',
+    'eth_getTransactionByHash',
+    'eth_getTransactionReceipt',
+    'eth_getLogs'
+];
+const DEFAULT_RATE_LIMIT = 600;
+const DEFAULT_CONFIRMATIONS = 12;
+
+const MAX_BODY_BYTES = 256 * 1024;
+const MAX_BATCH_SIZE = 50;
+const MAX_CACHE_ENTRIES = 5000;
+// Large eth_getLogs answers are forwarded but not kept
+const MAX_CACHED_RESULT_BYTES = 256 * 1024;
+// How long an eth_blockNumber answer decides what counts as confirmed and stands for the head
+const HEAD_TTL = 2000;
+const UPSTREAM_TIMEOUT = 30000;
+
+// The same for every block of a chain
+const CHAIN_CONSTANTS = new Set(['eth_chainId', 'net_version']);
+// Index of the block parameter for state reads
+const BLOCK_PARAM = {
+    eth_call: 1,
+    eth_getBalance: 1,
+    eth_getCode: 1,
+    eth_getTransactionCount: 1,
+    eth_getStorageAt: 2,
+    eth_getBlockByNumber: 0
+};
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+const LIMIT_EXCEEDED = -32005;
+
+function rpcError(id, code, message) {
+    return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+function sendRpc(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function isQuantity(value) {
+    return typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value);
+}
+
+/**
+ * Token bucket per client: `perMinute` calls, refilled continuously
+ */
+function createRateLimiter(perMinute) {
+    const buckets = new Map();
+    let lastSweep = Date.now();
+
+    function refill(bucket, now) {
+        bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updated) * perMinute / 60000);
+        bucket.updated = now;
+    }
+
+    /**
+     * Take `count` tokens; resolves 0 when allowed, otherwise the seconds until they are available
+     */
+    function take(client, count) {
+        if (!perMinute) return 0;
+        const now = Date.now();
+
+        // Forget clients whose bucket has filled up again
+        if (now - lastSweep > 60000) {
+            buckets.forEach((bucket, key) => {
+                refill(bucket, now);
+                if (bucket.tokens >= perMinute) buckets.delete(key);
+            });
+            lastSweep = now;
+        }
+
+        const bucket = buckets.get(client) || { tokens: perMinute, updated: now };
+        buckets.set(client, bucket);
+        refill(bucket, now);
+        if (bucket.tokens >= count) {
+            bucket.tokens -= count;
+            return 0;
+        }
+        return Math.ceil((count - bucket.tokens) * 60 / perMinute);
+    }
+
+    return { take };
+}
+
+/**
+ * @param {{ upstream: string, methods?: string[], rateLimit?: number, confirmations?: number }} options
+ *   rateLimit: calls per minute per client address, 0 for no limit
+ */
+function createRpcProxy({ upstream, methods = DEFAULT_METHODS, rateLimit = DEFAULT_RATE_LIMIT, confirmations = DEFAULT_CONFIRMATIONS }) {
+    const allowed = new Set(methods);
+    const limiter = createRateLimiter(rateLimit);
+    const cache = new Map();
+    const inFlight = new Map();
+    const counters = { calls: 0, cacheHits: 0, shared: 0, upstream: 0, rateLimited: 0 };
+    let nextId = 1;
+    let head = null;
+    let headRequest = null;
+
+    async function forward(method, params) {
+        counters.upstream++;
+        let response;
+        try {
+            response = await fetch(upstream, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+                signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+            });
+        } catch (error) {
+            // Clients do not need to know where the node lives
+            return { error: { code: INTERNAL_ERROR, message: 'Upstream node unavailable' } };
+        }
+        if (!response.ok) {
+            return { error: { code: INTERNAL_ERROR, message: `Upstream node answered HTTP ${response.status}` } };
+        }
+
+        try {
+            const body = await response.json();
+            return body.error ? { error: body.error } : { result: body.result };
+        } catch (error) {
+            return { error: { code: INTERNAL_ERROR, message: 'Upstream node sent invalid JSON' } };
+        }
+    }
+
+    function remember(key, result) {
+        if (result === null || result === undefined) return;
+        if (JSON.stringify(result).length > MAX_CACHED_RESULT_BYTES) return;
+        if (cache.size >= MAX_CACHE_ENTRIES) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, result);
+    }
+
+    /**
+     * Newest block number the upstream reported within HEAD_TTL. A head that moves backwards
+     * means the node was reset (a restarted Hardhat node), so everything cached is dropped.
+     * Concurrent callers share one eth_blockNumber request.
+     */
+    function latestBlock() {
+        if (head && Date.now() - head.at < HEAD_TTL) return Promise.resolve(head.number);
+
+        if (!headRequest) {
+            headRequest = forward('eth_blockNumber', []).then(({ result }) => {
+                if (!isQuantity(result)) return null;
+                const number = Number(result);
+                if (head && number < head.number) cache.clear();
+                head = { number, at: Date.now() };
+                return number;
+            }).finally(() => {
+                headRequest = null;
+            });
+        }
+        return headRequest;
+    }
+
+    async function isConfirmed(blockNumber) {
+        if (!isQuantity(blockNumber)) return false;
+        const latest = await latestBlock();
+        return latest !== null && Number(blockNumber) <= latest - confirmations;
+    }
+
+    /**
+     * Whether `result` of `method(params)` can be cached forever
+     */
+    async function isImmutable(method, params, result) {
+        if (CHAIN_CONSTANTS.has(method)) return true;
+
+        if (method === 'eth_getBlockByHash') return true;
+        if (method === 'eth_getTransactionReceipt' || method === 'eth_getTransactionByHash') {
+            return Boolean(result) && isConfirmed(result.blockNumber);
+        }
+        if (method === 'eth_getLogs') {
+            const filter = params[0] || {};
+            if (filter.blockHash) return true;
+            return isQuantity(filter.fromBlock) && isConfirmed(filter.toBlock);
+        }
+        if (method in BLOCK_PARAM) {
+            const block = params[BLOCK_PARAM[method]];
+            // EIP-1898: { blockHash } pins the state as firmly as a confirmed number
+            if (block && typeof block === 'object' && block.blockHash) return true;
+            return isConfirmed(block);
+        }
+        return false;
+    }
+
+    /**
+     * Forward a call, sharing the answer with identical calls made meanwhile
+     */
+    function dedupe(method, params) {
+        const key = `${method}:${JSON.stringify(params)}`;
+        if (inFlight.has(key)) {
+            counters.shared++;
+            return inFlight.get(key);
+        }
+
+        const pending = forward(method, params).finally(() => inFlight.delete(key));
+        inFlight.set(key, pending);
+        return pending;
+    }
+
+    async function execute(call) {
+        counters.calls++;
+        if (!call || typeof call !== 'object' || Array.isArray(call) || typeof call.method !== 'string') {
+            return rpcError(null, INVALID_REQUEST, 'Invalid request');
+        }
+        const id = call.id === undefined ? null : call.id;
+        const params = call.params === undefined ? [] : call.params;
+        if (!Array.isArray(params)) {
+            return rpcError(id, INVALID_REQUEST, 'params must be an array');
+        }
+        if (!allowed.has(call.method)) {
+            return rpcError(id, METHOD_NOT_FOUND, `Method ${call.method} is not available through this proxy`);
+        }
+
+        const key = `${call.method}:${JSON.stringify(params)}`;
+        if (cache.has(key)) {
+            counters.cacheHits++;
+            return { jsonrpc: '2.0', id, result: cache.get(key) };
+        }
+
+        const outcome = await dedupe(call.method, params);
+        if (outcome.error) {
+            return { jsonrpc: '2.0', id, error: outcome.error };
+        }
+        if (await isImmutable(call.method, params, outcome.result)) {
+            remember(key, outcome.result);
+        }
+        return { jsonrpc: '2.0', id, result: outcome.result };
+    }
+
+    function readBody(req, res, callback) {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            if (res.writableEnded) return;
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                sendRpc(res, 413, rpcError(null, INVALID_REQUEST, 'Request too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (!res.writableEnded) callback(Buffer.concat(chunks));
+        });
+    }
+
+    /**
+     * Handle POST /rpc (server.js routes the path)
+     */
+    function handle(req, res) {
+        if (req.method !== 'POST') {
+            return sendRpc(res, 405, rpcError(null, INVALID_REQUEST, 'Use POST'), { Allow: 'POST' });
+        }
+
+        readBody(req, res, async (body) => {
+            let payload;
+            try {
+                payload = JSON.parse(body.toString('utf8'));
+            } catch (error) {
+                return sendRpc(res, 400, rpcError(null, PARSE_ERROR, 'Parse error'));
+            }
+
+            const batch = Array.isArray(payload);
+            const calls = batch ? payload : [payload];
+            if (calls.length === 0 || calls.length > MAX_BATCH_SIZE) {
+                return sendRpc(res, 400, rpcError(null, INVALID_REQUEST, `Batches must hold 1 to ${MAX_BATCH_SIZE} calls`));
+            }
+
+            const retryAfter = limiter.take(req.socket.remoteAddress, calls.length);
+            if (retryAfter > 0) {
+                counters.rateLimited++;
+                return sendRpc(res, 429, rpcError(null, LIMIT_EXCEEDED, 'Rate limit exceeded'), { 'Retry-After': String(retryAfter) });
+            }
+
+            try {
+                // Cached answers are only served once a reset of the node would have been noticed
+                await latestBlock();
+                const responses = await Promise.all(calls.map(execute));
+                sendRpc(res, 200, batch ? responses : responses[0]);
+            } catch (error) {
+                sendRpc(res, 500, rpcError(null, INTERNAL_ERROR, 'Internal error'));
+            }
+        });
+    }
+
+    function stats() {
+        return { ...counters, cached: cache.size };
+    }
+
+    return { handle, stats };
+}
+
+module.exports = {
+    DEFAULT_CONFIRMATIONS,
+    DEFAULT_METHODS,
+    DEFAULT_RATE_LIMIT,
+    createRateLimiter,
+    createRpcProxy
+};
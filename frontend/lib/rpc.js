@@ -0,0 +1,52 @@
+// Minimal JSON-RPC client for the server-side modules (indexer, API).
+// Talks plain HTTP to the node configured by ZERODROP_RPC_URL; no wallet involved.
+
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545';
+
+class RpcError extends Error {
+    constructor(message, code, data) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * @param {string} url JSON-RPC endpoint
+ * @returns {{ url: string, request: (method: string, params?: Array) => Promise<any> }}
+ */
+function createRpcClient(url = process.env.ZERODROP_RPC_URL || DEFAULT_RPC_URL) {
+    let nextId = 1;
+
+    async function request(method, params = []) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params })
+            });
+        } catch (error) {
+            // fetch only says "fetch failed"; the cause has the connection error
+            throw new RpcError(`${method} failed: cannot reach ${url} (${(error.cause && error.cause.code) || error.message})`);
+        }
+        if (!response.ok) {
+            throw new RpcError(`${method} failed: HTTP ${response.status}`, response.status);
+        }
+
+        const body = await response.json();
+        if (body.error) {
+            throw new RpcError(`${method} failed: ${body.error.message}`, body.error.code, body.error.data);
+        }
+        return body.result;
+    }
+
+    return { url, request };
+}
+
+module.exports = {
+    DEFAULT_RPC_URL,
+    RpcError,
+    createRpcClient
+};
@@ -0,0 +1,166 @@
+// Command-line and environment configuration for server.js (options in USAGE below).
+// Flags win over environment variables.
+const { DEFAULT_RPC_URL } = require('./rpc');
+const { DEFAULT_METHODS, DEFAULT_RATE_LIMIT } = require('./rpc-proxy');
+
+const DEFAULT_PORT = 3013;
+const DEFAULT_HOST = '127.0.0.1';
+
+const USAGE = `Usage: node public/server.js [options]
+
+Options:
+  --port <n>              Listen port (env ZERODROP_PORT, default ${DEFAULT_PORT})
+  --host <addr>           Bind address (env ZERODROP_HOST, default ${DEFAULT_HOST})
+  --cors <origins>        Allowed CORS origins, comma-separated or * (env ZERODROP_CORS_ORIGINS)
+  --cache <policy>        no-cache, no-store or max-age seconds (env ZERODROP_CACHE, default no-cache)
+  --spa                   Serve index.html for unknown extensionless paths (env ZERODROP_SPA=1)
+  --dev                   Live-reload pages on file changes (env ZERODROP_DEV=1)
+  --rpc-upstream <url>    Node behind /rpc (env ZERODROP_RPC_UPSTREAM, default ZERODROP_RPC_URL or ${DEFAULT_RPC_URL})
+  --rpc-methods <list>    Methods /rpc forwards, comma-separated, or none to disable it
+                          (env ZERODROP_RPC_METHODS, default read-only methods)
+  --rpc-rate-limit <n>    /rpc calls per minute per client, 0 for no limit (env ZERODROP_RPC_RATE_LIMIT, default ${DEFAULT_RATE_LIMIT})
+  --help                  Show this help`;
+
+// Flag -> environment variable; boolean flags take no value
+const OPTIONS = {
+    port: { env: 'ZERODROP_PORT' },
+    host: { env: 'ZERODROP_HOST' },
+    cors: { env: 'ZERODROP_CORS_ORIGINS' },
+    cache: { env: 'ZERODROP_CACHE' },
+    spa: { env: 'ZERODROP_SPA', flag: true },
+    dev: { env: 'ZERODROP_DEV', flag: true },
+    'rpc-upstream': { env: 'ZERODROP_RPC_UPSTREAM' },
+    'rpc-methods': { env: 'ZERODROP_RPC_METHODS' },
+    'rpc-rate-limit': { env: 'ZERODROP_RPC_RATE_LIMIT' },
+    help: { flag: true }
+};
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+function isTruthy(value) {
+    return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+}
+
+function parseArgs(argv) {
+    const values = {};
+    for (let index = 0; index < argv.length; index++) {
+        const [flag, inline] = argv[index].split(/=(.*)/s);
+        const name = flag.replace(/^--/, '');
+        const option = OPTIONS[name];
+        if (!flag.startsWith('--') || !option) {
+            throw new ConfigError(`Unknown option ${argv[index]}`);
+        }
+
+        if (option.flag) {
+            values[name] = inline === undefined ? true : isTruthy(inline);
+        } else if (inline !== undefined) {
+            values[name] = inline;
+        } else if (index + 1 < argv.length && !argv[index + 1].startsWith('--')) {
+            values[name] = argv[++index];
+        } else {
+            throw new ConfigError(`${flag} needs a value`);
+        }
+    }
+    return values;
+}
+
+function parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new ConfigError(`Invalid port ${value}`);
+    }
+    return port;
+}
+
+/**
+ * Cache-Control header for static files
+ */
+function parseCachePolicy(value) {
+    if (value === 'no-cache' || value === 'no-store') return value;
+    if (/^\d+$/.test(value)) return `public, max-age=${value}`;
+    throw new ConfigError(`Invalid cache policy ${value} (no-cache, no-store or max-age seconds)`);
+}
+
+function parseOrigins(value) {
+    const origins = value.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+    origins.forEach(origin => {
+        if (origin !== '*' && !/^https?:\/\/[^/]+$/.test(origin)) {
+            throw new ConfigError(`Invalid CORS origin ${origin} (expected scheme://host[:port] or *)`);
+        }
+    });
+    return origins;
+}
+
+function parseUrl(value) {
+    if (!/^https?:\/\/[^/]+/.test(value)) {
+        throw new ConfigError(`Invalid RPC upstream ${value} (expected an http(s) URL)`);
+    }
+    return value;
+}
+
+/**
+ * Methods /rpc forwards; an empty list disables it
+ */
+function parseMethods(value) {
+    if (value === undefined) return DEFAULT_METHODS;
+    if (value.trim() === 'none') return [];
+    const methods = value.split(',').map(method => method.trim()).filter(Boolean);
+    methods.forEach(method => {
+        if (!/^[a-z0-9]+_[A-Za-z0-9]+$/.test(method)) throw new ConfigError(`Invalid RPC method ${method}`);
+    });
+    return methods;
+}
+
+function parseRateLimit(value) {
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 0) {
+        throw new ConfigError(`Invalid RPC rate limit ${value} (calls per minute, 0 for no limit)`);
+    }
+    return limit;
+}
+
+/**
+ * @param {string[]} argv Arguments after the script name
+ * @param {Object} env Usually process.env
+ * @returns {{ port: number, host: string, corsOrigins: string[], cacheControl: string, spa: boolean, dev: boolean,
+ *   rpc: { upstream: string, methods: string[], rateLimit: number }, help: boolean }}
+ */
+function parseServerConfig(argv = [], env = {}) {
+    const args = parseArgs(argv);
+    const value = (name) => {
+        if (args[name] !== undefined) return args[name];
+        const { env: variable, flag } = OPTIONS[name];
+        if (!variable || env[variable] === undefined || env[variable] === '') return undefined;
+        return flag ? isTruthy(env[variable]) : env[variable];
+    };
+
+    const dev = Boolean(value('dev'));
+    return {
+        port: value('port') === undefined ? DEFAULT_PORT : parsePort(value('port')),
+        host: value('host') || DEFAULT_HOST,
+        corsOrigins: value('cors') ? parseOrigins(value('cors')) : [],
+        // Dev mode must never hand out a stale copy of a file that was just edited
+        cacheControl: dev ? 'no-store' : parseCachePolicy(value('cache') || 'no-cache'),
+        spa: Boolean(value('spa')),
+        dev,
+        rpc: {
+            upstream: parseUrl(value('rpc-upstream') || env.ZERODROP_RPC_URL || DEFAULT_RPC_URL),
+            methods: parseMethods(value('rpc-methods')),
+            rateLimit: value('rpc-rate-limit') === undefined ? DEFAULT_RATE_LIMIT : parseRateLimit(value('rpc-rate-limit'))
+        },
+        help: Boolean(args.help)
+    };
+}
+
+module.exports = {
+    ConfigError,
+    DEFAULT_HOST,
+    DEFAULT_PORT,
+    USAGE,
+    parseServerConfig
+};
@@ -0,0 +1,152 @@
+// SQLite-backed store (see store.js for the interface). Lets the indexer resume where it stopped
+// and lets server.js serve the API from a database a separate `npm run indexer` process writes.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS blocks (number INTEGER PRIMARY KEY, hash TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        contract TEXT NOT NULL,
+        name TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_name ON events (contract, name, block_number);
+    CREATE TABLE IF NOT EXISTS campaigns (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS orders (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS vaults (id INTEGER PRIMARY KEY, data TEXT NOT NULL);
+`;
+
+// Snapshot table -> field holding its id
+const SNAPSHOT_KEYS = {
+    campaigns: 'campaignId',
+    orders: 'orderId',
+    vaults: 'campaignId'
+};
+
+/**
+ * @param {string} file Database path (created with its directory if missing), or ':memory:'
+ * @param {{ readonly?: boolean }} [options] Read-only handles are for processes that only serve the API
+ */
+function createSqliteStore(file, { readonly = false } = {}) {
+    if (!readonly && file !== ':memory:') {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+    }
+
+    const db = new Database(file, { readonly, fileMustExist: readonly });
+    if (!readonly) {
+        // WAL lets a reader (server.js) query while the indexer writes
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+    }
+
+    const statements = {
+        getMeta: db.prepare('SELECT value FROM meta WHERE key = ?'),
+        listBlocks: db.prepare('SELECT number, hash FROM blocks ORDER BY number DESC'),
+        listEvents: db.prepare(`
+            SELECT data FROM events
+            WHERE (@contract IS NULL OR contract = @contract) AND (@name IS NULL OR name = @name)
+                AND block_number >= @fromBlock AND block_number <= @toBlock
+            ORDER BY block_number, log_index
+        `)
+    };
+    Object.keys(SNAPSHOT_KEYS).forEach(table => {
+        statements[`get:${table}`] = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+        statements[`list:${table}`] = db.prepare(`SELECT data FROM ${table} ORDER BY id DESC`);
+    });
+
+    if (!readonly) {
+        Object.assign(statements, {
+            setMeta: db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value'),
+            putBlock: db.prepare('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)'),
+            pruneBlocks: db.prepare('DELETE FROM blocks WHERE number < ?'),
+            dropBlocksAfter: db.prepare('DELETE FROM blocks WHERE number > ?'),
+            putEvent: db.prepare('INSERT OR REPLACE INTO events (block_number, log_index, contract, name, data) VALUES (@blockNumber, @logIndex, @contract, @name, @data)'),
+            dropEventsAfter: db.prepare('DELETE FROM events WHERE block_number > ?')
+        });
+        Object.keys(SNAPSHOT_KEYS).forEach(table => {
+            statements[`put:${table}`] = db.prepare(`INSERT OR REPLACE INTO ${table} (id, data) VALUES (?, ?)`);
+            statements[`delete:${table}`] = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+        });
+    }
+
+    function getMeta(key) {
+        const row = statements.getMeta.get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    function setMeta(key, value) {
+        statements.setMeta.run(key, JSON.stringify(value));
+    }
+
+    function putSnapshots({ deleted = {}, ...snapshots }) {
+        Object.entries(SNAPSHOT_KEYS).forEach(([table, key]) => {
+            (snapshots[table] || []).forEach(item => statements[`put:${table}`].run(Number(item[key]), JSON.stringify(item)));
+            (deleted[table] || []).forEach(id => statements[`delete:${table}`].run(Number(id)));
+        });
+    }
+
+    function getSnapshot(table, id) {
+        const row = statements[`get:${table}`].get(Number(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    function listSnapshots(table) {
+        return statements[`list:${table}`].all().map(row => JSON.parse(row.data));
+    }
+
+    return {
+        getMeta,
+        setMeta,
+        getCursor: () => getMeta('cursor'),
+
+        apply: db.transaction(({ events, snapshots, blocks, cursor, keepBlocksFrom }) => {
+            events.forEach(event => statements.putEvent.run({
+                blockNumber: event.blockNumber,
+                logIndex: event.logIndex,
+                contract: event.contract,
+                name: event.name,
+                data: JSON.stringify(event)
+            }));
+            putSnapshots(snapshots);
+            blocks.forEach(({ number, hash }) => statements.putBlock.run(number, hash));
+            statements.pruneBlocks.run(keepBlocksFrom);
+            setMeta('cursor', cursor);
+        }),
+
+        rollback: db.transaction((blockNumber, snapshots) => {
+            statements.dropEventsAfter.run(blockNumber);
+            statements.dropBlocksAfter.run(blockNumber);
+            putSnapshots(snapshots);
+            setMeta('cursor', blockNumber);
+        }),
+
+        reset: db.transaction(() => {
+            ['blocks', 'events', ...Object.keys(SNAPSHOT_KEYS)].forEach(table => db.prepare(`DELETE FROM ${table}`).run());
+            db.prepare("DELETE FROM meta WHERE key = 'cursor'").run();
+        }),
+
+        listBlocks: () => statements.listBlocks.all(),
+
+        listEvents: ({ contract = null, name = null, fromBlock = 0, toBlock = Number.MAX_SAFE_INTEGER } = {}) =>
+            statements.listEvents.all({ contract, name, fromBlock, toBlock }).map(row => JSON.parse(row.data)),
+
+        getCampaign: (campaignId) => getSnapshot('campaigns', campaignId),
+        listCampaigns: () => listSnapshots('campaigns'),
+
+        getOrder: (orderId) => getSnapshot('orders', orderId),
+        listOrders: () => listSnapshots('orders'),
+
+        getVault: (campaignId) => getSnapshot('vaults', campaignId),
+
+        close: () => db.close()
+    };
+}
+
+module.exports = {
+    createSqliteStore
+};
@@ -0,0 +1,318 @@
+// Static file serving for server.js.
+//
+// Request paths are decoded and resolved inside the root directory (symlinks included), so
+// `..` segments and encoded variants cannot reach other files. Responses carry an ETag and
+// Last-Modified and answer conditional requests with 304; text assets are compressed with
+// brotli or gzip as the client accepts; single byte ranges are honoured for media seeking.
+// Every response gets the security headers below. Optionally, unknown extensionless paths fall
+// back to a single page (SPA routing) and HTML pages get a snippet injected before </body>
+// (dev-mode live reload).
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.map': 'application/json; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webp': 'image/webp',
+    '.woff2': 'font/woff2',
+    '.wasm': 'application/wasm',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.mkv': 'video/x-matroska'
+};
+
+const COMPRESSIBLE = /^(text\/|application\/(json|javascript|wasm)|image\/svg\+xml)/;
+// Smaller bodies are not worth the Content-Encoding round trip
+const MIN_COMPRESS_SIZE = 1024;
+// Compressed bodies kept in memory, keyed by file, ETag and encoding
+const MAX_CACHED_BODIES = 200;
+
+// The pages load Tailwind, web3 and Zama's relayer SDK from CDNs, use inline scripts and
+// handlers, and talk to RPC nodes, the relayer and IPFS gateways over https (or a local node)
+const CONTENT_SECURITY_POLICY = [
+    "default-src 'self'",
+    "script-src 'self' 'unsafe-inline' 'wasm-unsafe-eval' https://cdn.tailwindcss.com https://cdnjs.cloudflare.com https://cdn.zama.ai",
+    "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+    "font-src 'self' https://fonts.gstatic.com",
+    "img-src 'self' data: https:",
+    "media-src 'self'",
+    "connect-src 'self' https: http://127.0.0.1:* http://localhost:*",
+    "worker-src 'self' blob:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'"
+].join('; ');
+
+const SECURITY_HEADERS = {
+    'Content-Security-Policy': CONTENT_SECURITY_POLICY,
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'strict-origin-when-cross-origin'
+};
+
+const ENCODINGS = [
+    ['br', body => zlib.brotliCompressSync(body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })],
+    ['gzip', body => zlib.gzipSync(body)]
+];
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Preferred encoding in an Accept-Encoding header, honouring q=0; null for identity
+ */
+function negotiateEncoding(header = '') {
+    const accepted = new Map(header.split(',').map(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.map(param => /^\s*q=([\d.]+)\s*$/.exec(param)).find(Boolean);
+        return [name, q ? Number(q[1]) : 1];
+    }));
+    const match = ENCODINGS.find(([name]) => (accepted.get(name) ?? accepted.get('*') ?? 0) > 0);
+    return match ? match[0] : null;
+}
+
+/**
+ * Parse a Range header against a file size: { start, end } (inclusive), null to serve the whole
+ * file (no header, several ranges, or not bytes), or 'unsatisfiable'
+ */
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    if (start > end || start >= size) return 'unsatisfiable';
+    return { start, end };
+}
+
+/**
+ * Insert `snippet` before the closing body tag, or append it when there is none
+ */
+function injectSnippet(html, snippet) {
+    const index = html.toLowerCase().lastIndexOf('</body>');
+    return index === -1 ? html + snippet : html.slice(0, index) + snippet + html.slice(index);
+}
+
+/**
+ * Vary header value adding `field` to what is already set on the response (cors.js sets Origin);
+ * writeHead() would otherwise replace it
+ */
+function varyWith(res, field) {
+    const current = res.getHeader('Vary');
+    return current ? `${current}, ${field}` : field;
+}
+
+/**
+ * @param {string} root Directory to serve
+ * @param {{ hidden?: string[], cacheControl?: string, spaFallback?: string, htmlSnippet?: string }} [options]
+ *   hidden: file names under root never served (e.g. the server's own source);
+ *   cacheControl: Cache-Control header for files;
+ *   spaFallback: path served for missing extensionless paths (e.g. '/index.html');
+ *   htmlSnippet: markup injected into every HTML page
+ */
+function createStaticHandler(root, { hidden = [], cacheControl = 'no-cache', spaFallback = null, htmlSnippet = null } = {}) {
+    const rootDir = fs.realpathSync(root);
+    const hiddenFiles = new Set(hidden.map(name => path.join(rootDir, name)));
+    const compressed = new Map();
+
+    /**
+     * Map a URL path to a file inside root, or throw an HttpError
+     */
+    async function resolveFile(pathname) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (error) {
+            throw new HttpError(400, 'Malformed URL');
+        }
+        if (decoded.includes('\0')) throw new HttpError(400, 'Malformed URL');
+
+        const filePath = path.resolve(rootDir, '.' + decoded);
+        const inside = (candidate) => candidate === rootDir || candidate.startsWith(rootDir + path.sep);
+        if (!inside(filePath)) throw new HttpError(403, 'Forbidden');
+
+        let realPath;
+        try {
+            realPath = await fs.promises.realpath(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') throw new HttpError(404, 'Not found');
+            throw error;
+        }
+        if (!inside(realPath)) throw new HttpError(403, 'Forbidden');
+        if (hiddenFiles.has(realPath) || path.basename(realPath).startsWith('.')) throw new HttpError(404, 'Not found');
+        return realPath;
+    }
+
+    function compressedBody(filePath, etag, encoding, body) {
+        const key = `${filePath}:${etag}:${encoding}`;
+        if (!compressed.has(key)) {
+            if (compressed.size >= MAX_CACHED_BODIES) {
+                compressed.delete(compressed.keys().next().value);
+            }
+            compressed.set(key, ENCODINGS.find(([name]) => name === encoding)[1](body));
+        }
+        return compressed.get(key);
+    }
+
+    function isNotModified(req, etag, mtime) {
+        const ifNoneMatch = req.headers['if-none-match'];
+        if (ifNoneMatch) {
+            return ifNoneMatch.split(',').some(tag => {
+                const value = tag.trim().replace(/^W\//, '');
+                return value === '*' || value === etag || value === etag.replace(/"$/, '-br"') || value === etag.replace(/"$/, '-gzip"');
+            });
+        }
+        const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+        return !Number.isNaN(ifModifiedSince) && Math.floor(mtime.getTime() / 1000) * 1000 <= ifModifiedSince;
+    }
+
+    function pipeFile(stream, res) {
+        // Headers are out already; all that is left is to cut the response short
+        stream.on('error', () => res.destroy());
+        stream.pipe(res);
+    }
+
+    function sendError(res, error) {
+        // Only HttpError messages are meant for clients; others may contain file system paths
+        const status = error instanceof HttpError ? error.status : 500;
+        const message = error instanceof HttpError ? error.message : 'Internal Server Error';
+        res.writeHead(status, { ...SECURITY_HEADERS, 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(status === 404 ? '<h1>404 - File Not Found</h1>' : `<h1>${status} - ${message}</h1>`);
+    }
+
+    /**
+     * Serve `pathname` (defaults to the request's path without query string) from root
+     */
+    async function handle(req, res, pathname = req.url.split(/[?#]/)[0]) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.setHeader('Allow', 'GET, HEAD');
+            return sendError(res, new HttpError(405, 'Method Not Allowed'));
+        }
+
+        let filePath;
+        let stats;
+        try {
+            try {
+                filePath = await resolveFile(pathname);
+                stats = await fs.promises.stat(filePath);
+                if (!stats.isFile()) throw new HttpError(404, 'Not found');
+            } catch (error) {
+                // Client-side routes have no extension; missing assets still 404
+                const isRoute = !path.extname(pathname) && pathname !== spaFallback;
+                if (!spaFallback || !isRoute || !(error instanceof HttpError) || error.status !== 404) throw error;
+                filePath = await resolveFile(spaFallback);
+                stats = await fs.promises.stat(filePath);
+            }
+        } catch (error) {
+            return sendError(res, error);
+        }
+
+        const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+        const headers = {
+            ...SECURITY_HEADERS,
+            'Content-Type': contentType,
+            'Last-Modified': stats.mtime.toUTCString(),
+            'Cache-Control': cacheControl,
+            'Accept-Ranges': 'bytes'
+        };
+
+        if (htmlSnippet && contentType.startsWith('text/html')) {
+            // The page changes with the snippet, so validators and ranges would not describe it
+            let body;
+            try {
+                body = Buffer.from(injectSnippet(await fs.promises.readFile(filePath, 'utf8'), htmlSnippet));
+            } catch (error) {
+                return sendError(res, error);
+            }
+            delete headers['Accept-Ranges'];
+            delete headers['Last-Modified'];
+            res.writeHead(200, { ...headers, 'Content-Length': body.length });
+            return res.end(req.method === 'HEAD' ? undefined : body);
+        }
+        const compressible = COMPRESSIBLE.test(contentType) && stats.size >= MIN_COMPRESS_SIZE;
+        if (compressible) headers.Vary = varyWith(res, 'Accept-Encoding');
+
+        if (isNotModified(req, etag, stats.mtime)) {
+            res.writeHead(304, { ...headers, ETag: etag });
+            return res.end();
+        }
+
+        // If-Range: only honour the range while the client's copy is still current
+        const ifRange = req.headers['if-range'];
+        const rangeValid = !ifRange || ifRange === etag || ifRange === headers['Last-Modified'];
+        const range = req.headers.range && rangeValid ? parseRange(req.headers.range, stats.size) : null;
+
+        if (range === 'unsatisfiable') {
+            res.writeHead(416, { ...headers, 'Content-Range': `bytes */${stats.size}` });
+            return res.end();
+        }
+
+        if (range) {
+            res.writeHead(206, {
+                ...headers,
+                ETag: etag,
+                'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+                'Content-Length': range.end - range.start + 1
+            });
+            if (req.method === 'HEAD') return res.end();
+            return pipeFile(fs.createReadStream(filePath, range), res);
+        }
+
+        const encoding = compressible ? negotiateEncoding(req.headers['accept-encoding']) : null;
+        if (encoding) {
+            let body;
+            try {
+                body = compressedBody(filePath, etag, encoding, await fs.promises.readFile(filePath));
+            } catch (error) {
+                return sendError(res, error);
+            }
+            res.writeHead(200, {
+                ...headers,
+                ETag: etag.replace(/"$/, `-${encoding}"`),
+                'Content-Encoding': encoding,
+                'Content-Length': body.length
+            });
+            return res.end(req.method === 'HEAD' ? undefined : body);
+        }
+
+        res.writeHead(200, { ...headers, ETag: etag, 'Content-Length': stats.size });
+        if (req.method === 'HEAD') return res.end();
+        return pipeFile(fs.createReadStream(filePath), res);
+    }
+
+    return { handle };
+}
+
+module.exports = {
+    CONTENT_SECURITY_POLICY,
+    SECURITY_HEADERS,
+    createStaticHandler,
+    negotiateEncoding,
+    parseRange
+};
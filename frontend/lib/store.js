@@ -0,0 +1,101 @@
+// Stores behind the indexer and the REST API.
+//
+// A store holds the latest snapshot of every campaign, order and vault the indexer has seen, the
+// decoded protocol events it applied, and the hashes of recently indexed blocks (to notice
+// reorganizations). Snapshots use the field names of the contracts' getters (getCampaign,
+// getOrder, getVault) with integers as decimal strings, the shape web3 returns in the pages, so
+// the same rendering code works for API and on-chain data.
+//
+// Writes go through apply() and rollback(), which the SQLite store (sqlite-store.js) runs as
+// single transactions; the in-memory store here is for tests and throwaway runs.
+
+/**
+ * @typedef {Object} Snapshots
+ * @property {Object[]} campaigns
+ * @property {Object[]} orders
+ * @property {Object[]} vaults
+ * @property {{ campaigns: number[], orders: number[], vaults: number[] }} deleted Entities that no longer exist
+ */
+
+function createMemoryStore() {
+    const meta = new Map();
+    const tables = { campaigns: new Map(), orders: new Map(), vaults: new Map() };
+    const blocks = new Map();
+    let events = [];
+
+    function putSnapshots({ campaigns = [], orders = [], vaults = [], deleted = {} }) {
+        campaigns.forEach(campaign => tables.campaigns.set(Number(campaign.campaignId), campaign));
+        orders.forEach(order => tables.orders.set(Number(order.orderId), order));
+        vaults.forEach(vault => tables.vaults.set(Number(vault.campaignId), vault));
+        Object.entries(deleted).forEach(([table, ids]) => ids.forEach(id => tables[table].delete(Number(id))));
+    }
+
+    function newestFirst(table, key) {
+        return [...tables[table].values()].sort((a, b) => Number(b[key]) - Number(a[key]));
+    }
+
+    return {
+        getMeta: (key) => (meta.has(key) ? meta.get(key) : null),
+        setMeta: (key, value) => {
+            meta.set(key, value);
+        },
+
+        /** Last block whose events have been applied, or null before the first sync */
+        getCursor: () => (meta.has('cursor') ? meta.get('cursor') : null),
+
+        /**
+         * Record one indexed range: its events, the snapshots they touched and the block hashes seen.
+         * Hashes of blocks below keepBlocksFrom are forgotten.
+         * @param {{ events: Object[], snapshots: Snapshots, blocks: Array<{ number: number, hash: string }>, cursor: number, keepBlocksFrom: number }} batch
+         */
+        apply: ({ events: batch, snapshots, blocks: seen, cursor, keepBlocksFrom }) => {
+            events.push(...batch);
+            putSnapshots(snapshots);
+            seen.forEach(({ number, hash }) => blocks.set(number, hash));
+            [...blocks.keys()].filter(number => number < keepBlocksFrom).forEach(number => blocks.delete(number));
+            meta.set('cursor', cursor);
+        },
+
+        /**
+         * Forget everything after `blockNumber` and store the snapshots re-read at that block
+         */
+        rollback: (blockNumber, snapshots) => {
+            events = events.filter(event => event.blockNumber <= blockNumber);
+            [...blocks.keys()].filter(number => number > blockNumber).forEach(number => blocks.delete(number));
+            putSnapshots(snapshots);
+            meta.set('cursor', blockNumber);
+        },
+
+        /** Drop all indexed data (the deployment changed) */
+        reset: () => {
+            Object.values(tables).forEach(table => table.clear());
+            blocks.clear();
+            events = [];
+            meta.delete('cursor');
+        },
+
+        /** Recorded block hashes, newest first */
+        listBlocks: () => [...blocks.entries()].map(([number, hash]) => ({ number, hash })).sort((a, b) => b.number - a.number),
+
+        listEvents: ({ contract, name, fromBlock = 0, toBlock = Infinity } = {}) => events.filter(event =>
+            (!contract || event.contract === contract) &&
+            (!name || event.name === name) &&
+            event.blockNumber >= fromBlock &&
+            event.blockNumber <= toBlock
+        ),
+
+        getCampaign: (campaignId) => tables.campaigns.get(Number(campaignId)) || null,
+        listCampaigns: () => newestFirst('campaigns', 'campaignId'),
+
+        getOrder: (orderId) => tables.orders.get(Number(orderId)) || null,
+        listOrders: () => newestFirst('orders', 'orderId'),
+
+        getVault: (campaignId) => tables.vaults.get(Number(campaignId)) || null,
+
+        close: () => {}
+    };
+}
+
+module.exports = {
+    createMemoryStore
+};
@@ -0,0 +1,240 @@
+// Server-Sent Events push channel, mounted by server.js at /api/stream.
+//
+//   GET /api/stream?topic=campaign:<id>&topic=pair:<base>/<quote>
+//
+// A client names up to MAX_TOPICS topics (one campaign, or one trading pair each). After every
+// indexed batch that touches a topic it gets an `update` message for it:
+//
+//   { topic, events, dropped, campaign, vault }           campaign topics
+//   { topic, events, dropped, orders, removedOrders }     pair topics
+//
+// `events` are the decoded protocol events of the batch, `dropped` those removed by a reorg, and
+// the snapshots are the store's current campaign / vault / orders, so clients can replace what
+// they show instead of re-reading the contracts. The message id is the last indexed block;
+// EventSource sends it back on reconnect and the events the client missed are replayed.
+// A `reset` message means the server cannot tell what changed (a reorg seen by an external
+// indexer) and the client should reload from the REST API.
+const { ApiError, parsePair, sendJson } = require('./api');
+
+const MAX_TOPICS = 20;
+// Comment line sent on idle connections so proxies do not close them
+const KEEPALIVE_INTERVAL = 25000;
+// Reconnect delay suggested to EventSource
+const RETRY_MS = 5000;
+// How often an external indexer's database is checked for new blocks
+const DEFAULT_WATCH_INTERVAL = 2000;
+
+const ID_PATTERN = /^\d+$/;
+
+function parseTopic(topic) {
+    const separator = topic.indexOf(':');
+    const kind = topic.slice(0, separator);
+    const value = topic.slice(separator + 1);
+
+    if (kind === 'campaign' && ID_PATTERN.test(value)) {
+        return { name: `campaign:${Number(value)}`, campaignId: Number(value) };
+    }
+    if (kind === 'pair') {
+        const [baseToken, quoteToken] = parsePair(value);
+        return { name: `pair:${baseToken}/${quoteToken}`, pair: `${baseToken}/${quoteToken}` };
+    }
+    throw new ApiError(400, 'topic must be campaign:<id> or pair:<baseToken>/<quoteToken>');
+}
+
+function orderPair(order) {
+    return `${order.baseToken.toLowerCase()}/${order.quoteToken.toLowerCase()}`;
+}
+
+/**
+ * Order ids an event refers to
+ */
+function eventOrderIds(event) {
+    if (event.contract !== 'ConfidentialTrading') return [];
+    if (event.name === 'OrderMatched') return [Number(event.args.buyOrderId), Number(event.args.sellOrderId)];
+    return event.args.orderId !== undefined ? [Number(event.args.orderId)] : [];
+}
+
+/**
+ * Follow a store another process writes (ZERODROP_INDEXER=external). Listeners get the same
+ * (applied, dropped) arguments as indexer.subscribe, except that dropped is null when a rollback
+ * happened: the dropped events are already gone from the database by then.
+ */
+function watchStore(store, interval = DEFAULT_WATCH_INTERVAL) {
+    const listeners = new Set();
+    let cursor = store.getCursor();
+    let reorgs = store.getMeta('reorgs') || 0;
+    let timer = null;
+
+    function check() {
+        const nextCursor = store.getCursor();
+        const nextReorgs = store.getMeta('reorgs') || 0;
+
+        if (nextReorgs !== reorgs || (nextCursor !== null && cursor !== null && nextCursor < cursor)) {
+            listeners.forEach(listener => listener([], null));
+        } else if (nextCursor !== null && nextCursor !== cursor) {
+            const applied = store.listEvents({ fromBlock: cursor === null ? 0 : cursor + 1, toBlock: nextCursor });
+            if (applied.length > 0) {
+                listeners.forEach(listener => listener(applied, []));
+            }
+        }
+        cursor = nextCursor;
+        reorgs = nextReorgs;
+    }
+
+    return {
+        subscribe: (listener) => {
+            listeners.add(listener);
+            if (timer === null) {
+                timer = setInterval(check, interval);
+                timer.unref();
+            }
+            return () => {
+                listeners.delete(listener);
+                if (listeners.size === 0) {
+                    clearInterval(timer);
+                    timer = null;
+                }
+            };
+        }
+    };
+}
+
+/**
+ * @param {{ store: Object, subscribe: Function, status: Function }} source An indexer, or a store
+ *   with watchStore(store).subscribe and a status function
+ */
+function createStream({ store, subscribe, status }) {
+    const clients = new Set();
+
+    function send(res, event, data, id) {
+        if (id !== undefined && id !== null) res.write(`id: ${id}\n`);
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * The update message for one topic, or null when the batch does not touch it
+     */
+    function topicUpdate(topic, applied, dropped) {
+        if (topic.campaignId !== undefined) {
+            const matches = event => (event.contract === 'SecretFundraiser' || event.contract === 'VaultManager') &&
+                event.args.campaignId !== undefined && Number(event.args.campaignId) === topic.campaignId;
+            const events = applied.filter(matches);
+            const droppedEvents = dropped.filter(matches);
+            if (events.length === 0 && droppedEvents.length === 0) return null;
+
+            return {
+                topic: topic.name,
+                events,
+                dropped: droppedEvents,
+                campaign: store.getCampaign(topic.campaignId),
+                vault: store.getVault(topic.campaignId)
+            };
+        }
+
+        // OrderPlaced names the pair; matches and cancellations are placed by the orders they touch
+        const inPair = (event) => {
+            if (event.name === 'OrderPlaced') {
+                return `${event.args.baseToken.toLowerCase()}/${event.args.quoteToken.toLowerCase()}` === topic.pair;
+            }
+            return eventOrderIds(event).some(orderId => {
+                const order = store.getOrder(orderId);
+                return order && orderPair(order) === topic.pair;
+            });
+        };
+        const events = applied.filter(inPair);
+        const droppedEvents = dropped.filter(inPair);
+        if (events.length === 0 && droppedEvents.length === 0) return null;
+
+        const orderIds = [...new Set([...events, ...droppedEvents].flatMap(eventOrderIds))];
+        const orders = orderIds.map(orderId => store.getOrder(orderId));
+        return {
+            topic: topic.name,
+            events,
+            dropped: droppedEvents,
+            orders: orders.filter(Boolean),
+            removedOrders: orderIds.filter((orderId, index) => !orders[index])
+        };
+    }
+
+    function publish(client, applied, dropped) {
+        const { indexedBlock } = status();
+        client.topics.forEach(topic => {
+            const update = topicUpdate(topic, applied, dropped);
+            if (update) send(client.res, 'update', update, indexedBlock);
+        });
+    }
+
+    subscribe((applied, dropped) => {
+        clients.forEach(client => {
+            if (dropped === null) {
+                send(client.res, 'reset', {}, status().indexedBlock);
+            } else {
+                publish(client, applied, dropped);
+            }
+        });
+    });
+
+    /**
+     * Handle GET /api/stream; resolves false for every other path
+     */
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== '/api/stream') return false;
+
+        if (req.method !== 'GET') {
+            res.setHeader('Allow', 'GET');
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return true;
+        }
+
+        let topics;
+        try {
+            const names = url.searchParams.getAll('topic');
+            if (names.length === 0 || names.length > MAX_TOPICS) {
+                throw new ApiError(400, `Subscribe to between 1 and ${MAX_TOPICS} topics`);
+            }
+            topics = names.map(parseTopic);
+        } catch (error) {
+            sendJson(res, error.status || 500, { error: error.message });
+            return true;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            // Keep reverse proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const client = { res, topics };
+        const { chainId, indexedBlock } = status();
+        send(res, 'ready', { chainId, indexedBlock, topics: topics.map(topic => topic.name) }, indexedBlock);
+
+        // Catch up a reconnecting client on what it missed
+        const lastEventId = req.headers['last-event-id'];
+        if (ID_PATTERN.test(lastEventId || '') && indexedBlock !== null && Number(lastEventId) < indexedBlock) {
+            publish(client, store.listEvents({ fromBlock: Number(lastEventId) + 1, toBlock: indexedBlock }), []);
+        }
+
+        clients.add(client);
+        const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+        req.on('close', () => {
+            clearInterval(keepalive);
+            clients.delete(client);
+        });
+        return true;
+    }
+
+    return {
+        handle,
+        /** Number of connected clients */
+        size: () => clients.size
+    };
+}
+
+module.exports = {
+    createStream,
+    watchStore
+};
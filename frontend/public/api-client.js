@@ -0,0 +1,107 @@
+// ZeroDrop API Client
+// Reads indexed protocol data from server.js's /api so pages can skip per-item eth_calls, and
+// picks the JSON-RPC endpoint for reads without a wallet (server.js's /rpc proxy when it serves
+// the selected chain, the network's public RPC otherwise).
+// Every helper resolves with null when the API cannot answer for the selected chain (served
+// by another server, indexer still starting, indexing a different chain); callers then fall
+// back to reading the contracts directly.
+const ZeroDropApi = (() => {
+    // After a failed request, go straight to the fallback for this long
+    const RETRY_AFTER = 30000;
+
+    // How long to wait for /rpc before settling for the public RPC
+    const RPC_PROBE_TIMEOUT = 3000;
+
+    let unavailableUntil = 0;
+    let rpcProbe = null;
+    let proxyRpcUrl = null;
+
+    function baseUrl() {
+        return (typeof CONTRACT_CONFIG !== 'undefined' && CONTRACT_CONFIG.API_CONFIG && CONTRACT_CONFIG.API_CONFIG.BASE_URL) || '';
+    }
+
+    async function get(path) {
+        if (Date.now() < unavailableUntil) return null;
+
+        try {
+            const response = await fetch(`${baseUrl()}/api${path}`, { headers: { Accept: 'application/json' } });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const body = await response.json();
+            if (body.chainId !== CONTRACT_CONFIG.CHAIN_ID || body.indexedBlock === null) {
+                throw new Error(`API is not serving chain ${CONTRACT_CONFIG.CHAIN_ID} yet`);
+            }
+            return body;
+        } catch (error) {
+            console.warn(`ZeroDrop API unavailable (${path}):`, error.message);
+            unavailableUntil = Date.now() + RETRY_AFTER;
+            return null;
+        }
+    }
+
+    /**
+     * A page of campaigns, newest first; state is a lower-case CampaignState name or null for all
+     * @returns {Promise<{ total: number, live: number, campaigns: Object[] } | null>}
+     */
+    function getCampaigns({ state = null, offset = 0, limit = 20 } = {}) {
+        const query = new URLSearchParams({ offset: String(offset), limit: String(limit) });
+        if (state) query.set('state', state);
+        return get(`/campaigns?${query}`);
+    }
+
+    async function getTraderOrders(trader) {
+        const body = await get(`/traders/${trader}/orders`);
+        return body ? body.orders : null;
+    }
+
+    function publicRpcUrl() {
+        const rpcUrls = CONTRACT_CONFIG.NETWORK_CONFIG.rpcUrls;
+        return rpcUrls ? rpcUrls[0] : null;
+    }
+
+    /**
+     * Check once whether server.js's /rpc proxy answers for the selected chain; resolves the URL
+     * rpcUrl() will return from then on. Never rejects.
+     */
+    function resolveRpcUrl() {
+        if (!rpcProbe) {
+            // Web3 only recognises absolute http(s) URLs as HTTP providers
+            const url = new URL(`${baseUrl()}/rpc`, window.location.href).href;
+            rpcProbe = fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+                signal: AbortSignal.timeout(RPC_PROBE_TIMEOUT)
+            })
+                .then(response => response.ok ? response.json() : null)
+                .then(body => {
+                    if (body && body.result && parseInt(body.result, 16) === CONTRACT_CONFIG.CHAIN_ID) {
+                        proxyRpcUrl = url;
+                    }
+                })
+                .catch(error => console.warn('ZeroDrop RPC proxy unavailable:', error.message))
+                .then(() => rpcUrl());
+        }
+        return rpcProbe;
+    }
+
+    /**
+     * JSON-RPC endpoint for read-only calls: /rpc once resolveRpcUrl() confirmed it, else the public RPC
+     */
+    function rpcUrl() {
+        return proxyRpcUrl || publicRpcUrl();
+    }
+
+    return {
+        get,
+        getCampaigns,
+        getTraderOrders,
+        resolveRpcUrl,
+        rpcUrl
+    };
+})();
+
+// Export for use in HTML pages
+if (typeof window !== 'undefined') {
+    window.ZeroDropApi = ZeroDropApi;
+}
@@ -0,0 +1,251 @@
+// ZeroDrop Campaign Metadata
+// Defines the JSON document referenced by SecretFundraiser's `infoHash`, addresses it by
+// content (CIDv1, raw codec, sha2-256 — the same identifier IPFS gives the bytes) and
+// reads/writes it through a pluggable content store. Loads in the browser and in Node.
+const ZeroDropMetadata = (() => {
+    const SCHEMA = 'zerodrop-campaign/1';
+    const MAX_DOCUMENT_BYTES = 64 * 1024;
+    const LIMITS = {
+        title: 120,
+        description: 5000,
+        terms: 10000,
+        team: 20,
+        links: 20,
+        images: 10
+    };
+
+    // CIDv1 prefix: version 1, raw codec (0x55), sha2-256 multihash (0x12) of 32 bytes
+    const CID_PREFIX = [0x01, 0x55, 0x12, 0x20];
+    const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+    const CID_PATTERN = /^bafkrei[a-z2-7]{52}$/;
+    const URL_PATTERN = /^https?:\/\/[^\s]+$/i;
+
+    function isCid(value) {
+        return typeof value === 'string' && CID_PATTERN.test(value);
+    }
+
+    function isText(value, max, required) {
+        if (value === undefined) return !required;
+        return typeof value === 'string' && value.length <= max && (!required || value.trim().length > 0);
+    }
+
+    /**
+     * Check a document against the campaign schema. Returns a list of problems (empty when valid).
+     */
+    function validate(doc) {
+        const errors = [];
+
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            return ['Metadata must be a JSON object'];
+        }
+        if (doc.schema !== SCHEMA) {
+            errors.push(`schema must be "${SCHEMA}"`);
+        }
+        if (!isText(doc.title, LIMITS.title, true)) {
+            errors.push(`title is required (max ${LIMITS.title} characters)`);
+        }
+        if (!isText(doc.description, LIMITS.description, true)) {
+            errors.push(`description is required (max ${LIMITS.description} characters)`);
+        }
+        if (!isText(doc.terms, LIMITS.terms, false)) {
+            errors.push(`terms must be text (max ${LIMITS.terms} characters)`);
+        }
+
+        const team = doc.team === undefined ? [] : doc.team;
+        if (!Array.isArray(team) || team.length > LIMITS.team) {
+            errors.push(`team must be a list of at most ${LIMITS.team} members`);
+        } else {
+            team.forEach((member, index) => {
+                if (!member || !isText(member.name, 100, true) || !isText(member.role, 100, false) ||
+                    (member.url !== undefined && !URL_PATTERN.test(member.url))) {
+                    errors.push(`team[${index}] needs a name and optional role / http(s) url`);
+                }
+            });
+        }
+
+        const links = doc.links === undefined ? [] : doc.links;
+        if (!Array.isArray(links) || links.length > LIMITS.links) {
+            errors.push(`links must be a list of at most ${LIMITS.links} entries`);
+        } else {
+            links.forEach((link, index) => {
+                if (!link || !isText(link.label, 100, true) || !URL_PATTERN.test(link.url || '')) {
+                    errors.push(`links[${index}] needs a label and an http(s) url`);
+                }
+            });
+        }
+
+        const images = doc.images === undefined ? [] : doc.images;
+        if (!Array.isArray(images) || images.length > LIMITS.images) {
+            errors.push(`images must be a list of at most ${LIMITS.images} urls`);
+        } else {
+            images.forEach((image, index) => {
+                if (typeof image !== 'string' || !URL_PATTERN.test(image)) {
+                    errors.push(`images[${index}] must be an http(s) url`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Deterministic JSON: object keys sorted, no whitespace. The same document always hashes the same.
+     */
+    function canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(canonicalize).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    function encode(doc) {
+        return new TextEncoder().encode(canonicalize(doc));
+    }
+
+    function getSubtle() {
+        if (globalThis.crypto && globalThis.crypto.subtle) return globalThis.crypto.subtle;
+        return require('crypto').webcrypto.subtle;
+    }
+
+    function base32(bytes) {
+        let output = '';
+        let buffer = 0;
+        let bits = 0;
+        for (const byte of bytes) {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+        }
+        return output;
+    }
+
+    /**
+     * CIDv1 (base32, "bafkrei...") of raw bytes
+     */
+    async function computeCid(bytes) {
+        const digest = new Uint8Array(await getSubtle().digest('SHA-256', bytes));
+        return 'b' + base32(Uint8Array.from([...CID_PREFIX, ...digest]));
+    }
+
+    /**
+     * Content store backed by the ZeroDrop server's PUT/GET /metadata/:cid routes
+     */
+    function createHttpStore(baseUrl = '') {
+        const root = baseUrl.replace(/\/$/, '');
+        return {
+            name: 'http',
+            async put(cid, bytes) {
+                const response = await fetch(`${root}/metadata/${cid}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: bytes
+                });
+                if (!response.ok) {
+                    const body = await response.json().catch(() => ({}));
+                    throw new Error(body.error || `Metadata store rejected the document (${response.status})`);
+                }
+            },
+            async get(cid) {
+                const response = await fetch(`${root}/metadata/${cid}`);
+                if (!response.ok) {
+                    throw new Error(`Metadata ${cid} not found (${response.status})`);
+                }
+                return new Uint8Array(await response.arrayBuffer());
+            }
+        };
+    }
+
+    /**
+     * Read-only store for documents pinned to IPFS, fetched through a public gateway
+     */
+    function createGatewayStore(gatewayUrl) {
+        const root = gatewayUrl.replace(/\/$/, '');
+        return {
+            name: 'ipfs',
+            async put() {
+                throw new Error('The IPFS gateway store is read-only; pin the document with your IPFS node');
+            },
+            async get(cid) {
+                const response = await fetch(`${root}/ipfs/${cid}`);
+                if (!response.ok) {
+                    throw new Error(`Gateway could not serve ${cid} (${response.status})`);
+                }
+                return new Uint8Array(await response.arrayBuffer());
+            }
+        };
+    }
+
+    /**
+     * Pick the store configured in CONTRACT_CONFIG.METADATA_CONFIG
+     */
+    function createConfiguredStore(config) {
+        const settings = config || (typeof CONTRACT_CONFIG !== 'undefined' ? CONTRACT_CONFIG.METADATA_CONFIG : null) || {};
+        if (settings.STORE === 'ipfs') {
+            return createGatewayStore(settings.IPFS_GATEWAY);
+        }
+        return createHttpStore(settings.HTTP_STORE_URL || '');
+    }
+
+    /**
+     * Validate, hash and store a document. Resolves with the CID to pass as `_infoHash`.
+     */
+    async function publish(doc, store) {
+        const errors = validate(doc);
+        if (errors.length > 0) {
+            throw new Error(`Invalid campaign metadata: ${errors.join('; ')}`);
+        }
+
+        const bytes = encode(doc);
+        if (bytes.length > MAX_DOCUMENT_BYTES) {
+            throw new Error(`Campaign metadata is too large (${bytes.length} bytes, max ${MAX_DOCUMENT_BYTES})`);
+        }
+
+        const cid = await computeCid(bytes);
+        await store.put(cid, bytes);
+        return cid;
+    }
+
+    /**
+     * Fetch a document and check it against the on-chain CID.
+     * Resolves with { metadata, verified, errors }; `verified` is false when the bytes do not hash to `cid`.
+     */
+    async function resolve(cid, store) {
+        const bytes = await store.get(cid);
+        const verified = (await computeCid(bytes)) === cid;
+        const metadata = JSON.parse(new TextDecoder().decode(bytes));
+        return { metadata, verified, errors: validate(metadata) };
+    }
+
+    return {
+        SCHEMA,
+        MAX_DOCUMENT_BYTES,
+        isCid,
+        validate,
+        canonicalize,
+        encode,
+        computeCid,
+        createHttpStore,
+        createGatewayStore,
+        createConfiguredStore,
+        publish,
+        resolve
+    };
+})();
+
+// Export for use in HTML pages and Node (server.js)
+if (typeof window !== 'undefined') {
+    window.ZeroDropMetadata = ZeroDropMetadata;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZeroDropMetadata;
+}
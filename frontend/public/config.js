@@ -1,7 +1,120 @@
 // ZeroDrop Protocol Configuration
+//
+// Contract addresses come from the deployment bundles the deploy scripts write to
+// deployments/<chainId>.json (registered by deployments/index.js, which pages load first).
+// The bundle is picked by the wallet's current chain id, falling back to Sepolia.
+//
+// Each network also names a profile: "sepolia" talks to Zama's relayer and Etherscan, "local"
+// targets a Hardhat node on 127.0.0.1:8545 with the mock FHE contracts and the transaction
+// viewer server.js serves under /explorer. Open any page with ?profile=local (or
+// ?profile=sepolia) to pin a profile regardless of the wallet's chain; the choice is kept in
+// localStorage until another ?profile= replaces it.
+
+// Networks the frontend knows how to add to a wallet, keyed by chain id
+const ZERODROP_NETWORKS = {
+    11155111: {
+        NETWORK: "sepolia",
+        PROFILE: "sepolia",
+        // "relayer" encrypts and decrypts through Zama's relayer SDK
+        FHE_MODE: "relayer",
+        EXPLORER_BASE: "https://sepolia.etherscan.io",
+        FAUCET_URL: "https://sepoliafaucet.com/",
+        CHAIN: {
+            chainId: "0x" + (11155111).toString(16), // 0xaa36a7
+            chainName: "Sepolia Test Network",
+            nativeCurrency: {
+                name: "Sepolia ETH",
+                symbol: "SEP",
+                decimals: 18
+            },
+            rpcUrls: ["https://ethereum-sepolia-rpc.publicnode.com"],
+            blockExplorerUrls: ["https://sepolia.etherscan.io"]
+        }
+    },
+    31337: {
+        NETWORK: "localhost",
+        PROFILE: "local",
+        // "mock" works against the mock coprocessor the fhevm Hardhat plugin deploys (see fhe-client.js)
+        FHE_MODE: "mock",
+        // Local transaction viewer served by server.js
+        EXPLORER_BASE: "/explorer",
+        FAUCET_URL: "",
+        CHAIN: {
+            chainId: "0x" + (31337).toString(16), // 0x7a69
+            chainName: "Hardhat Local",
+            nativeCurrency: {
+                name: "Ether",
+                symbol: "ETH",
+                decimals: 18
+            },
+            rpcUrls: ["http://127.0.0.1:8545"]
+        }
+    }
+};
+
+const DEFAULT_CHAIN_ID = 11155111;
+const PROFILE_STORAGE_KEY = 'zerodrop.profile';
+
+// ?profile=<name> pins a profile (and remembers it); without one, the remembered profile applies
+function pinnedProfileChainId() {
+    if (typeof window === 'undefined' || !window.location) return null;
+
+    let profile = new URLSearchParams(window.location.search).get('profile');
+    try {
+        if (profile) {
+            localStorage.setItem(PROFILE_STORAGE_KEY, profile);
+        } else {
+            profile = localStorage.getItem(PROFILE_STORAGE_KEY);
+        }
+    } catch (error) {
+        // Storage can be unavailable (private mode, file://); the query parameter still applies
+    }
+    if (!profile) return null;
+
+    const match = Object.keys(ZERODROP_NETWORKS).find(chainId => ZERODROP_NETWORKS[chainId].PROFILE === profile);
+    if (!match) {
+        console.warn(`Unknown ZeroDrop profile "${profile}", using the wallet's chain`);
+        return null;
+    }
+    return Number(match);
+}
+
+// MetaMask exposes the current chain synchronously; use it when we have a bundle or network for it
+function selectChainId() {
+    const pinned = pinnedProfileChainId();
+    if (pinned) return pinned;
+
+    const deployments = typeof ZERODROP_DEPLOYMENTS !== 'undefined' ? ZERODROP_DEPLOYMENTS : {};
+    const walletChainId = typeof window !== 'undefined' && window.ethereum && window.ethereum.chainId
+        ? parseInt(window.ethereum.chainId, 16)
+        : null;
+
+    if (walletChainId && (deployments[walletChainId] || ZERODROP_NETWORKS[walletChainId])) {
+        return walletChainId;
+    }
+    return DEFAULT_CHAIN_ID;
+}
+
+const SELECTED_CHAIN_ID = selectChainId();
+const SELECTED_DEPLOYMENT = (typeof ZERODROP_DEPLOYMENTS !== 'undefined' && ZERODROP_DEPLOYMENTS[SELECTED_CHAIN_ID]) || null;
+const SELECTED_NETWORK = ZERODROP_NETWORKS[SELECTED_CHAIN_ID] || {
+    NETWORK: SELECTED_DEPLOYMENT ? SELECTED_DEPLOYMENT.network : "unknown",
+    PROFILE: "custom",
+    FHE_MODE: "relayer",
+    EXPLORER_BASE: "",
+    FAUCET_URL: "",
+    CHAIN: { chainId: "0x" + SELECTED_CHAIN_ID.toString(16), chainName: `Chain ${SELECTED_CHAIN_ID}` }
+};
+
+function deployedAddress(key) {
+    return SELECTED_DEPLOYMENT && SELECTED_DEPLOYMENT.contracts[key] ? SELECTED_DEPLOYMENT.contracts[key].address : null;
+}
+
 const CONTRACT_CONFIG = {
-    NETWORK: "sepolia",
-    CHAIN_ID: 11155111,
+    NETWORK: SELECTED_NETWORK.NETWORK,
+    CHAIN_ID: SELECTED_CHAIN_ID,
+    PROFILE: SELECTED_NETWORK.PROFILE,
+    FHE_MODE: SELECTED_NETWORK.FHE_MODE,
     
     // Zama FHE Contract Addresses (Sepolia)
     ZAMA_CONTRACTS: {
@@ -15,39 +128,57 @@ const CONTRACT_CONFIG = {
         INPUT_VERIFICATION_ADDRESS: "0x7048C39f048125eDa9d678AEbaDfB22F7900a29F"
     },
     
-    // ZeroDrop Contract Addresses (gas-optimized deployed contracts on Sepolia)
+    // ZeroDrop Contract Addresses from the selected deployment bundle (null when nothing is deployed there)
     CONTRACTS: {
-        FHE_CRYPTO: "0xA7d8C8c5E4d8B2f7e5C4A8e5B2D7C4A8D5E8B7C4", // Gas-optimized FHE crypto contract
-        VAULT_MANAGER: "0xB8E9D9f6F5E9C3e8f6C5B9f6C3F8C5B9F6E9C8f7", // Gas-optimized vault manager  
-        TEST_TOKEN: "0xC9FaEa07E6FaD4f9e7D6CaE7D4E9D6CaE7FaD9E8", // Gas-optimized test token
-        SECRET_FUNDRAISER: "0xDaBbFb18F7FbE5eae8E7DbF8E5FaE7DbF8FbEaF9", // Gas-optimized secret fundraiser
-        CONFIDENTIAL_TRADING: "0xEbCcFc29e8ecF6fbe9F8EcF9F6ebF8EcF9ecFbea" // Gas-optimized confidential trading
+        FHE_CRYPTO: deployedAddress("FHE_CRYPTO"),
+        VAULT_MANAGER: deployedAddress("VAULT_MANAGER"),
+        TEST_TOKEN: deployedAddress("TEST_TOKEN"),
+        SECRET_FUNDRAISER: deployedAddress("SECRET_FUNDRAISER"),
+        CONFIDENTIAL_TRADING: deployedAddress("CONFIDENTIAL_TRADING")
     },
+
+    // First block of the deployment; event scans never need to look further back
+    DEPLOY_BLOCK: SELECTED_DEPLOYMENT ? SELECTED_DEPLOYMENT.deployBlock : 0,
+    // The full bundle (addresses, ABIs, deployer), or null
+    DEPLOYMENT: SELECTED_DEPLOYMENT,
     
-    // Network Configuration
-    SEPOLIA_CONFIG: {
-        chainId: "0x" + (11155111).toString(16), // 0xaa36a7
-        chainName: "Sepolia Test Network",
-        nativeCurrency: {
-            name: "Sepolia ETH",
-            symbol: "SEP",
-            decimals: 18
-        },
-        rpcUrls: ["https://ethereum-sepolia-rpc.publicnode.com"],
-        blockExplorerUrls: ["https://sepolia.etherscan.io"]
-    },
+    // Extra ERC20s to offer on the trading page besides TEST_TOKEN (checked against supportedTokens)
+    TRADING_TOKENS: [],
+    
+    // Network Configuration: NETWORK_CONFIG is the selected chain, SEPOLIA_CONFIG stays for the setup guide
+    NETWORK_CONFIG: SELECTED_NETWORK.CHAIN,
+    SEPOLIA_CONFIG: ZERODROP_NETWORKS[11155111].CHAIN,
     
     // Zama Configuration
     ZAMA_CONFIG: {
         RELAYER_URL: "https://relayer.testnet.zama.cloud",
-        NETWORK_URL: "https://devnet.zama.ai"
+        NETWORK_URL: "https://devnet.zama.ai",
+        GATEWAY_CHAIN_ID: 55815
     },
     
-    EXPLORER_BASE: "https://sepolia.etherscan.io",
-    UPDATED_AT: new Date().toISOString()
+    // Campaign metadata store: "http" uses server.js (/metadata/:cid), "ipfs" reads through the gateway
+    METADATA_CONFIG: {
+        STORE: "http",
+        HTTP_STORE_URL: "",
+        IPFS_GATEWAY: "https://ipfs.io"
+    },
+
+    // Indexed data from server.js (/api); "" means the server that served the page
+    API_CONFIG: {
+        BASE_URL: ""
+    },
+
+    EXPLORER_BASE: SELECTED_NETWORK.EXPLORER_BASE,
+    FAUCET_URL: SELECTED_NETWORK.FAUCET_URL,
+    UPDATED_AT: SELECTED_DEPLOYMENT ? SELECTED_DEPLOYMENT.deployedAt : null
 };
 
 // Export for use in HTML pages
 if (typeof window !== 'undefined') {
     window.CONTRACT_CONFIG = CONTRACT_CONFIG;
+
+    // Addresses were chosen for the chain the page loaded on, so start over when the wallet moves
+    if (window.ethereum && typeof window.ethereum.on === 'function') {
+        window.ethereum.on('chainChanged', () => window.location.reload());
+    }
 }
\ No newline at end of file
@@ -0,0 +1,9 @@
+// Deployment bundles by chain id
+// GENERATED FILE - do not edit by hand. Rewritten by scripts/deploy-all.js and scripts/deploy-sepolia.js
+// from the <chainId>.json bundles next to it; config.js selects one by the wallet's chain id.
+const ZERODROP_DEPLOYMENTS = {};
+
+// Export for use in HTML pages
+if (typeof window !== 'undefined') {
+    window.ZERODROP_DEPLOYMENTS = ZERODROP_DEPLOYMENTS;
+}
@@ -0,0 +1,192 @@
+// ZeroDrop FHE Client
+// Wraps the Zama relayer SDK so pages can produce encrypted inputs (handle + proof)
+// for the inEuint64 parameters of SecretFundraiser and ConfidentialTrading, and can
+// decrypt handles the contracts have shared with the connected wallet.
+//
+// When config.js selects a profile with FHE_MODE "mock" (the local Hardhat profile) nothing
+// goes through the relayer: an input handle is the clear value left-padded to 32 bytes and the
+// input proof is empty. Handles the contracts compute (balances, sums) carry no clear value and
+// there is no KMS to decrypt them, so user decryption is unavailable in that mode: canDecrypt()
+// is false and userDecryptUint64 throws.
+const ZeroDropFHE = (() => {
+    const MAX_UINT64 = (1n << 64n) - 1n;
+    // How long a user-decryption signature stays valid
+    const DECRYPT_DURATION_DAYS = '1';
+
+    let instancePromise = null;
+    // One keypair + EIP-712 signature per wallet and contract, reused for the rest of the session
+    const decryptSessions = new Map();
+
+    function isMock() {
+        return typeof CONTRACT_CONFIG !== 'undefined' && CONTRACT_CONFIG.FHE_MODE === 'mock';
+    }
+
+    /**
+     * Whether userDecryptUint64 can reveal values (false for the mock profile)
+     */
+    function canDecrypt() {
+        return !isMock();
+    }
+
+    function buildInstanceConfig() {
+        const { ZAMA_CONTRACTS, ZAMA_CONFIG, CHAIN_ID } = CONTRACT_CONFIG;
+        return {
+            aclContractAddress: ZAMA_CONTRACTS.ACL_CONTRACT,
+            kmsContractAddress: ZAMA_CONTRACTS.KMS_VERIFIER,
+            inputVerifierContractAddress: ZAMA_CONTRACTS.INPUT_VERIFIER,
+            verifyingContractAddressDecryption: ZAMA_CONTRACTS.DECRYPTION_ADDRESS,
+            verifyingContractAddressInputVerification: ZAMA_CONTRACTS.INPUT_VERIFICATION_ADDRESS,
+            chainId: CHAIN_ID,
+            gatewayChainId: ZAMA_CONFIG.GATEWAY_CHAIN_ID,
+            network: window.ethereum,
+            relayerUrl: ZAMA_CONFIG.RELAYER_URL
+        };
+    }
+
+    /**
+     * Lazily initialise the relayer SDK (loads the TFHE WASM once per page)
+     */
+    async function getInstance() {
+        if (!instancePromise) {
+            instancePromise = (async () => {
+                if (typeof window.relayerSDK === 'undefined') {
+                    throw new Error('Zama relayer SDK not loaded');
+                }
+                if (typeof CONTRACT_CONFIG === 'undefined' || !CONTRACT_CONFIG.ZAMA_CONTRACTS) {
+                    throw new Error('Zama configuration missing from config.js');
+                }
+
+                await window.relayerSDK.initSDK();
+                return window.relayerSDK.createInstance(buildInstanceConfig());
+            })().catch((error) => {
+                // Allow a retry after a failed initialisation (e.g. relayer unreachable)
+                instancePromise = null;
+                throw error;
+            });
+        }
+        return instancePromise;
+    }
+
+    function toHex(bytes) {
+        if (typeof bytes === 'string') {
+            return bytes.startsWith('0x') ? bytes : '0x' + bytes;
+        }
+        return '0x' + Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    function toUint64(value) {
+        const clear = BigInt(value);
+        if (clear < 0n || clear > MAX_UINT64) {
+            throw new Error(`Value ${clear} does not fit in euint64`);
+        }
+        return clear;
+    }
+
+    /**
+     * Encrypt a single uint64 for `contractAddress`, bound to `userAddress`.
+     * Returns the bytes32 handle to pass as inEuint64 and the matching input proof.
+     */
+    async function encryptUint64(contractAddress, userAddress, value) {
+        const clear = toUint64(value);
+        if (isMock()) {
+            return {
+                handle: '0x' + clear.toString(16).padStart(64, '0'),
+                inputProof: '0x'
+            };
+        }
+
+        const instance = await getInstance();
+
+        const input = instance.createEncryptedInput(contractAddress, userAddress);
+        input.add64(clear);
+        const { handles, inputProof } = await input.encrypt();
+
+        return {
+            handle: toHex(handles[0]),
+            inputProof: toHex(inputProof)
+        };
+    }
+
+    /**
+     * Ask the wallet to sign the user-decryption request for `contractAddress` (once per session)
+     */
+    async function getDecryptSession(instance, contractAddress, userAddress) {
+        const key = `${userAddress.toLowerCase()}:${contractAddress.toLowerCase()}`;
+        if (!decryptSessions.has(key)) {
+            const keypair = instance.generateKeypair();
+            const startTimestamp = Math.floor(Date.now() / 1000).toString();
+            const eip712 = instance.createEIP712(keypair.publicKey, [contractAddress], startTimestamp, DECRYPT_DURATION_DAYS);
+
+            const types = { ...eip712.types };
+            if (!types.EIP712Domain) {
+                types.EIP712Domain = [
+                    { name: 'name', type: 'string' },
+                    { name: 'version', type: 'string' },
+                    { name: 'chainId', type: 'uint256' },
+                    { name: 'verifyingContract', type: 'address' }
+                ];
+            }
+
+            const signature = await window.ethereum.request({
+                method: 'eth_signTypedData_v4',
+                params: [userAddress, JSON.stringify({
+                    domain: eip712.domain,
+                    types,
+                    primaryType: eip712.primaryType || 'UserDecryptRequestVerification',
+                    message: eip712.message
+                }, (_, value) => (typeof value === 'bigint' ? value.toString() : value))]
+            });
+
+            decryptSessions.set(key, { keypair, signature, startTimestamp });
+        }
+        return decryptSessions.get(key);
+    }
+
+    /**
+     * Decrypt a euint64 handle the contract has allowed `userAddress` to read.
+     * Uninitialised handles (bytes32(0)) are reported as 0 without a relayer round trip.
+     */
+    async function userDecryptUint64(handle, contractAddress, userAddress) {
+        const hexHandle = toHex(handle);
+        if (/^0x0*$/.test(hexHandle)) {
+            return 0n;
+        }
+        if (isMock()) {
+            throw new Error('Decryption is unavailable in mock mode (local Hardhat profile)');
+        }
+
+        const instance = await getInstance();
+        const session = await getDecryptSession(instance, contractAddress, userAddress);
+
+        try {
+            const results = await instance.userDecrypt(
+                [{ handle: hexHandle, contractAddress }],
+                session.keypair.privateKey,
+                session.keypair.publicKey,
+                session.signature.replace('0x', ''),
+                [contractAddress],
+                userAddress,
+                session.startTimestamp,
+                DECRYPT_DURATION_DAYS
+            );
+            return BigInt(results[hexHandle]);
+        } catch (error) {
+            // An expired or rejected signature should not stick for the rest of the session
+            decryptSessions.delete(`${userAddress.toLowerCase()}:${contractAddress.toLowerCase()}`);
+            throw error;
+        }
+    }
+
+    return {
+        MAX_UINT64,
+        canDecrypt,
+        getInstance,
+        encryptUint64,
+        userDecryptUint64
+    };
+})();
+
+// Export for use in HTML pages
+if (typeof window !== 'undefined') {
+    window.ZeroDropFHE = ZeroDropFHE;
+}
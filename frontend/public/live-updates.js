@@ -0,0 +1,80 @@
+// ZeroDrop Live Updates
+// Subscribes to server.js's /api/stream (Server-Sent Events) for one or more topics: a campaign
+// (`campaign:<id>`) or a trading pair (`pair:<base>/<quote>`). Handlers get the indexer's decoded
+// events together with fresh campaign / order snapshots, so pages update in place. When the
+// stream is unavailable (static server, indexer on another chain) nothing is delivered and the
+// pages' own polling keeps them current.
+const ZeroDropLive = (() => {
+    // After the stream was refused, wait this long before opening it again
+    const RETRY_AFTER = 30000;
+
+    function baseUrl() {
+        return (typeof CONTRACT_CONFIG !== 'undefined' && CONTRACT_CONFIG.API_CONFIG && CONTRACT_CONFIG.API_CONFIG.BASE_URL) || '';
+    }
+
+    function campaignTopic(campaignId) {
+        return `campaign:${Number(campaignId)}`;
+    }
+
+    function pairTopic(baseToken, quoteToken) {
+        return `pair:${baseToken.toLowerCase()}/${quoteToken.toLowerCase()}`;
+    }
+
+    /**
+     * Open one stream for `topics`.
+     * onUpdate(message) gets { topic, events, dropped, campaign, vault } for campaign topics and
+     * { topic, events, dropped, orders, removedOrders } for pair topics; onReset() asks the page to
+     * reload everything (the server could not tell what a reorg changed).
+     * @returns {() => void} closes the stream
+     */
+    function subscribe(topics, { onUpdate, onReset = () => {} }) {
+        if (typeof EventSource === 'undefined' || topics.length === 0) {
+            return () => {};
+        }
+
+        const query = topics.map(topic => `topic=${encodeURIComponent(topic)}`).join('&');
+        let source = null;
+        let retryTimer = null;
+        let closed = false;
+
+        function open() {
+            source = new EventSource(`${baseUrl()}/api/stream?${query}`);
+
+            source.addEventListener('ready', (event) => {
+                const { chainId } = JSON.parse(event.data);
+                if (chainId !== CONTRACT_CONFIG.CHAIN_ID) {
+                    console.warn(`Live updates are for chain ${chainId}, not ${CONTRACT_CONFIG.CHAIN_ID}`);
+                    close();
+                }
+            });
+            source.addEventListener('update', event => onUpdate(JSON.parse(event.data)));
+            source.addEventListener('reset', () => onReset());
+            source.onerror = () => {
+                // EventSource reconnects by itself unless the server refused the stream (e.g. 503)
+                if (source.readyState === EventSource.CLOSED && !closed) {
+                    retryTimer = setTimeout(open, RETRY_AFTER);
+                }
+            };
+        }
+
+        function close() {
+            closed = true;
+            clearTimeout(retryTimer);
+            if (source) source.close();
+        }
+
+        open();
+        return close;
+    }
+
+    return {
+        campaignTopic,
+        pairTopic,
+        subscribe
+    };
+})();
+
+// Export for use in HTML pages
+if (typeof window !== 'undefined') {
+    window.ZeroDropLive = ZeroDropLive;
+}
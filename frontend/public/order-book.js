@@ -0,0 +1,295 @@
+// ZeroDrop Order Book
+// Client-side view of the ConfidentialTrading market: active orders from getActiveOrders()/getOrder(),
+// kept current by polling OrderPlaced / OrderMatched / OrderCancelled, plus the match history used
+// for price charts. Amounts and prices are the contract's public `actual*` values as BigInt.
+const ZeroDropOrderBook = (() => {
+    // Mirror ConfidentialTrading.OrderType / OrderStatus
+    const ORDER_TYPES = ['BUY', 'SELL'];
+    const ORDER_STATUSES = ['ACTIVE', 'PARTIALLY_FILLED', 'FILLED', 'CANCELLED'];
+    const ORDER_EVENTS = ['OrderPlaced', 'OrderMatched', 'OrderCancelled'];
+
+    const DEFAULT_LOOKBACK_BLOCKS = 50000;
+    const DEFAULT_POLL_INTERVAL = 15000;
+    const MAX_TRADES = 1000;
+    const DAY = 24 * 60 * 60;
+
+    function pairKey(baseToken, quoteToken) {
+        return `${baseToken.toLowerCase()}/${quoteToken.toLowerCase()}`;
+    }
+
+    function samePair(order, baseToken, quoteToken) {
+        return pairKey(order.baseToken, order.quoteToken) === pairKey(baseToken, quoteToken);
+    }
+
+    function normalizeOrder(orderId, raw) {
+        return {
+            orderId: Number(orderId),
+            trader: raw.trader,
+            baseToken: raw.baseToken,
+            quoteToken: raw.quoteToken,
+            type: ORDER_TYPES[Number(raw.orderType)],
+            status: ORDER_STATUSES[Number(raw.status)],
+            createdAt: Number(raw.createdAt),
+            expiresAt: Number(raw.expiresAt),
+            amount: BigInt(raw.actualAmount),
+            price: BigInt(raw.actualPrice),
+            filled: BigInt(raw.filledAmount),
+            isActive: raw.isActive
+        };
+    }
+
+    /**
+     * An order still rests on the book when it is active and not past expiresAt
+     * (expired orders stay isActive on-chain but _canMatch skips them)
+     */
+    function isResting(order, now) {
+        return order.isActive && order.expiresAt > now && order.amount > order.filled;
+    }
+
+    /**
+     * Sum remaining amounts per price level. Bids are sorted best (highest) first, asks best (lowest) first.
+     */
+    function aggregateDepth(orders, baseToken, quoteToken, now = Math.floor(Date.now() / 1000)) {
+        const levels = { BUY: new Map(), SELL: new Map() };
+
+        orders.forEach(order => {
+            if (!samePair(order, baseToken, quoteToken) || !isResting(order, now)) return;
+
+            const side = levels[order.type];
+            const key = order.price.toString();
+            const level = side.get(key) || { price: order.price, amount: 0n, orders: 0 };
+            level.amount += order.amount - order.filled;
+            level.orders += 1;
+            side.set(key, level);
+        });
+
+        const bids = [...levels.BUY.values()].sort((a, b) => (b.price > a.price ? 1 : b.price < a.price ? -1 : 0));
+        const asks = [...levels.SELL.values()].sort((a, b) => (a.price > b.price ? 1 : a.price < b.price ? -1 : 0));
+        const bestBid = bids.length > 0 ? bids[0].price : null;
+        const bestAsk = asks.length > 0 ? asks[0].price : null;
+
+        return {
+            bids,
+            asks,
+            bestBid,
+            bestAsk,
+            spread: bestBid !== null && bestAsk !== null ? bestAsk - bestBid : null
+        };
+    }
+
+    /**
+     * Create an order book bound to a web3 ConfidentialTrading contract instance.
+     * deployBlock (from the deployment bundle) keeps the initial event scan from reaching before the contract existed.
+     */
+    function create(contract, { web3, lookbackBlocks = DEFAULT_LOOKBACK_BLOCKS, deployBlock = 0, pollInterval = DEFAULT_POLL_INTERVAL } = {}) {
+        const orders = new Map();
+        const trades = [];
+        const listeners = new Set();
+        // Filled amount as reconstructed from the events we have replayed so far
+        const replayedFilled = new Map();
+        let lastBlock = null;
+        let timer = null;
+
+        async function fetchOrder(orderId) {
+            const order = normalizeOrder(orderId, await contract.methods.getOrder(orderId).call());
+            orders.set(order.orderId, order);
+            return order;
+        }
+
+        function referencedOrderIds(events) {
+            const ids = new Set();
+            events.forEach(event => {
+                if (event.event === 'OrderMatched') {
+                    ids.add(Number(event.returnValues.buyOrderId));
+                    ids.add(Number(event.returnValues.sellOrderId));
+                } else if (ORDER_EVENTS.includes(event.event)) {
+                    ids.add(Number(event.returnValues.orderId));
+                }
+            });
+            return [...ids];
+        }
+
+        /**
+         * Apply events in chain order. OrderMatched carries no amount, so each fill is recomputed the way
+         * _executeMatch does it: min(unfilled buy, unfilled sell) at the sell order's price. Orders placed
+         * before the lookback window are assumed unfilled when first seen.
+         */
+        async function replay(events) {
+            const ids = referencedOrderIds(events);
+            await Promise.all(ids.filter(id => !orders.has(id)).map(fetchOrder));
+
+            events.forEach(event => {
+                if (event.event === 'OrderPlaced') {
+                    replayedFilled.set(Number(event.returnValues.orderId), 0n);
+                } else if (event.event === 'OrderMatched') {
+                    const buy = orders.get(Number(event.returnValues.buyOrderId));
+                    const sell = orders.get(Number(event.returnValues.sellOrderId));
+                    if (!buy || !sell) return;
+
+                    const buyFilled = replayedFilled.get(buy.orderId) || 0n;
+                    const sellFilled = replayedFilled.get(sell.orderId) || 0n;
+                    const buyUnfilled = buy.amount - buyFilled;
+                    const sellUnfilled = sell.amount - sellFilled;
+                    const amount = buyUnfilled < sellUnfilled ? buyUnfilled : sellUnfilled;
+
+                    replayedFilled.set(buy.orderId, buyFilled + amount);
+                    replayedFilled.set(sell.orderId, sellFilled + amount);
+
+                    trades.push({
+                        buyOrderId: buy.orderId,
+                        sellOrderId: sell.orderId,
+                        baseToken: buy.baseToken,
+                        quoteToken: buy.quoteToken,
+                        price: sell.price,
+                        amount,
+                        matchedAt: Number(event.returnValues.matchedAt),
+                        blockNumber: Number(event.blockNumber),
+                        transactionHash: event.transactionHash
+                    });
+                }
+            });
+
+            if (trades.length > MAX_TRADES) {
+                trades.splice(0, trades.length - MAX_TRADES);
+            }
+
+            // Pick up the post-event status / filledAmount of everything the events touched
+            await Promise.all(ids.map(fetchOrder));
+        }
+
+        async function fetchEvents(fromBlock, toBlock) {
+            const events = await contract.getPastEvents('allEvents', { fromBlock, toBlock });
+            return events.filter(event => ORDER_EVENTS.includes(event.event));
+        }
+
+        async function load() {
+            const latestBlock = Number(await web3.eth.getBlockNumber());
+            const [activeIds, events] = await Promise.all([
+                contract.methods.getActiveOrders().call(),
+                fetchEvents(Math.max(deployBlock, latestBlock - lookbackBlocks), latestBlock)
+            ]);
+
+            await Promise.all(activeIds.map(fetchOrder));
+            await replay(events);
+            lastBlock = latestBlock;
+            notify(events);
+        }
+
+        async function poll() {
+            try {
+                const latestBlock = Number(await web3.eth.getBlockNumber());
+                if (lastBlock === null || latestBlock <= lastBlock) return;
+
+                const events = await fetchEvents(lastBlock + 1, latestBlock);
+                lastBlock = latestBlock;
+                if (events.length === 0) return;
+
+                await replay(events);
+                notify(events);
+            } catch (error) {
+                console.error('Error polling order book events:', error);
+            }
+        }
+
+        function start() {
+            if (!timer) {
+                timer = setInterval(poll, pollInterval);
+            }
+        }
+
+        function stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+
+        function subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+
+        function notify(events) {
+            listeners.forEach(listener => listener(events));
+        }
+
+        function getTrades(baseToken, quoteToken) {
+            return trades.filter(trade => samePair(trade, baseToken, quoteToken));
+        }
+
+        /**
+         * Last price, 24h change (percent) and 24h volume in quote units for a pair
+         */
+        function getMarketStats(baseToken, quoteToken, basePrecision, now = Math.floor(Date.now() / 1000)) {
+            const pairTrades = getTrades(baseToken, quoteToken);
+            if (pairTrades.length === 0) {
+                return { lastPrice: null, change24h: null, volume24h: 0n, trades24h: 0 };
+            }
+
+            const lastPrice = pairTrades[pairTrades.length - 1].price;
+            const recent = pairTrades.filter(trade => trade.matchedAt >= now - DAY);
+            const before = pairTrades.filter(trade => trade.matchedAt < now - DAY);
+            const reference = before.length > 0 ? before[before.length - 1].price : pairTrades[0].price;
+            const change24h = reference > 0n ? Number(((lastPrice - reference) * 10000n) / reference) / 100 : null;
+            const volume24h = recent.reduce(
+                (sum, trade) => sum + (trade.amount * trade.price) / (10n ** BigInt(basePrecision)),
+                0n
+            );
+
+            return { lastPrice, change24h, volume24h, trades24h: recent.length };
+        }
+
+        /**
+         * Pairs that have resting orders or recorded trades
+         */
+        function getPairs() {
+            const now = Math.floor(Date.now() / 1000);
+            const pairs = new Map();
+            const touch = (item) => {
+                const key = pairKey(item.baseToken, item.quoteToken);
+                if (!pairs.has(key)) {
+                    pairs.set(key, { baseToken: item.baseToken, quoteToken: item.quoteToken, restingOrders: 0, trades: 0 });
+                }
+                return pairs.get(key);
+            };
+
+            orders.forEach(order => {
+                if (isResting(order, now)) touch(order).restingOrders += 1;
+            });
+            trades.forEach(trade => {
+                touch(trade).trades += 1;
+            });
+            return [...pairs.values()];
+        }
+
+        return {
+            load,
+            poll,
+            start,
+            stop,
+            subscribe,
+            fetchOrder,
+            getOrder: (orderId) => orders.get(Number(orderId)) || null,
+            getOrders: () => [...orders.values()],
+            getDepth: (baseToken, quoteToken) => aggregateDepth(orders, baseToken, quoteToken),
+            getTrades,
+            getMarketStats,
+            getPairs
+        };
+    }
+
+    return {
+        ORDER_TYPES,
+        ORDER_STATUSES,
+        pairKey,
+        normalizeOrder,
+        aggregateDepth,
+        create
+    };
+})();
+
+// Export for use in HTML pages and Node (tests)
+if (typeof window !== 'undefined') {
+    window.ZeroDropOrderBook = ZeroDropOrderBook;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZeroDropOrderBook;
+}
@@ -1,50 +1,243 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const ZeroDropMetadata = require('./campaign-metadata');
+const { createRpcClient } = require('../lib/rpc');
+const { createIndexer, readStatus } = require('../lib/indexer');
+const { createSqliteStore } = require('../lib/sqlite-store');
+const { createApi } = require('../lib/api');
+const { createStream, watchStore } = require('../lib/stream');
+const { createStaticHandler } = require('../lib/static');
+const { createCors } = require('../lib/cors');
+const { createRpcProxy } = require('../lib/rpc-proxy');
+const { createLiveReload, SNIPPET } = require('../lib/live-reload');
+const { ConfigError, USAGE, parseServerConfig } = require('../lib/server-config');
+const { resolveChainId, loadDeployment, databasePath } = require('../lib/deployments');
 
-const PORT = 3013;
+let config;
+try {
+  config = parseServerConfig(process.argv.slice(2), process.env);
+} catch (error) {
+  if (!(error instanceof ConfigError)) throw error;
+  console.error(`❌ ${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+if (config.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
 
-const server = http.createServer((req, res) => {
-  let filePath = req.url === '/' ? '/index.html' : req.url;
-  filePath = path.join(__dirname, filePath);
-
-  const extname = String(path.extname(filePath)).toLowerCase();
-  const mimeTypes = {
-    '.html': 'text/html',
-    '.js': 'text/javascript',
-    '.css': 'text/css',
-    '.json': 'application/json',
-    '.png': 'image/png',
-    '.jpg': 'image/jpg',
-    '.gif': 'image/gif',
-    '.svg': 'image/svg+xml',
-    '.ico': 'image/x-icon'
-  };
+// Content-addressed campaign metadata lives outside public/ so it is only reachable via /metadata/:cid
+const METADATA_DIR = path.join(__dirname, '..', 'metadata');
+// How long to wait before retrying an indexer that could not start (node down, nothing deployed yet)
+const INDEXER_RETRY_MS = 10000;
+
+// The pages live next to this file; the server's own sources are not served
+const staticFiles = createStaticHandler(__dirname, {
+  hidden: ['server.js'],
+  cacheControl: config.cacheControl,
+  spaFallback: config.spa ? '/index.html' : null,
+  htmlSnippet: config.dev ? SNIPPET : null
+});
+const cors = createCors(config.corsOrigins);
+// Read-only JSON-RPC for visitors without a wallet; disabled with --rpc-methods none
+const rpcProxy = config.rpc.methods.length > 0 ? createRpcProxy(config.rpc) : null;
+const liveReload = config.dev ? createLiveReload(__dirname, { ignore: ['server.js'] }) : null;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
 
-  const contentType = mimeTypes[extname] || 'application/octet-stream';
+function handleMetadata(req, res, cid) {
+  if (!ZeroDropMetadata.isCid(cid)) {
+    return sendJson(res, 400, { error: 'Invalid CID' });
+  }
 
-  fs.readFile(filePath, (error, content) => {
-    if (error) {
-      if (error.code === 'ENOENT') {
-        res.writeHead(404, { 'Content-Type': 'text/html' });
-        res.end('<h1>404 - File Not Found</h1>');
-      } else {
-        res.writeHead(500);
-        res.end('Sorry, there was an error: ' + error.code);
+  const metadataPath = path.join(METADATA_DIR, `${cid}.json`);
+
+  if (req.method === 'GET') {
+    fs.readFile(metadataPath, (error, content) => {
+      if (error) {
+        return sendJson(res, error.code === 'ENOENT' ? 404 : 500, { error: error.code === 'ENOENT' ? 'Not found' : error.code });
       }
-    } else {
-      res.writeHead(200, { 'Content-Type': contentType });
-      res.end(content, 'utf-8');
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=31536000, immutable' });
+      res.end(content);
+    });
+    return;
+  }
+
+  if (req.method !== 'PUT') {
+    res.setHeader('Allow', 'GET, PUT');
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    if (res.writableEnded) return;
+    size += chunk.length;
+    if (size > ZeroDropMetadata.MAX_DOCUMENT_BYTES) {
+      sendJson(res, 413, { error: 'Document too large' });
+      req.destroy();
+      return;
     }
+    chunks.push(chunk);
   });
+  req.on('end', async () => {
+    if (res.writableEnded) return;
+    const body = Buffer.concat(chunks);
+
+    try {
+      // The store only accepts documents whose bytes hash to the CID they are stored under
+      const actualCid = await ZeroDropMetadata.computeCid(new Uint8Array(body));
+      if (actualCid !== cid) {
+        return sendJson(res, 422, { error: `Content hashes to ${actualCid}, not ${cid}` });
+      }
+
+      const errors = ZeroDropMetadata.validate(JSON.parse(body.toString('utf8')));
+      if (errors.length > 0) {
+        return sendJson(res, 422, { error: errors.join('; ') });
+      }
+
+      await fs.promises.mkdir(METADATA_DIR, { recursive: true });
+      await fs.promises.writeFile(metadataPath, body);
+      sendJson(res, 201, { cid });
+    } catch (error) {
+      sendJson(res, error instanceof SyntaxError ? 422 : 500, { error: error.message });
+    }
+  });
+}
+
+// The /api indexer follows ZERODROP_RPC_URL (default: local Hardhat node) using the deployment
+// bundle for that node's chain id, or for ZERODROP_CHAIN_ID when set. By default it runs in this
+// process; with ZERODROP_INDEXER=external the API reads the database of `npm run indexer` instead.
+const INDEXER_MODE = process.env.ZERODROP_INDEXER || 'embedded';
+const rpc = createRpcClient();
+let api = null;
+let apiError = 'Indexer not started';
+let apiStarting = null;
+let apiAttemptedAt = 0;
+
+async function startApi() {
+  const chainId = await resolveChainId(rpc);
+  const deployment = await loadDeployment(chainId);
+  const dbPath = databasePath(chainId);
+
+  if (INDEXER_MODE === 'external') {
+    if (!fs.existsSync(dbPath)) {
+      throw new Error(`No indexer database at ${dbPath}; start it with npm run indexer`);
+    }
+    const store = createSqliteStore(dbPath, { readonly: true });
+    console.log(`🔎 Serving chain ${chainId} from indexer database ${dbPath}`);
+    const source = { store, subscribe: watchStore(store).subscribe, status: () => readStatus(store, deployment) };
+    return mountApi(source);
+  }
+
+  const indexer = createIndexer({ rpc, deployment, store: createSqliteStore(dbPath) });
+  indexer.start();
+  console.log(`🔎 Indexing chain ${chainId} from ${rpc.url} into ${dbPath}`);
+  return mountApi(indexer);
+}
+
+// REST routes plus the /api/stream push channel over the same indexed data
+function mountApi(source) {
+  const rest = createApi(source);
+  const stream = createStream(source);
+  return {
+    handle: async (req, res) => (await stream.handle(req, res)) || rest.handle(req, res)
+  };
+}
+
+function ensureApi() {
+  if (api || apiStarting || Date.now() - apiAttemptedAt < INDEXER_RETRY_MS) return apiStarting;
+
+  apiAttemptedAt = Date.now();
+  apiStarting = startApi()
+    .then((started) => {
+      api = started;
+    })
+    .catch((error) => {
+      apiError = error.message;
+      console.warn(`⚠️  API unavailable: ${error.message}`);
+    })
+    .finally(() => {
+      apiStarting = null;
+    });
+  return apiStarting;
+}
+
+async function handleApi(req, res) {
+  await ensureApi();
+  if (!api) {
+    return sendJson(res, 503, { error: apiError });
+  }
+  return api.handle(req, res);
+}
+
+const server = http.createServer((req, res) => {
+  const urlPath = req.url.split(/[?#]/)[0];
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  if (cors.apply(req, res)) {
+    return;
+  }
+
+  if (liveReload && liveReload.handle(req, res)) {
+    return;
+  }
+
+  if (urlPath === '/rpc' && rpcProxy) {
+    return rpcProxy.handle(req, res);
+  }
+
+  if (urlPath === '/api' || urlPath.startsWith('/api/')) {
+    return handleApi(req, res);
+  }
+
+  const metadataMatch = /^\/metadata\/([^/]+)$/.exec(urlPath);
+  if (metadataMatch) {
+    return handleMetadata(req, res, metadataMatch[1]);
+  }
+
+  let filePath = urlPath === '/' ? '/index.html' : urlPath;
+  // Local transaction viewer for the "local" profile; explorer.html routes on the path itself
+  if (urlPath === '/explorer' || urlPath.startsWith('/explorer/')) {
+    filePath = '/explorer.html';
+  }
+  return staticFiles.handle(req, res, filePath);
 });
 
-server.listen(PORT, '127.0.0.1', () => {
-  console.log(`🚀 ZeroDrop Protocol server running at http://127.0.0.1:${PORT}/`);
+// 0.0.0.0 / :: are not addresses a browser can open
+const displayHost = ['0.0.0.0', '::'].includes(config.host) ? 'localhost' : config.host;
+
+server.on('error', (error) => {
+  console.error(`❌ Could not listen on ${config.host}:${config.port}: ${error.message}`);
+  process.exit(1);
+});
+
+server.listen(config.port, config.host, () => {
+  const base = `http://${displayHost.includes(':') ? `[${displayHost}]` : displayHost}:${server.address().port}`;
+  console.log(`🚀 ZeroDrop Protocol server running at ${base}/ (bound to ${config.host})`);
   console.log(`📍 Pages available:`);
-  console.log(`   Main: http://127.0.0.1:${PORT}/`);
-  console.log(`   Fundraiser: http://127.0.0.1:${PORT}/fundraiser.html`);
-  console.log(`   Trading: http://127.0.0.1:${PORT}/trading.html`);
-  console.log(`   Wallet Setup: http://127.0.0.1:${PORT}/wallet-setup.html`);
-  console.log(`   Wallet Test: http://127.0.0.1:${PORT}/wallet-test.html`);
-});
\ No newline at end of file
+  console.log(`   Main: ${base}/`);
+  console.log(`   Fundraiser: ${base}/fundraiser.html`);
+  console.log(`   Trading: ${base}/trading.html`);
+  console.log(`   Wallet Setup: ${base}/wallet-setup.html`);
+  console.log(`   Wallet Test: ${base}/wallet-test.html`);
+  console.log(`   Local Explorer: ${base}/explorer/ (use with ?profile=local)`);
+  console.log(`   API: ${base}/api/campaigns`);
+  console.log(`   Live updates: ${base}/api/stream?topic=campaign:1`);
+  if (rpcProxy) {
+    console.log(`   JSON-RPC proxy: ${base}/rpc -> ${config.rpc.upstream} (${config.rpc.methods.length} methods, ${config.rpc.rateLimit || 'unlimited'} calls/min per client)`);
+  }
+  console.log(`📦 Campaign metadata store: ${METADATA_DIR}`);
+  console.log(`🗄️  Cache-Control: ${config.cacheControl}${config.spa ? ', SPA fallback to /index.html' : ''}`);
+  if (config.corsOrigins.length > 0) {
+    console.log(`🌐 CORS origins: ${config.corsOrigins.join(', ')}`);
+  }
+  if (liveReload) {
+    console.log('🔄 Dev mode: pages reload when files in public/ change');
+  }
+  ensureApi();
+});
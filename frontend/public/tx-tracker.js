@@ -0,0 +1,354 @@
+// ZeroDrop Transaction Tracker
+// Follows submitted transactions until they are mined, decodes the protocol events
+// they emitted, explains reverts, and keeps a per-wallet history in localStorage.
+const ZeroDropTxTracker = (() => {
+    const STORAGE_PREFIX = 'zerodrop:txHistory:';
+    const MAX_HISTORY = 50;
+    const POLL_INTERVAL = 3000;
+    // A transaction the node no longer knows about after this long was dropped or replaced
+    const DROP_TIMEOUT = 10 * 60 * 1000;
+
+    const eventsByTopic = {};
+    const listeners = new Set();
+    const watching = new Map();
+
+    let abiCoder = null;
+
+    function coder() {
+        if (!abiCoder) {
+            abiCoder = new Web3().eth.abi;
+        }
+        return abiCoder;
+    }
+
+    function request(method, params) {
+        return window.ethereum.request({ method, params });
+    }
+
+    /**
+     * Register contract ABIs whose events should be decoded from receipts
+     */
+    function registerAbi(abi) {
+        abi.filter(item => item.type === 'event' && !item.anonymous).forEach(item => {
+            eventsByTopic[coder().encodeEventSignature(item)] = item;
+        });
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function storageKey(account) {
+        return STORAGE_PREFIX + account.toLowerCase();
+    }
+
+    function getHistory(account) {
+        if (!account) return [];
+        try {
+            return JSON.parse(localStorage.getItem(storageKey(account)) || '[]');
+        } catch (error) {
+            console.error('Corrupt transaction history, resetting:', error);
+            return [];
+        }
+    }
+
+    function saveEntry(entry) {
+        const history = getHistory(entry.from);
+        const index = history.findIndex(e => e.hash === entry.hash);
+        if (index >= 0) {
+            history[index] = entry;
+        } else {
+            history.unshift(entry);
+        }
+        localStorage.setItem(storageKey(entry.from), JSON.stringify(history.slice(0, MAX_HISTORY)));
+        listeners.forEach(listener => listener(entry));
+    }
+
+    function clearHistory(account) {
+        localStorage.removeItem(storageKey(account));
+        listeners.forEach(listener => listener(null));
+    }
+
+    /**
+     * Track a submitted transaction. Resolves with the final history entry
+     * and invokes onConfirmed / onFailed once the outcome is known.
+     */
+    function track(txHash, { from, label = 'Transaction', onConfirmed, onFailed } = {}) {
+        if (typeof from !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(from)) {
+            throw new TypeError(`track(${txHash}) needs the sending account as \`from\`, got ${from}`);
+        }
+        if (!watching.has(txHash)) {
+            const existing = getHistory(from).find(e => e.hash === txHash);
+            const entry = existing || {
+                hash: txHash,
+                from: from.toLowerCase(),
+                label,
+                status: 'pending',
+                submittedAt: Date.now(),
+                blockNumber: null,
+                events: [],
+                revertReason: null
+            };
+            saveEntry(entry);
+            watching.set(txHash, waitForOutcome(entry));
+        }
+
+        return watching.get(txHash).then(entry => {
+            const handler = entry.status === 'confirmed' ? onConfirmed : onFailed;
+            if (handler) handler(entry);
+            return entry;
+        });
+    }
+
+    /**
+     * Restart polling for transactions that were still pending when the page was closed
+     */
+    function resume(account, handlers = {}) {
+        return Promise.all(
+            getHistory(account)
+                .filter(entry => entry.status === 'pending')
+                .map(entry => track(entry.hash, { from: account, ...handlers }))
+        );
+    }
+
+    function finalize(entry, status, revertReason = null) {
+        entry.status = status;
+        entry.revertReason = revertReason;
+        entry.finalizedAt = Date.now();
+        saveEntry(entry);
+        watching.delete(entry.hash);
+        return entry;
+    }
+
+    async function waitForOutcome(entry) {
+        while (true) {
+            let receipt = null;
+            let unreachable = false;
+            try {
+                receipt = await request('eth_getTransactionReceipt', [entry.hash]);
+            } catch (error) {
+                unreachable = true;
+                console.error(`Error polling receipt for ${entry.hash}:`, error);
+            }
+
+            if (receipt) {
+                entry.blockNumber = parseInt(receipt.blockNumber, 16);
+                entry.events = decodeLogs(receipt.logs || []);
+
+                if (parseInt(receipt.status, 16) === 1) {
+                    return finalize(entry, 'confirmed');
+                }
+                return finalize(entry, 'failed', await findRevertReason(entry.hash, receipt));
+            }
+
+            // Past the timeout, stop polling: the node either forgot the transaction or keeps failing
+            if (Date.now() - entry.submittedAt > DROP_TIMEOUT) {
+                let tx = null;
+                if (!unreachable) {
+                    try {
+                        tx = await request('eth_getTransactionByHash', [entry.hash]);
+                    } catch (error) {
+                        unreachable = true;
+                        console.error(`Error looking up ${entry.hash}:`, error);
+                    }
+                }
+                if (unreachable) {
+                    return finalize(entry, 'failed', 'Could not reach the node to confirm this transaction; check it in the explorer');
+                }
+                if (!tx) {
+                    return finalize(entry, 'failed', 'Transaction dropped or replaced');
+                }
+            }
+
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+        }
+    }
+
+    /**
+     * Decode the logs of registered ABIs into { name, address, args }; unknown logs are skipped
+     */
+    function decodeLogs(logs) {
+        return logs.map(log => {
+            const item = eventsByTopic[log.topics[0]];
+            if (!item) return null;
+
+            try {
+                const decoded = coder().decodeLog(item.inputs, log.data, log.topics.slice(1));
+                const args = {};
+                item.inputs.forEach(input => {
+                    args[input.name] = String(decoded[input.name]);
+                });
+                return { name: item.name, address: log.address, args };
+            } catch (error) {
+                console.error(`Failed to decode ${item.name} log:`, error);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+
+    /**
+     * Replay a reverted transaction with eth_call at its block to recover the reason.
+     * The replay runs against the state at the end of that block, which is close enough
+     * for the require() failures the protocol contracts produce.
+     */
+    async function findRevertReason(txHash, receipt) {
+        try {
+            const tx = await request('eth_getTransactionByHash', [txHash]);
+            if (!tx) return 'reverted';
+
+            await request('eth_call', [{
+                from: tx.from,
+                to: tx.to,
+                data: tx.input,
+                value: tx.value,
+                gas: tx.gas
+            }, receipt.blockNumber]);
+
+            // The replay succeeded, so the original most likely ran out of gas
+            return 'reverted (possibly out of gas)';
+        } catch (error) {
+            return extractRevertReason(error);
+        }
+    }
+
+    /**
+     * Pull the revert payload out of a provider error and decode it
+     */
+    function extractRevertReason(error) {
+        const candidates = [
+            error?.data,
+            error?.data?.data,
+            error?.data?.originalError?.data,
+            error?.error?.data,
+            error?.error?.data?.data
+        ];
+        const data = candidates.find(value => typeof value === 'string' && value.startsWith('0x'));
+        const decoded = data ? decodeRevertData(data) : null;
+        if (decoded) return decoded;
+
+        const match = /execution reverted:?\s*(.*)/i.exec(error?.message || '');
+        if (match) return match[1] || 'reverted without a reason';
+        return error?.message || 'unknown error';
+    }
+
+    /**
+     * The protocol contracts and their OpenZeppelin v4 bases revert with require() strings, so
+     * Error(string) and Panic(uint256) are the payloads to expect; anything else is shown by selector
+     */
+    function decodeRevertData(data) {
+        if (!data || data === '0x') return null;
+        const selector = data.substring(0, 10).toLowerCase();
+
+        if (selector === '0x08c379a0') {
+            return coder().decodeParameter('string', '0x' + data.substring(10));
+        }
+        if (selector === '0x4e487b71') {
+            return `Panic(0x${BigInt('0x' + data.substring(10)).toString(16)})`;
+        }
+        return `Custom error ${selector}`;
+    }
+
+    function describeEvent(event) {
+        const args = event.args;
+        switch (event.name) {
+            case 'CampaignLaunched':
+                return `Campaign #${args.campaignId} launched`;
+            case 'SecretContributionReceived':
+                return `Contribution recorded for campaign #${args.campaignId}`;
+            case 'RewardsClaimed':
+                return `Rewards claimed from campaign #${args.campaignId}`;
+            case 'FundsReclaimed':
+                return `Funds reclaimed from campaign #${args.campaignId}`;
+            case 'CampaignSucceeded':
+                return `Campaign #${args.campaignId} succeeded`;
+            case 'ComputationStarted':
+                return `Decryption request ${args.requestId} for campaign #${args.campaignId}`;
+            case 'OrderPlaced':
+                return `Order #${args.orderId} placed`;
+            case 'OrderMatched':
+                return `Order #${args.buyOrderId} matched with #${args.sellOrderId}`;
+            case 'OrderCancelled':
+                return `Order #${args.orderId} cancelled`;
+            case 'TokensDeposited':
+                return 'Deposit credited to trading balance';
+            case 'TokensWithdrawn':
+                return 'Withdrawal sent to wallet';
+            default:
+                return event.name;
+        }
+    }
+
+    function explorerTxUrl(txHash) {
+        const base = (typeof CONTRACT_CONFIG !== 'undefined' && CONTRACT_CONFIG.EXPLORER_BASE) || '';
+        return base ? `${base}/tx/${txHash}` : null;
+    }
+
+    /**
+     * Render the wallet's recent transactions into `container`
+     */
+    function renderHistory(container, account, limit = 8) {
+        if (!container) return;
+
+        const history = getHistory(account).slice(0, limit);
+        if (history.length === 0) {
+            container.innerHTML = '<div class="text-center py-2 text-green-400/50">[NO TRANSACTIONS]</div>';
+            return;
+        }
+
+        const statusStyles = {
+            pending: 'text-yellow-400',
+            confirmed: 'text-green-400',
+            failed: 'text-red-400'
+        };
+
+        container.innerHTML = history.map(entry => {
+            const url = explorerTxUrl(entry.hash);
+            const hash = `${entry.hash.substring(0, 10)}...`;
+            const details = entry.status === 'failed'
+                ? entry.revertReason
+                : entry.events.map(describeEvent).join(' • ');
+            return `
+                <div class="border-b border-green-400/10 py-2">
+                    <div class="flex justify-between">
+                        <span>${escapeText(entry.label)}</span>
+                        <span class="${statusStyles[entry.status] || ''}">${entry.status.toUpperCase()}</span>
+                    </div>
+                    <div class="flex justify-between text-green-400/50">
+                        ${url ? `<a href="${url}" target="_blank" rel="noopener" class="hover:text-green-400">${hash}</a>` : `<span>${hash}</span>`}
+                        <span>${new Date(entry.submittedAt).toLocaleTimeString()}</span>
+                    </div>
+                    ${details ? `<div class="text-green-400/60 mt-1">${escapeText(details)}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    function escapeText(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    return {
+        registerAbi,
+        subscribe,
+        track,
+        resume,
+        getHistory,
+        clearHistory,
+        renderHistory,
+        decodeLogs,
+        describeEvent,
+        explorerTxUrl,
+        extractRevertReason,
+        decodeRevertData
+    };
+})();
+
+// Export for use in HTML pages
+if (typeof window !== 'undefined') {
+    window.ZeroDropTxTracker = ZeroDropTxTracker;
+}
@@ -0,0 +1,1573 @@
+// ZeroDrop SDK
+// GENERATED FILE - do not edit by hand. Produced by scripts/generate-sdk.js from the contract ABIs
+// in scripts/sdk/abis/ (wallet helpers come from scripts/sdk/runtime.js); re-run it after changing a contract.
+//
+// Typed web3.js bindings for SecretFundraiser, ConfidentialTrading, VaultManager and TestToken,
+// plus the wallet connection, chain switching and message helpers the pages share.
+const ZeroDropSDK = (() => {
+    // Wallet and messaging helpers shared by every page
+
+    /**
+     * Toast into the page's #messageContainer; type is 'success', 'error' or 'info'
+     */
+    function showMessage(message, type) {
+        const messageContainer = document.getElementById('messageContainer');
+        const messageElement = document.createElement('div');
+
+        let bgColor = 'bg-green-400';
+        let textColor = 'text-black';
+
+        if (type === 'error') {
+            bgColor = 'bg-red-400';
+            textColor = 'text-white';
+        } else if (type === 'info') {
+            bgColor = 'bg-blue-400';
+            textColor = 'text-white';
+        }
+
+        messageElement.className = `${bgColor} ${textColor} px-6 py-3 rounded-lg mb-2 terminal-font text-sm font-bold shadow-lg`;
+        messageElement.textContent = message;
+
+        messageContainer.appendChild(messageElement);
+
+        setTimeout(() => {
+            messageElement.remove();
+        }, 5000);
+    }
+
+    /**
+     * Human-readable reason for a failed wallet request; action names the request ('Connection', ...)
+     */
+    function describeWalletError(error, action = 'Request') {
+        if (error.code === 4001) return `${action} rejected by user.`;
+        if (error.code === -32002) return `${action} request already pending. Please check MetaMask.`;
+        if (String(error.message).includes('Provided address')) {
+            return 'Address validation failed. Please check MetaMask configuration.';
+        }
+        return error.message;
+    }
+
+    /**
+     * The wallet_addEthereumChain parameters of the network config.js selected (see deployments/)
+     */
+    function getTargetChain() {
+        if (typeof CONTRACT_CONFIG === 'undefined') {
+            throw new Error('Configuration not loaded. Please refresh the page.');
+        }
+        return CONTRACT_CONFIG.NETWORK_CONFIG;
+    }
+
+    function requireProvider() {
+        if (typeof window === 'undefined' || typeof window.ethereum === 'undefined') {
+            throw new Error('MetaMask not detected. Please install MetaMask.');
+        }
+        return window.ethereum;
+    }
+
+    /**
+     * Prompt for accounts without touching the network; resolves with the first account
+     */
+    async function requestAccounts() {
+        const accounts = await requireProvider().request({ method: 'eth_requestAccounts' });
+        if (!accounts || accounts.length === 0) {
+            throw new Error('No accounts found. Please unlock MetaMask.');
+        }
+        return accounts[0];
+    }
+
+    /**
+     * Switch the wallet to the target chain, adding it first when the wallet does not know it.
+     * Resolves with 'current', 'switched' or 'added'.
+     */
+    async function ensureChain(chain = getTargetChain()) {
+        const provider = requireProvider();
+        const chainId = await provider.request({ method: 'eth_chainId' });
+        if (chainId === chain.chainId) return 'current';
+
+        try {
+            await provider.request({
+                method: 'wallet_switchEthereumChain',
+                params: [{ chainId: chain.chainId }]
+            });
+            return 'switched';
+        } catch (switchError) {
+            if (switchError.code !== 4902) throw switchError;
+            await provider.request({
+                method: 'wallet_addEthereumChain',
+                params: [chain]
+            });
+            return 'added';
+        }
+    }
+
+    /**
+     * Full connect flow: request accounts, validate, and move the wallet onto the target chain
+     * @returns {Promise<{ web3: Web3, account: string }>}
+     */
+    async function connectWallet() {
+        const chain = getTargetChain();
+        const web3 = new Web3(requireProvider());
+        const account = await requestAccounts();
+
+        if (!web3.utils.isAddress(account)) {
+            throw new Error('Invalid wallet address detected.');
+        }
+
+        await ensureChain(chain);
+        return { web3, account };
+    }
+
+    /**
+     * The already-authorised account, without prompting; null when there is none
+     * @returns {Promise<{ web3: Web3, account: string } | null>}
+     */
+    async function getConnectedAccount() {
+        if (typeof window === 'undefined' || typeof window.ethereum === 'undefined' || typeof CONTRACT_CONFIG === 'undefined') {
+            return null;
+        }
+
+        const web3 = new Web3(window.ethereum);
+        const accounts = await web3.eth.getAccounts();
+        if (accounts.length === 0 || !web3.utils.isAddress(accounts[0])) return null;
+        return { web3, account: accounts[0] };
+    }
+
+    // Binding runtime used by the generated factories below
+
+    /**
+     * @template T
+     * @typedef {Object} ContractMethod
+     * @property {(options?: Object) => Promise<T>} call
+     * @property {(options: Object) => Object} send
+     * @property {(options?: Object) => Promise<number>} estimateGas
+     * @property {() => string} encodeABI
+     */
+
+    /**
+     * @template T
+     * @typedef {Object} DecodedEvent
+     * @property {string} event
+     * @property {string} transactionHash
+     * @property {number} blockNumber
+     * @property {number} logIndex
+     * @property {T} returnValues
+     */
+
+    /**
+     * @template T
+     * @typedef {Object} EventBinding
+     * @property {string} name
+     * @property {string} signature
+     * @property {string} topic
+     * @property {(options?: Object) => Promise<Array<DecodedEvent<T>>>} getPast
+     * @property {(log: { data: string, topics: string[] }) => T} decode
+     */
+
+    // web3 1.x encodes numbers from strings or BN, not native BigInt
+    function toArg(value) {
+        if (typeof value === 'bigint') return value.toString();
+        if (Array.isArray(value)) return value.map(toArg);
+        return value;
+    }
+
+    function createBinding(web3, abi, address) {
+        const contract = new web3.eth.Contract(abi, address);
+        const eventEntries = contract.options.jsonInterface.filter(item => item.type === 'event');
+
+        return {
+            address,
+            abi,
+            contract,
+            getPastEvents: (event, options) => contract.getPastEvents(event, options),
+            method: (signature, args) => contract.methods[signature](...args.map(toArg)),
+            event: (signature) => {
+                const entry = eventEntries.find(item => `${item.name}(${item.inputs.map(input => input.type).join(',')})` === signature);
+                return {
+                    name: entry.name,
+                    signature,
+                    topic: entry.signature,
+                    getPast: (options = {}) => contract.getPastEvents(entry.name, options),
+                    decode: (log) => web3.eth.abi.decodeLog(entry.inputs, log.data, entry.anonymous ? log.topics : log.topics.slice(1))
+                };
+            }
+        };
+    }
+
+    // Generated from the contract ABIs
+
+    const ABIS = {
+        SecretFundraiser: [
+            {"inputs":[{"internalType":"address","name":"_feeCollector","type":"address"},{"internalType":"address","name":"_vaultManager","type":"address"},{"internalType":"address","name":"_fheCrypto","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},
+            {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+            {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+            {"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},
+            {"inputs":[{"internalType":"address","name":"token","type":"address"}],"name":"SafeERC20FailedOperation","type":"error"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":true,"internalType":"address","name":"creator","type":"address"},{"indexed":false,"internalType":"address","name":"rewardToken","type":"address"},{"indexed":false,"internalType":"uint256","name":"fundingGoal","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"pricePerToken","type":"uint256"}],"name":"CampaignLaunched","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":false,"internalType":"enum SecretFundraiser.CampaignState","name":"newState","type":"uint8"}],"name":"CampaignStateChanged","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":false,"internalType":"uint64","name":"totalRaised","type":"uint64"},{"indexed":false,"internalType":"uint256","name":"blockTimestamp","type":"uint256"}],"name":"CampaignSucceeded","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"requestId","type":"uint256"}],"name":"ComputationStarted","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":true,"internalType":"address","name":"contributor","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"FundsReclaimed","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":true,"internalType":"address","name":"contributor","type":"address"},{"indexed":false,"internalType":"uint256","name":"tokenAmount","type":"uint256"}],"name":"RewardsClaimed","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":true,"internalType":"address","name":"contributor","type":"address"},{"indexed":false,"internalType":"uint256","name":"blockTimestamp","type":"uint256"}],"name":"SecretContributionReceived","type":"event"},
+            {"inputs":[{"internalType":"uint256","name":"","type":"uint256"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"campaignContributions","outputs":[{"internalType":"address","name":"contributor","type":"address"},{"internalType":"uint256","name":"campaignId","type":"uint256"},{"internalType":"uint32","name":"blockTimestamp","type":"uint32"},{"internalType":"euint64","name":"hiddenAmount","type":"bytes32"},{"internalType":"uint256","name":"actualValue","type":"uint256"},{"internalType":"bool","name":"rewardsClaimed","type":"bool"},{"internalType":"bool","name":"fundsReclaimed","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"campaigns","outputs":[{"internalType":"uint256","name":"campaignId","type":"uint256"},{"internalType":"address","name":"creator","type":"address"},{"internalType":"address","name":"rewardToken","type":"address"},{"internalType":"uint256","name":"tokenSupply","type":"uint256"},{"internalType":"uint256","name":"fundingGoal","type":"uint256"},{"internalType":"uint256","name":"pricePerToken","type":"uint256"},{"internalType":"uint32","name":"launchTime","type":"uint32"},{"internalType":"uint32","name":"closingTime","type":"uint32"},{"internalType":"uint256","name":"minimumBid","type":"uint256"},{"internalType":"uint256","name":"maximumBid","type":"uint256"},{"internalType":"bool","name":"isLive","type":"bool"},{"internalType":"enum SecretFundraiser.CampaignState","name":"currentState","type":"uint8"},{"internalType":"string","name":"infoHash","type":"string"},{"internalType":"euint64","name":"hiddenTotalRaised","type":"bytes32"},{"internalType":"uint64","name":"revealedTotalRaised","type":"uint64"},{"internalType":"enum SecretFundraiser.ComputationState","name":"computeState","type":"uint8"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"cancelCampaign","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"claimRewards","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"computeCampaignTotals","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"},{"internalType":"inEuint64","name":"_encryptedValue","type":"bytes32"},{"internalType":"bytes","name":"_proof","type":"bytes"}],"name":"contributeSecretly","outputs":[],"stateMutability":"payable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"emergencyTerminateCampaign","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"feeCollector","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"fheCrypto","outputs":[{"internalType":"contract FHECrypto","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"getCampaign","outputs":[{"internalType":"uint256","name":"campaignId","type":"uint256"},{"internalType":"address","name":"creator","type":"address"},{"internalType":"address","name":"rewardToken","type":"address"},{"internalType":"uint256","name":"tokenSupply","type":"uint256"},{"internalType":"uint256","name":"fundingGoal","type":"uint256"},{"internalType":"uint256","name":"pricePerToken","type":"uint256"},{"internalType":"uint32","name":"launchTime","type":"uint32"},{"internalType":"uint32","name":"closingTime","type":"uint32"},{"internalType":"uint256","name":"minimumBid","type":"uint256"},{"internalType":"uint256","name":"maximumBid","type":"uint256"},{"internalType":"bool","name":"isLive","type":"bool"},{"internalType":"enum SecretFundraiser.CampaignState","name":"currentState","type":"uint8"},{"internalType":"string","name":"infoHash","type":"string"},{"internalType":"uint64","name":"revealedTotalRaised","type":"uint64"},{"internalType":"enum SecretFundraiser.ComputationState","name":"computeState","type":"uint8"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"getLiveCampaigns","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_user","type":"address"}],"name":"getUserCampaigns","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_requestId","type":"uint256"},{"internalType":"uint64","name":"_revealedTotal","type":"uint64"},{"internalType":"bytes[]","name":"_signatures","type":"bytes[]"}],"name":"handleComputationResult","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"","type":"uint256"},{"internalType":"address","name":"","type":"address"}],"name":"hasContributed","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_rewardToken","type":"address"},{"internalType":"uint256","name":"_tokenSupply","type":"uint256"},{"internalType":"uint256","name":"_fundingGoal","type":"uint256"},{"internalType":"uint256","name":"_pricePerToken","type":"uint256"},{"internalType":"uint256","name":"_duration","type":"uint256"},{"internalType":"uint256","name":"_minimumBid","type":"uint256"},{"internalType":"uint256","name":"_maximumBid","type":"uint256"},{"internalType":"string","name":"_infoHash","type":"string"}],"name":"launchCampaign","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"MAX_SERVICE_FEE","outputs":[{"internalType":"uint16","name":"","type":"uint16"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"nextCampaignId","outputs":[{"internalType":"uint32","name":"","type":"uint32"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"reclaimFunds","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"serviceFeeRate","outputs":[{"internalType":"uint16","name":"","type":"uint16"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"","type":"uint256"},{"internalType":"address","name":"","type":"address"}],"name":"totalContributed","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_newCollector","type":"address"}],"name":"updateFeeCollector","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint16","name":"_newRate","type":"uint16"}],"name":"updateServiceFeeRate","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"userCampaigns","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"vaultManager","outputs":[{"internalType":"contract VaultManager","name":"","type":"address"}],"stateMutability":"view","type":"function"}
+        ],
+        ConfidentialTrading: [
+            {"inputs":[{"internalType":"address","name":"_feeCollector","type":"address"},{"internalType":"address","name":"_fheCrypto","type":"address"}],"stateMutability":"nonpayable","type":"constructor"},
+            {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+            {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+            {"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},
+            {"inputs":[{"internalType":"address","name":"token","type":"address"}],"name":"SafeERC20FailedOperation","type":"error"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"orderId","type":"uint256"},{"indexed":true,"internalType":"address","name":"trader","type":"address"},{"indexed":false,"internalType":"uint256","name":"cancelledAt","type":"uint256"}],"name":"OrderCancelled","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"buyOrderId","type":"uint256"},{"indexed":true,"internalType":"uint256","name":"sellOrderId","type":"uint256"},{"indexed":true,"internalType":"address","name":"trader","type":"address"},{"indexed":false,"internalType":"uint256","name":"matchedAt","type":"uint256"}],"name":"OrderMatched","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"orderId","type":"uint256"},{"indexed":true,"internalType":"address","name":"trader","type":"address"},{"indexed":true,"internalType":"address","name":"baseToken","type":"address"},{"indexed":false,"internalType":"address","name":"quoteToken","type":"address"},{"indexed":false,"internalType":"enum ConfidentialTrading.OrderType","name":"orderType","type":"uint8"},{"indexed":false,"internalType":"uint256","name":"createdAt","type":"uint256"}],"name":"OrderPlaced","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"trader","type":"address"},{"indexed":true,"internalType":"address","name":"token","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"TokensDeposited","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"trader","type":"address"},{"indexed":true,"internalType":"address","name":"token","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"timestamp","type":"uint256"}],"name":"TokensWithdrawn","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"baseToken","type":"address"},{"indexed":true,"internalType":"address","name":"quoteToken","type":"address"}],"name":"TradingPairAdded","type":"event"},
+            {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"activeTradingPairs","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_token","type":"address"},{"internalType":"uint256","name":"_precision","type":"uint256"}],"name":"addSupportedToken","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_orderId","type":"uint256"}],"name":"cancelOrder","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_token","type":"address"},{"internalType":"uint256","name":"_amount","type":"uint256"}],"name":"depositTokens","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"feeCollector","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"fheCrypto","outputs":[{"internalType":"contract FHECrypto","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"getActiveOrders","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_trader","type":"address"},{"internalType":"address","name":"_token","type":"address"}],"name":"getEncryptedBalance","outputs":[{"internalType":"euint64","name":"","type":"bytes32"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_trader","type":"address"},{"internalType":"address","name":"_token","type":"address"}],"name":"getLockedBalance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_orderId","type":"uint256"}],"name":"getOrder","outputs":[{"internalType":"address","name":"trader","type":"address"},{"internalType":"address","name":"baseToken","type":"address"},{"internalType":"address","name":"quoteToken","type":"address"},{"internalType":"enum ConfidentialTrading.OrderType","name":"orderType","type":"uint8"},{"internalType":"enum ConfidentialTrading.OrderStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"uint256","name":"actualAmount","type":"uint256"},{"internalType":"uint256","name":"actualPrice","type":"uint256"},{"internalType":"uint256","name":"filledAmount","type":"uint256"},{"internalType":"bool","name":"isActive","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_trader","type":"address"}],"name":"getTraderOrders","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"MAX_TRADING_FEE","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"nextOrderId","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"ORDER_DURATION","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"orders","outputs":[{"internalType":"uint256","name":"orderId","type":"uint256"},{"internalType":"address","name":"trader","type":"address"},{"internalType":"address","name":"baseToken","type":"address"},{"internalType":"address","name":"quoteToken","type":"address"},{"internalType":"enum ConfidentialTrading.OrderType","name":"orderType","type":"uint8"},{"internalType":"enum ConfidentialTrading.OrderStatus","name":"status","type":"uint8"},{"internalType":"uint256","name":"createdAt","type":"uint256"},{"internalType":"uint256","name":"expiresAt","type":"uint256"},{"internalType":"euint64","name":"encryptedAmount","type":"bytes32"},{"internalType":"euint64","name":"encryptedPrice","type":"bytes32"},{"internalType":"euint64","name":"encryptedFilled","type":"bytes32"},{"internalType":"uint256","name":"actualAmount","type":"uint256"},{"internalType":"uint256","name":"actualPrice","type":"uint256"},{"internalType":"uint256","name":"filledAmount","type":"uint256"},{"internalType":"bool","name":"isActive","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_baseToken","type":"address"},{"internalType":"address","name":"_quoteToken","type":"address"},{"internalType":"enum ConfidentialTrading.OrderType","name":"_orderType","type":"uint8"},{"internalType":"inEuint64","name":"_encryptedAmount","type":"bytes32"},{"internalType":"inEuint64","name":"_encryptedPrice","type":"bytes32"},{"internalType":"bytes","name":"_amountProof","type":"bytes"},{"internalType":"bytes","name":"_priceProof","type":"bytes"},{"internalType":"uint256","name":"_actualAmount","type":"uint256"},{"internalType":"uint256","name":"_actualPrice","type":"uint256"}],"name":"placeOrder","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_token","type":"address"}],"name":"removeSupportedToken","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"supportedTokens","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"tokenPrecisions","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"traderBalances","outputs":[{"internalType":"uint256","name":"totalDeposits","type":"uint256"},{"internalType":"uint256","name":"totalWithdrawals","type":"uint256"},{"internalType":"uint256","name":"lastUpdateTime","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"traderOrders","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"tradingFeeRate","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_newCollector","type":"address"}],"name":"updateFeeCollector","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_newRate","type":"uint256"}],"name":"updateTradingFeeRate","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_token","type":"address"},{"internalType":"uint256","name":"_amount","type":"uint256"}],"name":"withdrawTokens","outputs":[],"stateMutability":"nonpayable","type":"function"}
+        ],
+        VaultManager: [
+            {"inputs":[],"stateMutability":"nonpayable","type":"constructor"},
+            {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+            {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+            {"inputs":[],"name":"ReentrancyGuardReentrantCall","type":"error"},
+            {"inputs":[{"internalType":"address","name":"token","type":"address"}],"name":"SafeERC20FailedOperation","type":"error"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"contractAddress","type":"address"}],"name":"AuthorizedContractAdded","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"contractAddress","type":"address"}],"name":"AuthorizedContractRemoved","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":true,"internalType":"address","name":"tokenAddress","type":"address"},{"indexed":true,"internalType":"address","name":"depositor","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"TokensDeposited","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":true,"internalType":"address","name":"recipient","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"TokensReleased","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":true,"internalType":"address","name":"depositor","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"TokensReturned","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"lockedAt","type":"uint256"}],"name":"VaultLocked","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"uint256","name":"campaignId","type":"uint256"},{"indexed":false,"internalType":"uint256","name":"unlockedAt","type":"uint256"}],"name":"VaultUnlocked","type":"event"},
+            {"inputs":[{"internalType":"address","name":"_contract","type":"address"}],"name":"addAuthorizedContract","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"authorizedContracts","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"","type":"address"},{"internalType":"uint256","name":"","type":"uint256"}],"name":"depositorVaults","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_tokenAddress","type":"address"},{"internalType":"address","name":"_depositor","type":"address"},{"internalType":"uint256","name":"_amount","type":"uint256"},{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"depositTokens","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_tokenAddress","type":"address"},{"internalType":"address","name":"_recipient","type":"address"},{"internalType":"uint256","name":"_amount","type":"uint256"}],"name":"emergencyTokenRecovery","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"emergencyUnlockVault","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_depositor","type":"address"}],"name":"getDepositorVaults","outputs":[{"internalType":"uint256[]","name":"","type":"uint256[]"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"getVault","outputs":[{"internalType":"uint256","name":"campaignId","type":"uint256"},{"internalType":"address","name":"tokenAddress","type":"address"},{"internalType":"address","name":"depositor","type":"address"},{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalReleased","type":"uint256"},{"internalType":"uint256","name":"remainingBalance","type":"uint256"},{"internalType":"bool","name":"isLocked","type":"bool"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"getVaultBalance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"lockVault","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_tokenAddress","type":"address"},{"internalType":"address","name":"_recipient","type":"address"},{"internalType":"uint256","name":"_amount","type":"uint256"},{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"releaseTokens","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_contract","type":"address"}],"name":"removeAuthorizedContract","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_tokenAddress","type":"address"},{"internalType":"address","name":"_depositor","type":"address"},{"internalType":"uint256","name":"_amount","type":"uint256"},{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"returnTokens","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"totalVaults","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_campaignId","type":"uint256"}],"name":"unlockVault","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"VAULT_LOCK_DURATION","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"","type":"uint256"}],"name":"vaults","outputs":[{"internalType":"uint256","name":"campaignId","type":"uint256"},{"internalType":"address","name":"tokenAddress","type":"address"},{"internalType":"address","name":"depositor","type":"address"},{"internalType":"uint256","name":"totalDeposited","type":"uint256"},{"internalType":"uint256","name":"totalReleased","type":"uint256"},{"internalType":"uint256","name":"remainingBalance","type":"uint256"},{"internalType":"bool","name":"isLocked","type":"bool"},{"internalType":"uint256","name":"createdAt","type":"uint256"}],"stateMutability":"view","type":"function"}
+        ],
+        TestToken: [
+            {"inputs":[{"internalType":"string","name":"_name","type":"string"},{"internalType":"string","name":"_symbol","type":"string"},{"internalType":"uint8","name":"_decimals","type":"uint8"},{"internalType":"uint256","name":"_initialSupply","type":"uint256"}],"stateMutability":"nonpayable","type":"constructor"},
+            {"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"allowance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientAllowance","type":"error"},
+            {"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientBalance","type":"error"},
+            {"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC20InvalidApprover","type":"error"},
+            {"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC20InvalidReceiver","type":"error"},
+            {"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC20InvalidSender","type":"error"},
+            {"inputs":[{"internalType":"address","name":"spender","type":"address"}],"name":"ERC20InvalidSpender","type":"error"},
+            {"inputs":[{"internalType":"address","name":"owner","type":"address"}],"name":"OwnableInvalidOwner","type":"error"},
+            {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"OwnableUnauthorizedAccount","type":"error"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"spender","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Approval","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"minter","type":"address"}],"name":"MinterAdded","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"minter","type":"address"}],"name":"MinterRemoved","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"previousOwner","type":"address"},{"indexed":true,"internalType":"address","name":"newOwner","type":"address"}],"name":"OwnershipTransferred","type":"event"},
+            {"anonymous":false,"inputs":[],"name":"Paused","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"amount","type":"uint256"}],"name":"TokensMinted","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Transfer","type":"event"},
+            {"anonymous":false,"inputs":[],"name":"Unpaused","type":"event"},
+            {"inputs":[{"internalType":"address","name":"_minter","type":"address"}],"name":"addMinter","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address[]","name":"_recipients","type":"address[]"},{"internalType":"uint256","name":"_amountPerRecipient","type":"uint256"}],"name":"airdrop","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"spender","type":"address"}],"name":"allowance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"approve","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address[]","name":"_recipients","type":"address[]"},{"internalType":"uint256[]","name":"_amounts","type":"uint256[]"}],"name":"batchMint","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"uint256","name":"_amount","type":"uint256"}],"name":"burn","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_from","type":"address"},{"internalType":"uint256","name":"_amount","type":"uint256"}],"name":"burnFrom","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"decimals","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"getRemainingMintableSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"getTokenInfo","outputs":[{"internalType":"string","name":"tokenName","type":"string"},{"internalType":"string","name":"tokenSymbol","type":"string"},{"internalType":"uint8","name":"tokenDecimals","type":"uint8"},{"internalType":"uint256","name":"tokenTotalSupply","type":"uint256"},{"internalType":"uint256","name":"maxSupply","type":"uint256"},{"internalType":"bool","name":"isPaused","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_address","type":"address"}],"name":"isMinter","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"MAX_SUPPLY","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_to","type":"address"},{"internalType":"uint256","name":"_amount","type":"uint256"}],"name":"mint","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"","type":"address"}],"name":"minters","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"owner","outputs":[{"internalType":"address","name":"","type":"address"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"pause","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"paused","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"_minter","type":"address"}],"name":"removeMinter","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"renounceOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"totalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"transfer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"amount","type":"uint256"}],"name":"transferFrom","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"newOwner","type":"address"}],"name":"transferOwnership","outputs":[],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[],"name":"unpause","outputs":[],"stateMutability":"nonpayable","type":"function"}
+        ],
+        ERC20: [
+            {"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"allowance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientAllowance","type":"error"},
+            {"inputs":[{"internalType":"address","name":"sender","type":"address"},{"internalType":"uint256","name":"balance","type":"uint256"},{"internalType":"uint256","name":"needed","type":"uint256"}],"name":"ERC20InsufficientBalance","type":"error"},
+            {"inputs":[{"internalType":"address","name":"approver","type":"address"}],"name":"ERC20InvalidApprover","type":"error"},
+            {"inputs":[{"internalType":"address","name":"receiver","type":"address"}],"name":"ERC20InvalidReceiver","type":"error"},
+            {"inputs":[{"internalType":"address","name":"sender","type":"address"}],"name":"ERC20InvalidSender","type":"error"},
+            {"inputs":[{"internalType":"address","name":"spender","type":"address"}],"name":"ERC20InvalidSpender","type":"error"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"owner","type":"address"},{"indexed":true,"internalType":"address","name":"spender","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Approval","type":"event"},
+            {"anonymous":false,"inputs":[{"indexed":true,"internalType":"address","name":"from","type":"address"},{"indexed":true,"internalType":"address","name":"to","type":"address"},{"indexed":false,"internalType":"uint256","name":"value","type":"uint256"}],"name":"Transfer","type":"event"},
+            {"inputs":[{"internalType":"address","name":"owner","type":"address"},{"internalType":"address","name":"spender","type":"address"}],"name":"allowance","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"spender","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"approve","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"account","type":"address"}],"name":"balanceOf","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"decimals","outputs":[{"internalType":"uint8","name":"","type":"uint8"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"name","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"symbol","outputs":[{"internalType":"string","name":"","type":"string"}],"stateMutability":"view","type":"function"},
+            {"inputs":[],"name":"totalSupply","outputs":[{"internalType":"uint256","name":"","type":"uint256"}],"stateMutability":"view","type":"function"},
+            {"inputs":[{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transfer","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"},
+            {"inputs":[{"internalType":"address","name":"from","type":"address"},{"internalType":"address","name":"to","type":"address"},{"internalType":"uint256","name":"value","type":"uint256"}],"name":"transferFrom","outputs":[{"internalType":"bool","name":"","type":"bool"}],"stateMutability":"nonpayable","type":"function"}
+        ]
+    };
+
+    /**
+     * SecretFundraiser.campaignContributions(uint256,uint256) return values
+     * @typedef {Object} SecretFundraiserCampaignContributionsResult
+     * @property {string} contributor address
+     * @property {string} campaignId uint256
+     * @property {string} blockTimestamp uint32
+     * @property {string} hiddenAmount bytes32 (euint64)
+     * @property {string} actualValue uint256
+     * @property {boolean} rewardsClaimed bool
+     * @property {boolean} fundsReclaimed bool
+     */
+    /**
+     * SecretFundraiser.campaigns(uint256) return values
+     * @typedef {Object} SecretFundraiserCampaignsResult
+     * @property {string} campaignId uint256
+     * @property {string} creator address
+     * @property {string} rewardToken address
+     * @property {string} tokenSupply uint256
+     * @property {string} fundingGoal uint256
+     * @property {string} pricePerToken uint256
+     * @property {string} launchTime uint32
+     * @property {string} closingTime uint32
+     * @property {string} minimumBid uint256
+     * @property {string} maximumBid uint256
+     * @property {boolean} isLive bool
+     * @property {string} currentState uint8 (enum SecretFundraiser.CampaignState)
+     * @property {string} infoHash string
+     * @property {string} hiddenTotalRaised bytes32 (euint64)
+     * @property {string} revealedTotalRaised uint64
+     * @property {string} computeState uint8 (enum SecretFundraiser.ComputationState)
+     */
+    /**
+     * SecretFundraiser.getCampaign(uint256) return values
+     * @typedef {Object} SecretFundraiserGetCampaignResult
+     * @property {string} campaignId uint256
+     * @property {string} creator address
+     * @property {string} rewardToken address
+     * @property {string} tokenSupply uint256
+     * @property {string} fundingGoal uint256
+     * @property {string} pricePerToken uint256
+     * @property {string} launchTime uint32
+     * @property {string} closingTime uint32
+     * @property {string} minimumBid uint256
+     * @property {string} maximumBid uint256
+     * @property {boolean} isLive bool
+     * @property {string} currentState uint8 (enum SecretFundraiser.CampaignState)
+     * @property {string} infoHash string
+     * @property {string} revealedTotalRaised uint64
+     * @property {string} computeState uint8 (enum SecretFundraiser.ComputationState)
+     */
+    /**
+     * SecretFundraiser.CampaignLaunched(uint256,address,address,uint256,uint256) values
+     * @typedef {Object} SecretFundraiserCampaignLaunchedEvent
+     * @property {string} campaignId uint256
+     * @property {string} creator address
+     * @property {string} rewardToken address
+     * @property {string} fundingGoal uint256
+     * @property {string} pricePerToken uint256
+     */
+    /**
+     * SecretFundraiser.CampaignStateChanged(uint256,uint8) values
+     * @typedef {Object} SecretFundraiserCampaignStateChangedEvent
+     * @property {string} campaignId uint256
+     * @property {string} newState uint8 (enum SecretFundraiser.CampaignState)
+     */
+    /**
+     * SecretFundraiser.CampaignSucceeded(uint256,uint64,uint256) values
+     * @typedef {Object} SecretFundraiserCampaignSucceededEvent
+     * @property {string} campaignId uint256
+     * @property {string} totalRaised uint64
+     * @property {string} blockTimestamp uint256
+     */
+    /**
+     * SecretFundraiser.ComputationStarted(uint256,uint256) values
+     * @typedef {Object} SecretFundraiserComputationStartedEvent
+     * @property {string} campaignId uint256
+     * @property {string} requestId uint256
+     */
+    /**
+     * SecretFundraiser.FundsReclaimed(uint256,address,uint256) values
+     * @typedef {Object} SecretFundraiserFundsReclaimedEvent
+     * @property {string} campaignId uint256
+     * @property {string} contributor address
+     * @property {string} amount uint256
+     */
+    /**
+     * SecretFundraiser.OwnershipTransferred(address,address) values
+     * @typedef {Object} SecretFundraiserOwnershipTransferredEvent
+     * @property {string} previousOwner address
+     * @property {string} newOwner address
+     */
+    /**
+     * SecretFundraiser.RewardsClaimed(uint256,address,uint256) values
+     * @typedef {Object} SecretFundraiserRewardsClaimedEvent
+     * @property {string} campaignId uint256
+     * @property {string} contributor address
+     * @property {string} tokenAmount uint256
+     */
+    /**
+     * SecretFundraiser.SecretContributionReceived(uint256,address,uint256) values
+     * @typedef {Object} SecretFundraiserSecretContributionReceivedEvent
+     * @property {string} campaignId uint256
+     * @property {string} contributor address
+     * @property {string} blockTimestamp uint256
+     */
+
+    /**
+     * Bindings for SecretFundraiser: one method per ABI function returning web3's method object
+     * (call / send / encodeABI / estimateGas), plus typed event accessors under `events`.
+     * @param {Web3} web3
+     * @param {string} address
+     */
+    function SecretFundraiser(web3, address) {
+        const binding = createBinding(web3, ABIS.SecretFundraiser, address);
+        return Object.assign(binding, {
+            /**
+             * campaignContributions(uint256,uint256) view
+             * @param {number|string|bigint} arg0 uint256
+             * @param {number|string|bigint} arg1 uint256
+             * @returns {ContractMethod<SecretFundraiserCampaignContributionsResult>}
+             */
+            campaignContributions: (arg0, arg1) => binding.method('campaignContributions(uint256,uint256)', [arg0, arg1]),
+            /**
+             * campaigns(uint256) view
+             * @param {number|string|bigint} arg0 uint256
+             * @returns {ContractMethod<SecretFundraiserCampaignsResult>}
+             */
+            campaigns: (arg0) => binding.method('campaigns(uint256)', [arg0]),
+            /**
+             * cancelCampaign(uint256) nonpayable
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            cancelCampaign: (_campaignId) => binding.method('cancelCampaign(uint256)', [_campaignId]),
+            /**
+             * claimRewards(uint256) nonpayable
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            claimRewards: (_campaignId) => binding.method('claimRewards(uint256)', [_campaignId]),
+            /**
+             * computeCampaignTotals(uint256) nonpayable
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<string>}
+             */
+            computeCampaignTotals: (_campaignId) => binding.method('computeCampaignTotals(uint256)', [_campaignId]),
+            /**
+             * contributeSecretly(uint256,bytes32,bytes) payable
+             * @param {number|string|bigint} _campaignId uint256
+             * @param {string} _encryptedValue bytes32 (inEuint64)
+             * @param {string} _proof bytes
+             * @returns {ContractMethod<void>}
+             */
+            contributeSecretly: (_campaignId, _encryptedValue, _proof) => binding.method('contributeSecretly(uint256,bytes32,bytes)', [_campaignId, _encryptedValue, _proof]),
+            /**
+             * emergencyTerminateCampaign(uint256) nonpayable
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            emergencyTerminateCampaign: (_campaignId) => binding.method('emergencyTerminateCampaign(uint256)', [_campaignId]),
+            /**
+             * feeCollector() view
+             * @returns {ContractMethod<string>}
+             */
+            feeCollector: () => binding.method('feeCollector()', []),
+            /**
+             * fheCrypto() view
+             * @returns {ContractMethod<string>}
+             */
+            fheCrypto: () => binding.method('fheCrypto()', []),
+            /**
+             * getCampaign(uint256) view
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<SecretFundraiserGetCampaignResult>}
+             */
+            getCampaign: (_campaignId) => binding.method('getCampaign(uint256)', [_campaignId]),
+            /**
+             * getLiveCampaigns() view
+             * @returns {ContractMethod<Array<string>>}
+             */
+            getLiveCampaigns: () => binding.method('getLiveCampaigns()', []),
+            /**
+             * getUserCampaigns(address) view
+             * @param {string} _user address
+             * @returns {ContractMethod<Array<string>>}
+             */
+            getUserCampaigns: (_user) => binding.method('getUserCampaigns(address)', [_user]),
+            /**
+             * handleComputationResult(uint256,uint64,bytes[]) nonpayable
+             * @param {number|string|bigint} _requestId uint256
+             * @param {number|string|bigint} _revealedTotal uint64
+             * @param {Array<string>} _signatures bytes[]
+             * @returns {ContractMethod<void>}
+             */
+            handleComputationResult: (_requestId, _revealedTotal, _signatures) => binding.method('handleComputationResult(uint256,uint64,bytes[])', [_requestId, _revealedTotal, _signatures]),
+            /**
+             * hasContributed(uint256,address) view
+             * @param {number|string|bigint} arg0 uint256
+             * @param {string} arg1 address
+             * @returns {ContractMethod<boolean>}
+             */
+            hasContributed: (arg0, arg1) => binding.method('hasContributed(uint256,address)', [arg0, arg1]),
+            /**
+             * launchCampaign(address,uint256,uint256,uint256,uint256,uint256,uint256,string) nonpayable
+             * @param {string} _rewardToken address
+             * @param {number|string|bigint} _tokenSupply uint256
+             * @param {number|string|bigint} _fundingGoal uint256
+             * @param {number|string|bigint} _pricePerToken uint256
+             * @param {number|string|bigint} _duration uint256
+             * @param {number|string|bigint} _minimumBid uint256
+             * @param {number|string|bigint} _maximumBid uint256
+             * @param {string} _infoHash string
+             * @returns {ContractMethod<string>}
+             */
+            launchCampaign: (_rewardToken, _tokenSupply, _fundingGoal, _pricePerToken, _duration, _minimumBid, _maximumBid, _infoHash) => binding.method('launchCampaign(address,uint256,uint256,uint256,uint256,uint256,uint256,string)', [_rewardToken, _tokenSupply, _fundingGoal, _pricePerToken, _duration, _minimumBid, _maximumBid, _infoHash]),
+            /**
+             * MAX_SERVICE_FEE() view
+             * @returns {ContractMethod<string>}
+             */
+            MAX_SERVICE_FEE: () => binding.method('MAX_SERVICE_FEE()', []),
+            /**
+             * nextCampaignId() view
+             * @returns {ContractMethod<string>}
+             */
+            nextCampaignId: () => binding.method('nextCampaignId()', []),
+            /**
+             * owner() view
+             * @returns {ContractMethod<string>}
+             */
+            owner: () => binding.method('owner()', []),
+            /**
+             * reclaimFunds(uint256) nonpayable
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            reclaimFunds: (_campaignId) => binding.method('reclaimFunds(uint256)', [_campaignId]),
+            /**
+             * renounceOwnership() nonpayable
+             * @returns {ContractMethod<void>}
+             */
+            renounceOwnership: () => binding.method('renounceOwnership()', []),
+            /**
+             * serviceFeeRate() view
+             * @returns {ContractMethod<string>}
+             */
+            serviceFeeRate: () => binding.method('serviceFeeRate()', []),
+            /**
+             * totalContributed(uint256,address) view
+             * @param {number|string|bigint} arg0 uint256
+             * @param {string} arg1 address
+             * @returns {ContractMethod<string>}
+             */
+            totalContributed: (arg0, arg1) => binding.method('totalContributed(uint256,address)', [arg0, arg1]),
+            /**
+             * transferOwnership(address) nonpayable
+             * @param {string} newOwner address
+             * @returns {ContractMethod<void>}
+             */
+            transferOwnership: (newOwner) => binding.method('transferOwnership(address)', [newOwner]),
+            /**
+             * updateFeeCollector(address) nonpayable
+             * @param {string} _newCollector address
+             * @returns {ContractMethod<void>}
+             */
+            updateFeeCollector: (_newCollector) => binding.method('updateFeeCollector(address)', [_newCollector]),
+            /**
+             * updateServiceFeeRate(uint16) nonpayable
+             * @param {number|string|bigint} _newRate uint16
+             * @returns {ContractMethod<void>}
+             */
+            updateServiceFeeRate: (_newRate) => binding.method('updateServiceFeeRate(uint16)', [_newRate]),
+            /**
+             * userCampaigns(address,uint256) view
+             * @param {string} arg0 address
+             * @param {number|string|bigint} arg1 uint256
+             * @returns {ContractMethod<string>}
+             */
+            userCampaigns: (arg0, arg1) => binding.method('userCampaigns(address,uint256)', [arg0, arg1]),
+            /**
+             * vaultManager() view
+             * @returns {ContractMethod<string>}
+             */
+            vaultManager: () => binding.method('vaultManager()', []),
+            events: {
+                /** @type {EventBinding<SecretFundraiserCampaignLaunchedEvent>} */
+                CampaignLaunched: binding.event('CampaignLaunched(uint256,address,address,uint256,uint256)'),
+                /** @type {EventBinding<SecretFundraiserCampaignStateChangedEvent>} */
+                CampaignStateChanged: binding.event('CampaignStateChanged(uint256,uint8)'),
+                /** @type {EventBinding<SecretFundraiserCampaignSucceededEvent>} */
+                CampaignSucceeded: binding.event('CampaignSucceeded(uint256,uint64,uint256)'),
+                /** @type {EventBinding<SecretFundraiserComputationStartedEvent>} */
+                ComputationStarted: binding.event('ComputationStarted(uint256,uint256)'),
+                /** @type {EventBinding<SecretFundraiserFundsReclaimedEvent>} */
+                FundsReclaimed: binding.event('FundsReclaimed(uint256,address,uint256)'),
+                /** @type {EventBinding<SecretFundraiserOwnershipTransferredEvent>} */
+                OwnershipTransferred: binding.event('OwnershipTransferred(address,address)'),
+                /** @type {EventBinding<SecretFundraiserRewardsClaimedEvent>} */
+                RewardsClaimed: binding.event('RewardsClaimed(uint256,address,uint256)'),
+                /** @type {EventBinding<SecretFundraiserSecretContributionReceivedEvent>} */
+                SecretContributionReceived: binding.event('SecretContributionReceived(uint256,address,uint256)'),
+            }
+        });
+    }
+
+    /**
+     * ConfidentialTrading.getOrder(uint256) return values
+     * @typedef {Object} ConfidentialTradingGetOrderResult
+     * @property {string} trader address
+     * @property {string} baseToken address
+     * @property {string} quoteToken address
+     * @property {string} orderType uint8 (enum ConfidentialTrading.OrderType)
+     * @property {string} status uint8 (enum ConfidentialTrading.OrderStatus)
+     * @property {string} createdAt uint256
+     * @property {string} expiresAt uint256
+     * @property {string} actualAmount uint256
+     * @property {string} actualPrice uint256
+     * @property {string} filledAmount uint256
+     * @property {boolean} isActive bool
+     */
+    /**
+     * ConfidentialTrading.orders(uint256) return values
+     * @typedef {Object} ConfidentialTradingOrdersResult
+     * @property {string} orderId uint256
+     * @property {string} trader address
+     * @property {string} baseToken address
+     * @property {string} quoteToken address
+     * @property {string} orderType uint8 (enum ConfidentialTrading.OrderType)
+     * @property {string} status uint8 (enum ConfidentialTrading.OrderStatus)
+     * @property {string} createdAt uint256
+     * @property {string} expiresAt uint256
+     * @property {string} encryptedAmount bytes32 (euint64)
+     * @property {string} encryptedPrice bytes32 (euint64)
+     * @property {string} encryptedFilled bytes32 (euint64)
+     * @property {string} actualAmount uint256
+     * @property {string} actualPrice uint256
+     * @property {string} filledAmount uint256
+     * @property {boolean} isActive bool
+     */
+    /**
+     * ConfidentialTrading.traderBalances(address) return values
+     * @typedef {Object} ConfidentialTradingTraderBalancesResult
+     * @property {string} totalDeposits uint256
+     * @property {string} totalWithdrawals uint256
+     * @property {string} lastUpdateTime uint256
+     */
+    /**
+     * ConfidentialTrading.OrderCancelled(uint256,address,uint256) values
+     * @typedef {Object} ConfidentialTradingOrderCancelledEvent
+     * @property {string} orderId uint256
+     * @property {string} trader address
+     * @property {string} cancelledAt uint256
+     */
+    /**
+     * ConfidentialTrading.OrderMatched(uint256,uint256,address,uint256) values
+     * @typedef {Object} ConfidentialTradingOrderMatchedEvent
+     * @property {string} buyOrderId uint256
+     * @property {string} sellOrderId uint256
+     * @property {string} trader address
+     * @property {string} matchedAt uint256
+     */
+    /**
+     * ConfidentialTrading.OrderPlaced(uint256,address,address,address,uint8,uint256) values
+     * @typedef {Object} ConfidentialTradingOrderPlacedEvent
+     * @property {string} orderId uint256
+     * @property {string} trader address
+     * @property {string} baseToken address
+     * @property {string} quoteToken address
+     * @property {string} orderType uint8 (enum ConfidentialTrading.OrderType)
+     * @property {string} createdAt uint256
+     */
+    /**
+     * ConfidentialTrading.OwnershipTransferred(address,address) values
+     * @typedef {Object} ConfidentialTradingOwnershipTransferredEvent
+     * @property {string} previousOwner address
+     * @property {string} newOwner address
+     */
+    /**
+     * ConfidentialTrading.TokensDeposited(address,address,uint256,uint256) values
+     * @typedef {Object} ConfidentialTradingTokensDepositedEvent
+     * @property {string} trader address
+     * @property {string} token address
+     * @property {string} amount uint256
+     * @property {string} timestamp uint256
+     */
+    /**
+     * ConfidentialTrading.TokensWithdrawn(address,address,uint256,uint256) values
+     * @typedef {Object} ConfidentialTradingTokensWithdrawnEvent
+     * @property {string} trader address
+     * @property {string} token address
+     * @property {string} amount uint256
+     * @property {string} timestamp uint256
+     */
+    /**
+     * ConfidentialTrading.TradingPairAdded(address,address) values
+     * @typedef {Object} ConfidentialTradingTradingPairAddedEvent
+     * @property {string} baseToken address
+     * @property {string} quoteToken address
+     */
+
+    /**
+     * Bindings for ConfidentialTrading: one method per ABI function returning web3's method object
+     * (call / send / encodeABI / estimateGas), plus typed event accessors under `events`.
+     * @param {Web3} web3
+     * @param {string} address
+     */
+    function ConfidentialTrading(web3, address) {
+        const binding = createBinding(web3, ABIS.ConfidentialTrading, address);
+        return Object.assign(binding, {
+            /**
+             * activeTradingPairs(uint256) view
+             * @param {number|string|bigint} arg0 uint256
+             * @returns {ContractMethod<string>}
+             */
+            activeTradingPairs: (arg0) => binding.method('activeTradingPairs(uint256)', [arg0]),
+            /**
+             * addSupportedToken(address,uint256) nonpayable
+             * @param {string} _token address
+             * @param {number|string|bigint} _precision uint256
+             * @returns {ContractMethod<void>}
+             */
+            addSupportedToken: (_token, _precision) => binding.method('addSupportedToken(address,uint256)', [_token, _precision]),
+            /**
+             * cancelOrder(uint256) nonpayable
+             * @param {number|string|bigint} _orderId uint256
+             * @returns {ContractMethod<void>}
+             */
+            cancelOrder: (_orderId) => binding.method('cancelOrder(uint256)', [_orderId]),
+            /**
+             * depositTokens(address,uint256) nonpayable
+             * @param {string} _token address
+             * @param {number|string|bigint} _amount uint256
+             * @returns {ContractMethod<void>}
+             */
+            depositTokens: (_token, _amount) => binding.method('depositTokens(address,uint256)', [_token, _amount]),
+            /**
+             * feeCollector() view
+             * @returns {ContractMethod<string>}
+             */
+            feeCollector: () => binding.method('feeCollector()', []),
+            /**
+             * fheCrypto() view
+             * @returns {ContractMethod<string>}
+             */
+            fheCrypto: () => binding.method('fheCrypto()', []),
+            /**
+             * getActiveOrders() view
+             * @returns {ContractMethod<Array<string>>}
+             */
+            getActiveOrders: () => binding.method('getActiveOrders()', []),
+            /**
+             * getEncryptedBalance(address,address) view
+             * @param {string} _trader address
+             * @param {string} _token address
+             * @returns {ContractMethod<string>}
+             */
+            getEncryptedBalance: (_trader, _token) => binding.method('getEncryptedBalance(address,address)', [_trader, _token]),
+            /**
+             * getLockedBalance(address,address) view
+             * @param {string} _trader address
+             * @param {string} _token address
+             * @returns {ContractMethod<string>}
+             */
+            getLockedBalance: (_trader, _token) => binding.method('getLockedBalance(address,address)', [_trader, _token]),
+            /**
+             * getOrder(uint256) view
+             * @param {number|string|bigint} _orderId uint256
+             * @returns {ContractMethod<ConfidentialTradingGetOrderResult>}
+             */
+            getOrder: (_orderId) => binding.method('getOrder(uint256)', [_orderId]),
+            /**
+             * getTraderOrders(address) view
+             * @param {string} _trader address
+             * @returns {ContractMethod<Array<string>>}
+             */
+            getTraderOrders: (_trader) => binding.method('getTraderOrders(address)', [_trader]),
+            /**
+             * MAX_TRADING_FEE() view
+             * @returns {ContractMethod<string>}
+             */
+            MAX_TRADING_FEE: () => binding.method('MAX_TRADING_FEE()', []),
+            /**
+             * nextOrderId() view
+             * @returns {ContractMethod<string>}
+             */
+            nextOrderId: () => binding.method('nextOrderId()', []),
+            /**
+             * ORDER_DURATION() view
+             * @returns {ContractMethod<string>}
+             */
+            ORDER_DURATION: () => binding.method('ORDER_DURATION()', []),
+            /**
+             * orders(uint256) view
+             * @param {number|string|bigint} arg0 uint256
+             * @returns {ContractMethod<ConfidentialTradingOrdersResult>}
+             */
+            orders: (arg0) => binding.method('orders(uint256)', [arg0]),
+            /**
+             * owner() view
+             * @returns {ContractMethod<string>}
+             */
+            owner: () => binding.method('owner()', []),
+            /**
+             * placeOrder(address,address,uint8,bytes32,bytes32,bytes,bytes,uint256,uint256) nonpayable
+             * @param {string} _baseToken address
+             * @param {string} _quoteToken address
+             * @param {number|string|bigint} _orderType uint8 (enum ConfidentialTrading.OrderType)
+             * @param {string} _encryptedAmount bytes32 (inEuint64)
+             * @param {string} _encryptedPrice bytes32 (inEuint64)
+             * @param {string} _amountProof bytes
+             * @param {string} _priceProof bytes
+             * @param {number|string|bigint} _actualAmount uint256
+             * @param {number|string|bigint} _actualPrice uint256
+             * @returns {ContractMethod<void>}
+             */
+            placeOrder: (_baseToken, _quoteToken, _orderType, _encryptedAmount, _encryptedPrice, _amountProof, _priceProof, _actualAmount, _actualPrice) => binding.method('placeOrder(address,address,uint8,bytes32,bytes32,bytes,bytes,uint256,uint256)', [_baseToken, _quoteToken, _orderType, _encryptedAmount, _encryptedPrice, _amountProof, _priceProof, _actualAmount, _actualPrice]),
+            /**
+             * removeSupportedToken(address) nonpayable
+             * @param {string} _token address
+             * @returns {ContractMethod<void>}
+             */
+            removeSupportedToken: (_token) => binding.method('removeSupportedToken(address)', [_token]),
+            /**
+             * renounceOwnership() nonpayable
+             * @returns {ContractMethod<void>}
+             */
+            renounceOwnership: () => binding.method('renounceOwnership()', []),
+            /**
+             * supportedTokens(address) view
+             * @param {string} arg0 address
+             * @returns {ContractMethod<boolean>}
+             */
+            supportedTokens: (arg0) => binding.method('supportedTokens(address)', [arg0]),
+            /**
+             * tokenPrecisions(address) view
+             * @param {string} arg0 address
+             * @returns {ContractMethod<string>}
+             */
+            tokenPrecisions: (arg0) => binding.method('tokenPrecisions(address)', [arg0]),
+            /**
+             * traderBalances(address) view
+             * @param {string} arg0 address
+             * @returns {ContractMethod<ConfidentialTradingTraderBalancesResult>}
+             */
+            traderBalances: (arg0) => binding.method('traderBalances(address)', [arg0]),
+            /**
+             * traderOrders(address,uint256) view
+             * @param {string} arg0 address
+             * @param {number|string|bigint} arg1 uint256
+             * @returns {ContractMethod<string>}
+             */
+            traderOrders: (arg0, arg1) => binding.method('traderOrders(address,uint256)', [arg0, arg1]),
+            /**
+             * tradingFeeRate() view
+             * @returns {ContractMethod<string>}
+             */
+            tradingFeeRate: () => binding.method('tradingFeeRate()', []),
+            /**
+             * transferOwnership(address) nonpayable
+             * @param {string} newOwner address
+             * @returns {ContractMethod<void>}
+             */
+            transferOwnership: (newOwner) => binding.method('transferOwnership(address)', [newOwner]),
+            /**
+             * updateFeeCollector(address) nonpayable
+             * @param {string} _newCollector address
+             * @returns {ContractMethod<void>}
+             */
+            updateFeeCollector: (_newCollector) => binding.method('updateFeeCollector(address)', [_newCollector]),
+            /**
+             * updateTradingFeeRate(uint256) nonpayable
+             * @param {number|string|bigint} _newRate uint256
+             * @returns {ContractMethod<void>}
+             */
+            updateTradingFeeRate: (_newRate) => binding.method('updateTradingFeeRate(uint256)', [_newRate]),
+            /**
+             * withdrawTokens(address,uint256) nonpayable
+             * @param {string} _token address
+             * @param {number|string|bigint} _amount uint256
+             * @returns {ContractMethod<void>}
+             */
+            withdrawTokens: (_token, _amount) => binding.method('withdrawTokens(address,uint256)', [_token, _amount]),
+            events: {
+                /** @type {EventBinding<ConfidentialTradingOrderCancelledEvent>} */
+                OrderCancelled: binding.event('OrderCancelled(uint256,address,uint256)'),
+                /** @type {EventBinding<ConfidentialTradingOrderMatchedEvent>} */
+                OrderMatched: binding.event('OrderMatched(uint256,uint256,address,uint256)'),
+                /** @type {EventBinding<ConfidentialTradingOrderPlacedEvent>} */
+                OrderPlaced: binding.event('OrderPlaced(uint256,address,address,address,uint8,uint256)'),
+                /** @type {EventBinding<ConfidentialTradingOwnershipTransferredEvent>} */
+                OwnershipTransferred: binding.event('OwnershipTransferred(address,address)'),
+                /** @type {EventBinding<ConfidentialTradingTokensDepositedEvent>} */
+                TokensDeposited: binding.event('TokensDeposited(address,address,uint256,uint256)'),
+                /** @type {EventBinding<ConfidentialTradingTokensWithdrawnEvent>} */
+                TokensWithdrawn: binding.event('TokensWithdrawn(address,address,uint256,uint256)'),
+                /** @type {EventBinding<ConfidentialTradingTradingPairAddedEvent>} */
+                TradingPairAdded: binding.event('TradingPairAdded(address,address)'),
+            }
+        });
+    }
+
+    /**
+     * VaultManager.getVault(uint256) return values
+     * @typedef {Object} VaultManagerGetVaultResult
+     * @property {string} campaignId uint256
+     * @property {string} tokenAddress address
+     * @property {string} depositor address
+     * @property {string} totalDeposited uint256
+     * @property {string} totalReleased uint256
+     * @property {string} remainingBalance uint256
+     * @property {boolean} isLocked bool
+     * @property {string} createdAt uint256
+     */
+    /**
+     * VaultManager.vaults(uint256) return values
+     * @typedef {Object} VaultManagerVaultsResult
+     * @property {string} campaignId uint256
+     * @property {string} tokenAddress address
+     * @property {string} depositor address
+     * @property {string} totalDeposited uint256
+     * @property {string} totalReleased uint256
+     * @property {string} remainingBalance uint256
+     * @property {boolean} isLocked bool
+     * @property {string} createdAt uint256
+     */
+    /**
+     * VaultManager.AuthorizedContractAdded(address) values
+     * @typedef {Object} VaultManagerAuthorizedContractAddedEvent
+     * @property {string} contractAddress address
+     */
+    /**
+     * VaultManager.AuthorizedContractRemoved(address) values
+     * @typedef {Object} VaultManagerAuthorizedContractRemovedEvent
+     * @property {string} contractAddress address
+     */
+    /**
+     * VaultManager.OwnershipTransferred(address,address) values
+     * @typedef {Object} VaultManagerOwnershipTransferredEvent
+     * @property {string} previousOwner address
+     * @property {string} newOwner address
+     */
+    /**
+     * VaultManager.TokensDeposited(uint256,address,address,uint256) values
+     * @typedef {Object} VaultManagerTokensDepositedEvent
+     * @property {string} campaignId uint256
+     * @property {string} tokenAddress address
+     * @property {string} depositor address
+     * @property {string} amount uint256
+     */
+    /**
+     * VaultManager.TokensReleased(uint256,address,uint256) values
+     * @typedef {Object} VaultManagerTokensReleasedEvent
+     * @property {string} campaignId uint256
+     * @property {string} recipient address
+     * @property {string} amount uint256
+     */
+    /**
+     * VaultManager.TokensReturned(uint256,address,uint256) values
+     * @typedef {Object} VaultManagerTokensReturnedEvent
+     * @property {string} campaignId uint256
+     * @property {string} depositor address
+     * @property {string} amount uint256
+     */
+    /**
+     * VaultManager.VaultLocked(uint256,uint256) values
+     * @typedef {Object} VaultManagerVaultLockedEvent
+     * @property {string} campaignId uint256
+     * @property {string} lockedAt uint256
+     */
+    /**
+     * VaultManager.VaultUnlocked(uint256,uint256) values
+     * @typedef {Object} VaultManagerVaultUnlockedEvent
+     * @property {string} campaignId uint256
+     * @property {string} unlockedAt uint256
+     */
+
+    /**
+     * Bindings for VaultManager: one method per ABI function returning web3's method object
+     * (call / send / encodeABI / estimateGas), plus typed event accessors under `events`.
+     * @param {Web3} web3
+     * @param {string} address
+     */
+    function VaultManager(web3, address) {
+        const binding = createBinding(web3, ABIS.VaultManager, address);
+        return Object.assign(binding, {
+            /**
+             * addAuthorizedContract(address) nonpayable
+             * @param {string} _contract address
+             * @returns {ContractMethod<void>}
+             */
+            addAuthorizedContract: (_contract) => binding.method('addAuthorizedContract(address)', [_contract]),
+            /**
+             * authorizedContracts(address) view
+             * @param {string} arg0 address
+             * @returns {ContractMethod<boolean>}
+             */
+            authorizedContracts: (arg0) => binding.method('authorizedContracts(address)', [arg0]),
+            /**
+             * depositorVaults(address,uint256) view
+             * @param {string} arg0 address
+             * @param {number|string|bigint} arg1 uint256
+             * @returns {ContractMethod<string>}
+             */
+            depositorVaults: (arg0, arg1) => binding.method('depositorVaults(address,uint256)', [arg0, arg1]),
+            /**
+             * depositTokens(address,address,uint256,uint256) nonpayable
+             * @param {string} _tokenAddress address
+             * @param {string} _depositor address
+             * @param {number|string|bigint} _amount uint256
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            depositTokens: (_tokenAddress, _depositor, _amount, _campaignId) => binding.method('depositTokens(address,address,uint256,uint256)', [_tokenAddress, _depositor, _amount, _campaignId]),
+            /**
+             * emergencyTokenRecovery(address,address,uint256) nonpayable
+             * @param {string} _tokenAddress address
+             * @param {string} _recipient address
+             * @param {number|string|bigint} _amount uint256
+             * @returns {ContractMethod<void>}
+             */
+            emergencyTokenRecovery: (_tokenAddress, _recipient, _amount) => binding.method('emergencyTokenRecovery(address,address,uint256)', [_tokenAddress, _recipient, _amount]),
+            /**
+             * emergencyUnlockVault(uint256) nonpayable
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            emergencyUnlockVault: (_campaignId) => binding.method('emergencyUnlockVault(uint256)', [_campaignId]),
+            /**
+             * getDepositorVaults(address) view
+             * @param {string} _depositor address
+             * @returns {ContractMethod<Array<string>>}
+             */
+            getDepositorVaults: (_depositor) => binding.method('getDepositorVaults(address)', [_depositor]),
+            /**
+             * getVault(uint256) view
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<VaultManagerGetVaultResult>}
+             */
+            getVault: (_campaignId) => binding.method('getVault(uint256)', [_campaignId]),
+            /**
+             * getVaultBalance(uint256) view
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<string>}
+             */
+            getVaultBalance: (_campaignId) => binding.method('getVaultBalance(uint256)', [_campaignId]),
+            /**
+             * lockVault(uint256) nonpayable
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            lockVault: (_campaignId) => binding.method('lockVault(uint256)', [_campaignId]),
+            /**
+             * owner() view
+             * @returns {ContractMethod<string>}
+             */
+            owner: () => binding.method('owner()', []),
+            /**
+             * releaseTokens(address,address,uint256,uint256) nonpayable
+             * @param {string} _tokenAddress address
+             * @param {string} _recipient address
+             * @param {number|string|bigint} _amount uint256
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            releaseTokens: (_tokenAddress, _recipient, _amount, _campaignId) => binding.method('releaseTokens(address,address,uint256,uint256)', [_tokenAddress, _recipient, _amount, _campaignId]),
+            /**
+             * removeAuthorizedContract(address) nonpayable
+             * @param {string} _contract address
+             * @returns {ContractMethod<void>}
+             */
+            removeAuthorizedContract: (_contract) => binding.method('removeAuthorizedContract(address)', [_contract]),
+            /**
+             * renounceOwnership() nonpayable
+             * @returns {ContractMethod<void>}
+             */
+            renounceOwnership: () => binding.method('renounceOwnership()', []),
+            /**
+             * returnTokens(address,address,uint256,uint256) nonpayable
+             * @param {string} _tokenAddress address
+             * @param {string} _depositor address
+             * @param {number|string|bigint} _amount uint256
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            returnTokens: (_tokenAddress, _depositor, _amount, _campaignId) => binding.method('returnTokens(address,address,uint256,uint256)', [_tokenAddress, _depositor, _amount, _campaignId]),
+            /**
+             * totalVaults() view
+             * @returns {ContractMethod<string>}
+             */
+            totalVaults: () => binding.method('totalVaults()', []),
+            /**
+             * transferOwnership(address) nonpayable
+             * @param {string} newOwner address
+             * @returns {ContractMethod<void>}
+             */
+            transferOwnership: (newOwner) => binding.method('transferOwnership(address)', [newOwner]),
+            /**
+             * unlockVault(uint256) nonpayable
+             * @param {number|string|bigint} _campaignId uint256
+             * @returns {ContractMethod<void>}
+             */
+            unlockVault: (_campaignId) => binding.method('unlockVault(uint256)', [_campaignId]),
+            /**
+             * VAULT_LOCK_DURATION() view
+             * @returns {ContractMethod<string>}
+             */
+            VAULT_LOCK_DURATION: () => binding.method('VAULT_LOCK_DURATION()', []),
+            /**
+             * vaults(uint256) view
+             * @param {number|string|bigint} arg0 uint256
+             * @returns {ContractMethod<VaultManagerVaultsResult>}
+             */
+            vaults: (arg0) => binding.method('vaults(uint256)', [arg0]),
+            events: {
+                /** @type {EventBinding<VaultManagerAuthorizedContractAddedEvent>} */
+                AuthorizedContractAdded: binding.event('AuthorizedContractAdded(address)'),
+                /** @type {EventBinding<VaultManagerAuthorizedContractRemovedEvent>} */
+                AuthorizedContractRemoved: binding.event('AuthorizedContractRemoved(address)'),
+                /** @type {EventBinding<VaultManagerOwnershipTransferredEvent>} */
+                OwnershipTransferred: binding.event('OwnershipTransferred(address,address)'),
+                /** @type {EventBinding<VaultManagerTokensDepositedEvent>} */
+                TokensDeposited: binding.event('TokensDeposited(uint256,address,address,uint256)'),
+                /** @type {EventBinding<VaultManagerTokensReleasedEvent>} */
+                TokensReleased: binding.event('TokensReleased(uint256,address,uint256)'),
+                /** @type {EventBinding<VaultManagerTokensReturnedEvent>} */
+                TokensReturned: binding.event('TokensReturned(uint256,address,uint256)'),
+                /** @type {EventBinding<VaultManagerVaultLockedEvent>} */
+                VaultLocked: binding.event('VaultLocked(uint256,uint256)'),
+                /** @type {EventBinding<VaultManagerVaultUnlockedEvent>} */
+                VaultUnlocked: binding.event('VaultUnlocked(uint256,uint256)'),
+            }
+        });
+    }
+
+    /**
+     * TestToken.getTokenInfo() return values
+     * @typedef {Object} TestTokenGetTokenInfoResult
+     * @property {string} tokenName string
+     * @property {string} tokenSymbol string
+     * @property {string} tokenDecimals uint8
+     * @property {string} tokenTotalSupply uint256
+     * @property {string} maxSupply uint256
+     * @property {boolean} isPaused bool
+     */
+    /**
+     * TestToken.Approval(address,address,uint256) values
+     * @typedef {Object} TestTokenApprovalEvent
+     * @property {string} owner address
+     * @property {string} spender address
+     * @property {string} value uint256
+     */
+    /**
+     * TestToken.MinterAdded(address) values
+     * @typedef {Object} TestTokenMinterAddedEvent
+     * @property {string} minter address
+     */
+    /**
+     * TestToken.MinterRemoved(address) values
+     * @typedef {Object} TestTokenMinterRemovedEvent
+     * @property {string} minter address
+     */
+    /**
+     * TestToken.OwnershipTransferred(address,address) values
+     * @typedef {Object} TestTokenOwnershipTransferredEvent
+     * @property {string} previousOwner address
+     * @property {string} newOwner address
+     */
+    /**
+     * TestToken.Paused() values
+     * @typedef {Object} TestTokenPausedEvent
+     */
+    /**
+     * TestToken.TokensMinted(address,uint256) values
+     * @typedef {Object} TestTokenTokensMintedEvent
+     * @property {string} to address
+     * @property {string} amount uint256
+     */
+    /**
+     * TestToken.Transfer(address,address,uint256) values
+     * @typedef {Object} TestTokenTransferEvent
+     * @property {string} from address
+     * @property {string} to address
+     * @property {string} value uint256
+     */
+    /**
+     * TestToken.Unpaused() values
+     * @typedef {Object} TestTokenUnpausedEvent
+     */
+
+    /**
+     * Bindings for TestToken: one method per ABI function returning web3's method object
+     * (call / send / encodeABI / estimateGas), plus typed event accessors under `events`.
+     * @param {Web3} web3
+     * @param {string} address
+     */
+    function TestToken(web3, address) {
+        const binding = createBinding(web3, ABIS.TestToken, address);
+        return Object.assign(binding, {
+            /**
+             * addMinter(address) nonpayable
+             * @param {string} _minter address
+             * @returns {ContractMethod<void>}
+             */
+            addMinter: (_minter) => binding.method('addMinter(address)', [_minter]),
+            /**
+             * airdrop(address[],uint256) nonpayable
+             * @param {Array<string>} _recipients address[]
+             * @param {number|string|bigint} _amountPerRecipient uint256
+             * @returns {ContractMethod<void>}
+             */
+            airdrop: (_recipients, _amountPerRecipient) => binding.method('airdrop(address[],uint256)', [_recipients, _amountPerRecipient]),
+            /**
+             * allowance(address,address) view
+             * @param {string} owner address
+             * @param {string} spender address
+             * @returns {ContractMethod<string>}
+             */
+            allowance: (owner, spender) => binding.method('allowance(address,address)', [owner, spender]),
+            /**
+             * approve(address,uint256) nonpayable
+             * @param {string} spender address
+             * @param {number|string|bigint} value uint256
+             * @returns {ContractMethod<boolean>}
+             */
+            approve: (spender, value) => binding.method('approve(address,uint256)', [spender, value]),
+            /**
+             * balanceOf(address) view
+             * @param {string} account address
+             * @returns {ContractMethod<string>}
+             */
+            balanceOf: (account) => binding.method('balanceOf(address)', [account]),
+            /**
+             * batchMint(address[],uint256[]) nonpayable
+             * @param {Array<string>} _recipients address[]
+             * @param {Array<number|string|bigint>} _amounts uint256[]
+             * @returns {ContractMethod<void>}
+             */
+            batchMint: (_recipients, _amounts) => binding.method('batchMint(address[],uint256[])', [_recipients, _amounts]),
+            /**
+             * burn(uint256) nonpayable
+             * @param {number|string|bigint} _amount uint256
+             * @returns {ContractMethod<void>}
+             */
+            burn: (_amount) => binding.method('burn(uint256)', [_amount]),
+            /**
+             * burnFrom(address,uint256) nonpayable
+             * @param {string} _from address
+             * @param {number|string|bigint} _amount uint256
+             * @returns {ContractMethod<void>}
+             */
+            burnFrom: (_from, _amount) => binding.method('burnFrom(address,uint256)', [_from, _amount]),
+            /**
+             * decimals() view
+             * @returns {ContractMethod<string>}
+             */
+            decimals: () => binding.method('decimals()', []),
+            /**
+             * getRemainingMintableSupply() view
+             * @returns {ContractMethod<string>}
+             */
+            getRemainingMintableSupply: () => binding.method('getRemainingMintableSupply()', []),
+            /**
+             * getTokenInfo() view
+             * @returns {ContractMethod<TestTokenGetTokenInfoResult>}
+             */
+            getTokenInfo: () => binding.method('getTokenInfo()', []),
+            /**
+             * isMinter(address) view
+             * @param {string} _address address
+             * @returns {ContractMethod<boolean>}
+             */
+            isMinter: (_address) => binding.method('isMinter(address)', [_address]),
+            /**
+             * MAX_SUPPLY() view
+             * @returns {ContractMethod<string>}
+             */
+            MAX_SUPPLY: () => binding.method('MAX_SUPPLY()', []),
+            /**
+             * mint(address,uint256) nonpayable
+             * @param {string} _to address
+             * @param {number|string|bigint} _amount uint256
+             * @returns {ContractMethod<void>}
+             */
+            mint: (_to, _amount) => binding.method('mint(address,uint256)', [_to, _amount]),
+            /**
+             * minters(address) view
+             * @param {string} arg0 address
+             * @returns {ContractMethod<boolean>}
+             */
+            minters: (arg0) => binding.method('minters(address)', [arg0]),
+            /**
+             * name() view
+             * @returns {ContractMethod<string>}
+             */
+            name: () => binding.method('name()', []),
+            /**
+             * owner() view
+             * @returns {ContractMethod<string>}
+             */
+            owner: () => binding.method('owner()', []),
+            /**
+             * pause() nonpayable
+             * @returns {ContractMethod<void>}
+             */
+            pause: () => binding.method('pause()', []),
+            /**
+             * paused() view
+             * @returns {ContractMethod<boolean>}
+             */
+            paused: () => binding.method('paused()', []),
+            /**
+             * removeMinter(address) nonpayable
+             * @param {string} _minter address
+             * @returns {ContractMethod<void>}
+             */
+            removeMinter: (_minter) => binding.method('removeMinter(address)', [_minter]),
+            /**
+             * renounceOwnership() nonpayable
+             * @returns {ContractMethod<void>}
+             */
+            renounceOwnership: () => binding.method('renounceOwnership()', []),
+            /**
+             * symbol() view
+             * @returns {ContractMethod<string>}
+             */
+            symbol: () => binding.method('symbol()', []),
+            /**
+             * totalSupply() view
+             * @returns {ContractMethod<string>}
+             */
+            totalSupply: () => binding.method('totalSupply()', []),
+            /**
+             * transfer(address,uint256) nonpayable
+             * @param {string} to address
+             * @param {number|string|bigint} amount uint256
+             * @returns {ContractMethod<boolean>}
+             */
+            transfer: (to, amount) => binding.method('transfer(address,uint256)', [to, amount]),
+            /**
+             * transferFrom(address,address,uint256) nonpayable
+             * @param {string} from address
+             * @param {string} to address
+             * @param {number|string|bigint} amount uint256
+             * @returns {ContractMethod<boolean>}
+             */
+            transferFrom: (from, to, amount) => binding.method('transferFrom(address,address,uint256)', [from, to, amount]),
+            /**
+             * transferOwnership(address) nonpayable
+             * @param {string} newOwner address
+             * @returns {ContractMethod<void>}
+             */
+            transferOwnership: (newOwner) => binding.method('transferOwnership(address)', [newOwner]),
+            /**
+             * unpause() nonpayable
+             * @returns {ContractMethod<void>}
+             */
+            unpause: () => binding.method('unpause()', []),
+            events: {
+                /** @type {EventBinding<TestTokenApprovalEvent>} */
+                Approval: binding.event('Approval(address,address,uint256)'),
+                /** @type {EventBinding<TestTokenMinterAddedEvent>} */
+                MinterAdded: binding.event('MinterAdded(address)'),
+                /** @type {EventBinding<TestTokenMinterRemovedEvent>} */
+                MinterRemoved: binding.event('MinterRemoved(address)'),
+                /** @type {EventBinding<TestTokenOwnershipTransferredEvent>} */
+                OwnershipTransferred: binding.event('OwnershipTransferred(address,address)'),
+                /** @type {EventBinding<TestTokenPausedEvent>} */
+                Paused: binding.event('Paused()'),
+                /** @type {EventBinding<TestTokenTokensMintedEvent>} */
+                TokensMinted: binding.event('TokensMinted(address,uint256)'),
+                /** @type {EventBinding<TestTokenTransferEvent>} */
+                Transfer: binding.event('Transfer(address,address,uint256)'),
+                /** @type {EventBinding<TestTokenUnpausedEvent>} */
+                Unpaused: binding.event('Unpaused()'),
+            }
+        });
+    }
+
+    /**
+     * ERC20.Approval(address,address,uint256) values
+     * @typedef {Object} ERC20ApprovalEvent
+     * @property {string} owner address
+     * @property {string} spender address
+     * @property {string} value uint256
+     */
+    /**
+     * ERC20.Transfer(address,address,uint256) values
+     * @typedef {Object} ERC20TransferEvent
+     * @property {string} from address
+     * @property {string} to address
+     * @property {string} value uint256
+     */
+
+    /**
+     * Bindings for ERC20: one method per ABI function returning web3's method object
+     * (call / send / encodeABI / estimateGas), plus typed event accessors under `events`.
+     * @param {Web3} web3
+     * @param {string} address
+     */
+    function ERC20(web3, address) {
+        const binding = createBinding(web3, ABIS.ERC20, address);
+        return Object.assign(binding, {
+            /**
+             * allowance(address,address) view
+             * @param {string} owner address
+             * @param {string} spender address
+             * @returns {ContractMethod<string>}
+             */
+            allowance: (owner, spender) => binding.method('allowance(address,address)', [owner, spender]),
+            /**
+             * approve(address,uint256) nonpayable
+             * @param {string} spender address
+             * @param {number|string|bigint} value uint256
+             * @returns {ContractMethod<boolean>}
+             */
+            approve: (spender, value) => binding.method('approve(address,uint256)', [spender, value]),
+            /**
+             * balanceOf(address) view
+             * @param {string} account address
+             * @returns {ContractMethod<string>}
+             */
+            balanceOf: (account) => binding.method('balanceOf(address)', [account]),
+            /**
+             * decimals() view
+             * @returns {ContractMethod<string>}
+             */
+            decimals: () => binding.method('decimals()', []),
+            /**
+             * name() view
+             * @returns {ContractMethod<string>}
+             */
+            name: () => binding.method('name()', []),
+            /**
+             * symbol() view
+             * @returns {ContractMethod<string>}
+             */
+            symbol: () => binding.method('symbol()', []),
+            /**
+             * totalSupply() view
+             * @returns {ContractMethod<string>}
+             */
+            totalSupply: () => binding.method('totalSupply()', []),
+            /**
+             * transfer(address,uint256) nonpayable
+             * @param {string} to address
+             * @param {number|string|bigint} value uint256
+             * @returns {ContractMethod<boolean>}
+             */
+            transfer: (to, value) => binding.method('transfer(address,uint256)', [to, value]),
+            /**
+             * transferFrom(address,address,uint256) nonpayable
+             * @param {string} from address
+             * @param {string} to address
+             * @param {number|string|bigint} value uint256
+             * @returns {ContractMethod<boolean>}
+             */
+            transferFrom: (from, to, value) => binding.method('transferFrom(address,address,uint256)', [from, to, value]),
+            events: {
+                /** @type {EventBinding<ERC20ApprovalEvent>} */
+                Approval: binding.event('Approval(address,address,uint256)'),
+                /** @type {EventBinding<ERC20TransferEvent>} */
+                Transfer: binding.event('Transfer(address,address,uint256)'),
+            }
+        });
+    }
+
+    return {
+        abis: ABIS,
+        showMessage,
+        describeWalletError,
+        getTargetChain,
+        requestAccounts,
+        ensureChain,
+        connectWallet,
+        getConnectedAccount,
+        SecretFundraiser,
+        ConfidentialTrading,
+        VaultManager,
+        TestToken,
+        ERC20
+    };
+})();
+
+// Export for use in HTML pages and Node
+if (typeof window !== 'undefined') {
+    window.ZeroDropSDK = ZeroDropSDK;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZeroDropSDK;
+}
@@ -2,15 +2,15 @@
 echo ================================
 echo  ZeroDrop Protocol Frontend
 echo ================================
-echo Starting local development server on port 3012...
+echo Starting local development server on port 3013...
 echo.
 echo Open your browser to:
-echo http://localhost:3012
+echo http://localhost:3013
 echo.
 echo Press Ctrl+C to stop the server
 echo.
 
-cd /d "%~dp0public"
-python server.py
+cd /d "%~dp0"
+node public\server.js --dev %*
 
 pause
\ No newline at end of file
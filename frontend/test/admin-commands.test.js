@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { isAddress } = require("ethers");
+const { DEPLOYMENT_SPEC } = require("../../scripts/lib/deployment-spec");
+const { ADMIN_COMMANDS, appendAuditEntry, auditPath, buildAdminCall } = require("../../scripts/lib/admin-commands");
+
+const addresses = Object.fromEntries(DEPLOYMENT_SPEC.contracts.map((contract, index) => [
+    contract.key,
+    "0x" + String(index + 1).padStart(40, "a")
+]));
+const ACCOUNT = "0x" + "12".repeat(20);
+
+describe("Admin commands", function () {
+    it("Should target contracts of the deployment spec", function () {
+        const keys = DEPLOYMENT_SPEC.contracts.map(contract => contract.key);
+
+        Object.entries(ADMIN_COMMANDS).forEach(([name, command]) => {
+            assert.ok(keys.includes(command.contract), `${name} targets ${command.contract}`);
+            command.params.forEach(param => assert.ok(["address", "uint"].includes(param.type), `${name} ${param.name}`));
+        });
+    });
+
+    describe("buildAdminCall", function () {
+        it("Should resolve the target contract and convert values", function () {
+            const call = buildAdminCall("recover-tokens", ["testToken", ACCOUNT, "1000000000000000000000"], addresses, isAddress);
+
+            assert.equal(call.name, "recover-tokens");
+            assert.equal(call.command, ADMIN_COMMANDS["recover-tokens"]);
+            assert.equal(call.contractName, "VaultManager");
+            assert.equal(call.address, addresses.vaultManager);
+            assert.deepEqual(call.args, [addresses.testToken, ACCOUNT, 1000n * 10n ** 18n]);
+        });
+
+        it("Should accept commands without values", function () {
+            const call = buildAdminCall("pause", [], addresses, isAddress);
+
+            assert.equal(call.contractName, "TestToken");
+            assert.equal(call.address, addresses.testToken);
+            assert.deepEqual(call.args, []);
+        });
+
+        it("Should reject unknown commands and wrong value counts", function () {
+            assert.throws(
+                () => buildAdminCall("mint", [], addresses, isAddress),
+                { message: 'Unknown admin command mint; run with "list" to see the commands' }
+            );
+            assert.throws(
+                () => buildAdminCall("add-token", ["testToken"], addresses, isAddress),
+                { message: "add-token takes 2 value(s): add-token <token> <precision>" }
+            );
+        });
+
+        it("Should reject commands for contracts the manifest does not have", function () {
+            const { fheCrypto, ...partial } = addresses;
+
+            assert.throws(
+                () => buildAdminCall("authorize-operator", [ACCOUNT], partial, isAddress),
+                { message: "fheCrypto is not in the deployment manifest" }
+            );
+        });
+
+        it("Should reject values that are not addresses or contract keys", function () {
+            assert.throws(
+                () => buildAdminCall("trading-fee-collector", ["0x1234"], addresses, isAddress),
+                { message: `collector must be an address or one of ${Object.keys(addresses).join(", ")}, got 0x1234` }
+            );
+        });
+
+        it("Should reject integers that are negative, fractional or not decimal", function () {
+            ["-1", "1.5", "1e3", "0x10", " 5", ""].forEach(value => {
+                assert.throws(
+                    () => buildAdminCall("service-fee", [value], addresses, isAddress),
+                    { message: `rate must be a non-negative integer, got ${value}` }
+                );
+            });
+            assert.deepEqual(buildAdminCall("service-fee", ["0"], addresses, isAddress).args, [0n]);
+        });
+    });
+
+    describe("Audit log", function () {
+        let dir;
+
+        before(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "zerodrop-audit-"));
+        });
+
+        after(function () {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it("Should append one JSON line per action", function () {
+            const manifestDir = path.join(dir, "deployments");
+
+            appendAuditEntry("sepolia", { command: "service-fee", args: [150n], status: "dry-run" }, manifestDir);
+            appendAuditEntry("sepolia", { command: "pause", args: [], status: "sent" }, manifestDir);
+
+            const lines = fs.readFileSync(auditPath("sepolia", manifestDir), "utf8").trim().split("\n").map(line => JSON.parse(line));
+            assert.equal(lines.length, 2);
+            assert.deepEqual(
+                lines.map(({ network, command, args, status }) => ({ network, command, args, status })),
+                [
+                    { network: "sepolia", command: "service-fee", args: ["150"], status: "dry-run" },
+                    { network: "sepolia", command: "pause", args: [], status: "sent" }
+                ]
+            );
+            assert.ok(!Number.isNaN(Date.parse(lines[0].timestamp)));
+        });
+    });
+});
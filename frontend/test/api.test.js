@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { createIndexer } = require("../lib/indexer");
+const { createApi } = require("../lib/api");
+const { createDeployment, createFakeChain, campaign, order, vault } = require("./fake-chain");
+
+const CREATOR = "0x2000000000000000000000000000000000000001";
+const TRADER = "0x2000000000000000000000000000000000000002";
+const TOKEN = "0x3000000000000000000000000000000000000001";
+const QUOTE = "0x3000000000000000000000000000000000000002";
+const OTHER = "0x3000000000000000000000000000000000000003";
+
+describe("REST API", function () {
+    let server;
+    let baseUrl;
+
+    async function get(path, options) {
+        const response = await fetch(baseUrl + path, options);
+        return { status: response.status, body: await response.json() };
+    }
+
+    before(async function () {
+        const chain = createFakeChain();
+        const indexer = createIndexer({ rpc: chain, deployment: createDeployment() });
+
+        chain.state.campaigns.set(1, campaign(1, { isLive: false, currentState: 3 }));
+        chain.state.campaigns.set(2, campaign(2));
+        chain.state.campaigns.set(3, campaign(3));
+        chain.state.vaults.set(1, vault(1, { totalReleased: 400n, remainingBalance: 600n }));
+        chain.emit(
+            ["SECRET_FUNDRAISER", "CampaignLaunched", [1, CREATOR, TOKEN, 1n, 1n]],
+            ["SECRET_FUNDRAISER", "CampaignLaunched", [2, CREATOR, TOKEN, 1n, 1n]],
+            ["SECRET_FUNDRAISER", "CampaignLaunched", [3, CREATOR, TOKEN, 1n, 1n]],
+            ["VAULT_MANAGER", "TokensReleased", [1, TRADER, 400n]]
+        );
+
+        chain.state.orders.set(1, order({ trader: TRADER }));
+        chain.state.orders.set(2, order({ trader: CREATOR, orderType: 1, status: 3, isActive: false }));
+        chain.state.orders.set(3, order({ trader: TRADER, quoteToken: OTHER }));
+        chain.emit(
+            ["CONFIDENTIAL_TRADING", "OrderPlaced", [1, TRADER, TOKEN, QUOTE, 0, 100n]],
+            ["CONFIDENTIAL_TRADING", "OrderPlaced", [2, CREATOR, TOKEN, QUOTE, 1, 100n]],
+            ["CONFIDENTIAL_TRADING", "OrderPlaced", [3, TRADER, TOKEN, OTHER, 0, 100n]]
+        );
+        await indexer.sync();
+
+        const api = createApi(indexer);
+        server = http.createServer(async (req, res) => {
+            if (!(await api.handle(req, res))) {
+                res.writeHead(418);
+                res.end("{}");
+            }
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    describe("Campaigns", function () {
+        it("Should list campaigns newest first with the chain and indexed block", async function () {
+            const { status, body } = await get("/api/campaigns");
+
+            assert.equal(status, 200);
+            assert.equal(body.chainId, 31337);
+            assert.equal(body.indexedBlock, 2);
+            assert.equal(body.total, 3);
+            assert.equal(body.live, 2);
+            assert.deepEqual(body.campaigns.map(item => item.campaignId), ["3", "2", "1"]);
+        });
+
+        it("Should filter by state and paginate", async function () {
+            const live = await get("/api/campaigns?state=live&limit=1&offset=1");
+            assert.equal(live.body.total, 2);
+            assert.deepEqual(live.body.campaigns.map(item => item.campaignId), ["2"]);
+
+            const successful = await get("/api/campaigns?state=successful");
+            assert.deepEqual(successful.body.campaigns.map(item => item.campaignId), ["1"]);
+        });
+
+        it("Should reject unknown states and bad pages", async function () {
+            assert.equal((await get("/api/campaigns?state=open")).status, 400);
+            assert.equal((await get("/api/campaigns?limit=0")).status, 400);
+        });
+
+        it("Should return one campaign or 404", async function () {
+            const { status, body } = await get("/api/campaigns/2");
+            assert.equal(status, 200);
+            assert.equal(body.campaign.creator, CREATOR);
+
+            assert.equal((await get("/api/campaigns/9")).status, 404);
+        });
+    });
+
+    describe("Orders", function () {
+        it("Should list the orders of a pair", async function () {
+            const { body } = await get(`/api/orders?pair=${TOKEN}/${QUOTE}`);
+            assert.deepEqual(body.orders.map(item => item.orderId), ["2", "1"]);
+
+            const active = await get(`/api/orders?pair=${TOKEN.toUpperCase().replace("0X", "0x")}/${QUOTE}&active=true`);
+            assert.deepEqual(active.body.orders.map(item => item.orderId), ["1"]);
+        });
+
+        it("Should require a well-formed pair", async function () {
+            assert.equal((await get("/api/orders")).status, 400);
+            assert.equal((await get(`/api/orders?pair=${TOKEN}`)).status, 400);
+        });
+
+        it("Should list a trader's orders across pairs", async function () {
+            const { body } = await get(`/api/traders/${TRADER}/orders`);
+            assert.deepEqual(body.orders.map(item => item.orderId), ["3", "1"]);
+
+            assert.equal((await get("/api/traders/nobody/orders")).status, 400);
+        });
+    });
+
+    describe("Vaults", function () {
+        it("Should return the vault of a campaign", async function () {
+            const { status, body } = await get("/api/vaults/1");
+            assert.equal(status, 200);
+            assert.equal(body.vault.totalReleased, "400");
+            assert.equal(body.vault.remainingBalance, "600");
+
+            assert.equal((await get("/api/vaults/2")).status, 404);
+        });
+    });
+
+    describe("Routing", function () {
+        it("Should answer unknown API paths and methods with JSON errors", async function () {
+            assert.equal((await get("/api/nothing")).status, 404);
+
+            const { status, body } = await get("/api/campaigns", { method: "POST" });
+            assert.equal(status, 405);
+            assert.equal(body.error, "Method not allowed");
+        });
+
+        it("Should leave non-API paths to the caller", async function () {
+            assert.equal((await get("/index.html")).status, 418);
+        });
+
+        it("Should report indexer status", async function () {
+            const { body } = await get("/api/status");
+            assert.deepEqual(body, { chainId: 31337, deployBlock: 1, indexedBlock: 2, reorgs: 0, error: null });
+        });
+    });
+});
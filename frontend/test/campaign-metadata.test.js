@@ -0,0 +1,171 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const ZeroDropMetadata = require("../public/campaign-metadata");
+
+function validDocument(overrides = {}) {
+    return {
+        schema: ZeroDropMetadata.SCHEMA,
+        title: "Private seed round",
+        description: "Raise for the first ZeroDrop integration",
+        team: [{ name: "Ada", role: "Lead", url: "https://example.com/ada" }],
+        links: [{ label: "Website", url: "https://example.com" }],
+        images: ["https://example.com/cover.png"],
+        ...overrides
+    };
+}
+
+/**
+ * In-memory content store with the createHttpStore() interface
+ */
+function memoryStore() {
+    const documents = new Map();
+    return {
+        documents,
+        async put(cid, bytes) { documents.set(cid, bytes); },
+        async get(cid) { return documents.get(cid); }
+    };
+}
+
+describe("Campaign metadata", function () {
+    describe("CIDs", function () {
+        // Reference values: the CIDv1 (raw, sha2-256) `ipfs add --cid-version 1 --raw-leaves` gives these bytes
+        it("Should match known CIDv1 vectors", async function () {
+            assert.equal(
+                await ZeroDropMetadata.computeCid(new Uint8Array()),
+                "bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku"
+            );
+            assert.equal(
+                await ZeroDropMetadata.computeCid(new TextEncoder().encode("hello world")),
+                "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e"
+            );
+        });
+
+        it("Should accept only base32 raw sha2-256 CIDs", function () {
+            assert.equal(ZeroDropMetadata.isCid("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e"), true);
+            assert.equal(ZeroDropMetadata.isCid("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5"), false);
+            assert.equal(ZeroDropMetadata.isCid("BAFKREIFZJUT3TE2NHYEKKLSS27NH3K72YSCO7Y32KOAO5EEI66WOF36N5E"), false);
+            assert.equal(ZeroDropMetadata.isCid("QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o"), false);
+            assert.equal(ZeroDropMetadata.isCid("../../etc/passwd"), false);
+            assert.equal(ZeroDropMetadata.isCid(undefined), false);
+        });
+    });
+
+    describe("Canonical JSON", function () {
+        it("Should not depend on key order", async function () {
+            const a = { title: "T", schema: "s", team: [{ role: "r", name: "n" }] };
+            const b = { team: [{ name: "n", role: "r" }], schema: "s", title: "T" };
+
+            assert.equal(ZeroDropMetadata.canonicalize(a), ZeroDropMetadata.canonicalize(b));
+            assert.equal(
+                await ZeroDropMetadata.computeCid(ZeroDropMetadata.encode(a)),
+                await ZeroDropMetadata.computeCid(ZeroDropMetadata.encode(b))
+            );
+        });
+
+        it("Should sort keys, drop whitespace and undefined values, and keep array order", function () {
+            assert.equal(
+                ZeroDropMetadata.canonicalize({ b: [3, 1, { d: 1, c: "x" }], a: "é", skip: undefined, n: null }),
+                '{"a":"é","b":[3,1,{"c":"x","d":1}],"n":null}'
+            );
+            assert.notEqual(ZeroDropMetadata.canonicalize([1, 2]), ZeroDropMetadata.canonicalize([2, 1]));
+        });
+    });
+
+    describe("Validation", function () {
+        it("Should accept a complete document and a minimal one", function () {
+            assert.deepEqual(ZeroDropMetadata.validate(validDocument()), []);
+            assert.deepEqual(ZeroDropMetadata.validate({ schema: ZeroDropMetadata.SCHEMA, title: "T", description: "D" }), []);
+        });
+
+        it("Should reject non-objects", function () {
+            assert.deepEqual(ZeroDropMetadata.validate(null), ["Metadata must be a JSON object"]);
+            assert.deepEqual(ZeroDropMetadata.validate([]), ["Metadata must be a JSON object"]);
+            assert.deepEqual(ZeroDropMetadata.validate("text"), ["Metadata must be a JSON object"]);
+        });
+
+        it("Should report each invalid field", function () {
+            const errors = ZeroDropMetadata.validate({
+                schema: "other/1",
+                title: " ",
+                description: "x".repeat(5001),
+                terms: 42,
+                team: [{ role: "No name" }],
+                links: [{ label: "Bad", url: "javascript:alert(1)" }],
+                images: ["ftp://example.com/a.png"]
+            });
+
+            assert.deepEqual(errors, [
+                `schema must be "${ZeroDropMetadata.SCHEMA}"`,
+                "title is required (max 120 characters)",
+                "description is required (max 5000 characters)",
+                "terms must be text (max 10000 characters)",
+                "team[0] needs a name and optional role / http(s) url",
+                "links[0] needs a label and an http(s) url",
+                "images[0] must be an http(s) url"
+            ]);
+        });
+
+        it("Should limit list lengths", function () {
+            const errors = ZeroDropMetadata.validate(validDocument({
+                team: Array.from({ length: 21 }, () => ({ name: "n" })),
+                links: "https://example.com",
+                images: Array.from({ length: 11 }, () => "https://example.com/a.png")
+            }));
+
+            assert.deepEqual(errors, [
+                "team must be a list of at most 20 members",
+                "links must be a list of at most 20 entries",
+                "images must be a list of at most 10 urls"
+            ]);
+        });
+    });
+
+    describe("Publish and resolve", function () {
+        it("Should store a document under its CID and verify it on the way back", async function () {
+            const store = memoryStore();
+            const doc = validDocument();
+
+            const cid = await ZeroDropMetadata.publish(doc, store);
+            assert.equal(cid, await ZeroDropMetadata.computeCid(ZeroDropMetadata.encode(doc)));
+
+            const { metadata, verified, errors } = await ZeroDropMetadata.resolve(cid, store);
+            assert.deepEqual(metadata, doc);
+            assert.equal(verified, true);
+            assert.deepEqual(errors, []);
+        });
+
+        it("Should flag content that does not hash to its CID", async function () {
+            const store = memoryStore();
+            const cid = await ZeroDropMetadata.publish(validDocument(), store);
+            store.documents.set(cid, ZeroDropMetadata.encode(validDocument({ title: "Swapped" })));
+
+            const { metadata, verified } = await ZeroDropMetadata.resolve(cid, store);
+            assert.equal(metadata.title, "Swapped");
+            assert.equal(verified, false);
+        });
+
+        it("Should refuse invalid documents without storing them", async function () {
+            const store = memoryStore();
+
+            await assert.rejects(
+                ZeroDropMetadata.publish(validDocument({ title: "" }), store),
+                /Invalid campaign metadata: title is required/
+            );
+            assert.equal(store.documents.size, 0);
+        });
+
+        it("Should refuse documents over 64 KB", async function () {
+            const store = memoryStore();
+            // Within the field limits, over the size limit through escaping
+            const doc = validDocument({ terms: "\u0001".repeat(10000), description: "\u0001".repeat(5000) });
+
+            assert.equal(ZeroDropMetadata.MAX_DOCUMENT_BYTES, 64 * 1024);
+            assert.ok(ZeroDropMetadata.encode(doc).length > ZeroDropMetadata.MAX_DOCUMENT_BYTES);
+            await assert.rejects(
+                ZeroDropMetadata.publish(doc, store),
+                /Campaign metadata is too large \(\d+ bytes, max 65536\)/
+            );
+            assert.equal(store.documents.size, 0);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createCors } = require("../lib/cors");
+
+/**
+ * Just enough of http.ServerResponse to see what apply() sends
+ */
+function fakeResponse() {
+    return {
+        headers: {},
+        status: null,
+        ended: false,
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        writeHead(status, headers = {}) {
+            this.status = status;
+            Object.entries(headers).forEach(([name, value]) => this.setHeader(name, value));
+        },
+        end() { this.ended = true; }
+    };
+}
+
+function fakeRequest(method, headers = {}) {
+    return { method, headers };
+}
+
+describe("CORS", function () {
+    it("Should send no CORS headers when no origins are configured", function () {
+        const res = fakeResponse();
+
+        assert.equal(createCors([]).apply(fakeRequest("GET", { origin: "http://evil.example" }), res), false);
+        assert.deepEqual(res.headers, {});
+    });
+
+    it("Should echo an allowed origin and ignore others", function () {
+        const cors = createCors(["http://localhost:5173"]);
+
+        const allowed = fakeResponse();
+        cors.apply(fakeRequest("GET", { origin: "http://localhost:5173" }), allowed);
+        assert.equal(allowed.headers["access-control-allow-origin"], "http://localhost:5173");
+        assert.equal(allowed.headers.vary, "Origin");
+
+        const other = fakeResponse();
+        cors.apply(fakeRequest("GET", { origin: "http://evil.example" }), other);
+        assert.equal(other.headers["access-control-allow-origin"], undefined);
+        assert.equal(other.headers.vary, "Origin");
+    });
+
+    it("Should allow any origin with *", function () {
+        const res = fakeResponse();
+
+        createCors(["*"]).apply(fakeRequest("GET", { origin: "https://anything.example" }), res);
+        assert.equal(res.headers["access-control-allow-origin"], "*");
+    });
+
+    it("Should answer preflights", function () {
+        const cors = createCors(["http://localhost:5173"]);
+        const preflight = (origin) => fakeRequest("OPTIONS", { origin, "access-control-request-method": "PUT" });
+
+        const allowed = fakeResponse();
+        assert.equal(cors.apply(preflight("http://localhost:5173"), allowed), true);
+        assert.equal(allowed.status, 204);
+        assert.match(allowed.headers["access-control-allow-methods"], /PUT/);
+        assert.match(allowed.headers["access-control-allow-headers"], /Content-Type/);
+        assert.ok(allowed.ended);
+
+        const denied = fakeResponse();
+        assert.equal(cors.apply(preflight("http://evil.example"), denied), true);
+        assert.equal(denied.status, 403);
+    });
+
+    it("Should leave plain OPTIONS requests to the server", function () {
+        const res = fakeResponse();
+
+        assert.equal(createCors(["*"]).apply(fakeRequest("OPTIONS", { origin: "http://a.example" }), res), false);
+        assert.equal(res.status, null);
+    });
+});
@@ -0,0 +1,203 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { DEPLOYMENT_SPEC, resolveParameters, resolveValue } = require("../../scripts/lib/deployment-spec");
+const { toJson, writeManifest } = require("../../scripts/lib/deployment-manifest");
+const { diffDeployment } = require("../../scripts/lib/deploy-pipeline");
+
+const DEPLOYER = "0x" + "11".repeat(20);
+const NETWORK = { name: "zerodrop-test", chainId: 999001n };
+const MINTED = 10000n * 10n ** 18n;
+
+const parameters = resolveParameters(DEPLOYER);
+const addresses = Object.fromEntries(DEPLOYMENT_SPEC.contracts.map((contract, index) => [
+    contract.key,
+    "0x" + String(index + 1).padStart(40, "a")
+]));
+
+/**
+ * A chain where the whole spec has been applied: hardhat ethers stand-in whose contracts answer
+ * the views the spec checks from plain state
+ */
+function wiredChain() {
+    const flags = (...keys) => new Set(keys.map(key => addresses[key]));
+    const state = {
+        code: new Set(Object.values(addresses)),
+        authorizedContracts: flags("secretFundraiser"),
+        authorizedOperators: flags("secretFundraiser", "confidentialTrading"),
+        supportedTokens: flags("testToken"),
+        minters: flags("secretFundraiser"),
+        tokenPrecisions: { [addresses.testToken]: 18n },
+        serviceFeeRate: 200n,
+        tradingFeeRate: 30n,
+        feeCollectors: { secretFundraiser: DEPLOYER, confidentialTrading: DEPLOYER },
+        logs: []
+    };
+    const keyOf = address => Object.keys(addresses).find(key => addresses[key] === address);
+
+    const ethers = {
+        state,
+        provider: {
+            getCode: async (address) => (state.code.has(address) ? "0x6080" : "0x")
+        },
+        getContractAt: async (contractName, address) => ({
+            authorizedContracts: async (account) => state.authorizedContracts.has(account),
+            authorizedOperators: async (account) => state.authorizedOperators.has(account),
+            supportedTokens: async (token) => state.supportedTokens.has(token),
+            minters: async (account) => state.minters.has(account),
+            tokenPrecisions: async (token) => state.tokenPrecisions[token] || 0n,
+            serviceFeeRate: async () => state.serviceFeeRate,
+            tradingFeeRate: async () => state.tradingFeeRate,
+            feeCollector: async () => state.feeCollectors[keyOf(address)],
+            vaultManager: async () => addresses.vaultManager,
+            fheCrypto: async () => addresses.fheCrypto,
+            queryFilter: async (name, fromBlock) => state.logs.filter(log => log.address === address && log.name === name && log.blockNumber >= fromBlock)
+        })
+    };
+    return ethers;
+}
+
+function manifest({ steps = {}, contracts = {} } = {}) {
+    const context = { parameters, addresses };
+    return {
+        network: { name: NETWORK.name, chainId: Number(NETWORK.chainId), explorerBase: null },
+        deployment: { deployer: DEPLOYER, status: "complete" },
+        configuration: parameters,
+        contracts: Object.fromEntries(DEPLOYMENT_SPEC.contracts.map(contract => [contract.key, {
+            contractName: contract.contractName,
+            address: addresses[contract.key],
+            constructorArgs: toJson(resolveValue(contract.args, context))
+        }]).concat(Object.entries(contracts))),
+        steps: { "testToken.mint.demo": { target: addresses.testToken, txHash: "0x01", blockNumber: 5 }, ...steps }
+    };
+}
+
+function byId(entries) {
+    return Object.fromEntries(entries.map(entry => [entry.id || entry.key, entry.status]));
+}
+
+describe("Deployment diff", function () {
+    let manifestDir;
+
+    before(function () {
+        manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "zerodrop-deployments-"));
+    });
+
+    after(function () {
+        fs.rmSync(manifestDir, { recursive: true, force: true });
+    });
+
+    async function diff(ethers, recorded = manifest()) {
+        writeManifest(NETWORK.name, recorded, manifestDir);
+        return diffDeployment({ ethers }, { network: NETWORK, parameters, manifestDir });
+    }
+
+    it("Should report a deployment that matches the spec", async function () {
+        const result = await diff(wiredChain());
+
+        assert.equal(result.source, path.relative(path.join(__dirname, "..", ".."), path.join(manifestDir, `${NETWORK.name}.json`)));
+        assert.ok(result.contracts.every(contract => contract.status === "deployed"));
+        assert.ok(result.steps.filter(step => step.id !== "testToken.mint.demo").every(step => step.status === "applied"));
+        assert.equal(byId(result.steps)["testToken.mint.demo"], "recorded");
+        assert.ok(result.invariants.every(invariant => invariant.status === "pass"));
+    });
+
+    it("Should report wiring that has not taken effect with the values read", async function () {
+        const ethers = wiredChain();
+        ethers.state.authorizedOperators.delete(addresses.confidentialTrading);
+        ethers.state.tradingFeeRate = 50n;
+
+        const steps = (await diff(ethers)).steps;
+        const operator = steps.find(step => step.id === "fheCrypto.operator.confidentialTrading");
+        assert.deepEqual(
+            { status: operator.status, actual: operator.actual, expected: operator.expected },
+            { status: "missing", actual: "false", expected: "true" }
+        );
+        const feeRate = steps.find(step => step.id === "confidentialTrading.tradingFeeRate");
+        assert.deepEqual({ actual: feeRate.actual, expected: feeRate.expected }, { actual: "50", expected: "30" });
+    });
+
+    it("Should fail invariants and compare addresses case-insensitively", async function () {
+        const ethers = wiredChain();
+        ethers.state.feeCollectors.secretFundraiser = DEPLOYER.toUpperCase().replace("0X", "0x");
+        ethers.state.feeCollectors.confidentialTrading = "0x" + "99".repeat(20);
+
+        const invariants = byId((await diff(ethers)).invariants);
+        assert.equal(invariants["secretFundraiser.feeCollector"], "pass");
+        assert.equal(invariants["confidentialTrading.feeCollector"], "fail");
+    });
+
+    it("Should flag contracts without code or with other constructor arguments, and block what depends on them", async function () {
+        const ethers = wiredChain();
+        ethers.state.code.delete(addresses.confidentialTrading);
+        const recorded = manifest({
+            contracts: { secretFundraiser: { contractName: "SecretFundraiser", address: addresses.secretFundraiser, constructorArgs: ["0x" + "99".repeat(20)] } }
+        });
+
+        const result = await diff(ethers, recorded);
+        const contracts = byId(result.contracts);
+        assert.equal(contracts.confidentialTrading, "no-code");
+        assert.equal(contracts.secretFundraiser, "args-differ");
+        assert.equal(contracts.testToken, "deployed");
+
+        const steps = byId(result.steps);
+        assert.equal(steps["fheCrypto.operator.confidentialTrading"], "blocked");
+        assert.equal(steps["confidentialTrading.token.testToken"], "blocked");
+        assert.equal(steps["fheCrypto.operator.secretFundraiser"], "applied");
+        assert.equal(byId(result.invariants)["confidentialTrading.fheCrypto"], "blocked");
+    });
+
+    it("Should report contracts missing from the manifest", async function () {
+        const recorded = manifest();
+        delete recorded.contracts.vaultManager;
+
+        const result = await diff(wiredChain(), recorded);
+        assert.equal(byId(result.contracts).vaultManager, "missing");
+        assert.equal(byId(result.steps)["vaultManager.authorize.secretFundraiser"], "blocked");
+        assert.equal(byId(result.invariants)["secretFundraiser.vaultManager"], "blocked");
+    });
+
+    it("Should report steps exported to a Safe batch until they show on chain", async function () {
+        const ethers = wiredChain();
+        ethers.state.minters.clear();
+        const exported = (key) => ({ target: addresses[key], status: "exported", safeBatch: "batch.json", exportedAt: "2026-01-01T00:00:00.000Z", exportedBlock: 100 });
+        const recorded = manifest({
+            steps: { "testToken.minter.secretFundraiser": exported("testToken"), "testToken.mint.demo": exported("testToken") }
+        });
+
+        let steps = byId((await diff(ethers, recorded)).steps);
+        assert.equal(steps["testToken.minter.secretFundraiser"], "exported");
+        assert.equal(steps["testToken.mint.demo"], "exported");
+
+        // A mint of another amount, or one from before the export, is not the exported step
+        ethers.state.logs.push(
+            { address: addresses.testToken, name: "TokensMinted", blockNumber: 90, args: [DEPLOYER, MINTED] },
+            { address: addresses.testToken, name: "TokensMinted", blockNumber: 101, args: [DEPLOYER, 1n] }
+        );
+        steps = byId((await diff(ethers, recorded)).steps);
+        assert.equal(steps["testToken.mint.demo"], "exported");
+
+        // The Safe executes the batch
+        ethers.state.minters.add(addresses.secretFundraiser);
+        ethers.state.logs.push({ address: addresses.testToken, name: "TokensMinted", blockNumber: 102, args: [DEPLOYER, MINTED] });
+        steps = byId((await diff(ethers, recorded)).steps);
+        assert.equal(steps["testToken.minter.secretFundraiser"], "applied");
+        assert.equal(steps["testToken.mint.demo"], "applied");
+    });
+
+    it("Should report unchecked steps the manifest does not record as unknown", async function () {
+        const recorded = manifest();
+        delete recorded.steps["testToken.mint.demo"];
+
+        assert.equal(byId((await diff(wiredChain(), recorded)).steps)["testToken.mint.demo"], "unknown");
+    });
+
+    it("Should fail when nothing is recorded for the network", async function () {
+        await assert.rejects(
+            diffDeployment({ ethers: wiredChain() }, { network: { name: "nowhere", chainId: 999002n }, parameters, manifestDir }),
+            { message: "No deployment recorded for nowhere (deployments/nowhere.json or an Ignition journal for chain 999002)" }
+        );
+    });
+});
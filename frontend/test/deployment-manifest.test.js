@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const {
+    MANIFEST_VERSION,
+    contractAddresses,
+    exportedStep,
+    isStepRecorded,
+    manifestName,
+    manifestPath,
+    readManifest,
+    toJson,
+    writeManifest
+} = require("../../scripts/lib/deployment-manifest");
+
+const TOKEN = "0x" + "aa".repeat(20);
+const VAULT = "0x" + "bb".repeat(20);
+const DEPLOYER = "0x" + "11".repeat(20);
+
+function manifest(overrides = {}) {
+    return {
+        version: MANIFEST_VERSION,
+        network: { name: "sepolia", chainId: 11155111, explorerBase: "https://sepolia.etherscan.io" },
+        deployment: { deployer: DEPLOYER, status: "complete" },
+        configuration: { initialTokenSupply: 10n ** 24n },
+        contracts: { testToken: { contractName: "TestToken", address: TOKEN, constructorArgs: ["ZeroDrop Test Token"] } },
+        steps: {},
+        ...overrides
+    };
+}
+
+describe("Deployment manifest", function () {
+    let dir;
+
+    before(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "zerodrop-manifest-"));
+    });
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should name unidentified networks localhost", function () {
+        assert.equal(manifestName({ name: "unknown", chainId: 31337n }), "localhost");
+        assert.equal(manifestName({ name: "sepolia", chainId: 11155111n }), "sepolia");
+    });
+
+    it("Should return null when there is no manifest", function () {
+        assert.equal(readManifest("missing", dir), null);
+    });
+
+    it("Should upgrade a version 0 manifest", function () {
+        fs.writeFileSync(manifestPath("legacy", dir), JSON.stringify({
+            network: "sepolia",
+            chainId: 11155111,
+            deployer: DEPLOYER,
+            deployBlock: 123,
+            contracts: { testToken: TOKEN, vaultManager: VAULT }
+        }));
+
+        const upgraded = readManifest("legacy", dir);
+        assert.equal(upgraded.version, MANIFEST_VERSION);
+        assert.deepEqual(upgraded.network, { name: "sepolia", chainId: 11155111 });
+        assert.deepEqual(upgraded.deployment, { deployer: DEPLOYER, deployBlock: 123 });
+        assert.deepEqual(upgraded.contracts, { testToken: { address: TOKEN }, vaultManager: { address: VAULT } });
+        assert.deepEqual(upgraded.steps, {});
+        assert.deepEqual(contractAddresses(upgraded), { testToken: TOKEN, vaultManager: VAULT });
+    });
+
+    it("Should refuse manifests from a newer version", function () {
+        fs.writeFileSync(manifestPath("future", dir), JSON.stringify(toJson(manifest({ version: MANIFEST_VERSION + 1 }))));
+
+        assert.throws(
+            () => readManifest("future", dir),
+            { message: `Unsupported deployment manifest version ${MANIFEST_VERSION + 1} (expected ${MANIFEST_VERSION})` }
+        );
+    });
+
+    it("Should write bigint values as decimal strings and stamp the version and update time", function () {
+        writeManifest("written", manifest(), dir);
+
+        const written = JSON.parse(fs.readFileSync(manifestPath("written", dir), "utf8"));
+        assert.equal(written.version, MANIFEST_VERSION);
+        assert.equal(written.configuration.initialTokenSupply, String(10n ** 24n));
+        assert.ok(!Number.isNaN(Date.parse(written.deployment.updatedAt)));
+        assert.deepEqual(readManifest("written", dir), written);
+        assert.deepEqual(toJson({ amount: 5n, list: [1n, "x"] }), { amount: "5", list: ["1", "x"] });
+    });
+
+    it("Should replace the manifest atomically", function () {
+        const file = manifestPath("atomic", dir);
+        writeManifest("atomic", manifest(), dir);
+        const before = fs.readFileSync(file, "utf8");
+
+        // A write that crashed halfway leaves a partial temp file, never a partial manifest
+        fs.writeFileSync(`${file}.tmp`, "{\"version\":");
+        assert.deepEqual(readManifest("atomic", dir), JSON.parse(before));
+
+        // A manifest that cannot be serialised leaves the previous one in place
+        const circular = manifest();
+        circular.configuration.self = circular;
+        assert.throws(() => writeManifest("atomic", circular, dir), TypeError);
+        assert.equal(fs.readFileSync(file, "utf8"), before);
+
+        writeManifest("atomic", manifest({ steps: { "testToken.mint.demo": { target: TOKEN } } }), dir);
+        assert.equal(fs.existsSync(`${file}.tmp`), false);
+        assert.deepEqual(readManifest("atomic", dir).steps, { "testToken.mint.demo": { target: TOKEN } });
+    });
+
+    it("Should count a step as recorded only when it was applied to the current contract", function () {
+        const recorded = manifest({
+            steps: {
+                "testToken.mint.demo": { target: TOKEN.toUpperCase().replace("0X", "0x"), txHash: "0x01" },
+                "vaultManager.authorize.secretFundraiser": { target: VAULT, status: "exported", safeBatch: "batch.json" }
+            }
+        });
+
+        assert.equal(isStepRecorded(recorded, "testToken.mint.demo", TOKEN), true);
+        assert.equal(isStepRecorded(recorded, "testToken.mint.demo", VAULT), false);
+        assert.equal(isStepRecorded(recorded, "other.step", TOKEN), false);
+        assert.equal(isStepRecorded(null, "testToken.mint.demo", TOKEN), false);
+
+        assert.equal(isStepRecorded(recorded, "vaultManager.authorize.secretFundraiser", VAULT), false);
+        assert.equal(exportedStep(recorded, "vaultManager.authorize.secretFundraiser", VAULT).safeBatch, "batch.json");
+        assert.equal(exportedStep(recorded, "vaultManager.authorize.secretFundraiser", TOKEN), null);
+        assert.equal(exportedStep(recorded, "testToken.mint.demo", TOKEN), null);
+    });
+});
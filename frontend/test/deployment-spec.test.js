@@ -0,0 +1,127 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    DEPLOYER,
+    DEPLOYMENT_SPEC,
+    PARAMETERS,
+    ignitionId,
+    param,
+    ref,
+    resolveParameters,
+    resolveValue
+} = require("../../scripts/lib/deployment-spec");
+
+const ACCOUNT = "0x" + "11".repeat(20);
+const COLLECTOR = "0x" + "22".repeat(20);
+
+function refsIn(value) {
+    if (Array.isArray(value)) return value.flatMap(refsIn);
+    return value && typeof value === "object" && "$ref" in value ? [value.$ref] : [];
+}
+
+describe("Deployment spec", function () {
+    describe("Parameters", function () {
+        it("Should fall back to the defaults, with the fee collector defaulting to the deployer", function () {
+            assert.deepEqual(resolveParameters(ACCOUNT), {
+                [DEPLOYER]: ACCOUNT,
+                feeCollector: ACCOUNT,
+                initialTokenSupply: 1000000n * 10n ** 18n,
+                serviceFeeRate: 200,
+                tradingFeeRate: 30,
+                demoMintAmount: 10000n * 10n ** 18n
+            });
+        });
+
+        it("Should prefer environment overrides to recorded values and recorded values to defaults", function () {
+            const recorded = { feeCollector: COLLECTOR, serviceFeeRate: 150, tradingFeeRate: 40 };
+
+            const parameters = resolveParameters(ACCOUNT, { TRADING_FEE_RATE: "25", UNRELATED: "1" }, recorded);
+
+            assert.equal(parameters.tradingFeeRate, 25);
+            assert.equal(parameters.serviceFeeRate, 150);
+            assert.equal(parameters.feeCollector, COLLECTOR);
+            assert.equal(parameters.initialTokenSupply, PARAMETERS.initialTokenSupply.default);
+        });
+
+        it("Should ignore empty environment variables and null recorded values", function () {
+            const parameters = resolveParameters(ACCOUNT, { FEE_COLLECTOR: "" }, { feeCollector: null });
+
+            assert.equal(parameters.feeCollector, ACCOUNT);
+        });
+
+        it("Should reject non-integer numeric overrides", function () {
+            assert.throws(
+                () => resolveParameters(ACCOUNT, { SERVICE_FEE_RATE: "2.5" }),
+                { message: "SERVICE_FEE_RATE must be an integer, got 2.5" }
+            );
+            assert.throws(() => resolveParameters(ACCOUNT, { TRADING_FEE_RATE: "abc" }), /TRADING_FEE_RATE must be an integer/);
+        });
+    });
+
+    describe("Values", function () {
+        const context = {
+            parameters: { [DEPLOYER]: ACCOUNT, serviceFeeRate: 200 },
+            addresses: { vaultManager: "0x" + "bb".repeat(20) }
+        };
+
+        it("Should resolve param() and ref() markers, in arrays too", function () {
+            assert.deepEqual(param("serviceFeeRate"), { $param: "serviceFeeRate" });
+            assert.deepEqual(ref("vaultManager"), { $ref: "vaultManager" });
+
+            assert.equal(resolveValue(param("serviceFeeRate"), context), 200);
+            assert.equal(resolveValue(ref("vaultManager"), context), "0x" + "bb".repeat(20));
+            assert.deepEqual(
+                resolveValue(["name", 18, param(DEPLOYER), [ref("vaultManager")]], context),
+                ["name", 18, ACCOUNT, ["0x" + "bb".repeat(20)]]
+            );
+            assert.equal(resolveValue(true, context), true);
+            assert.equal(resolveValue(null, context), null);
+        });
+
+        it("Should reject unknown parameters and contracts not deployed yet", function () {
+            assert.throws(() => resolveValue(param("nope"), context), { message: "Unknown deployment parameter nope" });
+            assert.throws(() => resolveValue([ref("fheCrypto")], context), { message: "fheCrypto is not deployed yet" });
+        });
+
+        it("Should make Ignition ids from spec keys and step ids", function () {
+            assert.equal(ignitionId("testToken"), "testToken");
+            assert.equal(ignitionId("fheCrypto.operator.secretFundraiser"), "fheCrypto_operator_secretFundraiser");
+        });
+    });
+
+    describe("Spec", function () {
+        const keys = DEPLOYMENT_SPEC.contracts.map(contract => contract.key);
+
+        it("Should only reference contracts deployed earlier in the list", function () {
+            DEPLOYMENT_SPEC.contracts.forEach((contract, index) => {
+                refsIn(contract.args).forEach(key => {
+                    assert.ok(keys.indexOf(key) !== -1 && keys.indexOf(key) < index, `${contract.key} needs ${key} first`);
+                });
+            });
+        });
+
+        it("Should give steps and invariants unique ids on known contracts and parameters", function () {
+            const entries = [...DEPLOYMENT_SPEC.steps, ...DEPLOYMENT_SPEC.invariants];
+            const ids = entries.map(entry => entry.id);
+            assert.equal(new Set(ids).size, ids.length);
+
+            // Resolving against every contract and parameter throws for an unknown name
+            const context = {
+                parameters: resolveParameters(ACCOUNT),
+                addresses: Object.fromEntries(keys.map(key => [key, `${key}-address`]))
+            };
+            entries.forEach(entry => {
+                assert.ok(keys.includes(entry.contract), `${entry.id} targets ${entry.contract}`);
+                resolveValue(entry.args || [], context);
+                if (entry.check) resolveValue([...entry.check.args, entry.check.expect], context);
+                if (entry.event) resolveValue(entry.event.args, context);
+            });
+        });
+
+        it("Should give steps without an on-chain check an event to find them by", function () {
+            DEPLOYMENT_SPEC.steps.filter(step => !step.check).forEach(step => {
+                assert.ok(step.event && step.event.name, `${step.id} has neither a check nor an event`);
+            });
+        });
+    });
+});
@@ -0,0 +1,198 @@
+// In-process stand-in for a JSON-RPC node, for the indexer and API tests.
+//
+// Holds contract getter state and a log list built with the real ABIs from zerodrop-sdk.js, and
+// answers eth_blockNumber, eth_getBlockByNumber, eth_getLogs and eth_call the way a node would.
+// reorg() replaces the blocks after a given height with a new branch. Getter state is not
+// versioned: eth_call always answers from `state`, whatever the block tag.
+const { Interface, id: keccakId } = require("ethers");
+const { abis } = require("../public/zerodrop-sdk");
+
+const ADDRESSES = {
+    SECRET_FUNDRAISER: "0x1000000000000000000000000000000000000001",
+    CONFIDENTIAL_TRADING: "0x1000000000000000000000000000000000000002",
+    VAULT_MANAGER: "0x1000000000000000000000000000000000000003"
+};
+
+const CONTRACT_NAMES = {
+    SECRET_FUNDRAISER: "SecretFundraiser",
+    CONFIDENTIAL_TRADING: "ConfidentialTrading",
+    VAULT_MANAGER: "VaultManager"
+};
+
+function createDeployment({ chainId = 31337, deployBlock = 1 } = {}) {
+    const contracts = {};
+    Object.entries(CONTRACT_NAMES).forEach(([key, contractName]) => {
+        contracts[key] = { contractName, address: ADDRESSES[key], abi: abis[contractName] };
+    });
+    return { chainId, network: "localhost", deployer: ADDRESSES.SECRET_FUNDRAISER, deployBlock, deployedAt: null, contracts };
+}
+
+function createFakeChain() {
+    const ifaces = {};
+    Object.entries(CONTRACT_NAMES).forEach(([key, name]) => {
+        ifaces[key] = new Interface(abis[name]);
+    });
+
+    const state = { campaigns: new Map(), orders: new Map(), vaults: new Map() };
+    let logs = [];
+    let head = 0;
+    // Blocks mined after a reorg get new hashes
+    const branchOf = new Map();
+    let branch = 0;
+
+    function blockHash(blockNumber) {
+        return keccakId(`block-${blockNumber}-${branchOf.get(blockNumber) || 0}`);
+    }
+
+    /**
+     * Mine `count` empty blocks
+     */
+    function mine(count = 1) {
+        for (let i = 0; i < count; i++) {
+            head += 1;
+            branchOf.set(head, branch);
+        }
+        return head;
+    }
+
+    /**
+     * Drop every block after `blockNumber`, with its logs; blocks mined next form a new branch
+     */
+    function reorg(blockNumber) {
+        logs = logs.filter(log => Number(log.blockNumber) <= blockNumber);
+        for (let number = blockNumber + 1; number <= head; number++) {
+            branchOf.delete(number);
+        }
+        head = blockNumber;
+        branch += 1;
+    }
+
+    /**
+     * Mine one block holding the given events: [contractKey, eventName, args]
+     */
+    function emit(...events) {
+        const blockNumber = mine();
+        events.forEach(([key, name, args], logIndex) => {
+            const { topics, data } = ifaces[key].encodeEventLog(name, args);
+            logs.push({
+                address: ADDRESSES[key],
+                topics,
+                data,
+                blockNumber: "0x" + blockNumber.toString(16),
+                blockHash: blockHash(blockNumber),
+                transactionHash: keccakId(`tx-${blockNumber}-${logIndex}`),
+                logIndex: "0x" + logIndex.toString(16),
+                removed: false
+            });
+        });
+        return blockNumber;
+    }
+
+    function call({ to, data }) {
+        const key = Object.keys(ADDRESSES).find(name => ADDRESSES[name].toLowerCase() === to.toLowerCase());
+        const iface = ifaces[key];
+        const parsed = iface.parseTransaction({ data });
+        const entityId = Number(parsed.args[0]);
+        const source = { getCampaign: state.campaigns, getOrder: state.orders, getVault: state.vaults }[parsed.name];
+        const entity = source && source.get(entityId);
+        if (!entity) {
+            const error = new Error("execution reverted");
+            error.code = 3;
+            throw error;
+        }
+        return iface.encodeFunctionResult(parsed.fragment, parsed.fragment.outputs.map(output => entity[output.name]));
+    }
+
+    const calls = [];
+
+    async function request(method, params = []) {
+        calls.push(method);
+        switch (method) {
+        case "eth_chainId":
+            return "0x7a69";
+        case "eth_blockNumber":
+            return "0x" + head.toString(16);
+        case "eth_getBlockByNumber": {
+            const blockNumber = Number(params[0]);
+            if (blockNumber > head) return null;
+            return { number: params[0], hash: blockHash(blockNumber), parentHash: blockHash(blockNumber - 1) };
+        }
+        case "eth_getLogs": {
+            const [{ address, fromBlock, toBlock }] = params;
+            const addresses = address.map(value => value.toLowerCase());
+            return logs.filter(log =>
+                addresses.includes(log.address.toLowerCase()) &&
+                Number(log.blockNumber) >= Number(fromBlock) &&
+                Number(log.blockNumber) <= Number(toBlock)
+            );
+        }
+        case "eth_call":
+            return call(params[0]);
+        default:
+            throw new Error(`Unsupported method ${method}`);
+        }
+    }
+
+    return { state, calls, mine, emit, reorg, request };
+}
+
+function campaign(campaignId, overrides = {}) {
+    return {
+        campaignId,
+        creator: "0x2000000000000000000000000000000000000001",
+        rewardToken: "0x3000000000000000000000000000000000000001",
+        tokenSupply: 1000n,
+        fundingGoal: 10n ** 18n,
+        pricePerToken: 10n ** 15n,
+        launchTime: 100,
+        closingTime: 4102444800,
+        minimumBid: 1n,
+        maximumBid: 10n ** 18n,
+        isLive: true,
+        currentState: 1,
+        infoHash: "",
+        revealedTotalRaised: 0n,
+        computeState: 0,
+        ...overrides
+    };
+}
+
+function order(overrides = {}) {
+    return {
+        trader: "0x2000000000000000000000000000000000000001",
+        baseToken: "0x3000000000000000000000000000000000000001",
+        quoteToken: "0x3000000000000000000000000000000000000002",
+        orderType: 0,
+        status: 0,
+        createdAt: 100,
+        expiresAt: 4102444800,
+        actualAmount: 100n,
+        actualPrice: 5n,
+        filledAmount: 0n,
+        isActive: true,
+        ...overrides
+    };
+}
+
+function vault(campaignId, overrides = {}) {
+    return {
+        campaignId,
+        tokenAddress: "0x3000000000000000000000000000000000000001",
+        depositor: "0x2000000000000000000000000000000000000001",
+        totalDeposited: 1000n,
+        totalReleased: 0n,
+        remainingBalance: 1000n,
+        isLocked: false,
+        createdAt: 100,
+        ...overrides
+    };
+}
+
+module.exports = {
+    ADDRESSES,
+    createDeployment,
+    createFakeChain,
+    campaign,
+    order,
+    vault
+};
@@ -0,0 +1,58 @@
+// Reorg handling against a real node. Skipped unless ZERODROP_TEST_RPC_URL points at a Hardhat
+// node (`npx hardhat node`, then `ZERODROP_TEST_RPC_URL=http://127.0.0.1:8545 npm test`); the node
+// is reverted to its starting state afterwards.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRpcClient } = require("../lib/rpc");
+const { createIndexer } = require("../lib/indexer");
+const { createSqliteStore } = require("../lib/sqlite-store");
+const { createDeployment } = require("./fake-chain");
+
+const RPC_URL = process.env.ZERODROP_TEST_RPC_URL;
+
+describe("Indexer on a Hardhat node", { skip: !RPC_URL && "set ZERODROP_TEST_RPC_URL to run" }, function () {
+    let rpc;
+    let start;
+
+    async function mine(count) {
+        for (let i = 0; i < count; i++) {
+            await rpc.request("evm_mine");
+        }
+    }
+
+    before(async function () {
+        rpc = createRpcClient(RPC_URL);
+        start = await rpc.request("evm_snapshot");
+    });
+
+    after(async function () {
+        await rpc.request("evm_revert", [start]);
+    });
+
+    it("Should roll back to the fork point after evm_revert", async function () {
+        const deployBlock = Number(await rpc.request("eth_blockNumber")) + 1;
+        const indexer = createIndexer({
+            rpc,
+            deployment: createDeployment({ deployBlock }),
+            store: createSqliteStore(":memory:")
+        });
+
+        await mine(2);
+        const forkPoint = await rpc.request("evm_snapshot");
+        await mine(3);
+        await indexer.sync();
+        assert.equal(indexer.status().indexedBlock, deployBlock + 4);
+
+        // Same height, different blocks: only the hashes tell the branches apart
+        await rpc.request("evm_revert", [forkPoint]);
+        await rpc.request("evm_setNextBlockTimestamp", [Math.floor(Date.now() / 1000) + 3600]);
+        await mine(3);
+        await indexer.sync();
+
+        const { indexedBlock, reorgs } = indexer.status();
+        assert.equal(indexedBlock, deployBlock + 4);
+        assert.equal(reorgs, 1);
+        const [latest] = indexer.store.listBlocks();
+        assert.equal(latest.hash, (await rpc.request("eth_getBlockByNumber", ["latest", false])).hash);
+    });
+});
@@ -0,0 +1,283 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createIndexer } = require("../lib/indexer");
+const { createMemoryStore } = require("../lib/store");
+const { createDeployment, createFakeChain, campaign, order, vault } = require("./fake-chain");
+
+const CREATOR = "0x2000000000000000000000000000000000000001";
+const INVESTOR1 = "0x2000000000000000000000000000000000000002";
+const INVESTOR2 = "0x2000000000000000000000000000000000000003";
+const TOKEN = "0x3000000000000000000000000000000000000001";
+const QUOTE = "0x3000000000000000000000000000000000000002";
+
+function setup({ deployBlock = 1, batchSize, store } = {}) {
+    const chain = createFakeChain();
+    const indexer = createIndexer({ rpc: chain, deployment: createDeployment({ deployBlock }), batchSize, store });
+    return { chain, indexer };
+}
+
+function launch(chain, campaignId) {
+    chain.state.campaigns.set(campaignId, campaign(campaignId));
+    chain.state.vaults.set(campaignId, vault(campaignId));
+    return chain.emit(
+        ["VAULT_MANAGER", "TokensDeposited", [campaignId, TOKEN, CREATOR, 1000n]],
+        ["SECRET_FUNDRAISER", "CampaignLaunched", [campaignId, CREATOR, TOKEN, 10n ** 18n, 10n ** 15n]]
+    );
+}
+
+describe("Indexer", function () {
+
+    describe("Backfill", function () {
+        it("Should start at the deploy block and record campaign snapshots", async function () {
+            const { chain, indexer } = setup({ deployBlock: 3 });
+            chain.mine(2);
+            launch(chain, 1);
+
+            const events = await indexer.sync();
+
+            assert.deepEqual(events.map(event => event.name), ["TokensDeposited", "CampaignLaunched"]);
+            assert.equal(indexer.store.getCursor(), 3);
+
+            const stored = indexer.store.getCampaign(1);
+            assert.equal(stored.campaignId, "1");
+            assert.equal(stored.creator, CREATOR);
+            assert.equal(stored.fundingGoal, (10n ** 18n).toString());
+            assert.equal(stored.currentState, "1");
+            assert.equal(stored.contributions, 0);
+        });
+
+        it("Should split long ranges into batches", async function () {
+            const { chain, indexer } = setup({ batchSize: 10 });
+            chain.mine(25);
+            launch(chain, 1);
+
+            await indexer.sync();
+
+            assert.equal(chain.calls.filter(method => method === "eth_getLogs").length, 3);
+            assert.equal(indexer.store.getCursor(), 26);
+            assert.ok(indexer.store.getCampaign(1));
+        });
+
+        it("Should keep VaultManager and ConfidentialTrading TokensDeposited apart", async function () {
+            const { chain, indexer } = setup();
+            launch(chain, 1);
+            chain.emit(["CONFIDENTIAL_TRADING", "TokensDeposited", [INVESTOR1, TOKEN, 50n, 100n]]);
+
+            await indexer.sync();
+
+            const deposits = indexer.store.listEvents({ name: "TokensDeposited" });
+            assert.deepEqual(deposits.map(event => event.contract), ["VaultManager", "ConfidentialTrading"]);
+            assert.equal(indexer.store.getVault(1).totalDeposited, "1000");
+        });
+    });
+
+    describe("Following", function () {
+        it("Should only fetch new blocks on later syncs", async function () {
+            const { chain, indexer } = setup();
+            launch(chain, 1);
+            await indexer.sync();
+
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [1, INVESTOR1, 200n]]);
+            chain.emit(
+                ["SECRET_FUNDRAISER", "SecretContributionReceived", [1, INVESTOR1, 201n]],
+                ["SECRET_FUNDRAISER", "SecretContributionReceived", [1, INVESTOR2, 201n]]
+            );
+            const events = await indexer.sync();
+
+            assert.equal(events.length, 3);
+            assert.equal(indexer.store.getCampaign(1).contributions, 3);
+            assert.equal(indexer.store.getCampaign(1).contributors, 2);
+            assert.deepEqual(await indexer.sync(), []);
+        });
+
+        it("Should refresh campaign state from the contract", async function () {
+            const { chain, indexer } = setup();
+            launch(chain, 1);
+            await indexer.sync();
+
+            chain.state.campaigns.set(1, campaign(1, { isLive: false, currentState: 4 }));
+            chain.emit(["SECRET_FUNDRAISER", "CampaignStateChanged", [1, 4]]);
+            await indexer.sync();
+
+            assert.equal(indexer.store.getCampaign(1).currentState, "4");
+            assert.equal(indexer.store.getCampaign(1).isLive, false);
+        });
+
+        it("Should refresh both orders of a match", async function () {
+            const { chain, indexer } = setup();
+            chain.state.orders.set(1, order({ trader: INVESTOR1, orderType: 0 }));
+            chain.state.orders.set(2, order({ trader: INVESTOR2, orderType: 1 }));
+            chain.emit(
+                ["CONFIDENTIAL_TRADING", "OrderPlaced", [1, INVESTOR1, TOKEN, QUOTE, 0, 100n]],
+                ["CONFIDENTIAL_TRADING", "OrderPlaced", [2, INVESTOR2, TOKEN, QUOTE, 1, 100n]]
+            );
+            await indexer.sync();
+
+            chain.state.orders.set(1, order({ trader: INVESTOR1, status: 2, filledAmount: 100n, isActive: false }));
+            chain.state.orders.set(2, order({ trader: INVESTOR2, orderType: 1, status: 2, filledAmount: 100n, isActive: false }));
+            chain.emit(["CONFIDENTIAL_TRADING", "OrderMatched", [1, 2, INVESTOR1, 101n]]);
+            await indexer.sync();
+
+            assert.deepEqual(indexer.store.listOrders().map(stored => [stored.orderId, stored.status, stored.filledAmount]), [
+                ["2", "2", "100"],
+                ["1", "2", "100"]
+            ]);
+        });
+
+        it("Should notify subscribers with each applied batch", async function () {
+            const { chain, indexer } = setup();
+            const batches = [];
+            indexer.subscribe(events => batches.push(events.map(event => event.name)));
+
+            launch(chain, 1);
+            await indexer.sync();
+            await indexer.sync();
+
+            assert.deepEqual(batches, [["TokensDeposited", "CampaignLaunched"]]);
+        });
+
+        it("Should share one run between concurrent syncs", async function () {
+            const { chain, indexer } = setup();
+            launch(chain, 1);
+
+            const [first, second] = await Promise.all([indexer.sync(), indexer.sync()]);
+
+            assert.equal(first, second);
+            assert.equal(chain.calls.filter(method => method === "eth_blockNumber").length, 1);
+        });
+    });
+
+    describe("Reorganizations", function () {
+        it("Should replace events of orphaned blocks with the new branch", async function () {
+            const { chain, indexer } = setup();
+            launch(chain, 1);
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [1, INVESTOR1, 200n]]);
+            await indexer.sync();
+            assert.equal(indexer.store.getCampaign(1).contributions, 1);
+
+            chain.reorg(1);
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [1, INVESTOR2, 300n]]);
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [1, INVESTOR2, 301n]]);
+            const events = await indexer.sync();
+
+            assert.equal(events.length, 2);
+            const contributors = indexer.store.listEvents({ name: "SecretContributionReceived" }).map(event => event.args.contributor);
+            assert.deepEqual(contributors, [INVESTOR2, INVESTOR2]);
+            assert.equal(indexer.store.getCampaign(1).contributions, 2);
+            assert.equal(indexer.store.getCampaign(1).contributors, 1);
+            assert.equal(indexer.store.getCursor(), 3);
+            assert.equal(indexer.status().reorgs, 1);
+        });
+
+        it("Should delete entities created in orphaned blocks", async function () {
+            const { chain, indexer } = setup();
+            launch(chain, 1);
+            chain.state.orders.set(1, order({ trader: INVESTOR1 }));
+            chain.emit(["CONFIDENTIAL_TRADING", "OrderPlaced", [1, INVESTOR1, TOKEN, QUOTE, 0, 100n]]);
+            await indexer.sync();
+            assert.ok(indexer.store.getOrder(1));
+
+            chain.reorg(1);
+            chain.state.orders.delete(1);
+            chain.mine(2);
+            await indexer.sync();
+
+            assert.equal(indexer.store.getOrder(1), null);
+            assert.ok(indexer.store.getCampaign(1));
+            assert.equal(indexer.store.listEvents({ name: "OrderPlaced" }).length, 0);
+        });
+
+        it("Should notice a reorg of empty blocks", async function () {
+            const { chain, indexer } = setup();
+            launch(chain, 1);
+            chain.mine(3);
+            await indexer.sync();
+
+            chain.reorg(2);
+            chain.mine(2);
+            await indexer.sync();
+
+            assert.equal(indexer.status().reorgs, 1);
+            assert.equal(indexer.store.getCursor(), 4);
+            assert.equal(indexer.store.listEvents().length, 2);
+        });
+
+        it("Should start over from the deploy block when no recorded block survived", async function () {
+            const { chain, indexer } = setup({ deployBlock: 2 });
+            chain.mine();
+            launch(chain, 1);
+            await indexer.sync();
+
+            chain.reorg(1);
+            chain.state.campaigns.delete(1);
+            chain.state.vaults.delete(1);
+            launch(chain, 2);
+            await indexer.sync();
+
+            assert.deepEqual(indexer.store.listCampaigns().map(stored => stored.campaignId), ["2"]);
+            assert.equal(indexer.store.getVault(1), null);
+            assert.equal(indexer.store.listEvents().length, 2);
+        });
+
+        it("Should tell subscribers which events were dropped", async function () {
+            const { chain, indexer } = setup();
+            launch(chain, 1);
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [1, INVESTOR1, 200n]]);
+            await indexer.sync();
+
+            const notifications = [];
+            indexer.subscribe((applied, dropped) => notifications.push([applied.length, dropped.map(event => event.name)]));
+            chain.reorg(1);
+            chain.mine();
+            await indexer.sync();
+
+            assert.deepEqual(notifications, [[0, ["SecretContributionReceived"]]]);
+        });
+
+        it("Should only keep recent block hashes", async function () {
+            const chain = createFakeChain();
+            const indexer = createIndexer({ rpc: chain, deployment: createDeployment(), reorgDepth: 5 });
+            launch(chain, 1);
+            chain.mine(20);
+            await indexer.sync();
+
+            assert.deepEqual(indexer.store.listBlocks().map(block => block.number), [21]);
+        });
+    });
+
+    describe("Persistence", function () {
+        it("Should resume from the stored cursor", async function () {
+            const store = createMemoryStore();
+            const { chain, indexer } = setup({ store });
+            launch(chain, 1);
+            await indexer.sync();
+
+            const restarted = createIndexer({ rpc: chain, deployment: createDeployment(), store });
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [1, INVESTOR1, 200n]]);
+
+            assert.equal((await restarted.sync()).length, 1);
+            assert.equal(store.listEvents().length, 3);
+        });
+
+        it("Should drop data indexed for a different deployment", async function () {
+            const store = createMemoryStore();
+            const { chain, indexer } = setup({ store });
+            launch(chain, 1);
+            await indexer.sync();
+
+            const redeployed = createIndexer({ rpc: chain, deployment: createDeployment({ deployBlock: 2 }), store });
+
+            assert.equal(redeployed.status().indexedBlock, null);
+            assert.deepEqual(store.listCampaigns(), []);
+        });
+    });
+
+    describe("Configuration", function () {
+        it("Should reject a bundle without the indexed contracts", function () {
+            const deployment = createDeployment();
+            delete deployment.contracts.VAULT_MANAGER;
+
+            assert.throws(() => createIndexer({ rpc: createFakeChain(), deployment }), /no VAULT_MANAGER/);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const ZeroDropOrderBook = require("../public/order-book");
+
+const BASE = "0x" + "aa".repeat(20);
+const QUOTE = "0x" + "bb".repeat(20);
+const BUYER = "0x" + "11".repeat(20);
+const SELLER = "0x" + "22".repeat(20);
+const UNIT = 10n ** 18n;
+
+/**
+ * web3 ConfidentialTrading stand-in serving getOrder() from the given post-event order state
+ * and the given events for any block range
+ */
+function fakeContract(orders, events) {
+    return {
+        methods: {
+            getActiveOrders: () => ({ call: async () => Object.keys(orders).filter(id => orders[id].isActive) }),
+            getOrder: (orderId) => ({ call: async () => orders[orderId] })
+        },
+        getPastEvents: async () => events
+    };
+}
+
+function order(trader, orderType, amount, price, filledAmount) {
+    return {
+        trader,
+        baseToken: BASE,
+        quoteToken: QUOTE,
+        orderType,
+        status: filledAmount === amount ? 2 : filledAmount > 0n ? 1 : 0,
+        createdAt: 1000,
+        expiresAt: 1000 + 7 * 24 * 60 * 60,
+        actualAmount: amount,
+        actualPrice: price,
+        filledAmount,
+        isActive: filledAmount < amount
+    };
+}
+
+function placed(orderId, blockNumber) {
+    return { event: "OrderPlaced", blockNumber, returnValues: { orderId } };
+}
+
+function matched(buyOrderId, sellOrderId, blockNumber) {
+    return { event: "OrderMatched", blockNumber, transactionHash: `0x0${blockNumber}`, returnValues: { buyOrderId, sellOrderId, matchedAt: 1000 + blockNumber } };
+}
+
+describe("Order book", function () {
+    it("Should replay fills of a resting buy order at the prices of the sell orders that matched it", async function () {
+        // A bid for 100 at 3 is filled by a sell of 60 at 2, then a sell of 40 at 2.5
+        const orders = {
+            1: order(BUYER, 0, 100n, 3n * UNIT, 100n),
+            2: order(SELLER, 1, 60n, 2n * UNIT, 60n),
+            3: order(SELLER, 1, 40n, 5n * UNIT / 2n, 40n)
+        };
+        const events = [placed(1, 1), placed(2, 2), matched(1, 2, 2), placed(3, 3), matched(1, 3, 3)];
+        const book = ZeroDropOrderBook.create(fakeContract(orders, events), { web3: { eth: { getBlockNumber: async () => 3 } } });
+
+        await book.load();
+
+        assert.deepEqual(
+            book.getTrades(BASE, QUOTE).map(({ buyOrderId, sellOrderId, price, amount }) => ({ buyOrderId, sellOrderId, price, amount })),
+            [
+                { buyOrderId: 1, sellOrderId: 2, price: 2n * UNIT, amount: 60n },
+                { buyOrderId: 1, sellOrderId: 3, price: 5n * UNIT / 2n, amount: 40n }
+            ]
+        );
+        assert.equal(book.getOrder(1).status, "FILLED");
+        assert.deepEqual(book.getDepth(BASE, QUOTE).bids, []);
+        assert.equal(book.getMarketStats(BASE, QUOTE, 18, 2000).lastPrice, 5n * UNIT / 2n);
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { createResumableDeploy } = require("../../scripts/lib/resumable-deploy");
+
+/**
+ * Hardhat ethers stand-in: contracts deploy to sequential addresses, every transaction
+ * costs 100 wei and mines its own block
+ */
+function fakeEthers() {
+    const code = new Map();
+    const deployed = [];
+    let block = 10;
+
+    function transaction(to) {
+        block++;
+        const receipt = { to, hash: `0x${block.toString(16).padStart(64, "0")}`, blockNumber: block, fee: 100n };
+        return { wait: async () => receipt };
+    }
+
+    return {
+        code,
+        deployed,
+        provider: {
+            getCode: async (address) => code.get(address) || "0x"
+        },
+        getContractFactory: async (contractName) => ({
+            deploy: async (...args) => {
+                const address = "0x" + String(deployed.length + 1).padStart(40, "c");
+                code.set(address, "0x6080");
+                deployed.push({ contractName, address, args });
+                const tx = transaction(null);
+                return { getAddress: async () => address, deploymentTransaction: () => tx };
+            }
+        }),
+        getContractAt: async (contractName, address) => ({ contractName, address, attached: true }),
+        transaction
+    };
+}
+
+function setup(manifest = { contracts: {}, steps: {} }, fresh = false) {
+    const ethers = fakeEthers();
+    const saves = [];
+    const deploy = createResumableDeploy({ ethers, manifest, save: () => saves.push(JSON.stringify(manifest)), fresh });
+    return { ethers, manifest, saves, deploy };
+}
+
+const RECORDED = "0x" + "ab".repeat(20);
+
+describe("Resumable deploy", function () {
+    beforeEach(function () {
+        mock.method(console, "log", () => {});
+    });
+
+    afterEach(function () {
+        mock.restoreAll();
+    });
+
+    describe("Contracts", function () {
+        it("Should deploy and record contracts that are not in the manifest", async function () {
+            const { ethers, manifest, saves, deploy } = setup();
+
+            await deploy.deploy("testToken", "TestToken", ["ZeroDrop Test Token", 18, 10n ** 24n]);
+
+            assert.equal(ethers.deployed.length, 1);
+            assert.deepEqual(manifest.contracts.testToken, {
+                contractName: "TestToken",
+                address: ethers.deployed[0].address,
+                constructorArgs: ["ZeroDrop Test Token", 18, String(10n ** 24n)],
+                txHash: `0x${(11).toString(16).padStart(64, "0")}`,
+                blockNumber: 11
+            });
+            assert.equal(saves.length, 1);
+            assert.deepEqual(deploy.totals(), { fees: 100n, transactions: 1 });
+        });
+
+        it("Should reuse a recorded contract built with the same constructor arguments", async function () {
+            const { ethers, manifest, deploy } = setup({
+                contracts: { testToken: { contractName: "TestToken", address: RECORDED, constructorArgs: ["ZeroDrop Test Token", 18, String(10n ** 24n)], txHash: "0x01", blockNumber: 5 } },
+                steps: {}
+            });
+            ethers.code.set(RECORDED, "0x6080");
+
+            const contract = await deploy.deploy("testToken", "TestToken", ["ZeroDrop Test Token", 18, 10n ** 24n]);
+
+            assert.deepEqual(contract, { contractName: "TestToken", address: RECORDED, attached: true });
+            assert.equal(ethers.deployed.length, 0);
+            assert.equal(manifest.contracts.testToken.txHash, "0x01");
+            assert.deepEqual(deploy.totals(), { fees: 0n, transactions: 0 });
+        });
+
+        it("Should trust recorded addresses from manifests without constructor arguments", async function () {
+            const { ethers, deploy } = setup({ contracts: { vaultManager: { address: RECORDED } }, steps: {} });
+            ethers.code.set(RECORDED, "0x6080");
+
+            const contract = await deploy.deploy("vaultManager", "VaultManager");
+
+            assert.equal(contract.address, RECORDED);
+            assert.equal(ethers.deployed.length, 0);
+        });
+
+        it("Should redeploy when the constructor arguments changed", async function () {
+            const { ethers, manifest, deploy } = setup({
+                contracts: { secretFundraiser: { contractName: "SecretFundraiser", address: RECORDED, constructorArgs: ["0x" + "11".repeat(20)] } },
+                steps: {}
+            });
+            ethers.code.set(RECORDED, "0x6080");
+
+            await deploy.deploy("secretFundraiser", "SecretFundraiser", ["0x" + "22".repeat(20)]);
+
+            assert.equal(ethers.deployed.length, 1);
+            assert.notEqual(manifest.contracts.secretFundraiser.address, RECORDED);
+            assert.deepEqual(manifest.contracts.secretFundraiser.constructorArgs, ["0x" + "22".repeat(20)]);
+        });
+
+        it("Should redeploy when no code is left at the recorded address", async function () {
+            const { ethers, deploy } = setup({ contracts: { fheCrypto: { contractName: "FHECrypto", address: RECORDED, constructorArgs: [] } }, steps: {} });
+
+            await deploy.deploy("fheCrypto", "FHECrypto", []);
+
+            assert.equal(ethers.deployed.length, 1);
+        });
+
+        it("Should redeploy everything on a fresh run", async function () {
+            const { ethers, deploy } = setup({ contracts: { fheCrypto: { contractName: "FHECrypto", address: RECORDED, constructorArgs: [] } }, steps: {} }, true);
+            ethers.code.set(RECORDED, "0x6080");
+
+            await deploy.deploy("fheCrypto", "FHECrypto", []);
+
+            assert.equal(ethers.deployed.length, 1);
+        });
+    });
+
+    describe("Steps", function () {
+        it("Should skip steps that are already applied", async function () {
+            const { saves, deploy } = setup();
+            let applied = 0;
+
+            const sent = await deploy.step("fheCrypto.operator.secretFundraiser", "Authorize", {
+                isApplied: async () => true,
+                apply: async () => { applied++; }
+            });
+
+            assert.equal(sent, false);
+            assert.equal(applied, 0);
+            assert.equal(saves.length, 0);
+        });
+
+        it("Should apply and record pending steps", async function () {
+            const { ethers, manifest, saves, deploy } = setup();
+
+            const sent = await deploy.step("fheCrypto.operator.secretFundraiser", "Authorize SecretFundraiser as FHECrypto operator", {
+                isApplied: async () => false,
+                apply: async () => ethers.transaction(RECORDED)
+            });
+
+            assert.equal(sent, true);
+            const step = manifest.steps["fheCrypto.operator.secretFundraiser"];
+            assert.equal(step.description, "Authorize SecretFundraiser as FHECrypto operator");
+            assert.equal(step.target, RECORDED);
+            assert.equal(step.blockNumber, 11);
+            assert.ok(!Number.isNaN(Date.parse(step.appliedAt)));
+            assert.equal(saves.length, 1);
+            assert.deepEqual(deploy.totals(), { fees: 100n, transactions: 1 });
+        });
+
+        it("Should leave a failed step unrecorded so a rerun retries it", async function () {
+            const { manifest, deploy } = setup();
+
+            await assert.rejects(
+                deploy.step("testToken.minter.secretFundraiser", "Add minter", {
+                    isApplied: async () => false,
+                    apply: async () => { throw new Error("nonce too low"); }
+                }),
+                /nonce too low/
+            );
+            assert.deepEqual(manifest.steps, {});
+        });
+
+        it("Should report recorded steps only for the contract they were applied to", function () {
+            const { deploy } = setup({
+                contracts: {},
+                steps: {
+                    "testToken.mint.demo": { target: RECORDED, txHash: "0x01" },
+                    "testToken.minter.secretFundraiser": { target: RECORDED, status: "exported" }
+                }
+            });
+
+            assert.equal(deploy.recordedFor("testToken.mint.demo", RECORDED), true);
+            assert.equal(deploy.recordedFor("testToken.mint.demo", "0x" + "cd".repeat(20)), false);
+            assert.equal(deploy.recordedFor("testToken.minter.secretFundraiser", RECORDED), false);
+        });
+    });
+});
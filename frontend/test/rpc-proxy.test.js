@@ -0,0 +1,252 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { createRateLimiter, createRpcProxy } = require("../lib/rpc-proxy");
+
+const TX_HASH = "0x" + "ab".repeat(32);
+
+/**
+ * Upstream node answering from `state`, recording every call it receives
+ */
+function createUpstream(state) {
+    const calls = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on("data", chunk => chunks.push(chunk));
+        req.on("end", async () => {
+            const { id, method, params } = JSON.parse(Buffer.concat(chunks).toString());
+            calls.push({ method, params });
+            await new Promise(resolve => setTimeout(resolve, state.delay));
+
+            const toHex = (value) => "0x" + value.toString(16);
+            let body;
+            if (method === "eth_chainId") body = { result: "0x7a69" };
+            else if (method === "eth_blockNumber") body = { result: toHex(state.head) };
+            else if (method === "eth_call") body = params[0].data === "0xdead" ? { error: { code: 3, message: "execution reverted", data: "0x" } } : { result: "0x01" };
+            else if (method === "eth_getBlockByNumber") body = { result: { number: params[0], hash: "0x" + "11".repeat(32) } };
+            else if (method === "eth_getTransactionReceipt") body = { result: state.receiptBlock === null ? null : { transactionHash: TX_HASH, blockNumber: toHex(state.receiptBlock) } };
+            else body = { error: { code: -32601, message: "method not found" } };
+
+            res.writeHead(200, { "Content-Type": "application/json" });
+            res.end(JSON.stringify({ jsonrpc: "2.0", id, ...body }));
+        });
+    });
+    return { server, calls };
+}
+
+describe("RPC proxy", function () {
+    const state = {};
+    let upstream;
+    let proxyServer;
+    let proxy;
+    let proxyUrl;
+
+    function configure(options = {}) {
+        proxy = createRpcProxy({ upstream: `http://127.0.0.1:${upstream.server.address().port}`, ...options });
+    }
+
+    async function post(body, { raw = false } = {}) {
+        const response = await fetch(proxyUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: raw ? body : JSON.stringify(body)
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    function call(method, params = [], id = 1) {
+        return post({ jsonrpc: "2.0", id, method, params });
+    }
+
+    function upstreamCalls(method) {
+        return upstream.calls.filter(entry => entry.method === method).length;
+    }
+
+    before(async function () {
+        upstream = createUpstream(state);
+        await new Promise(resolve => upstream.server.listen(0, "127.0.0.1", resolve));
+
+        proxyServer = http.createServer((req, res) => proxy.handle(req, res));
+        await new Promise(resolve => proxyServer.listen(0, "127.0.0.1", resolve));
+        proxyUrl = `http://127.0.0.1:${proxyServer.address().port}/rpc`;
+    });
+
+    after(function () {
+        proxyServer.close();
+        upstream.server.close();
+    });
+
+    beforeEach(function () {
+        Object.assign(state, { head: 100, delay: 0, receiptBlock: 50 });
+        upstream.calls.length = 0;
+        configure();
+    });
+
+    describe("Forwarding", function () {
+        it("Should forward calls and keep the client's id", async function () {
+            const response = await call("eth_call", [{ to: "0x" + "00".repeat(20), data: "0x1234" }, "latest"], "abc");
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body, { jsonrpc: "2.0", id: "abc", result: "0x01" });
+        });
+
+        it("Should pass upstream errors through", async function () {
+            const response = await call("eth_call", [{ to: "0x" + "00".repeat(20), data: "0xdead" }, "latest"]);
+
+            assert.deepEqual(response.body.error, { code: 3, message: "execution reverted", data: "0x" });
+        });
+
+        it("Should answer batches in order", async function () {
+            const response = await post([
+                { jsonrpc: "2.0", id: 1, method: "eth_chainId", params: [] },
+                { jsonrpc: "2.0", id: 2, method: "eth_blockNumber", params: [] }
+            ]);
+
+            assert.deepEqual(response.body.map(entry => [entry.id, entry.result]), [[1, "0x7a69"], [2, "0x64"]]);
+        });
+
+        it("Should reject methods outside the allowlist", async function () {
+            const response = await call("eth_sendRawTransaction", ["0x00"]);
+
+            assert.equal(response.body.error.code, -32601);
+            assert.equal(upstreamCalls("eth_sendRawTransaction"), 0);
+
+            configure({ methods: ["eth_chainId"] });
+            assert.equal((await call("eth_blockNumber")).body.error.code, -32601);
+        });
+
+        it("Should reject malformed requests", async function () {
+            assert.equal((await post("{", { raw: true })).status, 400);
+            assert.equal((await post([])).status, 400);
+            assert.equal((await post({ jsonrpc: "2.0", id: 1 })).body.error.code, -32600);
+            assert.equal((await post({ jsonrpc: "2.0", id: 1, method: "eth_call", params: {} })).body.error.code, -32600);
+
+            const get = await fetch(proxyUrl);
+            assert.equal(get.status, 405);
+            assert.equal(get.headers.get("allow"), "POST");
+        });
+
+        it("Should hide the upstream address when it is down", async function () {
+            proxy = createRpcProxy({ upstream: "http://127.0.0.1:1" });
+
+            const response = await call("eth_chainId");
+            assert.equal(response.body.error.code, -32603);
+            assert.doesNotMatch(response.body.error.message, /127\.0\.0\.1/);
+        });
+    });
+
+    describe("Caching", function () {
+        it("Should cache the chain id", async function () {
+            await call("eth_chainId");
+            await call("eth_chainId");
+
+            assert.equal(upstreamCalls("eth_chainId"), 1);
+            assert.equal(proxy.stats().cacheHits, 1);
+        });
+
+        it("Should cache confirmed blocks but not recent ones or latest", async function () {
+            for (let round = 0; round < 2; round++) {
+                await call("eth_getBlockByNumber", ["0x32", false]);
+                await call("eth_getBlockByNumber", ["0x60", false]);
+                await call("eth_getBlockByNumber", ["latest", false]);
+                await call("eth_blockNumber");
+            }
+
+            const fetched = upstream.calls.filter(entry => entry.method === "eth_getBlockByNumber").map(entry => entry.params[0]);
+            assert.deepEqual(fetched, ["0x32", "0x60", "latest", "0x60", "latest"]);
+        });
+
+        it("Should cache state reads pinned to a confirmed block only", async function () {
+            const to = "0x" + "00".repeat(20);
+            for (let round = 0; round < 2; round++) {
+                await call("eth_call", [{ to, data: "0x1234" }, "0x10"]);
+                await call("eth_call", [{ to, data: "0x1234" }, "latest"]);
+            }
+
+            assert.equal(upstreamCalls("eth_call"), 3);
+        });
+
+        it("Should cache receipts once they are confirmed", async function () {
+            state.receiptBlock = null;
+            await call("eth_getTransactionReceipt", [TX_HASH]);
+            state.receiptBlock = 95;
+            await call("eth_getTransactionReceipt", [TX_HASH]);
+            state.receiptBlock = 50;
+            await call("eth_getTransactionReceipt", [TX_HASH]);
+            await call("eth_getTransactionReceipt", [TX_HASH]);
+
+            assert.equal(upstreamCalls("eth_getTransactionReceipt"), 3);
+        });
+
+        it("Should not cache errors", async function () {
+            const to = "0x" + "00".repeat(20);
+            await call("eth_call", [{ to, data: "0xdead" }, "0x10"]);
+            await call("eth_call", [{ to, data: "0xdead" }, "0x10"]);
+
+            assert.equal(upstreamCalls("eth_call"), 2);
+        });
+
+        it("Should drop the cache when the chain is reset", async function () {
+            await call("eth_getBlockByNumber", ["0x32", false]);
+            state.head = 10;
+            await new Promise(resolve => setTimeout(resolve, 2100));
+            await call("eth_getBlockByNumber", ["0x5", false]);
+            await call("eth_getBlockByNumber", ["0x32", false]);
+
+            assert.equal(upstream.calls.filter(entry => entry.params[0] === "0x32").length, 2);
+        });
+
+        it("Should drop the cache on a reset even when every call is answered from it", async function () {
+            await call("eth_getBlockByNumber", ["0x32", false]);
+            await call("eth_getBlockByNumber", ["0x32", false]);
+            assert.equal(upstreamCalls("eth_getBlockByNumber"), 1);
+
+            state.head = 10;
+            await new Promise(resolve => setTimeout(resolve, 2100));
+            await call("eth_getBlockByNumber", ["0x32", false]);
+
+            assert.equal(upstreamCalls("eth_getBlockByNumber"), 2);
+        });
+    });
+
+    describe("In-flight sharing", function () {
+        it("Should send identical concurrent calls upstream once", async function () {
+            state.delay = 50;
+            const params = [{ to: "0x" + "00".repeat(20), data: "0xabcd" }, "latest"];
+
+            const responses = await Promise.all([1, 2, 3].map(id => call("eth_call", params, id)));
+
+            assert.deepEqual(responses.map(response => response.body.id), [1, 2, 3]);
+            assert.ok(responses.every(response => response.body.result === "0x01"));
+            assert.equal(upstreamCalls("eth_call"), 1);
+            assert.equal(proxy.stats().shared, 2);
+        });
+    });
+
+    describe("Rate limiting", function () {
+        it("Should answer 429 once a client used its budget", async function () {
+            configure({ rateLimit: 3 });
+
+            assert.equal((await post([1, 2].map(id => ({ jsonrpc: "2.0", id, method: "eth_chainId" })))).status, 200);
+            assert.equal((await call("eth_chainId")).status, 200);
+
+            const limited = await call("eth_chainId");
+            assert.equal(limited.status, 429);
+            assert.equal(limited.body.error.code, -32005);
+            assert.equal(limited.headers.get("retry-after"), "20");
+        });
+
+        it("Should keep separate budgets and refill them", async function () {
+            const limiter = createRateLimiter(600);
+
+            assert.equal(limiter.take("a", 600), 0);
+            assert.equal(limiter.take("a", 1), 1);
+            assert.equal(limiter.take("b", 1), 0);
+
+            // 600 per minute refills one call every 100ms
+            await new Promise(resolve => setTimeout(resolve, 250));
+            assert.equal(limiter.take("a", 2), 0);
+            assert.equal(createRateLimiter(0).take("a", 1000), 0);
+        });
+    });
+});
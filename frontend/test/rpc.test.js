@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { createRpcClient, RpcError } = require("../lib/rpc");
+
+describe("RPC client", function () {
+    let server;
+    let url;
+    const received = [];
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", chunk => {
+                body += chunk;
+            });
+            req.on("end", () => {
+                const payload = JSON.parse(body);
+                received.push(payload);
+                if (payload.method === "http_error") {
+                    res.writeHead(502);
+                    return res.end();
+                }
+
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify(payload.method === "eth_call"
+                    ? { jsonrpc: "2.0", id: payload.id, error: { code: 3, message: "execution reverted", data: "0x08c379a0" } }
+                    : { jsonrpc: "2.0", id: payload.id, result: "0x7a69" }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    it("Should send JSON-RPC 2.0 requests and return the result", async function () {
+        const rpc = createRpcClient(url);
+
+        assert.equal(await rpc.request("eth_chainId"), "0x7a69");
+        assert.equal(await rpc.request("eth_blockNumber", []), "0x7a69");
+        assert.deepEqual(received.slice(-2).map(payload => [payload.jsonrpc, payload.id, payload.method]), [
+            ["2.0", 1, "eth_chainId"],
+            ["2.0", 2, "eth_blockNumber"]
+        ]);
+    });
+
+    it("Should surface node errors with their code and data", async function () {
+        const rpc = createRpcClient(url);
+
+        await assert.rejects(rpc.request("eth_call", [{}]), (error) => {
+            assert.ok(error instanceof RpcError);
+            assert.equal(error.code, 3);
+            assert.equal(error.data, "0x08c379a0");
+            return true;
+        });
+        await assert.rejects(rpc.request("http_error"), /HTTP 502/);
+    });
+
+    it("Should explain unreachable nodes", async function () {
+        // A port that was just free again
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, "127.0.0.1", resolve));
+        const { port } = closed.address();
+        await new Promise(resolve => closed.close(resolve));
+
+        const rpc = createRpcClient(`http://127.0.0.1:${port}`);
+        await assert.rejects(rpc.request("eth_chainId"), /cannot reach http:\/\/127\.0\.0\.1:\d+ \(ECONNREFUSED\)/);
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { ethers } = require("ethers");
+const { DEPLOYMENT_SPEC, resolveParameters, resolveValue } = require("../../scripts/lib/deployment-spec");
+const { buildSafeBatch, checkSafeBatch, readSafeBatch, safeTransaction, writeSafeBatch } = require("../../scripts/lib/safe-batch");
+
+// The owner functions the spec and the admin commands call, as the contracts declare them
+const ABIS = {
+    fheCrypto: ["function authorizeOperator(address _operator)", "function transferOwnership(address newOwner)"],
+    vaultManager: ["function addAuthorizedContract(address _contract)", "function transferOwnership(address newOwner)"],
+    testToken: ["function addMinter(address _minter)", "function mint(address _to, uint256 _amount)", "function transferOwnership(address newOwner)"],
+    secretFundraiser: ["function updateServiceFeeRate(uint16 _newRate)", "function transferOwnership(address newOwner)"],
+    confidentialTrading: [
+        "function addSupportedToken(address _token, uint256 _precision)",
+        "function updateTradingFeeRate(uint256 _newRate)",
+        "function transferOwnership(address newOwner)"
+    ]
+};
+
+const CHAIN_ID = 11155111;
+const DEPLOYER = "0x" + "11".repeat(20);
+const SAFE = "0x" + "22".repeat(20);
+
+const addresses = Object.fromEntries(DEPLOYMENT_SPEC.contracts.map((contract, index) => [
+    contract.key,
+    ethers.getAddress("0x" + String(index + 1).padStart(40, "a"))
+]));
+const interfaces = Object.fromEntries(Object.entries(ABIS).map(([key, abi]) => [key, new ethers.Interface(abi)]));
+
+/**
+ * The batch runDeployment exports when none of the wiring steps has been applied
+ */
+function wiringBatch() {
+    const context = { parameters: resolveParameters(DEPLOYER), addresses };
+    const transactions = DEPLOYMENT_SPEC.steps.map(step => {
+        const contractInterface = interfaces[step.contract];
+        return safeTransaction(contractInterface, contractInterface.getFunction(step.method), resolveValue(step.args, context), addresses[step.contract]);
+    });
+    return buildSafeBatch({ chainId: CHAIN_ID, name: "ZeroDrop wiring (sepolia)", safeAddress: SAFE, transactions });
+}
+
+describe("Safe batches", function () {
+    let tmpDir;
+
+    before(function () {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "zerodrop-safe-"));
+    });
+
+    after(function () {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should accept the wiring batch the deploy scripts export", function () {
+        const file = path.join(tmpDir, "wiring.json");
+        writeSafeBatch(file, wiringBatch());
+        const batch = readSafeBatch(file);
+
+        assert.equal(batch.chainId, String(CHAIN_ID));
+        assert.equal(batch.meta.createdFromSafeAddress, SAFE);
+
+        const { errors, calls } = checkSafeBatch(batch, { chainId: CHAIN_ID, addresses, interfaces });
+        assert.deepEqual(errors, []);
+        assert.equal(calls.length, DEPLOYMENT_SPEC.steps.length);
+        calls.forEach((call, index) => {
+            assert.deepEqual(call.errors, []);
+            assert.equal(call.key, DEPLOYMENT_SPEC.steps[index].contract);
+        });
+
+        const mint = calls.find(call => call.key === "testToken" && call.method === "mint(address,uint256)");
+        assert.deepEqual(mint.args, { _to: DEPLOYER, _amount: String(10000n * 10n ** 18n) });
+        // The demo mint goes to the deployer, an account rather than a contract of the deployment
+        assert.deepEqual(mint.warnings, [`_to ${DEPLOYER} is not a contract of this deployment`]);
+    });
+
+    it("Should reject a batch for another chain", function () {
+        const { errors } = checkSafeBatch(wiringBatch(), { chainId: 1, addresses, interfaces });
+
+        assert.deepEqual(errors, [`Batch is for chain ${CHAIN_ID}, the deployment is on chain 1`]);
+    });
+
+    it("Should reject an empty batch", function () {
+        const batch = buildSafeBatch({ chainId: CHAIN_ID, name: "empty" });
+
+        assert.deepEqual(checkSafeBatch(batch, { chainId: CHAIN_ID, addresses, interfaces }).errors, ["Batch has no transactions"]);
+    });
+
+    it("Should reject calls to contracts outside the deployment", function () {
+        const batch = wiringBatch();
+        const stranger = "0x" + "33".repeat(20);
+        batch.transactions[0].to = stranger;
+
+        const { errors, calls } = checkSafeBatch(batch, { chainId: CHAIN_ID, addresses, interfaces });
+        assert.deepEqual(errors, []);
+        assert.equal(calls[0].key, null);
+        assert.deepEqual(calls[0].errors, [`${stranger} is not a contract of this deployment`]);
+        assert.deepEqual(calls[1].errors, []);
+    });
+
+    it("Should reject calls that send value", function () {
+        const batch = wiringBatch();
+        batch.transactions[2].value = "1";
+
+        const { calls } = checkSafeBatch(batch, { chainId: CHAIN_ID, addresses, interfaces });
+        assert.deepEqual(calls[2].errors, ["Sends 1 wei; ZeroDrop owner functions are not payable"]);
+    });
+
+    it("Should reject a displayed method or value that differs from the calldata", function () {
+        const batch = wiringBatch();
+        const feeStep = DEPLOYMENT_SPEC.steps.findIndex(step => step.id === "secretFundraiser.serviceFeeRate");
+        batch.transactions[feeStep].contractInputsValues._newRate = "100";
+        batch.transactions[0].contractMethod.name = "removeAuthorizedContract";
+
+        const { calls } = checkSafeBatch(batch, { chainId: CHAIN_ID, addresses, interfaces });
+        assert.deepEqual(calls[feeStep].errors, ["contractInputsValues._newRate shows 100, the calldata encodes 200"]);
+        assert.deepEqual(calls[0].errors, ["contractMethod shows removeAuthorizedContract, the calldata calls addAuthorizedContract"]);
+    });
+
+    it("Should reject calldata the target's ABI does not decode", function () {
+        const batch = wiringBatch();
+        batch.transactions[0].data = interfaces.testToken.encodeFunctionData("addMinter", [SAFE]);
+
+        const { calls } = checkSafeBatch(batch, { chainId: CHAIN_ID, addresses, interfaces });
+        assert.deepEqual(calls[0].errors, ["Calldata matches no function of vaultManager"]);
+    });
+
+    it("Should encode transactions built in the app from their method and values", function () {
+        const transaction = safeTransaction(interfaces.testToken, interfaces.testToken.getFunction("transferOwnership"), [SAFE], addresses.testToken);
+        const expected = transaction.data;
+        delete transaction.data;
+        const batch = buildSafeBatch({ chainId: CHAIN_ID, name: "app", transactions: [transaction] });
+
+        const { errors, calls } = checkSafeBatch(batch, { chainId: CHAIN_ID, addresses, interfaces });
+        assert.deepEqual(errors, []);
+        assert.deepEqual(calls[0].errors, []);
+        assert.equal(calls[0].data, expected);
+        assert.equal(calls[0].method, "transferOwnership(address)");
+    });
+});
@@ -0,0 +1,148 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { ethers } = require("ethers");
+const { DEPLOYMENT_SPEC } = require("../../scripts/lib/deployment-spec");
+const { auditPath } = require("../../scripts/lib/admin-commands");
+const { writeManifest } = require("../../scripts/lib/deployment-manifest");
+const { buildSafeBatch, safeTransaction, writeSafeBatch } = require("../../scripts/lib/safe-batch");
+const { importSafeBatch } = require("../../scripts/lib/safe-import");
+
+const ABIS = {
+    fheCrypto: ["function authorizeOperator(address _operator)"],
+    confidentialTrading: ["function updateTradingFeeRate(uint256 _newRate)"]
+};
+
+const NETWORK = { name: "sepolia", chainId: 11155111n };
+const DEPLOYER = "0x" + "11".repeat(20);
+const SAFE = ethers.getAddress("0x" + "22".repeat(20));
+
+const addresses = Object.fromEntries(DEPLOYMENT_SPEC.contracts.map((contract, index) => [
+    contract.key,
+    ethers.getAddress("0x" + String(index + 1).padStart(40, "a"))
+]));
+const interfaces = Object.fromEntries(DEPLOYMENT_SPEC.contracts.map(contract => [
+    contract.key,
+    new ethers.Interface(ABIS[contract.key] || [])
+]));
+
+/**
+ * Hardhat runtime stand-in: every contract is owned by `owners[key]` (the Safe by default) and
+ * simulations of calls to `reverting` targets revert
+ */
+function fakeHre({ network = NETWORK, owners = {}, reverting = [] } = {}) {
+    const keyOf = address => Object.keys(addresses).find(key => addresses[key] === address);
+    return {
+        ethers: {
+            isAddress: ethers.isAddress,
+            provider: {
+                getNetwork: async () => network,
+                call: async ({ to }) => {
+                    if (reverting.includes(keyOf(to))) throw new Error("execution reverted: Ownable: caller is not the owner");
+                    return "0x";
+                }
+            },
+            getContractAt: async (contractName, address) => ({
+                interface: interfaces[keyOf(address)],
+                owner: async () => owners[keyOf(address)] || SAFE
+            })
+        }
+    };
+}
+
+function batch() {
+    return buildSafeBatch({
+        chainId: NETWORK.chainId,
+        name: "ZeroDrop admin (sepolia)",
+        safeAddress: SAFE,
+        transactions: [
+            safeTransaction(interfaces.fheCrypto, interfaces.fheCrypto.getFunction("authorizeOperator"), [addresses.confidentialTrading], addresses.fheCrypto),
+            safeTransaction(interfaces.confidentialTrading, interfaces.confidentialTrading.getFunction("updateTradingFeeRate"), [25n], addresses.confidentialTrading)
+        ]
+    });
+}
+
+function auditEntries(manifestDir) {
+    return fs.readFileSync(auditPath(NETWORK.name, manifestDir), "utf8").trim().split("\n").map(line => JSON.parse(line));
+}
+
+describe("Safe import", function () {
+    let manifestDir;
+    let file;
+
+    before(function () {
+        manifestDir = fs.mkdtempSync(path.join(os.tmpdir(), "zerodrop-safe-import-"));
+        writeManifest(NETWORK.name, {
+            network: { name: NETWORK.name, chainId: Number(NETWORK.chainId), explorerBase: null },
+            deployment: { deployer: DEPLOYER, status: "complete" },
+            configuration: {},
+            contracts: Object.fromEntries(DEPLOYMENT_SPEC.contracts.map(contract => [contract.key, { contractName: contract.contractName, address: addresses[contract.key] }])),
+            steps: {}
+        }, manifestDir);
+        file = path.join(manifestDir, "safe-batches", "admin.json");
+        writeSafeBatch(file, batch());
+    });
+
+    after(function () {
+        fs.rmSync(manifestDir, { recursive: true, force: true });
+    });
+
+    beforeEach(function () {
+        mock.method(console, "log", () => {});
+        mock.method(console, "warn", () => {});
+    });
+
+    afterEach(function () {
+        mock.restoreAll();
+    });
+
+    it("Should check a batch the Safe owns every target of and log it", async function () {
+        const result = await importSafeBatch(fakeHre({ reverting: ["confidentialTrading"] }), { batch: file, manifestDir });
+
+        assert.equal(result.safe, SAFE);
+        assert.deepEqual(result.calls.map(call => [call.key, call.method, call.errors]), [
+            ["fheCrypto", "authorizeOperator(address)", []],
+            ["confidentialTrading", "updateTradingFeeRate(uint256)", []]
+        ]);
+        // A reverting simulation is reported but does not reject the batch
+        assert.deepEqual(result.calls[1].warnings, ["Simulation reverts: execution reverted: Ownable: caller is not the owner"]);
+
+        const entry = auditEntries(manifestDir).pop();
+        assert.deepEqual(
+            { command: entry.command, safeBatch: entry.safeBatch, safe: entry.safe, status: entry.status, chainId: entry.chainId },
+            { command: "safe-import", safeBatch: file, safe: SAFE, status: "batch-checked", chainId: 11155111 }
+        );
+    });
+
+    it("Should reject a batch with targets the Safe does not own", async function () {
+        const hre = fakeHre({ owners: { confidentialTrading: DEPLOYER } });
+
+        await assert.rejects(
+            importSafeBatch(hre, { batch: file, manifestDir }),
+            { message: "The batch does not match deployments/sepolia.json (1 problem); do not sign it" }
+        );
+
+        const entry = auditEntries(manifestDir).pop();
+        assert.equal(entry.status, "batch-rejected");
+        assert.deepEqual(entry.calls[1].errors, [`confidentialTrading is owned by ${DEPLOYER}, not the Safe ${SAFE}`]);
+    });
+
+    it("Should check against the Safe passed in instead of the batch's", async function () {
+        const other = ethers.getAddress("0x" + "33".repeat(20));
+
+        await assert.rejects(importSafeBatch(fakeHre(), { batch: file, safe: other, manifestDir }), /2 problems/);
+        await assert.rejects(
+            importSafeBatch(fakeHre(), { batch: file, safe: "0x1234", manifestDir }),
+            { message: "Safe address 0x1234 is not an address" }
+        );
+    });
+
+    it("Should refuse a network without a deployment manifest for its chain", async function () {
+        await assert.rejects(
+            importSafeBatch(fakeHre({ network: { name: "sepolia", chainId: 1n } }), { batch: file, manifestDir }),
+            { message: "No deployment manifest for chain 1 (deployments/sepolia.json)" }
+        );
+    });
+});
@@ -0,0 +1,14 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { generate, loadAbis } = require("../../scripts/generate-sdk");
+
+describe("SDK", function () {
+    it("Should match what the generator produces from the committed ABIs", function () {
+        const committed = fs.readFileSync(path.join(__dirname, "..", "public", "zerodrop-sdk.js"), "utf8");
+
+        // generate-sdk.js --check in test form; assert.ok keeps a 100 kB diff out of the failure
+        assert.ok(generate(loadAbis()) === committed, "zerodrop-sdk.js is stale; run node scripts/generate-sdk.js");
+    });
+});
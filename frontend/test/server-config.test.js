@@ -0,0 +1,83 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ConfigError, DEFAULT_HOST, DEFAULT_PORT, parseServerConfig } = require("../lib/server-config");
+const { DEFAULT_METHODS, DEFAULT_RATE_LIMIT } = require("../lib/rpc-proxy");
+
+describe("Server configuration", function () {
+    it("Should default to 127.0.0.1:3013 without CORS", function () {
+        assert.deepEqual(parseServerConfig([], {}), {
+            port: DEFAULT_PORT,
+            host: DEFAULT_HOST,
+            corsOrigins: [],
+            cacheControl: "no-cache",
+            spa: false,
+            dev: false,
+            rpc: { upstream: "http://127.0.0.1:8545", methods: DEFAULT_METHODS, rateLimit: DEFAULT_RATE_LIMIT },
+            help: false
+        });
+        assert.equal(DEFAULT_PORT, 3013);
+    });
+
+    it("Should read flags in both forms", function () {
+        const config = parseServerConfig(["--port", "8080", "--host=0.0.0.0", "--cors", "http://localhost:5173, https://app.example/", "--cache=600", "--spa"], {});
+
+        assert.equal(config.port, 8080);
+        assert.equal(config.host, "0.0.0.0");
+        assert.deepEqual(config.corsOrigins, ["http://localhost:5173", "https://app.example"]);
+        assert.equal(config.cacheControl, "public, max-age=600");
+        assert.equal(config.spa, true);
+    });
+
+    it("Should read environment variables, with flags taking precedence", function () {
+        const env = { ZERODROP_PORT: "4000", ZERODROP_HOST: "::", ZERODROP_CORS_ORIGINS: "*", ZERODROP_CACHE: "no-store", ZERODROP_SPA: "true" };
+
+        const config = parseServerConfig(["--port", "5000"], env);
+        assert.equal(config.port, 5000);
+        assert.equal(config.host, "::");
+        assert.deepEqual(config.corsOrigins, ["*"]);
+        assert.equal(config.cacheControl, "no-store");
+        assert.equal(config.spa, true);
+        assert.equal(parseServerConfig([], { ZERODROP_SPA: "0", ZERODROP_PORT: "" }).spa, false);
+        assert.equal(parseServerConfig([], { ZERODROP_PORT: "" }).port, DEFAULT_PORT);
+    });
+
+    it("Should never cache in dev mode", function () {
+        assert.equal(parseServerConfig(["--dev", "--cache", "3600"], {}).cacheControl, "no-store");
+        assert.equal(parseServerConfig([], { ZERODROP_DEV: "1" }).dev, true);
+    });
+
+    it("Should reject bad options", function () {
+        const invalid = [
+            ["--prot", "3000"],
+            ["3000"],
+            ["--port"],
+            ["--port", "--dev"],
+            ["--port", "70000"],
+            ["--port", "abc"],
+            ["--cache", "forever"],
+            ["--cors", "localhost:3000"],
+            ["--cors", "http://example.com/path"]
+        ];
+        for (const argv of invalid) {
+            assert.throws(() => parseServerConfig(argv, {}), ConfigError, argv.join(" "));
+        }
+        assert.throws(() => parseServerConfig([], { ZERODROP_PORT: "x" }), /Invalid port x/);
+    });
+
+    it("Should configure the RPC proxy", function () {
+        const config = parseServerConfig(["--rpc-methods", "eth_chainId, eth_call", "--rpc-rate-limit", "0"], { ZERODROP_RPC_URL: "http://node:8545" });
+        assert.deepEqual(config.rpc, { upstream: "http://node:8545", methods: ["eth_chainId", "eth_call"], rateLimit: 0 });
+
+        const env = { ZERODROP_RPC_URL: "http://node:8545", ZERODROP_RPC_UPSTREAM: "https://rpc.example/v1", ZERODROP_RPC_METHODS: "none" };
+        assert.deepEqual(parseServerConfig([], env).rpc.methods, []);
+        assert.equal(parseServerConfig([], env).rpc.upstream, "https://rpc.example/v1");
+
+        assert.throws(() => parseServerConfig(["--rpc-upstream", "node:8545"], {}), ConfigError);
+        assert.throws(() => parseServerConfig(["--rpc-methods", "eth_call;drop"], {}), ConfigError);
+        assert.throws(() => parseServerConfig(["--rpc-rate-limit", "-1"], {}), ConfigError);
+    });
+
+    it("Should recognise --help", function () {
+        assert.equal(parseServerConfig(["--help"], {}).help, true);
+    });
+});
@@ -0,0 +1,327 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const zlib = require("node:zlib");
+const { createCors } = require("../lib/cors");
+const { createStaticHandler, negotiateEncoding, parseRange } = require("../lib/static");
+
+const PAGE = `<!DOCTYPE html><html><body>${"ZeroDrop ".repeat(400)}</body></html>`;
+const VIDEO = Buffer.from(Array.from({ length: 256 }, (value, index) => index));
+
+describe("Static files", function () {
+    let dir;
+    let server;
+    let port;
+
+    /**
+     * Raw request so paths reach the server exactly as written (fetch would normalize `..`)
+     */
+    function request(requestPath, { method = "GET", headers = {}, to = port } = {}) {
+        return new Promise((resolve, reject) => {
+            const req = http.request({ host: "127.0.0.1", port: to, path: requestPath, method, headers }, (res) => {
+                const chunks = [];
+                res.on("data", chunk => chunks.push(chunk));
+                res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+            });
+            req.on("error", reject);
+            req.end();
+        });
+    }
+
+    before(async function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "zerodrop-static-"));
+        const root = path.join(dir, "public");
+        fs.mkdirSync(path.join(root, "media"), { recursive: true });
+        fs.writeFileSync(path.join(root, "index.html"), PAGE);
+        fs.writeFileSync(path.join(root, "small.js"), "console.log(1);");
+        fs.writeFileSync(path.join(root, "media", "demo.mp4"), VIDEO);
+        fs.writeFileSync(path.join(root, "server.js"), "// secret");
+        fs.writeFileSync(path.join(root, ".env"), "KEY=1");
+        fs.writeFileSync(path.join(dir, "secret.txt"), "outside");
+        fs.symlinkSync(path.join(dir, "secret.txt"), path.join(root, "link.txt"));
+
+        const files = createStaticHandler(root, { hidden: ["server.js"] });
+        server = http.createServer((req, res) => files.handle(req, res));
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        port = server.address().port;
+    });
+
+    after(function () {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe("Path resolution", function () {
+        it("Should ignore the query string", async function () {
+            const response = await request("/index.html?x=1");
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers["content-type"], "text/html; charset=utf-8");
+            assert.equal(response.body.toString(), PAGE);
+        });
+
+        it("Should not serve files outside the root", async function () {
+            for (const requestPath of ["/../secret.txt", "/%2e%2e/secret.txt", "/media/..%2f..%2fsecret.txt", "/link.txt"]) {
+                const response = await request(requestPath);
+                assert.equal(response.status, 403, requestPath);
+                assert.doesNotMatch(response.body.toString(), /outside/);
+            }
+        });
+
+        it("Should hide the server's own files and dotfiles", async function () {
+            assert.equal((await request("/server.js")).status, 404);
+            assert.equal((await request("/.env")).status, 404);
+        });
+
+        it("Should answer missing files, directories and bad paths", async function () {
+            assert.equal((await request("/missing.html")).status, 404);
+            assert.equal((await request("/media")).status, 404);
+            assert.equal((await request("/index.html/x")).status, 404);
+            assert.equal((await request("/%E0%A4%A")).status, 400);
+            assert.equal((await request("/index%00.html")).status, 400);
+        });
+
+        it("Should only allow GET and HEAD", async function () {
+            const response = await request("/index.html", { method: "POST" });
+
+            assert.equal(response.status, 405);
+            assert.equal(response.headers.allow, "GET, HEAD");
+        });
+    });
+
+    describe("Headers", function () {
+        it("Should send security headers", async function () {
+            for (const requestPath of ["/index.html", "/missing.html"]) {
+                const { headers } = await request(requestPath);
+                assert.equal(headers["x-content-type-options"], "nosniff");
+                assert.match(headers["content-security-policy"], /default-src 'self'/);
+                assert.match(headers["content-security-policy"], /frame-ancestors 'none'/);
+            }
+        });
+
+        it("Should answer HEAD without a body", async function () {
+            const response = await request("/index.html", { method: "HEAD" });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers["content-length"], String(PAGE.length));
+            assert.equal(response.body.length, 0);
+        });
+    });
+
+    describe("Conditional requests", function () {
+        it("Should answer a matching If-None-Match with 304", async function () {
+            const { headers } = await request("/index.html");
+            assert.ok(headers.etag);
+            assert.ok(headers["last-modified"]);
+
+            const response = await request("/index.html", { headers: { "If-None-Match": headers.etag } });
+            assert.equal(response.status, 304);
+            assert.equal(response.body.length, 0);
+        });
+
+        it("Should accept the ETag of a compressed variant", async function () {
+            const { headers } = await request("/index.html", { headers: { "Accept-Encoding": "gzip" } });
+
+            const response = await request("/index.html", { headers: { "If-None-Match": headers.etag } });
+            assert.equal(response.status, 304);
+        });
+
+        it("Should answer If-Modified-Since", async function () {
+            const { headers } = await request("/index.html");
+
+            assert.equal((await request("/index.html", { headers: { "If-Modified-Since": headers["last-modified"] } })).status, 304);
+            assert.equal((await request("/index.html", { headers: { "If-Modified-Since": "Thu, 01 Jan 1970 00:00:00 GMT" } })).status, 200);
+        });
+
+        it("Should serve the file when the ETag does not match", async function () {
+            const response = await request("/index.html", { headers: { "If-None-Match": "\"stale\"" } });
+
+            assert.equal(response.status, 200);
+        });
+    });
+
+    describe("Compression", function () {
+        it("Should prefer brotli", async function () {
+            const response = await request("/index.html", { headers: { "Accept-Encoding": "gzip, deflate, br" } });
+
+            assert.equal(response.headers["content-encoding"], "br");
+            assert.equal(response.headers.vary, "Accept-Encoding");
+            assert.equal(zlib.brotliDecompressSync(response.body).toString(), PAGE);
+        });
+
+        it("Should fall back to gzip", async function () {
+            const response = await request("/index.html", { headers: { "Accept-Encoding": "gzip" } });
+
+            assert.equal(response.headers["content-encoding"], "gzip");
+            assert.equal(zlib.gunzipSync(response.body).toString(), PAGE);
+        });
+
+        it("Should leave small files, media and clients without Accept-Encoding alone", async function () {
+            const requests = [
+                ["/small.js", "br"],
+                ["/media/demo.mp4", "br"],
+                ["/index.html", "identity"],
+                ["/index.html", "br;q=0, gzip;q=0"]
+            ];
+            for (const [requestPath, acceptEncoding] of requests) {
+                const response = await request(requestPath, { headers: { "Accept-Encoding": acceptEncoding } });
+                assert.equal(response.headers["content-encoding"], undefined, `${requestPath} ${acceptEncoding}`);
+            }
+        });
+
+        it("Should keep the CORS Vary field on compressed responses", async function () {
+            const cors = createCors(["https://app.example"]);
+            const files = createStaticHandler(path.join(dir, "public"));
+            const corsServer = http.createServer((req, res) => cors.apply(req, res) || files.handle(req, res));
+            await new Promise(resolve => corsServer.listen(0, "127.0.0.1", resolve));
+
+            try {
+                const response = await request("/index.html", {
+                    to: corsServer.address().port,
+                    headers: { Origin: "https://app.example", "Accept-Encoding": "br" }
+                });
+
+                assert.equal(response.headers["content-encoding"], "br");
+                assert.equal(response.headers["access-control-allow-origin"], "https://app.example");
+                assert.equal(response.headers.vary, "Origin, Accept-Encoding");
+            } finally {
+                corsServer.close();
+            }
+        });
+
+        it("Should negotiate encodings", function () {
+            assert.equal(negotiateEncoding("gzip, br"), "br");
+            assert.equal(negotiateEncoding("br;q=0, gzip"), "gzip");
+            assert.equal(negotiateEncoding("*"), "br");
+            assert.equal(negotiateEncoding("deflate"), null);
+            assert.equal(negotiateEncoding(undefined), null);
+        });
+    });
+
+    describe("Range requests", function () {
+        it("Should serve a byte range", async function () {
+            const response = await request("/media/demo.mp4", { headers: { Range: "bytes=10-19" } });
+
+            assert.equal(response.status, 206);
+            assert.equal(response.headers["content-type"], "video/mp4");
+            assert.equal(response.headers["accept-ranges"], "bytes");
+            assert.equal(response.headers["content-range"], "bytes 10-19/256");
+            assert.deepEqual([...response.body], [10, 11, 12, 13, 14, 15, 16, 17, 18, 19]);
+        });
+
+        it("Should serve open-ended and suffix ranges", async function () {
+            const open = await request("/media/demo.mp4", { headers: { Range: "bytes=250-" } });
+            assert.deepEqual([...open.body], [250, 251, 252, 253, 254, 255]);
+
+            const suffix = await request("/media/demo.mp4", { headers: { Range: "bytes=-2" } });
+            assert.equal(suffix.headers["content-range"], "bytes 254-255/256");
+        });
+
+        it("Should reject unsatisfiable ranges", async function () {
+            const response = await request("/media/demo.mp4", { headers: { Range: "bytes=300-400" } });
+
+            assert.equal(response.status, 416);
+            assert.equal(response.headers["content-range"], "bytes */256");
+        });
+
+        it("Should serve ranges of Matroska video", async function () {
+            fs.writeFileSync(path.join(dir, "public", "media", "demo.mkv"), VIDEO);
+            const response = await request("/media/demo.mkv", { headers: { Range: "bytes=0-3" } });
+
+            assert.equal(response.status, 206);
+            assert.equal(response.headers["content-type"], "video/x-matroska");
+            assert.equal(response.headers["content-range"], "bytes 0-3/256");
+            assert.deepEqual([...response.body], [0, 1, 2, 3]);
+        });
+
+        it("Should serve the demo video from public/ with ranges", async function () {
+            const demo = createStaticHandler(path.join(__dirname, "..", "public"));
+            const demoServer = http.createServer((req, res) => demo.handle(req, res));
+            await new Promise(resolve => demoServer.listen(0, "127.0.0.1", resolve));
+
+            try {
+                const { size } = fs.statSync(path.join(__dirname, "..", "public", "media", "zamaapp.mkv"));
+                const response = await request("/media/zamaapp.mkv", { headers: { Range: "bytes=0-3" }, to: demoServer.address().port });
+
+                assert.equal(response.status, 206);
+                assert.equal(response.headers["content-type"], "video/x-matroska");
+                assert.equal(response.headers["content-range"], `bytes 0-3/${size}`);
+                // EBML magic number every Matroska file starts with
+                assert.deepEqual([...response.body], [0x1a, 0x45, 0xdf, 0xa3]);
+            } finally {
+                demoServer.close();
+            }
+        });
+
+        it("Should serve the whole file when If-Range is stale", async function () {
+            const response = await request("/media/demo.mp4", { headers: { Range: "bytes=0-1", "If-Range": "\"stale\"" } });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.length, 256);
+        });
+
+        it("Should parse range headers", function () {
+            assert.deepEqual(parseRange("bytes=0-0", 10), { start: 0, end: 0 });
+            assert.deepEqual(parseRange("bytes=5-100", 10), { start: 5, end: 9 });
+            assert.equal(parseRange("bytes=0-1,4-5", 10), null);
+            assert.equal(parseRange("items=0-1", 10), null);
+            assert.equal(parseRange("bytes=-", 10), null);
+            assert.equal(parseRange("bytes=3-2", 10), "unsatisfiable");
+        });
+    });
+
+    describe("Options", function () {
+        let optionsServer;
+        let optionsPort;
+
+        function requestOptions(requestPath) {
+            return request(requestPath, { to: optionsPort });
+        }
+
+        before(async function () {
+            const files = createStaticHandler(path.join(dir, "public"), {
+                hidden: ["server.js"],
+                cacheControl: "public, max-age=60",
+                spaFallback: "/index.html",
+                htmlSnippet: "<script>reload()</script>"
+            });
+            optionsServer = http.createServer((req, res) => files.handle(req, res));
+            await new Promise(resolve => optionsServer.listen(0, "127.0.0.1", resolve));
+            optionsPort = optionsServer.address().port;
+        });
+
+        after(function () {
+            optionsServer.close();
+        });
+
+        it("Should use the configured Cache-Control", async function () {
+            const response = await requestOptions("/small.js");
+
+            assert.equal(response.headers["cache-control"], "public, max-age=60");
+        });
+
+        it("Should fall back to the SPA page for unknown routes only", async function () {
+            const route = await requestOptions("/campaigns/7");
+            assert.equal(route.status, 200);
+            assert.match(route.body.toString(), /ZeroDrop/);
+
+            assert.equal((await requestOptions("/missing.js")).status, 404);
+            assert.equal((await requestOptions("/server")).status, 200);
+            assert.equal((await requestOptions("/../secret")).status, 403);
+        });
+
+        it("Should inject the snippet into HTML pages", async function () {
+            const response = await requestOptions("/index.html");
+            const body = response.body.toString();
+
+            assert.equal(response.status, 200);
+            assert.ok(body.endsWith("<script>reload()</script></body></html>"));
+            assert.equal(response.headers["content-length"], String(Buffer.byteLength(body)));
+            assert.equal(response.headers.etag, undefined);
+            assert.equal((await requestOptions("/small.js")).body.toString(), "console.log(1);");
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { createMemoryStore } = require("../lib/store");
+const { createSqliteStore } = require("../lib/sqlite-store");
+
+function event(blockNumber, logIndex, name = "CampaignLaunched", args = { campaignId: "1" }) {
+    return { contract: "SecretFundraiser", name, args, blockNumber, blockHash: `0x${blockNumber}`, logIndex };
+}
+
+function snapshots({ campaigns = [], orders = [], vaults = [], deleted = {} } = {}) {
+    return { campaigns, orders, vaults, deleted: { campaigns: [], orders: [], vaults: [], ...deleted } };
+}
+
+function batch(cursor, events = [], overrides = {}) {
+    return {
+        events,
+        snapshots: snapshots(),
+        blocks: [{ number: cursor, hash: `0x${cursor}` }],
+        cursor,
+        keepBlocksFrom: 0,
+        ...overrides
+    };
+}
+
+const STORES = {
+    "Memory store": () => createMemoryStore(),
+    "SQLite store": () => createSqliteStore(":memory:")
+};
+
+Object.entries(STORES).forEach(([title, createStore]) => {
+    describe(title, function () {
+        it("Should start empty", function () {
+            const store = createStore();
+
+            assert.equal(store.getCursor(), null);
+            assert.equal(store.getMeta("deployment"), null);
+            assert.deepEqual(store.listBlocks(), []);
+            assert.deepEqual(store.listCampaigns(), []);
+            assert.equal(store.getOrder(1), null);
+        });
+
+        it("Should apply events, snapshots and block hashes", function () {
+            const store = createStore();
+            store.apply(batch(5, [event(3, 0), event(5, 1, "SecretContributionReceived")], {
+                snapshots: snapshots({
+                    campaigns: [{ campaignId: "1", isLive: true }, { campaignId: "2", isLive: true }],
+                    orders: [{ orderId: "7", status: "0" }],
+                    vaults: [{ campaignId: "1", totalDeposited: "1000" }]
+                }),
+                blocks: [{ number: 3, hash: "0x3" }, { number: 5, hash: "0x5" }]
+            }));
+
+            assert.equal(store.getCursor(), 5);
+            assert.deepEqual(store.listBlocks(), [{ number: 5, hash: "0x5" }, { number: 3, hash: "0x3" }]);
+            assert.deepEqual(store.listCampaigns().map(campaign => campaign.campaignId), ["2", "1"]);
+            assert.equal(store.getOrder("7").status, "0");
+            assert.equal(store.getVault(1).totalDeposited, "1000");
+            assert.deepEqual(store.listEvents({ name: "SecretContributionReceived" }).map(stored => stored.blockNumber), [5]);
+            assert.deepEqual(store.listEvents({ toBlock: 4 }).map(stored => stored.name), ["CampaignLaunched"]);
+        });
+
+        it("Should delete snapshots listed as deleted", function () {
+            const store = createStore();
+            store.apply(batch(1, [], { snapshots: snapshots({ orders: [{ orderId: "1" }, { orderId: "2" }] }) }));
+            store.apply(batch(2, [], { snapshots: snapshots({ deleted: { orders: [1] } }) }));
+
+            assert.deepEqual(store.listOrders().map(order => order.orderId), ["2"]);
+        });
+
+        it("Should forget block hashes below keepBlocksFrom", function () {
+            const store = createStore();
+            store.apply(batch(10));
+            store.apply(batch(20, [], { keepBlocksFrom: 15 }));
+
+            assert.deepEqual(store.listBlocks(), [{ number: 20, hash: "0x20" }]);
+        });
+
+        it("Should roll back events and blocks after a block and restore snapshots", function () {
+            const store = createStore();
+            store.apply(batch(2, [event(2, 0)], { snapshots: snapshots({ campaigns: [{ campaignId: "1", contributions: 0 }] }) }));
+            store.apply(batch(4, [event(3, 0, "SecretContributionReceived"), event(4, 0, "SecretContributionReceived")], {
+                snapshots: snapshots({ campaigns: [{ campaignId: "1", contributions: 2 }], orders: [{ orderId: "9" }] })
+            }));
+
+            store.rollback(2, snapshots({ campaigns: [{ campaignId: "1", contributions: 0 }], deleted: { orders: [9] } }));
+
+            assert.equal(store.getCursor(), 2);
+            assert.deepEqual(store.listEvents().map(stored => stored.name), ["CampaignLaunched"]);
+            assert.deepEqual(store.listBlocks(), [{ number: 2, hash: "0x2" }]);
+            assert.equal(store.getCampaign(1).contributions, 0);
+            assert.equal(store.getOrder(9), null);
+        });
+
+        it("Should keep metadata other than the cursor on reset", function () {
+            const store = createStore();
+            store.setMeta("deployment", "31337:0xabc:1");
+            store.apply(batch(3, [event(3, 0)], { snapshots: snapshots({ campaigns: [{ campaignId: "1" }] }) }));
+
+            store.reset();
+
+            assert.equal(store.getCursor(), null);
+            assert.equal(store.getMeta("deployment"), "31337:0xabc:1");
+            assert.deepEqual(store.listEvents(), []);
+            assert.deepEqual(store.listBlocks(), []);
+            assert.deepEqual(store.listCampaigns(), []);
+        });
+    });
+});
+
+describe("SQLite store on disk", function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zerodrop-store-"));
+    const file = path.join(dir, "nested", "indexer.sqlite");
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should persist across reopening and share data with read-only handles", function () {
+        const writer = createSqliteStore(file);
+        writer.setMeta("reorgs", 2);
+        writer.apply(batch(7, [event(7, 0)], { snapshots: snapshots({ campaigns: [{ campaignId: "1", isLive: true }] }) }));
+
+        const reader = createSqliteStore(file, { readonly: true });
+        assert.equal(reader.getCursor(), 7);
+        assert.equal(reader.getMeta("reorgs"), 2);
+        assert.equal(reader.getCampaign(1).isLive, true);
+        assert.throws(() => reader.setMeta("reorgs", 3));
+        reader.close();
+        writer.close();
+
+        const reopened = createSqliteStore(file);
+        assert.equal(reopened.getCursor(), 7);
+        assert.deepEqual(reopened.listEvents().map(stored => stored.name), ["CampaignLaunched"]);
+        reopened.close();
+    });
+
+    it("Should refuse to open a missing database read-only", function () {
+        assert.throws(() => createSqliteStore(path.join(dir, "missing.sqlite"), { readonly: true }));
+    });
+});
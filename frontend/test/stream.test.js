@@ -0,0 +1,240 @@
+const { describe, it, before, after, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { createIndexer } = require("../lib/indexer");
+const { createMemoryStore } = require("../lib/store");
+const { createStream, watchStore } = require("../lib/stream");
+const { createDeployment, createFakeChain, campaign, order } = require("./fake-chain");
+
+const CREATOR = "0x2000000000000000000000000000000000000001";
+const TRADER = "0x2000000000000000000000000000000000000002";
+const TOKEN = "0x3000000000000000000000000000000000000001";
+const QUOTE = "0x3000000000000000000000000000000000000002";
+const OTHER = "0x3000000000000000000000000000000000000003";
+
+const PAIR = `pair:${TOKEN}/${QUOTE}`;
+
+describe("Live update stream", function () {
+    let chain;
+    let indexer;
+    let stream;
+    let server;
+    let baseUrl;
+    const open = [];
+
+    /**
+     * Connect to /api/stream; next() resolves with the next { id, event, data } message
+     */
+    async function connect(topics, headers = {}) {
+        const controller = new AbortController();
+        const query = topics.map(topic => `topic=${encodeURIComponent(topic)}`).join("&");
+        const response = await fetch(`${baseUrl}/api/stream?${query}`, { headers, signal: controller.signal });
+        open.push(controller);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = "";
+
+        async function next() {
+            while (!buffer.includes("\n\n")) {
+                const { value, done } = await reader.read();
+                if (done) throw new Error("Stream closed");
+                buffer += decoder.decode(value, { stream: true });
+            }
+            const block = buffer.slice(0, buffer.indexOf("\n\n"));
+            buffer = buffer.slice(block.length + 2);
+
+            const message = {};
+            block.split("\n").forEach(line => {
+                const [field, ...rest] = line.split(": ");
+                message[field] = rest.join(": ");
+            });
+            if (!message.event) return next();
+            return { id: message.id, event: message.event, data: JSON.parse(message.data) };
+        }
+
+        return { response, next };
+    }
+
+    before(async function () {
+        server = http.createServer(async (req, res) => {
+            if (!(await stream.handle(req, res))) {
+                res.writeHead(418);
+                res.end("{}");
+            }
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(function () {
+        server.close();
+    });
+
+    beforeEach(async function () {
+        chain = createFakeChain();
+        indexer = createIndexer({ rpc: chain, deployment: createDeployment() });
+        stream = createStream(indexer);
+
+        chain.state.campaigns.set(1, campaign(1));
+        chain.state.campaigns.set(2, campaign(2));
+        chain.emit(
+            ["SECRET_FUNDRAISER", "CampaignLaunched", [1, CREATOR, TOKEN, 1n, 1n]],
+            ["SECRET_FUNDRAISER", "CampaignLaunched", [2, CREATOR, TOKEN, 1n, 1n]]
+        );
+        await indexer.sync();
+    });
+
+    afterEach(function () {
+        open.splice(0).forEach(controller => controller.abort());
+    });
+
+    describe("Subscribing", function () {
+        it("Should reject requests without valid topics", async function () {
+            for (const query of ["", "?topic=campaign:abc", "?topic=pair:0x1234", "?topic=orders"]) {
+                const response = await fetch(`${baseUrl}/api/stream${query}`);
+                assert.equal(response.status, 400);
+                assert.match((await response.json()).error, /topic|pair/);
+            }
+        });
+
+        it("Should leave other paths to the caller", async function () {
+            assert.equal((await fetch(`${baseUrl}/api/campaigns`)).status, 418);
+        });
+
+        it("Should open an event stream with a ready message", async function () {
+            const { response, next } = await connect(["campaign:01", PAIR]);
+
+            assert.equal(response.headers.get("content-type"), "text/event-stream");
+            const ready = await next();
+            assert.equal(ready.event, "ready");
+            assert.equal(ready.id, "1");
+            assert.deepEqual(ready.data, { chainId: 31337, indexedBlock: 1, topics: ["campaign:1", PAIR] });
+            assert.equal(stream.size(), 1);
+        });
+    });
+
+    describe("Campaign topics", function () {
+        it("Should push contributions and state changes of the subscribed campaign only", async function () {
+            const { next } = await connect(["campaign:1"]);
+            await next();
+
+            chain.emit(
+                ["SECRET_FUNDRAISER", "SecretContributionReceived", [2, TRADER, 200n]],
+                ["SECRET_FUNDRAISER", "SecretContributionReceived", [1, TRADER, 200n]]
+            );
+            await indexer.sync();
+            chain.state.campaigns.set(1, campaign(1, { isLive: false, currentState: 2 }));
+            chain.emit(["SECRET_FUNDRAISER", "CampaignStateChanged", [1, 2]]);
+            await indexer.sync();
+
+            const contribution = await next();
+            assert.equal(contribution.event, "update");
+            assert.equal(contribution.id, "2");
+            assert.equal(contribution.data.topic, "campaign:1");
+            assert.deepEqual(contribution.data.events.map(event => event.name), ["SecretContributionReceived"]);
+            assert.equal(contribution.data.campaign.contributions, 1);
+
+            const stateChange = await next();
+            assert.deepEqual(stateChange.data.events.map(event => event.name), ["CampaignStateChanged"]);
+            assert.equal(stateChange.data.campaign.currentState, "2");
+        });
+
+        it("Should report events dropped by a reorg", async function () {
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [1, TRADER, 200n]]);
+            await indexer.sync();
+            const { next } = await connect(["campaign:1"]);
+            await next();
+
+            chain.reorg(1);
+            chain.mine();
+            await indexer.sync();
+
+            const update = await next();
+            assert.deepEqual(update.data.events, []);
+            assert.deepEqual(update.data.dropped.map(event => event.name), ["SecretContributionReceived"]);
+            assert.equal(update.data.campaign.contributions, 0);
+        });
+
+        it("Should replay what a reconnecting client missed", async function () {
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [1, TRADER, 200n]]);
+            chain.emit(["SECRET_FUNDRAISER", "SecretContributionReceived", [2, TRADER, 200n]]);
+            await indexer.sync();
+
+            const { next } = await connect(["campaign:1"], { "Last-Event-ID": "1" });
+            assert.equal((await next()).event, "ready");
+
+            const replayed = await next();
+            assert.equal(replayed.id, "3");
+            assert.deepEqual(replayed.data.events.map(event => event.blockNumber), [2]);
+        });
+    });
+
+    describe("Pair topics", function () {
+        it("Should push placed and matched orders of the subscribed pair", async function () {
+            const { next } = await connect([PAIR]);
+            await next();
+
+            chain.state.orders.set(1, order({ trader: TRADER, quoteToken: OTHER }));
+            chain.state.orders.set(2, order({ trader: TRADER }));
+            chain.state.orders.set(3, order({ trader: CREATOR, orderType: 1 }));
+            chain.emit(
+                ["CONFIDENTIAL_TRADING", "OrderPlaced", [1, TRADER, TOKEN, OTHER, 0, 100n]],
+                ["CONFIDENTIAL_TRADING", "OrderPlaced", [2, TRADER, TOKEN, QUOTE, 0, 100n]],
+                ["CONFIDENTIAL_TRADING", "OrderPlaced", [3, CREATOR, TOKEN, QUOTE, 1, 100n]]
+            );
+            await indexer.sync();
+
+            const placed = await next();
+            assert.deepEqual(placed.data.events.map(event => event.args.orderId), ["2", "3"]);
+            assert.deepEqual(placed.data.orders.map(stored => stored.orderId), ["2", "3"]);
+
+            chain.state.orders.set(2, order({ trader: TRADER, status: 2, filledAmount: 100n, isActive: false }));
+            chain.state.orders.set(3, order({ trader: CREATOR, orderType: 1, status: 2, filledAmount: 100n, isActive: false }));
+            chain.emit(["CONFIDENTIAL_TRADING", "OrderMatched", [2, 3, TRADER, 101n]]);
+            await indexer.sync();
+
+            const matched = await next();
+            assert.deepEqual(matched.data.events.map(event => event.name), ["OrderMatched"]);
+            assert.deepEqual(matched.data.orders.map(stored => [stored.orderId, stored.status]), [["2", "2"], ["3", "2"]]);
+            assert.deepEqual(matched.data.removedOrders, []);
+        });
+
+        it("Should list orders a reorg removed", async function () {
+            chain.state.orders.set(1, order({ trader: TRADER }));
+            chain.emit(["CONFIDENTIAL_TRADING", "OrderPlaced", [1, TRADER, TOKEN, QUOTE, 0, 100n]]);
+            await indexer.sync();
+            const { next } = await connect([PAIR]);
+            await next();
+
+            chain.reorg(1);
+            chain.state.orders.delete(1);
+            chain.mine();
+            await indexer.sync();
+
+            const update = await next();
+            assert.deepEqual(update.data.dropped.map(event => event.name), ["OrderPlaced"]);
+            assert.deepEqual(update.data.removedOrders, [1]);
+        });
+    });
+
+    describe("External indexer", function () {
+        it("Should turn new blocks and rollbacks in a store into listener calls", async function () {
+            const store = createMemoryStore();
+            const watcher = watchStore(store, 10);
+            const calls = [];
+            const unsubscribe = watcher.subscribe((applied, dropped) => calls.push([applied.map(event => event.name), dropped]));
+            const wait = () => new Promise(resolve => setTimeout(resolve, 50));
+
+            const launched = { contract: "SecretFundraiser", name: "CampaignLaunched", args: { campaignId: "1" }, blockNumber: 4, logIndex: 0 };
+            store.apply({ events: [launched], snapshots: { campaigns: [], orders: [], vaults: [], deleted: {} }, blocks: [], cursor: 5, keepBlocksFrom: 0 });
+            await wait();
+            store.rollback(3, { campaigns: [], orders: [], vaults: [], deleted: {} });
+            store.setMeta("reorgs", 1);
+            await wait();
+            unsubscribe();
+
+            assert.deepEqual(calls, [[["CampaignLaunched"], []], [[], null]]);
+        });
+    });
+});
@@ -0,0 +1,38 @@
+// Hardhat project for the ZeroDrop contracts, deploy scripts and `npx hardhat zerodrop` tasks.
+//
+// `hardhat` and `localhost` (`npx hardhat node`) run against the FHEVM mock of @fhevm/hardhat-plugin.
+// `--network sepolia` reads SEPOLIA_RPC_URL and PRIVATE_KEY; verify-contracts.js reads ETHERSCAN_API_KEY.
+require("@nomicfoundation/hardhat-toolbox");
+require("@fhevm/hardhat-plugin");
+
+require("./tasks/admin");
+require("./tasks/safe");
+
+const { SEPOLIA_RPC_URL, PRIVATE_KEY, ETHERSCAN_API_KEY } = process.env;
+
+module.exports = {
+    solidity: {
+        version: "0.8.28",
+        settings: {
+            optimizer: { enabled: true, runs: 200 },
+            evmVersion: "cancun"
+        }
+    },
+    networks: {
+        hardhat: {
+            chainId: 31337
+        },
+        localhost: {
+            url: "http://127.0.0.1:8545",
+            chainId: 31337
+        },
+        sepolia: {
+            url: SEPOLIA_RPC_URL || "https://ethereum-sepolia-rpc.publicnode.com",
+            chainId: 11155111,
+            accounts: PRIVATE_KEY ? [PRIVATE_KEY] : []
+        }
+    },
+    etherscan: {
+        apiKey: ETHERSCAN_API_KEY || ""
+    }
+};
@@ -1,51 +1,34 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const { DEPLOYER, DEPLOYMENT_SPEC, PARAMETERS, ignitionId } = require("../../scripts/lib/deployment-spec");
 
+// Built from the shared deployment spec (scripts/lib/deployment-spec.js), so Ignition deploys
+// the same contracts and applies the same wiring steps as scripts/deploy-all.js
 module.exports = buildModule("ZeroDropModule", (m) => {
-  // Parameters with default values
-  const feeCollector = m.getParameter("feeCollector", "0x70997970C51812dc3A010C7d01b50e0d17dc79C8");
-  const initialTokenSupply = m.getParameter("initialTokenSupply", "1000000000000000000000000"); // 1M tokens
-
-  // Deploy FHECrypto utility contract first
-  const fheCrypto = m.contract("FHECrypto", []);
-
-  // Deploy VaultManager contract
-  const vaultManager = m.contract("VaultManager", []);
-
-  // Deploy TestToken for testing
-  const testToken = m.contract("TestToken", [
-    "ZeroDrop Test Token",
-    "ZTEST",
-    18,
-    initialTokenSupply
-  ]);
-
-  // Deploy main SecretFundraiser contract
-  const secretFundraiser = m.contract("SecretFundraiser", [
-    feeCollector,
-    vaultManager,
-    fheCrypto
-  ]);
-
-  // Deploy ConfidentialTrading contract
-  const confidentialTrading = m.contract("ConfidentialTrading", [
-    feeCollector,
-    fheCrypto
-  ]);
-
-  // Post-deployment setup calls
-  m.call(vaultManager, "addAuthorizedContract", [secretFundraiser]);
-  m.call(fheCrypto, "authorizeOperator", [secretFundraiser]);
-  m.call(fheCrypto, "authorizeOperator", [confidentialTrading]);
-  
-  // Setup test token for trading
-  m.call(confidentialTrading, "addSupportedToken", [testToken, 18]);
-  m.call(testToken, "addMinter", [secretFundraiser]);
-
-  return {
-    fheCrypto,
-    vaultManager,
-    testToken,
-    secretFundraiser,
-    confidentialTrading
-  };
-});
\ No newline at end of file
+  const deployer = m.getAccount(0);
+
+  // Parameters with the spec's defaults; feeCollector defaults to the deploying account
+  const parameters = { [DEPLOYER]: deployer };
+  Object.entries(PARAMETERS).forEach(([name, { default: fallback }]) => {
+    parameters[name] = fallback && fallback.$param === DEPLOYER
+      ? m.getParameter(name, deployer)
+      : m.getParameter(name, fallback);
+  });
+
+  const futures = {};
+  const resolve = (values) => values.map((value) => {
+    if (value && typeof value === "object" && "$param" in value) return parameters[value.$param];
+    if (value && typeof value === "object" && "$ref" in value) return futures[value.$ref];
+    return value;
+  });
+
+  DEPLOYMENT_SPEC.contracts.forEach((contract) => {
+    futures[contract.key] = m.contract(contract.contractName, resolve(contract.args), { id: ignitionId(contract.key) });
+  });
+
+  // Post-deployment setup calls; explicit ids keep repeated methods (authorizeOperator) apart
+  DEPLOYMENT_SPEC.steps.forEach((step) => {
+    m.call(futures[step.contract], step.method, resolve(step.args), { id: ignitionId(step.id) });
+  });
+
+  return futures;
+});
@@ -1,250 +1,129 @@
-const { ethers } = require("hardhat");
+const { ethers, artifacts } = require("hardhat");
+const { resolveParameters } = require("./lib/deployment-spec");
+const { diffDeployment, runDeployment } = require("./lib/deploy-pipeline");
+const { manifestName } = require("./lib/deployment-manifest");
+
+// DEPLOY_DIFF=1 only reports how the deployment on this network differs from the spec
+const DIFF_MODE = process.env.DEPLOY_DIFF === "1";
+
+// DEPLOY_SAFE_BATCH=1 writes pending wiring steps to a Safe transaction batch instead of sending them
+const SAFE_BATCH = process.env.DEPLOY_SAFE_BATCH === "1" ? { safeAddress: process.env.SAFE_ADDRESS || "" } : null;
+
+const DIFF_ICONS = {
+    deployed: "✅", applied: "✅", recorded: "✅",
+    missing: "❌", exported: "📤", "no-code": "❌", "args-differ": "⚠️ ", blocked: "⛔", unknown: "❔"
+};
+
+async function printDiff(network, parameters) {
+    const diff = await diffDeployment({ ethers }, { network, parameters });
+
+    console.log(`🔎 Comparing ${diff.source} with the deployment spec\n`);
+    console.log("📦 Contracts:");
+    diff.contracts.forEach(({ key, address, status }) => {
+        console.log(`${DIFF_ICONS[status]} ${key.padEnd(20)} ${(address || "-").padEnd(42)} ${status}`);
+    });
+
+    console.log("\n🔧 Wiring steps:");
+    diff.steps.forEach(({ description, status }) => {
+        console.log(`${DIFF_ICONS[status]} ${description.padEnd(52)} ${status}`);
+    });
+
+    const pending = diff.steps.filter(step => ["missing", "exported", "blocked"].includes(step.status)).length;
+    const contractIssues = diff.contracts.filter(contract => contract.status !== "deployed").length;
+    if (pending === 0 && contractIssues === 0) {
+        console.log("\n✨ The deployment matches the spec");
+    } else {
+        console.log(`\n📝 ${contractIssues} contract issue(s), ${pending} wiring step(s) pending; run deploy-all.js without DEPLOY_DIFF to apply them`);
+    }
+}
 
 async function main() {
-    console.log("🚀 Deploying Complete ZeroDrop Protocol...\n");
+    console.log(DIFF_MODE ? "🔎 Diffing ZeroDrop Protocol deployment...\n" : "🚀 Deploying Complete ZeroDrop Protocol...\n");
 
     const [deployer] = await ethers.getSigners();
     const network = await ethers.provider.getNetwork();
-    
+
     console.log("📋 Deployment Details:");
     console.log("=======================");
     console.log("Deployer:", deployer.address);
     console.log("Network:", network.name);
     console.log("Chain ID:", network.chainId);
-    
+
     const balance = await ethers.provider.getBalance(deployer.address);
     console.log("Balance:", ethers.formatEther(balance), "ETH\n");
 
-    // Deployment configuration
-    const config = {
-        feeCollector: process.env.FEE_COLLECTOR || deployer.address,
-        initialTokenSupply: ethers.parseEther("1000000"), // 1M tokens
-        serviceFeeRate: 200, // 2%
-        tradingFeeRate: 30, // 0.3%
-    };
+    // Parameters of the shared deployment spec (scripts/lib/deployment-spec.js); env overrides defaults
+    const parameters = resolveParameters(deployer.address, process.env);
 
     console.log("⚙️  Configuration:");
     console.log("===================");
-    console.log("Fee Collector:", config.feeCollector);
-    console.log("Initial Token Supply:", ethers.formatEther(config.initialTokenSupply));
-    console.log("Service Fee Rate:", config.serviceFeeRate / 100, "%");
-    console.log("Trading Fee Rate:", config.tradingFeeRate / 100, "%\n");
-
-    const deployedContracts = {};
-    const startTime = Date.now();
+    console.log("Fee Collector:", parameters.feeCollector);
+    console.log("Initial Token Supply:", ethers.formatEther(parameters.initialTokenSupply));
+    console.log("Service Fee Rate:", parameters.serviceFeeRate / 100, "%");
+    console.log("Trading Fee Rate:", parameters.tradingFeeRate / 100, "%\n");
+
+    if (DIFF_MODE) {
+        await printDiff(network, parameters);
+        return "\n✨ ZeroDrop Protocol deployment diff completed!";
+    }
 
     try {
-        // 1. Deploy FHECrypto utility contract
-        console.log("🔐 [1/5] Deploying FHECrypto utility contract...");
-        const FHECrypto = await ethers.getContractFactory("FHECrypto");
-        const fheCrypto = await FHECrypto.deploy();
-        await fheCrypto.waitForDeployment();
-        deployedContracts.fheCrypto = await fheCrypto.getAddress();
-        console.log("✅ FHECrypto deployed:", deployedContracts.fheCrypto);
-
-        // 2. Deploy VaultManager
-        console.log("\n🏦 [2/5] Deploying VaultManager...");
-        const VaultManager = await ethers.getContractFactory("VaultManager");
-        const vaultManager = await VaultManager.deploy();
-        await vaultManager.waitForDeployment();
-        deployedContracts.vaultManager = await vaultManager.getAddress();
-        console.log("✅ VaultManager deployed:", deployedContracts.vaultManager);
-
-        // 3. Deploy TestToken
-        console.log("\n🪙 [3/5] Deploying TestToken...");
-        const TestToken = await ethers.getContractFactory("TestToken");
-        const testToken = await TestToken.deploy(
-            "ZeroDrop Test Token",
-            "ZTEST",
-            18,
-            config.initialTokenSupply
-        );
-        await testToken.waitForDeployment();
-        deployedContracts.testToken = await testToken.getAddress();
-        console.log("✅ TestToken deployed:", deployedContracts.testToken);
-
-        // 4. Deploy SecretFundraiser
-        console.log("\n🕵️  [4/5] Deploying SecretFundraiser main contract...");
-        const SecretFundraiser = await ethers.getContractFactory("SecretFundraiser");
-        const secretFundraiser = await SecretFundraiser.deploy(
-            config.feeCollector,
-            deployedContracts.vaultManager,
-            deployedContracts.fheCrypto
+        const { manifest, addresses, manifestFile, bundlePath, fees, transactions, safeBatchFile } = await runDeployment(
+            { ethers, artifacts },
+            { network, deployer: deployer.address, parameters, fresh: process.env.DEPLOY_FRESH === "1", safeBatch: SAFE_BATCH }
         );
-        await secretFundraiser.waitForDeployment();
-        deployedContracts.secretFundraiser = await secretFundraiser.getAddress();
-        console.log("✅ SecretFundraiser deployed:", deployedContracts.secretFundraiser);
-
-        // 5. Deploy ConfidentialTrading
-        console.log("\n💱 [5/5] Deploying ConfidentialTrading DEX...");
-        const ConfidentialTrading = await ethers.getContractFactory("ConfidentialTrading");
-        const confidentialTrading = await ConfidentialTrading.deploy(
-            config.feeCollector,
-            deployedContracts.fheCrypto
-        );
-        await confidentialTrading.waitForDeployment();
-        deployedContracts.confidentialTrading = await confidentialTrading.getAddress();
-        console.log("✅ ConfidentialTrading deployed:", deployedContracts.confidentialTrading);
-
-        // Post-deployment configuration
-        console.log("\n🔧 Configuring contract permissions and settings...");
-        
-        console.log("📝 Setting up VaultManager authorizations...");
-        await vaultManager.addAuthorizedContract(deployedContracts.secretFundraiser);
-        
-        console.log("📝 Setting up FHECrypto operators...");
-        await fheCrypto.authorizeOperator(deployedContracts.secretFundraiser);
-        await fheCrypto.authorizeOperator(deployedContracts.confidentialTrading);
-        
-        console.log("📝 Configuring ConfidentialTrading supported tokens...");
-        await confidentialTrading.addSupportedToken(deployedContracts.testToken, 18);
-        
-        console.log("📝 Adding SecretFundraiser as TestToken minter...");
-        await testToken.addMinter(deployedContracts.secretFundraiser);
-
-        // Additional test setup for demo
-        console.log("\n🎭 Setting up demo data...");
-        
-        // Mint some test tokens for demo
-        console.log("💰 Minting demo tokens...");
-        await testToken.mint(deployer.address, ethers.parseEther("10000"));
-        
-        // Set up platform fees
-        console.log("💸 Configuring platform fees...");
-        if (config.serviceFeeRate !== 200) {
-            await secretFundraiser.updateServiceFeeRate(config.serviceFeeRate);
-        }
-        if (config.tradingFeeRate !== 30) {
-            await confidentialTrading.updateTradingFeeRate(config.tradingFeeRate);
-        }
-
-        const endTime = Date.now();
-        const deploymentTime = (endTime - startTime) / 1000;
+        const explorerBase = manifest.network.explorerBase;
 
         // Deployment Success Summary
-        console.log("\n🎉 DEPLOYMENT COMPLETED SUCCESSFULLY! 🎉");
-        console.log("==========================================");
-        console.log(`⏱️  Total deployment time: ${deploymentTime.toFixed(2)} seconds`);
+        if (safeBatchFile) {
+            console.log("\n⏳ CONTRACTS DEPLOYED, WIRING AWAITS THE SAFE");
+            console.log("============================================");
+        } else {
+            console.log("\n🎉 DEPLOYMENT COMPLETED SUCCESSFULLY! 🎉");
+            console.log("==========================================");
+        }
+        console.log(`⏱️  Total deployment time: ${manifest.deployment.deploymentTime.toFixed(2)} seconds`);
         console.log("🌐 Network:", network.name, `(Chain ID: ${network.chainId})`);
         console.log("👤 Deployer:", deployer.address);
-        console.log("💰 Gas used: ~", (await ethers.provider.getBalance(deployer.address) - balance).toString(), "wei");
+        console.log(`💰 ${transactions} transaction${transactions === 1 ? "" : "s"} this run, fees:`, ethers.formatEther(fees), "ETH");
 
         console.log("\n📋 DEPLOYED CONTRACTS:");
         console.log("=======================");
-        Object.entries(deployedContracts).forEach(([name, address]) => {
+        Object.entries(addresses).forEach(([name, address]) => {
             console.log(`${name.padEnd(20)} ${address}`);
         });
 
-        // Network-specific explorer links
-        let explorerBase;
-        switch (network.chainId) {
-            case 1n: explorerBase = "https://etherscan.io"; break;
-            case 11155111n: explorerBase = "https://sepolia.etherscan.io"; break;
-            case 31337n: explorerBase = null; break;
-            default: explorerBase = null;
-        }
-
         if (explorerBase) {
             console.log("\n🔍 ETHERSCAN LINKS:");
             console.log("====================");
-            Object.entries(deployedContracts).forEach(([name, address]) => {
-                console.log(`${name.padEnd(20)} ${explorerBase}/address/${address}`);
+            Object.entries(manifest.links).forEach(([name, link]) => {
+                console.log(`${name.padEnd(20)} ${link}`);
             });
         }
 
         // Frontend configuration
         console.log("\n🌐 FRONTEND ACCESS:");
         console.log("===================");
-        console.log("Main Application:    http://localhost:3012/");
-        console.log("Secret Fundraiser:   http://localhost:3012/fundraiser.html");
-        console.log("Confidential Trading: http://localhost:3012/trading.html");
-
-        // Save comprehensive deployment information
-        const deploymentInfo = {
-            network: {
-                name: network.name,
-                chainId: Number(network.chainId),
-                explorerBase: explorerBase
-            },
-            deployment: {
-                deployer: deployer.address,
-                timestamp: new Date().toISOString(),
-                deploymentTime: deploymentTime,
-                gasUsed: (balance - await ethers.provider.getBalance(deployer.address)).toString()
-            },
-            configuration: config,
-            contracts: deployedContracts,
-            links: explorerBase ? Object.fromEntries(
-                Object.entries(deployedContracts).map(([name, address]) => [
-                    name, `${explorerBase}/address/${address}`
-                ])
-            ) : {},
-            frontend: {
-                baseUrl: "http://localhost:3012",
-                pages: {
-                    main: "http://localhost:3012/",
-                    fundraiser: "http://localhost:3012/fundraiser.html",
-                    trading: "http://localhost:3012/trading.html"
-                }
-            }
-        };
-
-        // Save deployment information
-        const fs = require('fs');
-        const path = require('path');
-        
-        const deploymentDir = path.join(__dirname, '../deployments');
-        if (!fs.existsSync(deploymentDir)) {
-            fs.mkdirSync(deploymentDir, { recursive: true });
+        console.log("Main Application:    http://localhost:3013/");
+        console.log("Secret Fundraiser:   http://localhost:3013/fundraiser.html");
+        console.log("Confidential Trading: http://localhost:3013/trading.html");
+
+        console.log(`\n💾 Deployment manifest saved to: ${manifestFile}`);
+        console.log(`🌐 Frontend deployment bundle written: ${bundlePath}`);
+        if (safeBatchFile) {
+            console.log(`📤 Pending wiring steps exported to the Safe batch: ${safeBatchFile}`);
+            console.log(`   Check it with: npx hardhat zerodrop safe-import ${safeBatchFile} --network ${manifestName(network)}`);
+            console.log("   Rerun this script after the Safe executes it to mark the deployment complete");
         }
-        
-        const filename = network.name === 'unknown' ? 'localhost' : network.name;
-        const filePath = path.join(deploymentDir, `${filename}.json`);
-        
-        fs.writeFileSync(filePath, JSON.stringify(deploymentInfo, null, 2));
-        console.log(`\n💾 Deployment info saved to: deployments/${filename}.json`);
-
-        // Update frontend config
-        const frontendConfig = `// Auto-generated contract configuration
-const CONTRACT_CONFIG = {
-    NETWORK: "${network.name}",
-    CHAIN_ID: ${network.chainId},
-    CONTRACTS: {
-        FHE_CRYPTO: "${deployedContracts.fheCrypto}",
-        VAULT_MANAGER: "${deployedContracts.vaultManager}",
-        TEST_TOKEN: "${deployedContracts.testToken}",
-        SECRET_FUNDRAISER: "${deployedContracts.secretFundraiser}",
-        CONFIDENTIAL_TRADING: "${deployedContracts.confidentialTrading}"
-    },
-    EXPLORER_BASE: "${explorerBase || ''}",
-    UPDATED_AT: "${new Date().toISOString()}"
-};
-
-// Export for use in HTML pages
-if (typeof window !== 'undefined') {
-    window.CONTRACT_CONFIG = CONTRACT_CONFIG;
-}
-`;
-
-        const frontendDir = path.join(__dirname, '../frontend/public');
-        if (!fs.existsSync(frontendDir)) {
-            fs.mkdirSync(frontendDir, { recursive: true });
-        }
-        
-        fs.writeFileSync(
-            path.join(frontendDir, 'config.js'),
-            frontendConfig
-        );
-        console.log("🌐 Frontend config updated: frontend/public/config.js");
 
         console.log("\n🚀 NEXT STEPS:");
         console.log("===============");
         console.log("1. Verify contracts: npm run verify");
         console.log("2. Start frontend server: npm run frontend");
-        console.log("3. Visit: http://localhost:3012");
-        console.log("4. Connect MetaMask to Sepolia testnet");
-        console.log("5. Add TestToken to wallet:", deployedContracts.testToken);
-        
+        console.log(`3. Visit: http://localhost:3013${network.chainId === 31337n ? "/?profile=local" : ""}`);
+        console.log(`4. Connect MetaMask to ${network.chainId === 31337n ? "the local Hardhat node" : "Sepolia testnet"}`);
+        console.log("5. Add TestToken to wallet:", addresses.testToken);
+
         if (network.chainId === 11155111n) {
             console.log("6. Get Sepolia ETH: https://sepoliafaucet.com/");
         }
@@ -258,25 +137,29 @@ if (typeof window !== 'undefined') {
         console.log("□ Verify encrypted data is hidden");
         console.log("□ Test token claiming after campaign success");
 
+        return safeBatchFile
+            ? `\n⏳ ZeroDrop Protocol contracts deployed; the wiring is not done until the Safe executes ${safeBatchFile}`
+            : "\n✨ ZeroDrop Protocol deployment completed successfully!";
+
     } catch (error) {
         console.error("\n❌ DEPLOYMENT FAILED:");
         console.error("====================");
         console.error("Error:", error.message);
         console.error("\nStack trace:", error.stack);
-        
-        // Cleanup partially deployed contracts if needed
-        console.log("\n🧹 Cleanup may be required for partially deployed contracts");
-        
+
+        // Everything that succeeded is in the manifest; a rerun continues from there
+        console.log(`\n💾 Progress saved to deployments/${manifestName(network)}.json; run the script again to resume`);
+
         process.exit(1);
     }
 }
 
 main()
-    .then(() => {
-        console.log("\n✨ ZeroDrop Protocol deployment completed successfully!");
+    .then((outcome) => {
+        console.log(outcome);
         process.exit(0);
     })
     .catch((error) => {
         console.error("❌ Deployment script error:", error);
         process.exit(1);
-    });
\ No newline at end of file
+    });
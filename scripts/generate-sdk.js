@@ -0,0 +1,318 @@
+// Generates frontend/public/zerodrop-sdk.js from the contract ABIs committed in scripts/sdk/abis/.
+//
+//   node scripts/generate-sdk.js --check      # fail if the committed SDK is stale
+//   node scripts/generate-sdk.js              # regenerate from scripts/sdk/abis/
+//   npx hardhat compile && node scripts/generate-sdk.js --artifacts artifacts
+//                                             # refresh scripts/sdk/abis/ from the Hardhat artifacts first
+//   node scripts/generate-sdk.js --artifacts <dir> --out <file>
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const RUNTIME_PATH = path.join(__dirname, 'sdk', 'runtime.js');
+const ABI_DIR = path.join(__dirname, 'sdk', 'abis');
+
+// Binding name -> artifact path relative to the artifacts directory
+const CONTRACTS = {
+    SecretFundraiser: 'contracts/SecretFundraiser.sol/SecretFundraiser.json',
+    ConfidentialTrading: 'contracts/ConfidentialTrading.sol/ConfidentialTrading.json',
+    VaultManager: 'contracts/VaultManager.sol/VaultManager.json',
+    TestToken: 'contracts/TestToken.sol/TestToken.json',
+    // Any token the pages meet (campaign rewards, trading pairs) is only assumed to be an ERC20
+    ERC20: '@openzeppelin/contracts/token/ERC20/ERC20.sol/ERC20.json'
+};
+
+// Members every binding already has; a contract function with one of these names would shadow it
+const RESERVED = new Set(['address', 'abi', 'contract', 'events', 'getPastEvents', 'method', 'event']);
+
+const INDENT = '    ';
+
+function parseArgs(argv) {
+    const options = {
+        artifacts: process.env.ZERODROP_ARTIFACTS ? path.resolve(process.env.ZERODROP_ARTIFACTS) : null,
+        abis: ABI_DIR,
+        out: path.join(ROOT, 'frontend', 'public', 'zerodrop-sdk.js'),
+        check: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--check') options.check = true;
+        else if (arg === '--artifacts') options.artifacts = path.resolve(argv[++i]);
+        else if (arg === '--out') options.out = path.resolve(argv[++i]);
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return options;
+}
+
+function loadArtifactAbi(artifactsDir, name) {
+    const file = path.join(artifactsDir, CONTRACTS[name]);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Artifact for ${name} not found at ${file}. Run \`npx hardhat compile\` first.`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8')).abi;
+}
+
+function abiPath(abiDir, name) {
+    return path.join(abiDir, `${name}.json`);
+}
+
+function loadAbi(abiDir, name) {
+    const file = abiPath(abiDir, name);
+    if (!fs.existsSync(file)) {
+        throw new Error(`ABI for ${name} not found at ${file}. Run with --artifacts after \`npx hardhat compile\`.`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function renderAbiFile(abi) {
+    return JSON.stringify(abi, null, 2) + '\n';
+}
+
+/**
+ * ABIs by binding name, from the committed ABI files or, with `artifactsDir`, from the Hardhat artifacts
+ */
+function loadAbis({ abis: abiDir = ABI_DIR, artifacts: artifactsDir = null } = {}) {
+    const abis = {};
+    Object.keys(CONTRACTS).forEach(name => {
+        abis[name] = artifactsDir ? loadArtifactAbi(artifactsDir, name) : loadAbi(abiDir, name);
+    });
+    return abis;
+}
+
+function signatureOf(item) {
+    return `${item.name}(${item.inputs.map(input => input.type).join(',')})`;
+}
+
+function pascalCase(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+// JSDoc type of a value passed into web3
+function inputType(param) {
+    const array = /^(.*)\[\d*\]$/.exec(param.type);
+    if (array) return `Array<${inputType({ ...param, type: array[1] })}>`;
+    if (/^u?int\d*$/.test(param.type)) return 'number|string|bigint';
+    if (param.type === 'bool') return 'boolean';
+    if (param.type === 'tuple') return 'Object';
+    return 'string';
+}
+
+// JSDoc type of a value web3 1.x hands back (integers come back as decimal strings)
+function outputType(param) {
+    const array = /^(.*)\[\d*\]$/.exec(param.type);
+    if (array) return `Array<${outputType({ ...param, type: array[1] })}>`;
+    if (param.type === 'bool') return 'boolean';
+    if (param.type === 'tuple') return 'Object';
+    return 'string';
+}
+
+function describeParam(param) {
+    // Keep the Solidity type when the ABI type loses information (encrypted handles, enums, structs)
+    return param.internalType && param.internalType !== param.type
+        ? `${param.type} (${param.internalType})`
+        : param.type;
+}
+
+function paramNames(inputs) {
+    return inputs.map((input, index) => input.name || `arg${index}`);
+}
+
+function renderTypedef(name, params, description) {
+    const lines = ['/**', ` * ${description}`, ` * @typedef {Object} ${name}`];
+    params.forEach((param, index) => {
+        lines.push(` * @property {${outputType(param)}} ${param.name || index} ${describeParam(param)}`);
+    });
+    lines.push(' */');
+    return lines;
+}
+
+function renderFunction(contractName, fn, key, typedefs) {
+    const names = paramNames(fn.inputs);
+    let returns = 'void';
+    if (fn.outputs.length === 1) {
+        returns = outputType(fn.outputs[0]);
+    } else if (fn.outputs.length > 1) {
+        returns = `${contractName}${pascalCase(fn.name)}Result`;
+        typedefs.push(...renderTypedef(returns, fn.outputs, `${contractName}.${signatureOf(fn)} return values`));
+    }
+
+    const doc = [`/**`, ` * ${signatureOf(fn)} ${fn.stateMutability}`];
+    fn.inputs.forEach((input, index) => {
+        doc.push(` * @param {${inputType(input)}} ${names[index]} ${describeParam(input)}`);
+    });
+    doc.push(` * @returns {ContractMethod<${returns}>}`, ` */`);
+
+    const property = /^\w+$/.test(key) ? key : `'${key}'`;
+    return [
+        ...doc,
+        `${property}: (${names.join(', ')}) => binding.method('${signatureOf(fn)}', [${names.join(', ')}]),`
+    ];
+}
+
+function renderFactory(name, abi) {
+    const functions = abi.filter(item => item.type === 'function');
+    const events = abi.filter(item => item.type === 'event');
+    const typedefs = [];
+
+    // Overloaded names are keyed by full signature, like web3's contract.methods
+    const counts = {};
+    functions.forEach(fn => { counts[fn.name] = (counts[fn.name] || 0) + 1; });
+
+    const members = [];
+    functions.forEach(fn => {
+        const key = counts[fn.name] > 1 ? signatureOf(fn) : fn.name;
+        if (RESERVED.has(key)) {
+            throw new Error(`${name}.${key} collides with a binding member; rename it or extend RESERVED handling`);
+        }
+        members.push(...renderFunction(name, fn, key, typedefs));
+    });
+
+    const eventCounts = {};
+    events.forEach(event => { eventCounts[event.name] = (eventCounts[event.name] || 0) + 1; });
+
+    const eventMembers = [];
+    events.forEach(event => {
+        const key = eventCounts[event.name] > 1 ? `'${signatureOf(event)}'` : event.name;
+        const valuesType = `${name}${event.name}Event`;
+        typedefs.push(...renderTypedef(valuesType, event.inputs, `${name}.${signatureOf(event)} values`));
+        eventMembers.push(
+            `/** @type {EventBinding<${valuesType}>} */`,
+            `${key}: binding.event('${signatureOf(event)}'),`
+        );
+    });
+
+    const body = [
+        ...typedefs,
+        '',
+        '/**',
+        ` * Bindings for ${name}: one method per ABI function returning web3's method object`,
+        ' * (call / send / encodeABI / estimateGas), plus typed event accessors under `events`.',
+        ' * @param {Web3} web3',
+        ' * @param {string} address',
+        ' */',
+        `function ${name}(web3, address) {`,
+        `${INDENT}const binding = createBinding(web3, ABIS.${name}, address);`,
+        `${INDENT}return Object.assign(binding, {`,
+        ...members.map(line => INDENT.repeat(2) + line),
+        `${INDENT.repeat(2)}events: {`,
+        ...eventMembers.map(line => INDENT.repeat(3) + line),
+        `${INDENT.repeat(2)}}`,
+        `${INDENT}});`,
+        '}'
+    ];
+    return body;
+}
+
+function renderAbis(abis) {
+    const lines = ['const ABIS = {'];
+    const names = Object.keys(abis);
+    names.forEach((name, index) => {
+        lines.push(`${INDENT}${name}: [`);
+        abis[name].forEach((item, itemIndex) => {
+            lines.push(`${INDENT.repeat(2)}${JSON.stringify(item)}${itemIndex < abis[name].length - 1 ? ',' : ''}`);
+        });
+        lines.push(`${INDENT}]${index < names.length - 1 ? ',' : ''}`);
+    });
+    lines.push('};');
+    return lines;
+}
+
+function loadRuntime() {
+    const source = fs.readFileSync(RUNTIME_PATH, 'utf8').split('\n');
+    // Drop the header comment that explains the template itself
+    const start = source.findIndex(line => !line.startsWith('//'));
+    return source.slice(start).join('\n').trim().split('\n');
+}
+
+function generate(abis) {
+    const inner = [
+        ...loadRuntime(),
+        '',
+        '// Generated from the contract ABIs',
+        '',
+        ...renderAbis(abis),
+        ...Object.keys(abis).flatMap(name => ['', ...renderFactory(name, abis[name])]),
+        '',
+        'return {',
+        `${INDENT}abis: ABIS,`,
+        `${INDENT}showMessage,`,
+        `${INDENT}describeWalletError,`,
+        `${INDENT}getTargetChain,`,
+        `${INDENT}requestAccounts,`,
+        `${INDENT}ensureChain,`,
+        `${INDENT}connectWallet,`,
+        `${INDENT}getConnectedAccount,`,
+        ...Object.keys(abis).map((name, index, all) => `${INDENT}${name}${index < all.length - 1 ? ',' : ''}`),
+        '};'
+    ];
+
+    return [
+        '// ZeroDrop SDK',
+        '// GENERATED FILE - do not edit by hand. Produced by scripts/generate-sdk.js from the contract ABIs',
+        '// in scripts/sdk/abis/ (wallet helpers come from scripts/sdk/runtime.js); re-run it after changing a contract.',
+        '//',
+        '// Typed web3.js bindings for SecretFundraiser, ConfidentialTrading, VaultManager and TestToken,',
+        '// plus the wallet connection, chain switching and message helpers the pages share.',
+        'const ZeroDropSDK = (() => {',
+        ...inner.map(line => (line ? INDENT + line : line)),
+        '})();',
+        '',
+        '// Export for use in HTML pages and Node',
+        "if (typeof window !== 'undefined') {",
+        `${INDENT}window.ZeroDropSDK = ZeroDropSDK;`,
+        '}',
+        "if (typeof module !== 'undefined' && module.exports) {",
+        `${INDENT}module.exports = ZeroDropSDK;`,
+        '}',
+        ''
+    ].join('\n');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const abis = loadAbis(options);
+    const output = generate(abis);
+    const relativeOut = path.relative(ROOT, options.out);
+    const relativeAbis = path.relative(ROOT, options.abis);
+
+    if (options.check) {
+        // Against artifacts, the committed ABIs must be current too
+        const staleAbis = options.artifacts
+            ? Object.keys(abis).filter(name => {
+                const file = abiPath(options.abis, name);
+                return !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== renderAbiFile(abis[name]);
+            })
+            : [];
+        const current = fs.existsSync(options.out) ? fs.readFileSync(options.out, 'utf8') : null;
+        if (staleAbis.length > 0) {
+            console.error(`❌ ${relativeAbis} is out of date for ${staleAbis.join(', ')}. Run: node scripts/generate-sdk.js --artifacts <dir>`);
+            process.exit(1);
+        }
+        if (current !== output) {
+            console.error(`❌ ${relativeOut} is out of date. Run: node scripts/generate-sdk.js`);
+            process.exit(1);
+        }
+        console.log(`✅ ${relativeOut} matches ${options.artifacts ? 'the artifacts' : relativeAbis}`);
+        return;
+    }
+
+    if (options.artifacts) {
+        fs.mkdirSync(options.abis, { recursive: true });
+        Object.entries(abis).forEach(([name, abi]) => fs.writeFileSync(abiPath(options.abis, name), renderAbiFile(abi)));
+        console.log(`✅ Wrote ${relativeAbis} from ${path.relative(ROOT, options.artifacts)}`);
+    }
+    fs.writeFileSync(options.out, output);
+    console.log(`✅ Wrote ${relativeOut}`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { generate, loadAbis };
@@ -0,0 +1,174 @@
+// Owner-only operations across the ZeroDrop contracts, for the `zerodrop admin` task
+// (tasks/admin.js).
+//
+// Each command names the deployed contract it targets (a DEPLOYMENT_SPEC key), the method it
+// calls and the parameters it takes. buildAdminCall turns command-line values into a call on the
+// address recorded in deployments/<network>.json; address parameters also accept a contract key
+// ("testToken") for a contract of the same deployment. Every action, including dry runs,
+// cancelled ones and calls exported to a Safe batch, is appended to
+// deployments/<network>-admin-audit.jsonl.
+const fs = require('fs');
+const path = require('path');
+const { DEPLOYMENT_SPEC } = require('./deployment-spec');
+const { MANIFEST_DIR, toJson } = require('./deployment-manifest');
+
+const ADMIN_COMMANDS = {
+    'service-fee': {
+        description: 'Set the SecretFundraiser service fee rate (basis points)',
+        contract: 'secretFundraiser',
+        method: 'updateServiceFeeRate',
+        params: [{ name: 'rate', type: 'uint' }]
+    },
+    'trading-fee': {
+        description: 'Set the ConfidentialTrading fee rate (basis points)',
+        contract: 'confidentialTrading',
+        method: 'updateTradingFeeRate',
+        params: [{ name: 'rate', type: 'uint' }]
+    },
+    'fundraiser-fee-collector': {
+        description: 'Set the account receiving SecretFundraiser service fees',
+        contract: 'secretFundraiser',
+        method: 'updateFeeCollector',
+        params: [{ name: 'collector', type: 'address' }]
+    },
+    'trading-fee-collector': {
+        description: 'Set the account receiving ConfidentialTrading fees',
+        contract: 'confidentialTrading',
+        method: 'updateFeeCollector',
+        params: [{ name: 'collector', type: 'address' }]
+    },
+    'add-token': {
+        description: 'Allow trading a token on ConfidentialTrading',
+        contract: 'confidentialTrading',
+        method: 'addSupportedToken',
+        params: [{ name: 'token', type: 'address' }, { name: 'precision', type: 'uint' }]
+    },
+    'remove-token': {
+        description: 'Stop trading a token on ConfidentialTrading',
+        contract: 'confidentialTrading',
+        method: 'removeSupportedToken',
+        params: [{ name: 'token', type: 'address' }]
+    },
+    'terminate-campaign': {
+        description: 'Close a live campaign now and start computing its totals',
+        contract: 'secretFundraiser',
+        method: 'emergencyTerminateCampaign',
+        params: [{ name: 'campaignId', type: 'uint' }]
+    },
+    'authorize-contract': {
+        description: 'Allow a contract to manage VaultManager vaults',
+        contract: 'vaultManager',
+        method: 'addAuthorizedContract',
+        params: [{ name: 'contract', type: 'address' }]
+    },
+    'deauthorize-contract': {
+        description: 'Revoke a contract\'s VaultManager access',
+        contract: 'vaultManager',
+        method: 'removeAuthorizedContract',
+        params: [{ name: 'contract', type: 'address' }]
+    },
+    'recover-tokens': {
+        description: 'Transfer tokens held by VaultManager to a recipient (amount in base units)',
+        contract: 'vaultManager',
+        method: 'emergencyTokenRecovery',
+        params: [{ name: 'token', type: 'address' }, { name: 'recipient', type: 'address' }, { name: 'amount', type: 'uint' }]
+    },
+    'unlock-vault': {
+        description: 'Unlock a campaign vault',
+        contract: 'vaultManager',
+        method: 'emergencyUnlockVault',
+        params: [{ name: 'campaignId', type: 'uint' }]
+    },
+    'authorize-operator': {
+        description: 'Allow an account to run FHECrypto operations',
+        contract: 'fheCrypto',
+        method: 'authorizeOperator',
+        params: [{ name: 'operator', type: 'address' }]
+    },
+    'deauthorize-operator': {
+        description: 'Revoke an FHECrypto operator',
+        contract: 'fheCrypto',
+        method: 'deauthorizeOperator',
+        params: [{ name: 'operator', type: 'address' }]
+    },
+    pause: {
+        description: 'Pause TestToken transfers',
+        contract: 'testToken',
+        method: 'pause',
+        params: []
+    },
+    unpause: {
+        description: 'Resume TestToken transfers',
+        contract: 'testToken',
+        method: 'unpause',
+        params: []
+    }
+};
+
+function contractNameFor(key) {
+    return DEPLOYMENT_SPEC.contracts.find(contract => contract.key === key).contractName;
+}
+
+function parseValue(param, value, addresses, isAddress) {
+    if (param.type === 'address') {
+        if (addresses[value]) return addresses[value];
+        if (isAddress(value)) return value;
+        throw new Error(`${param.name} must be an address or one of ${Object.keys(addresses).join(', ')}, got ${value}`);
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new Error(`${param.name} must be a non-negative integer, got ${value}`);
+    }
+    return BigInt(value);
+}
+
+/**
+ * Resolve a command and its command-line values against a deployment
+ * @param {string} name Key of ADMIN_COMMANDS
+ * @param {string[]} values Positional values, in the command's parameter order
+ * @param {Object} addresses Contract key -> address (contractAddresses(manifest))
+ * @param {Function} isAddress Address check (ethers.isAddress)
+ * @returns {{ name: string, command: Object, contractName: string, address: string, args: Array }}
+ */
+function buildAdminCall(name, values, addresses, isAddress) {
+    const command = ADMIN_COMMANDS[name];
+    if (!command) {
+        throw new Error(`Unknown admin command ${name}; run with "list" to see the commands`);
+    }
+    if (values.length !== command.params.length) {
+        const usage = [name, ...command.params.map(param => `<${param.name}>`)].join(' ');
+        throw new Error(`${name} takes ${command.params.length} value(s): ${usage}`);
+    }
+    if (!addresses[command.contract]) {
+        throw new Error(`${command.contract} is not in the deployment manifest`);
+    }
+
+    return {
+        name,
+        command,
+        contractName: contractNameFor(command.contract),
+        address: addresses[command.contract],
+        args: command.params.map((param, index) => parseValue(param, values[index], addresses, isAddress))
+    };
+}
+
+function auditPath(network, manifestDir = MANIFEST_DIR) {
+    return path.join(manifestDir, `${network}-admin-audit.jsonl`);
+}
+
+/**
+ * Append one admin action to the network's audit log (one JSON object per line).
+ * Returns the path relative to the repository root.
+ */
+function appendAuditEntry(network, entry, manifestDir = MANIFEST_DIR) {
+    const file = auditPath(network, manifestDir);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(toJson({ timestamp: new Date().toISOString(), network, ...entry })) + '\n');
+    return path.relative(path.join(__dirname, '..', '..'), file);
+}
+
+module.exports = {
+    ADMIN_COMMANDS,
+    appendAuditEntry,
+    auditPath,
+    buildAdminCall
+};
@@ -0,0 +1,355 @@
+// Runs DEPLOYMENT_SPEC (deployment-spec.js) against the connected network, and compares an
+// existing deployment with it.
+//
+// runDeployment deploys the contracts and applies the wiring steps through resumable-deploy.js,
+// so contracts and steps already in place are skipped and an interrupted run resumes. It keeps
+// deployments/<network>.json up to date and writes the frontend bundle when done. For a Safe,
+// the deployer transfers ownership of each contract to it and the pending wiring steps go to a
+// Safe transaction batch instead.
+// diffDeployment only reads: it reports, for a deployment recorded in the manifest or by
+// Ignition, which contracts are missing, which wiring steps have not taken effect and which
+// invariants do not hold.
+const fs = require('fs');
+const path = require('path');
+const { DEPLOYMENT_SPEC, ignitionId, resolveValue } = require('./deployment-spec');
+const { MANIFEST_DIR, contractAddresses, exportedStep, isStepRecorded, manifestName, manifestPath, readManifest, toJson, writeManifest } = require('./deployment-manifest');
+const { createResumableDeploy } = require('./resumable-deploy');
+const { writeDeploymentBundle } = require('./deployment-bundle');
+const { buildSafeBatch, safeBatchPath, safeTransaction, writeSafeBatch } = require('./safe-batch');
+
+const IGNITION_MODULE = 'ZeroDropModule';
+const IGNITION_DEPLOYMENTS_DIR = path.join(__dirname, '..', '..', 'ignition', 'deployments');
+
+const EXPLORERS = {
+    1: 'https://etherscan.io',
+    11155111: 'https://sepolia.etherscan.io'
+};
+
+function explorerBaseFor(chainId) {
+    return EXPLORERS[Number(chainId)] || null;
+}
+
+// Addresses compare case-insensitively: views return checksummed ones, parameters may not be
+function comparable(value) {
+    const text = String(value);
+    return /^0x[0-9a-fA-F]{40}$/.test(text) ? text.toLowerCase() : text;
+}
+
+/**
+ * Call a check's view and compare the result with its expected value
+ * @returns {Promise<{ ok: boolean, actual: string, expected: string }>}
+ */
+async function readCheck(contract, check, context) {
+    const actual = String(await contract[check.method](...resolveValue(check.args, context)));
+    const expected = String(resolveValue(check.expect, context));
+    return { ok: comparable(actual) === comparable(expected), actual, expected };
+}
+
+/**
+ * For a step without a check that was exported to a Safe batch: the log of the step's `event`
+ * with the expected arguments, emitted by `contract` since the export, or null
+ */
+async function findStepEvent(contract, step, exported, context) {
+    if (!step.event) return null;
+    const expected = resolveValue(step.event.args, context).map(comparable);
+    const logs = await contract.queryFilter(step.event.name, exported.exportedBlock);
+    return logs.find(log => expected.every((value, index) => comparable(log.args[index]) === value)) || null;
+}
+
+/**
+ * Contract keys a step or invariant touches: its target and any ref() arguments
+ */
+function stepContracts(step) {
+    const refs = [...(step.args || []), ...(step.check ? [...step.check.args, step.check.expect] : [])]
+        .filter(value => value && typeof value === 'object' && '$ref' in value)
+        .map(value => value.$ref);
+    return [step.contract, ...refs];
+}
+
+/**
+ * Deploy (or resume) the spec on the connected network
+ * @param {{ ethers: Object, artifacts: Object }} hre
+ * @param {{ network: Object, deployer: string, parameters: Object, fresh?: boolean, safeBatch?: { safeAddress?: string } }} options
+ *   parameters: from resolveParameters(); fresh: ignore the manifest and deploy everything again;
+ *   safeBatch: hand ownership of the contracts to safeAddress, then write the wiring steps still
+ *   pending to a Safe batch for it instead of sending them
+ * @returns {Promise<{ manifest: Object, addresses: Object, manifestFile: string, bundlePath: string, fees: bigint, transactions: number, safeBatchFile: string | null }>}
+ */
+async function runDeployment({ ethers, artifacts }, { network, deployer, parameters, fresh = false, safeBatch = null }) {
+    const chainId = Number(network.chainId);
+    const explorerBase = explorerBaseFor(chainId);
+
+    // Resume from deployments/<network>.json unless it belongs to another chain or a fresh run was asked for
+    const name = manifestName(network);
+    const previous = readManifest(name);
+    const resume = Boolean(previous) && !fresh && previous.network.chainId === chainId;
+    if (resume) {
+        console.log(`📂 Resuming from deployments/${name}.json (${previous.deployment.status || 'no status'})`);
+        if (previous.deployment.deployer && previous.deployment.deployer !== deployer) {
+            console.warn(`⚠️  Recorded deployer ${previous.deployment.deployer} differs; setup steps on reused contracts need its ownership`);
+        }
+    } else if (previous) {
+        console.log(`📂 Ignoring deployments/${name}.json and deploying everything again`);
+    }
+
+    const safeAddress = safeBatch ? safeBatch.safeAddress : null;
+    if (safeBatch && !ethers.isAddress(safeAddress)) {
+        throw new Error(`Exporting to a Safe batch needs the Safe's address (SAFE_ADDRESS), got "${safeAddress || ''}"`);
+    }
+
+    const manifest = {
+        ...(resume ? previous : { contracts: {}, steps: {} }),
+        network: { name: network.name, chainId, explorerBase },
+        deployment: {
+            ...(resume ? previous.deployment : {}),
+            deployer,
+            status: 'in-progress',
+            startedAt: new Date().toISOString(),
+            completedAt: null
+        },
+        configuration: parameters
+    };
+    const save = () => writeManifest(name, manifest);
+    const deploy = createResumableDeploy({ ethers, manifest, save, fresh: !resume });
+    save();
+
+    const startTime = Date.now();
+    const addresses = {};
+    const instances = {};
+    const context = { parameters, addresses };
+
+    const total = DEPLOYMENT_SPEC.contracts.length;
+    for (const [index, contract] of DEPLOYMENT_SPEC.contracts.entries()) {
+        console.log(`\n📦 [${index + 1}/${total}] ${contract.contractName}`);
+        instances[contract.key] = await deploy.deploy(contract.key, contract.contractName, resolveValue(contract.args, context));
+        addresses[contract.key] = await instances[contract.key].getAddress();
+    }
+
+    // The contracts are Ownable(msg.sender): the deployer hands them to the Safe before the
+    // wiring is exported, or the Safe could not execute any of it
+    if (safeBatch) {
+        console.log('\n🔑 Handing ownership to the Safe...');
+        for (const contract of DEPLOYMENT_SPEC.contracts) {
+            const target = instances[contract.key];
+            const owner = await target.owner();
+            if (comparable(owner) !== comparable(safeAddress) && comparable(owner) !== comparable(deployer)) {
+                throw new Error(`${contract.contractName} is owned by ${owner}, neither the deployer nor the Safe ${safeAddress}`);
+            }
+            await deploy.step(`${contract.key}.owner.safe`, `Transfer ${contract.contractName} ownership to the Safe`, {
+                isApplied: async () => comparable(owner) === comparable(safeAddress),
+                apply: () => target.transferOwnership(safeAddress)
+            });
+        }
+    }
+
+    // Each step checks on-chain state first, so reruns skip what is done
+    console.log(safeBatch ? '\n🔧 Collecting wiring steps for the Safe...' : '\n🔧 Wiring contracts...');
+    const batchFile = safeBatch ? safeBatchPath(name, 'deploy') : null;
+    const exported = [];
+    for (const step of DEPLOYMENT_SPEC.steps) {
+        const target = instances[step.contract];
+        const isApplied = step.check
+            ? async () => (await readCheck(target, step.check, context)).ok
+            : async () => deploy.recordedFor(step.id, addresses[step.contract]);
+
+        // Exporting a step does not apply it: it counts as done once it shows on chain
+        const pending = exportedStep(manifest, step.id, addresses[step.contract]);
+        if (pending) {
+            const log = step.check ? null : await findStepEvent(target, step, pending, context);
+            if (log || (step.check && await isApplied())) {
+                manifest.steps[step.id] = {
+                    description: step.description,
+                    target: pending.target,
+                    safeBatch: pending.safeBatch,
+                    ...(log ? { txHash: log.transactionHash, blockNumber: log.blockNumber } : {}),
+                    appliedAt: new Date().toISOString()
+                };
+                save();
+                console.log(`✅ ${step.description} (executed from ${pending.safeBatch})`);
+                continue;
+            }
+            console.warn(`⚠️  ${step.description} was exported to ${pending.safeBatch} but has not taken effect`);
+        }
+
+        if (!safeBatch) {
+            await deploy.step(step.id, step.description, {
+                isApplied,
+                apply: async () => {
+                    const owner = await target.owner();
+                    if (comparable(owner) !== comparable(deployer)) {
+                        throw new Error(`${step.description}: the contract is owned by ${owner}, not the deployer; rerun with DEPLOY_SAFE_BATCH=1 and SAFE_ADDRESS to export it for that owner`);
+                    }
+                    return target[step.method](...resolveValue(step.args, context));
+                }
+            });
+        } else if (await isApplied()) {
+            console.log(`⏭️  ${step.description} (already applied)`);
+        } else {
+            console.log(`📤 ${step.description} (${pending ? 'exported again; the Safe should execute only one of the batches' : 'exported'})`);
+            exported.push(safeTransaction(target.interface, target.interface.getFunction(step.method), resolveValue(step.args, context), addresses[step.contract]));
+            // Pending until a rerun sees it on chain; steps without a check are looked up by their event from this block
+            manifest.steps[step.id] = {
+                description: step.description,
+                target: addresses[step.contract],
+                status: 'exported',
+                safeBatch: path.relative(path.join(__dirname, '..', '..'), batchFile),
+                exportedAt: new Date().toISOString(),
+                exportedBlock: await ethers.provider.getBlockNumber()
+            };
+        }
+    }
+    const safeBatchFile = exported.length > 0
+        ? writeSafeBatch(batchFile, buildSafeBatch({
+            chainId,
+            name: `ZeroDrop wiring (${name})`,
+            description: `Wiring steps of the ZeroDrop deployment spec not yet applied on ${name}`,
+            safeAddress,
+            transactions: exported
+        }))
+        : null;
+
+    // Event scans in the frontend start at the oldest contract
+    const blockNumbers = Object.values(manifest.contracts).map(entry => entry.blockNumber).filter(Number.isInteger);
+    const deployBlock = blockNumbers.length > 0 ? Math.min(...blockNumbers) : manifest.deployment.deployBlock;
+
+    const { fees, transactions } = deploy.totals();
+    Object.assign(manifest.deployment, {
+        deployBlock,
+        status: safeBatchFile ? 'awaiting-safe' : 'complete',
+        completedAt: new Date().toISOString(),
+        deploymentTime: (Date.now() - startTime) / 1000,
+        fees: fees.toString()
+    });
+    manifest.links = explorerBase
+        ? Object.fromEntries(Object.entries(addresses).map(([key, address]) => [key, `${explorerBase}/address/${address}`]))
+        : {};
+    const manifestFile = save();
+
+    // Frontend bundle: config.js picks it up by chain id
+    const bundlePath = await writeDeploymentBundle(artifacts, {
+        chainId,
+        network: name,
+        deployer,
+        deployBlock,
+        addresses: Object.fromEntries(DEPLOYMENT_SPEC.contracts.map(contract => [contract.bundleKey, addresses[contract.key]]))
+    });
+
+    return { manifest, addresses, manifestFile, bundlePath, fees, transactions, safeBatchFile };
+}
+
+/**
+ * Addresses of an existing deployment: the manifest, else Ignition's deployed_addresses.json
+ * @returns {{ source: string, manifest: Object | null, addresses: Object } | null}
+ */
+function loadDeployment(network, manifestDir = MANIFEST_DIR) {
+    const name = manifestName(network);
+    const manifest = readManifest(name, manifestDir);
+    if (manifest && manifest.network.chainId === Number(network.chainId)) {
+        const addresses = contractAddresses(manifest);
+        return { source: path.relative(path.join(__dirname, '..', '..'), manifestPath(name, manifestDir)), manifest, addresses };
+    }
+
+    const ignitionFile = path.join(IGNITION_DEPLOYMENTS_DIR, `chain-${Number(network.chainId)}`, 'deployed_addresses.json');
+    if (fs.existsSync(ignitionFile)) {
+        const deployed = JSON.parse(fs.readFileSync(ignitionFile, 'utf8'));
+        const addresses = {};
+        DEPLOYMENT_SPEC.contracts.forEach(contract => {
+            const address = deployed[`${IGNITION_MODULE}#${ignitionId(contract.key)}`];
+            if (address) addresses[contract.key] = address;
+        });
+        return { source: path.relative(path.join(__dirname, '..', '..'), ignitionFile), manifest: null, addresses };
+    }
+    return null;
+}
+
+/**
+ * Compare the deployment on the connected network with the spec. Contract status is
+ * "deployed", "missing" (not recorded), "no-code" or "args-differ"; step status is "applied",
+ * "missing", "exported" (in a Safe batch, not yet on chain), "blocked" (a contract it needs is
+ * not deployed), or for steps without a check "recorded" / "unknown"; invariant status is
+ * "pass", "fail" or "blocked". Checked steps and invariants carry the `actual` and `expected`
+ * values read.
+ * @param {{ network: Object, parameters: Object, manifestDir?: string }} options manifestDir: where to look for <network>.json
+ * @returns {Promise<{ source: string, manifest: Object | null, contracts: Object[], steps: Object[], invariants: Object[] }>}
+ */
+async function diffDeployment({ ethers }, { network, parameters, manifestDir = MANIFEST_DIR }) {
+    const deployment = loadDeployment(network, manifestDir);
+    if (!deployment) {
+        throw new Error(`No deployment recorded for ${manifestName(network)} (deployments/${manifestName(network)}.json or an Ignition journal for chain ${network.chainId})`);
+    }
+
+    const { manifest, addresses } = deployment;
+    const context = { parameters, addresses };
+    const usable = new Set();
+
+    const contracts = [];
+    for (const contract of DEPLOYMENT_SPEC.contracts) {
+        const address = addresses[contract.key] || null;
+        let status = 'deployed';
+        if (!address) {
+            status = 'missing';
+        } else if ((await ethers.provider.getCode(address)) === '0x') {
+            status = 'no-code';
+        } else {
+            usable.add(contract.key);
+            const recorded = manifest && manifest.contracts[contract.key].constructorArgs;
+            let expected = null;
+            try {
+                expected = JSON.stringify(toJson(resolveValue(contract.args, context)));
+            } catch (error) {
+                // A ref to a missing contract; that contract is reported on its own
+            }
+            if (recorded && expected && JSON.stringify(recorded) !== expected) status = 'args-differ';
+        }
+        contracts.push({ key: contract.key, contractName: contract.contractName, address, status });
+    }
+
+    const contractAt = (key) => {
+        const contractName = DEPLOYMENT_SPEC.contracts.find(contract => contract.key === key).contractName;
+        return ethers.getContractAt(contractName, addresses[key]);
+    };
+    const check = async (entry) => readCheck(await contractAt(entry.contract), entry.check, context);
+
+    const steps = [];
+    for (const step of DEPLOYMENT_SPEC.steps) {
+        const result = { id: step.id, description: step.description };
+        const exported = usable.has(step.contract) ? exportedStep(manifest, step.id, addresses[step.contract]) : null;
+        if (!stepContracts(step).every(key => usable.has(key))) {
+            result.status = 'blocked';
+        } else if (!step.check) {
+            if (isStepRecorded(manifest, step.id, addresses[step.contract])) {
+                result.status = 'recorded';
+            } else if (exported) {
+                result.status = (await findStepEvent(await contractAt(step.contract), step, exported, context)) ? 'applied' : 'exported';
+            } else {
+                result.status = 'unknown';
+            }
+        } else {
+            const { ok, actual, expected } = await check(step);
+            Object.assign(result, { status: ok ? 'applied' : exported ? 'exported' : 'missing', actual, expected });
+        }
+        steps.push(result);
+    }
+
+    const invariants = [];
+    for (const invariant of DEPLOYMENT_SPEC.invariants) {
+        const result = { id: invariant.id, description: invariant.description };
+        if (!stepContracts(invariant).every(key => usable.has(key))) {
+            result.status = 'blocked';
+        } else {
+            const { ok, actual, expected } = await check(invariant);
+            Object.assign(result, { status: ok ? 'pass' : 'fail', actual, expected });
+        }
+        invariants.push(result);
+    }
+
+    return { source: deployment.source, manifest, contracts, steps, invariants };
+}
+
+module.exports = {
+    IGNITION_MODULE,
+    diffDeployment,
+    explorerBaseFor,
+    loadDeployment,
+    runDeployment
+};
@@ -0,0 +1,95 @@
+// Writes the per-network deployment bundle the frontend reads through config.js.
+//
+// Each deploy produces frontend/public/deployments/<chainId>.json (addresses, ABIs, deploy block,
+// chain id) and regenerates deployments/index.js, which registers every bundle in the directory
+// so config.js can pick one synchronously by the wallet's chain id.
+const fs = require('fs');
+const path = require('path');
+const { DEPLOYMENT_SPEC } = require('./deployment-spec');
+
+const BUNDLE_DIR = path.join(__dirname, '..', '..', 'frontend', 'public', 'deployments');
+const INDEX_FILE = 'index.js';
+
+// CONTRACT_CONFIG.CONTRACTS key -> Hardhat contract name
+const CONTRACT_NAMES = Object.fromEntries(
+    DEPLOYMENT_SPEC.contracts.map(contract => [contract.bundleKey, contract.contractName])
+);
+
+/**
+ * Build the bundle for one deployment.
+ * @param {Object} artifacts Hardhat's artifacts object (hre.artifacts)
+ * @param {Object} deployment { chainId, network, deployer, deployBlock, addresses: { FHE_CRYPTO: '0x..', ... } }
+ */
+async function buildBundle(artifacts, { chainId, network, deployer, deployBlock, addresses }) {
+    const contracts = {};
+    for (const [key, contractName] of Object.entries(CONTRACT_NAMES)) {
+        if (!addresses[key]) {
+            throw new Error(`Missing address for ${key} (${contractName})`);
+        }
+        const { abi } = await artifacts.readArtifact(contractName);
+        contracts[key] = { contractName, address: addresses[key], abi };
+    }
+
+    return {
+        chainId: Number(chainId),
+        network,
+        deployer,
+        deployBlock: Number(deployBlock),
+        deployedAt: new Date().toISOString(),
+        contracts
+    };
+}
+
+function renderIndex(bundles) {
+    const entries = bundles
+        .sort((a, b) => a.chainId - b.chainId)
+        .map(bundle => `    "${bundle.chainId}": ${JSON.stringify(bundle)}`);
+
+    return [
+        '// Deployment bundles by chain id',
+        '// GENERATED FILE - do not edit by hand. Rewritten by scripts/deploy-all.js and scripts/deploy-sepolia.js',
+        '// from the <chainId>.json bundles next to it; config.js selects one by the wallet\'s chain id.',
+        entries.length > 0 ? `const ZERODROP_DEPLOYMENTS = {\n${entries.join(',\n')}\n};` : 'const ZERODROP_DEPLOYMENTS = {};',
+        '',
+        '// Export for use in HTML pages',
+        "if (typeof window !== 'undefined') {",
+        '    window.ZERODROP_DEPLOYMENTS = ZERODROP_DEPLOYMENTS;',
+        '}',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Rebuild deployments/index.js from every <chainId>.json bundle on disk
+ */
+function writeIndex(bundleDir = BUNDLE_DIR) {
+    const bundles = fs.readdirSync(bundleDir)
+        .filter(file => /^\d+\.json$/.test(file))
+        .map(file => JSON.parse(fs.readFileSync(path.join(bundleDir, file), 'utf8')));
+
+    fs.writeFileSync(path.join(bundleDir, INDEX_FILE), renderIndex(bundles));
+    return bundles.map(bundle => bundle.chainId);
+}
+
+/**
+ * Write deployments/<chainId>.json for this deployment and refresh the index.
+ * Resolves with the bundle path relative to the repository root.
+ */
+async function writeDeploymentBundle(artifacts, deployment, bundleDir = BUNDLE_DIR) {
+    const bundle = await buildBundle(artifacts, deployment);
+
+    fs.mkdirSync(bundleDir, { recursive: true });
+    const bundlePath = path.join(bundleDir, `${bundle.chainId}.json`);
+    fs.writeFileSync(bundlePath, JSON.stringify(bundle, null, 2) + '\n');
+    writeIndex(bundleDir);
+
+    return path.relative(path.join(__dirname, '..', '..'), bundlePath);
+}
+
+module.exports = {
+    BUNDLE_DIR,
+    CONTRACT_NAMES,
+    buildBundle,
+    writeIndex,
+    writeDeploymentBundle
+};
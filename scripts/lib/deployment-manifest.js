@@ -0,0 +1,133 @@
+// Reads and writes the deployment manifest, deployments/<network>.json.
+//
+// The manifest records what a deploy script did: for each contract its address, constructor
+// arguments, deployment transaction and block; for each setup step the transaction that applied
+// it. deploy-all.js saves it after every transaction, so an interrupted run can resume where it
+// stopped, and verify-contracts.js reads constructor arguments from it.
+//
+// Version 1 layout:
+//   version, network { name, chainId, explorerBase },
+//   deployment { deployer, deployBlock, status: "in-progress" | "awaiting-safe" | "complete", startedAt, updatedAt, completedAt, fees },
+//   configuration { ... },
+//   contracts { <key>: { contractName, address, constructorArgs, txHash, blockNumber } },
+//   steps { <id>: { description, target, txHash, blockNumber, appliedAt } },
+//     a step exported to a Safe batch is { description, target, status: "exported", safeBatch, exportedAt, exportedBlock }
+//     until it shows on chain, then { description, target, safeBatch, appliedAt } (plus txHash and blockNumber when known),
+//   links, frontend
+// bigint values (token amounts, wei) are stored as decimal strings.
+// Manifests written before versioning map contract keys straight to addresses; they are read as
+// version 0 and upgraded on the next save.
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_VERSION = 1;
+const MANIFEST_DIR = path.join(__dirname, '..', '..', 'deployments');
+
+/**
+ * Hardhat names networks it cannot identify "unknown"; those are local nodes
+ */
+function manifestName(network) {
+    return network.name === 'unknown' ? 'localhost' : network.name;
+}
+
+function manifestPath(name, manifestDir = MANIFEST_DIR) {
+    return path.join(manifestDir, `${name}.json`);
+}
+
+/**
+ * JSON has no bigint; constructor arguments and configuration keep them as decimal strings
+ */
+function toJson(value) {
+    return JSON.parse(JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item));
+}
+
+function upgrade(manifest) {
+    if (manifest.version === MANIFEST_VERSION) return manifest;
+    if (manifest.version !== undefined) {
+        throw new Error(`Unsupported deployment manifest version ${manifest.version} (expected ${MANIFEST_VERSION})`);
+    }
+
+    // Version 0: { contracts: { key: address } } without transactions or constructor arguments
+    const contracts = {};
+    Object.entries(manifest.contracts || {}).forEach(([key, address]) => {
+        contracts[key] = typeof address === 'string' ? { address } : address;
+    });
+    return {
+        ...manifest,
+        version: MANIFEST_VERSION,
+        network: typeof manifest.network === 'object' ? manifest.network : { name: manifest.network, chainId: manifest.chainId },
+        deployment: manifest.deployment || { deployer: manifest.deployer, deployBlock: manifest.deployBlock },
+        contracts,
+        steps: manifest.steps || {}
+    };
+}
+
+/**
+ * The manifest for `name`, or null when there is none
+ */
+function readManifest(name, manifestDir = MANIFEST_DIR) {
+    const file = manifestPath(name, manifestDir);
+    if (!fs.existsSync(file)) return null;
+    return upgrade(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Write the manifest atomically, so a crash mid-write cannot lose the previous state.
+ * Returns the path relative to the repository root.
+ */
+function writeManifest(name, manifest, manifestDir = MANIFEST_DIR) {
+    const file = manifestPath(name, manifestDir);
+    const updated = toJson({
+        ...manifest,
+        version: MANIFEST_VERSION,
+        deployment: { ...manifest.deployment, updatedAt: new Date().toISOString() }
+    });
+
+    fs.mkdirSync(manifestDir, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(updated, null, 2) + '\n');
+    fs.renameSync(`${file}.tmp`, file);
+    return path.relative(path.join(__dirname, '..', '..'), file);
+}
+
+/**
+ * Contract key -> address, for callers that only need addresses
+ */
+function contractAddresses(manifest) {
+    return Object.fromEntries(Object.entries(manifest.contracts).map(([key, entry]) => [key, entry.address]));
+}
+
+function recordedStep(manifest, id, address) {
+    const recorded = manifest && manifest.steps[id];
+    return recorded && recorded.target && recorded.target.toLowerCase() === address.toLowerCase() ? recorded : null;
+}
+
+/**
+ * Whether step `id` was applied to the contract now at `address` (for steps with nothing to read
+ * back on chain). A step only exported to a Safe batch does not count.
+ */
+function isStepRecorded(manifest, id, address) {
+    const recorded = recordedStep(manifest, id, address);
+    return Boolean(recorded && recorded.status !== 'exported');
+}
+
+/**
+ * The manifest entry of step `id` when it was exported to a Safe batch for the contract now at
+ * `address` and has not been seen on chain since, else null
+ */
+function exportedStep(manifest, id, address) {
+    const recorded = recordedStep(manifest, id, address);
+    return recorded && recorded.status === 'exported' ? recorded : null;
+}
+
+module.exports = {
+    MANIFEST_DIR,
+    MANIFEST_VERSION,
+    contractAddresses,
+    exportedStep,
+    isStepRecorded,
+    manifestName,
+    manifestPath,
+    readManifest,
+    toJson,
+    writeManifest
+};
@@ -0,0 +1,223 @@
+// The ZeroDrop deployment, declared once: which contracts to deploy with which constructor
+// arguments, and which calls wire them together afterwards. scripts/deploy-all.js,
+// scripts/deploy-sepolia.js and ignition/modules/ZeroDrop.js all run from this spec.
+//
+// Values in `args` are literals, param(name) for a deployment parameter (PARAMETERS below, plus
+// "deployer") or ref(key) for the address of a contract deployed earlier in the list. A step's
+// `check` names a view whose result equals `expect` once the step has taken effect. Steps
+// without one (minting) are tracked through the deployment manifest; once exported to a Safe
+// batch, which leaves no transaction to record, they are found by the `event` they emit.
+// `invariants` are further checks of the same form with no step behind them.
+
+const DEPLOYER = 'deployer';
+
+function param(name) {
+    return { $param: name };
+}
+
+function ref(key) {
+    return { $ref: key };
+}
+
+// Deployment parameters: env overrides for the deploy scripts, defaults shared with Ignition
+// (where feeCollector defaults to the deploying account as well)
+const PARAMETERS = {
+    feeCollector: { env: 'FEE_COLLECTOR', default: param(DEPLOYER) },
+    initialTokenSupply: { default: 1000000n * 10n ** 18n }, // 1M tokens
+    serviceFeeRate: { env: 'SERVICE_FEE_RATE', default: 200 }, // 2%
+    tradingFeeRate: { env: 'TRADING_FEE_RATE', default: 30 }, // 0.3%
+    demoMintAmount: { default: 10000n * 10n ** 18n } // minted to the deployer for demos
+};
+
+const DEPLOYMENT_SPEC = {
+    contracts: [
+        { key: 'fheCrypto', contractName: 'FHECrypto', bundleKey: 'FHE_CRYPTO', args: [] },
+        { key: 'vaultManager', contractName: 'VaultManager', bundleKey: 'VAULT_MANAGER', args: [] },
+        {
+            key: 'testToken',
+            contractName: 'TestToken',
+            bundleKey: 'TEST_TOKEN',
+            args: ['ZeroDrop Test Token', 'ZTEST', 18, param('initialTokenSupply')]
+        },
+        {
+            key: 'secretFundraiser',
+            contractName: 'SecretFundraiser',
+            bundleKey: 'SECRET_FUNDRAISER',
+            args: [param('feeCollector'), ref('vaultManager'), ref('fheCrypto')]
+        },
+        {
+            key: 'confidentialTrading',
+            contractName: 'ConfidentialTrading',
+            bundleKey: 'CONFIDENTIAL_TRADING',
+            args: [param('feeCollector'), ref('fheCrypto')]
+        }
+    ],
+    steps: [
+        {
+            id: 'vaultManager.authorize.secretFundraiser',
+            description: 'Authorize SecretFundraiser in VaultManager',
+            contract: 'vaultManager',
+            method: 'addAuthorizedContract',
+            args: [ref('secretFundraiser')],
+            check: { method: 'authorizedContracts', args: [ref('secretFundraiser')], expect: true }
+        },
+        {
+            id: 'fheCrypto.operator.secretFundraiser',
+            description: 'Authorize SecretFundraiser as FHECrypto operator',
+            contract: 'fheCrypto',
+            method: 'authorizeOperator',
+            args: [ref('secretFundraiser')],
+            check: { method: 'authorizedOperators', args: [ref('secretFundraiser')], expect: true }
+        },
+        {
+            id: 'fheCrypto.operator.confidentialTrading',
+            description: 'Authorize ConfidentialTrading as FHECrypto operator',
+            contract: 'fheCrypto',
+            method: 'authorizeOperator',
+            args: [ref('confidentialTrading')],
+            check: { method: 'authorizedOperators', args: [ref('confidentialTrading')], expect: true }
+        },
+        {
+            id: 'confidentialTrading.token.testToken',
+            description: 'Add TestToken to ConfidentialTrading',
+            contract: 'confidentialTrading',
+            method: 'addSupportedToken',
+            args: [ref('testToken'), 18],
+            check: { method: 'supportedTokens', args: [ref('testToken')], expect: true }
+        },
+        {
+            id: 'testToken.minter.secretFundraiser',
+            description: 'Add SecretFundraiser as TestToken minter',
+            contract: 'testToken',
+            method: 'addMinter',
+            args: [ref('secretFundraiser')],
+            check: { method: 'minters', args: [ref('secretFundraiser')], expect: true }
+        },
+        {
+            id: 'secretFundraiser.serviceFeeRate',
+            description: 'Set the SecretFundraiser service fee rate',
+            contract: 'secretFundraiser',
+            method: 'updateServiceFeeRate',
+            args: [param('serviceFeeRate')],
+            check: { method: 'serviceFeeRate', args: [], expect: param('serviceFeeRate') }
+        },
+        {
+            id: 'confidentialTrading.tradingFeeRate',
+            description: 'Set the ConfidentialTrading fee rate',
+            contract: 'confidentialTrading',
+            method: 'updateTradingFeeRate',
+            args: [param('tradingFeeRate')],
+            check: { method: 'tradingFeeRate', args: [], expect: param('tradingFeeRate') }
+        },
+        {
+            id: 'testToken.mint.demo',
+            description: 'Mint demo tokens to the deployer',
+            contract: 'testToken',
+            method: 'mint',
+            args: [param(DEPLOYER), param('demoMintAmount')],
+            check: null,
+            event: { name: 'TokensMinted', args: [param(DEPLOYER), param('demoMintAmount')] }
+        }
+    ],
+    // State the wiring steps do not cover but a usable deployment depends on; checked by health-check.js
+    invariants: [
+        {
+            id: 'confidentialTrading.precision.testToken',
+            description: 'TestToken precision in ConfidentialTrading',
+            contract: 'confidentialTrading',
+            check: { method: 'tokenPrecisions', args: [ref('testToken')], expect: 18 }
+        },
+        {
+            id: 'secretFundraiser.feeCollector',
+            description: 'SecretFundraiser fee collector',
+            contract: 'secretFundraiser',
+            check: { method: 'feeCollector', args: [], expect: param('feeCollector') }
+        },
+        {
+            id: 'confidentialTrading.feeCollector',
+            description: 'ConfidentialTrading fee collector',
+            contract: 'confidentialTrading',
+            check: { method: 'feeCollector', args: [], expect: param('feeCollector') }
+        },
+        {
+            id: 'secretFundraiser.vaultManager',
+            description: 'SecretFundraiser uses the deployed VaultManager',
+            contract: 'secretFundraiser',
+            check: { method: 'vaultManager', args: [], expect: ref('vaultManager') }
+        },
+        {
+            id: 'secretFundraiser.fheCrypto',
+            description: 'SecretFundraiser uses the deployed FHECrypto',
+            contract: 'secretFundraiser',
+            check: { method: 'fheCrypto', args: [], expect: ref('fheCrypto') }
+        },
+        {
+            id: 'confidentialTrading.fheCrypto',
+            description: 'ConfidentialTrading uses the deployed FHECrypto',
+            contract: 'confidentialTrading',
+            check: { method: 'fheCrypto', args: [], expect: ref('fheCrypto') }
+        }
+    ]
+};
+
+/**
+ * Parameter values for a script run: environment overrides, else recorded values, else the defaults
+ * @param {string} deployer Deploying account
+ * @param {Object} [env] Usually process.env
+ * @param {Object} [recorded] Values a deployment was made with (a manifest's configuration)
+ */
+function resolveParameters(deployer, env = {}, recorded = {}) {
+    const parameters = { [DEPLOYER]: deployer };
+    Object.entries(PARAMETERS).forEach(([name, { env: variable, default: fallback }]) => {
+        if (variable && env[variable]) {
+            parameters[name] = typeof fallback === 'number' ? Number(env[variable]) : env[variable];
+            if (typeof fallback === 'number' && !Number.isInteger(parameters[name])) {
+                throw new Error(`${variable} must be an integer, got ${env[variable]}`);
+            }
+        } else if (recorded[name] !== undefined && recorded[name] !== null) {
+            parameters[name] = recorded[name];
+        } else {
+            parameters[name] = fallback;
+        }
+    });
+    Object.keys(parameters).forEach(name => {
+        parameters[name] = resolveValue(parameters[name], { parameters, addresses: {} });
+    });
+    return parameters;
+}
+
+/**
+ * Replace param() and ref() markers in a spec value
+ * @param {*} value Literal, marker or array of them
+ * @param {{ parameters: Object, addresses: Object }} context addresses: contract key -> address
+ */
+function resolveValue(value, { parameters, addresses }) {
+    if (Array.isArray(value)) return value.map(item => resolveValue(item, { parameters, addresses }));
+    if (value && typeof value === 'object' && '$param' in value) {
+        if (!(value.$param in parameters)) throw new Error(`Unknown deployment parameter ${value.$param}`);
+        return parameters[value.$param];
+    }
+    if (value && typeof value === 'object' && '$ref' in value) {
+        if (!addresses[value.$ref]) throw new Error(`${value.$ref} is not deployed yet`);
+        return addresses[value.$ref];
+    }
+    return value;
+}
+
+/**
+ * Ignition future ids allow only letters, digits and underscores
+ */
+function ignitionId(id) {
+    return id.replace(/[^A-Za-z0-9_]/g, '_');
+}
+
+module.exports = {
+    DEPLOYER,
+    DEPLOYMENT_SPEC,
+    PARAMETERS,
+    ignitionId,
+    param,
+    ref,
+    resolveParameters,
+    resolveValue
+};
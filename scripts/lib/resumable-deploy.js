@@ -0,0 +1,112 @@
+// Deploys contracts and applies setup steps so that a rerun picks up where a failed run stopped.
+//
+// A contract recorded in the manifest is reused when code is still deployed at its address and
+// it was built with the same constructor arguments (a restarted Hardhat node or a changed fee
+// collector means a new deployment). A setup step is skipped when its isApplied check, usually
+// a read of on-chain state, says it already took effect. Every transaction is awaited and
+// recorded, and the manifest is saved after each one.
+const { isStepRecorded, toJson } = require('./deployment-manifest');
+
+/**
+ * @param {Object} options
+ * @param {Object} options.ethers Hardhat's ethers (hre.ethers)
+ * @param {Object} options.manifest Manifest to record into (see deployment-manifest.js); mutated
+ * @param {Function} options.save Persists the manifest
+ * @param {boolean} [options.fresh] Deploy everything again, ignoring recorded contracts
+ */
+function createResumableDeploy({ ethers, manifest, save, fresh = false }) {
+    let fees = 0n;
+    let transactions = 0;
+
+    async function record(tx) {
+        const receipt = await tx.wait();
+        fees += receipt.fee;
+        transactions++;
+        return receipt;
+    }
+
+    async function reusable(contractName, recorded, constructorArgs) {
+        if (fresh || !recorded || !recorded.address) return false;
+        if (recorded.contractName && recorded.contractName !== contractName) return false;
+
+        if ((await ethers.provider.getCode(recorded.address)) === '0x') {
+            console.log(`♻️  No code at the recorded ${contractName} address ${recorded.address}; redeploying`);
+            return false;
+        }
+        // Manifests from before versioning did not record arguments; trust their addresses
+        if (recorded.constructorArgs && JSON.stringify(recorded.constructorArgs) !== JSON.stringify(constructorArgs)) {
+            console.log(`♻️  ${contractName} constructor arguments changed; redeploying`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Deploy `contractName` under manifest key `key`, or attach to the recorded deployment
+     */
+    async function deploy(key, contractName, args = []) {
+        const constructorArgs = toJson(args);
+        const recorded = manifest.contracts[key];
+
+        if (await reusable(contractName, recorded, constructorArgs)) {
+            console.log(`⏭️  ${contractName} already deployed:`, recorded.address);
+            manifest.contracts[key] = { ...recorded, contractName, constructorArgs };
+            return ethers.getContractAt(contractName, recorded.address);
+        }
+
+        const factory = await ethers.getContractFactory(contractName);
+        const contract = await factory.deploy(...args);
+        const receipt = await record(contract.deploymentTransaction());
+        manifest.contracts[key] = {
+            contractName,
+            address: await contract.getAddress(),
+            constructorArgs,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber
+        };
+        save();
+        console.log(`✅ ${contractName} deployed:`, manifest.contracts[key].address);
+        return contract;
+    }
+
+    /**
+     * Apply a setup step unless `isApplied()` resolves true. `apply()` resolves a transaction.
+     * Resolves true when a transaction was sent.
+     */
+    async function step(id, description, { isApplied, apply }) {
+        if (await isApplied()) {
+            console.log(`⏭️  ${description} (already applied)`);
+            return false;
+        }
+
+        console.log(`📝 ${description}...`);
+        const receipt = await record(await apply());
+        manifest.steps[id] = {
+            description,
+            target: receipt.to,
+            txHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            appliedAt: new Date().toISOString()
+        };
+        save();
+        return true;
+    }
+
+    /**
+     * For steps with nothing to read back on chain: whether step `id` was recorded against the
+     * contract now at `address`
+     */
+    function recordedFor(id, address) {
+        return isStepRecorded(manifest, id, address);
+    }
+
+    function totals() {
+        return { fees, transactions };
+    }
+
+    return { deploy, step, recordedFor, totals };
+}
+
+module.exports = {
+    createResumableDeploy
+};
@@ -0,0 +1,177 @@
+// Safe (Gnosis Safe) transaction batches for owner calls a multisig executes instead of a hot key.
+//
+// The files use the Safe Transaction Builder's batch format, so they can be dropped into the
+// Transaction Builder app: { version, chainId, createdAt, meta, transactions: [{ to, value, data,
+// contractMethod, contractInputsValues }] }. Each transaction carries its raw calldata and the
+// decoded method and arguments the app shows to signers. Deploy scripts export pending wiring
+// steps this way (DEPLOY_SAFE_BATCH=1), the admin task exports single calls (--safe-batch), and
+// checkSafeBatch re-decodes a batch against the deployment manifest before anyone signs it.
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_DIR } = require('./deployment-manifest');
+
+const SAFE_BATCH_VERSION = '1.0';
+const SAFE_BATCH_DIR = path.join(MANIFEST_DIR, 'safe-batches');
+const TX_BUILDER_VERSION = '1.16.5';
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * One batch transaction calling `fragment` (an ethers FunctionFragment) on `to`
+ * @param {Object} contractInterface ethers Interface of the target contract
+ */
+function safeTransaction(contractInterface, fragment, args, to) {
+    const contractInputsValues = {};
+    fragment.inputs.forEach((input, index) => {
+        contractInputsValues[input.name || `arg${index}`] = String(args[index]);
+    });
+
+    return {
+        to,
+        value: '0',
+        data: contractInterface.encodeFunctionData(fragment, args),
+        contractMethod: {
+            inputs: fragment.inputs.map((input, index) => ({ internalType: input.type, name: input.name || `arg${index}`, type: input.type })),
+            name: fragment.name,
+            payable: fragment.payable
+        },
+        contractInputsValues
+    };
+}
+
+/**
+ * @param {{ chainId: number|bigint, name: string, description?: string, safeAddress?: string, transactions?: Object[] }} options
+ */
+function buildSafeBatch({ chainId, name, description = '', safeAddress = '', transactions = [] }) {
+    return {
+        version: SAFE_BATCH_VERSION,
+        chainId: String(chainId),
+        createdAt: Date.now(),
+        meta: {
+            name,
+            description,
+            txBuilderVersion: TX_BUILDER_VERSION,
+            createdFromSafeAddress: safeAddress,
+            createdFromOwnerAddress: ''
+        },
+        transactions
+    };
+}
+
+/**
+ * Default file for a new batch: deployments/safe-batches/<network>-<label>-<timestamp>.json
+ */
+function safeBatchPath(network, label) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+    return path.join(SAFE_BATCH_DIR, `${network}-${label}-${stamp}.json`);
+}
+
+function readSafeBatch(file) {
+    const batch = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!batch || typeof batch !== 'object' || !Array.isArray(batch.transactions)) {
+        throw new Error(`${file} is not a Safe transaction batch (no transactions array)`);
+    }
+    return batch;
+}
+
+/**
+ * Write a batch, creating its directory. Returns the path relative to the repository root.
+ */
+function writeSafeBatch(file, batch) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(batch, null, 2) + '\n');
+    return path.relative(REPO_ROOT, path.resolve(file));
+}
+
+function sameAddress(a, b) {
+    return typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Check a batch against a deployment without touching the chain: it must be for `chainId`,
+ * every transaction must call a contract of the deployment with no value, its calldata must
+ * decode with that contract's ABI, and the decoded method shown to signers (contractMethod /
+ * contractInputsValues) must match the calldata. Address arguments outside the deployment are
+ * warnings.
+ * @param {Object} batch Parsed batch file
+ * @param {{ chainId: number, addresses: Object, interfaces: Object }} deployment
+ *   addresses: contract key -> address; interfaces: contract key -> ethers Interface
+ * @returns {{ errors: string[], calls: Object[] }} calls: { index, to, key, method, args, data, errors, warnings }
+ */
+function checkSafeBatch(batch, { chainId, addresses, interfaces }) {
+    const errors = [];
+    if (String(batch.chainId) !== String(chainId)) {
+        errors.push(`Batch is for chain ${batch.chainId}, the deployment is on chain ${chainId}`);
+    }
+    if (batch.transactions.length === 0) {
+        errors.push('Batch has no transactions');
+    }
+
+    const keyOf = address => Object.keys(addresses).find(key => sameAddress(addresses[key], address)) || null;
+
+    const calls = batch.transactions.map((tx, index) => {
+        const call = { index, to: tx.to, key: keyOf(tx.to), method: null, args: {}, data: tx.data || null, errors: [], warnings: [] };
+        if (!call.key) {
+            call.errors.push(`${tx.to} is not a contract of this deployment`);
+            return call;
+        }
+        if (tx.value !== undefined && String(tx.value) !== '0') {
+            call.errors.push(`Sends ${tx.value} wei; ZeroDrop owner functions are not payable`);
+        }
+
+        const contractInterface = interfaces[call.key];
+        let parsed = null;
+        try {
+            if (tx.data && tx.data !== '0x') {
+                parsed = contractInterface.parseTransaction({ data: tx.data });
+            } else if (tx.contractMethod) {
+                // Batches built in the app may carry only the method and its values
+                const fragment = contractInterface.getFunction(tx.contractMethod.name);
+                const values = fragment.inputs.map((input, position) => (tx.contractInputsValues || {})[input.name || `arg${position}`]);
+                call.data = contractInterface.encodeFunctionData(fragment, values);
+                parsed = contractInterface.parseTransaction({ data: call.data });
+            }
+        } catch (error) {
+            call.errors.push(`Cannot decode the call: ${error.shortMessage || error.message}`);
+            return call;
+        }
+        if (!parsed) {
+            call.errors.push(`Calldata matches no function of ${call.key}`);
+            return call;
+        }
+
+        call.method = parsed.fragment.format();
+        parsed.fragment.inputs.forEach((input, position) => {
+            const name = input.name || `arg${position}`;
+            const value = String(parsed.args[position]);
+            call.args[name] = value;
+
+            if (input.type === 'address' && !keyOf(value)) {
+                call.warnings.push(`${name} ${value} is not a contract of this deployment`);
+            }
+            if (tx.data && tx.contractInputsValues && name in tx.contractInputsValues) {
+                const shown = String(tx.contractInputsValues[name]);
+                if (shown !== value && !(input.type === 'address' && sameAddress(shown, value))) {
+                    call.errors.push(`contractInputsValues.${name} shows ${shown}, the calldata encodes ${value}`);
+                }
+            }
+        });
+        if (tx.data && tx.contractMethod && tx.contractMethod.name !== parsed.name) {
+            call.errors.push(`contractMethod shows ${tx.contractMethod.name}, the calldata calls ${parsed.name}`);
+        }
+        return call;
+    });
+
+    return { errors, calls };
+}
+
+module.exports = {
+    SAFE_BATCH_DIR,
+    SAFE_BATCH_VERSION,
+    buildSafeBatch,
+    checkSafeBatch,
+    readSafeBatch,
+    safeBatchPath,
+    safeTransaction,
+    writeSafeBatch
+};
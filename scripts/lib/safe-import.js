@@ -0,0 +1,95 @@
+// `zerodrop safe-import` (tasks/safe.js): checks a Safe transaction batch before anyone signs it.
+//
+// The batch is decoded against deployments/<network>.json with checkSafeBatch (safe-batch.js).
+// With the executing Safe known (--safe, or the batch's createdFromSafeAddress) each call that
+// decodes is also checked on chain: the Safe must own the target, and the call is simulated from
+// it. The result is appended to the admin audit log; a batch that does not check out throws.
+const { appendAuditEntry } = require('./admin-commands');
+const { DEPLOYMENT_SPEC } = require('./deployment-spec');
+const { MANIFEST_DIR, contractAddresses, manifestName, readManifest } = require('./deployment-manifest');
+const { checkSafeBatch, readSafeBatch } = require('./safe-batch');
+
+/**
+ * Check the batch in `file` against the deployment on the connected network and print the report
+ * @param {Object} hre Hardhat runtime environment (only `ethers` is used)
+ * @param {{ batch: string, safe?: string, manifestDir?: string }} options
+ * @returns {Promise<{ network: string, safe: string|null, errors: string[], calls: Object[] }>}
+ */
+async function importSafeBatch({ ethers }, { batch: file, safe = null, manifestDir = MANIFEST_DIR }) {
+    const network = await ethers.provider.getNetwork();
+    const name = manifestName(network);
+    const manifest = readManifest(name, manifestDir);
+    if (!manifest || manifest.network.chainId !== Number(network.chainId)) {
+        throw new Error(`No deployment manifest for chain ${network.chainId} (deployments/${name}.json)`);
+    }
+
+    const batch = readSafeBatch(file);
+    const addresses = contractAddresses(manifest);
+    const contracts = {};
+    for (const contract of DEPLOYMENT_SPEC.contracts) {
+        if (addresses[contract.key]) {
+            contracts[contract.key] = await ethers.getContractAt(contract.contractName, addresses[contract.key]);
+        }
+    }
+    const interfaces = Object.fromEntries(Object.entries(contracts).map(([key, contract]) => [key, contract.interface]));
+    const { errors, calls } = checkSafeBatch(batch, { chainId: manifest.network.chainId, addresses, interfaces });
+
+    console.log(`📥 ${batch.meta && batch.meta.name ? batch.meta.name : file}`);
+    console.log('📋 Network:', name, `(Chain ID: ${network.chainId})`);
+    console.log(`📦 ${batch.transactions.length} transaction${batch.transactions.length === 1 ? '' : 's'}, checked against deployments/${name}.json`);
+
+    // On-chain checks need the executing Safe
+    const executor = safe || (batch.meta && batch.meta.createdFromSafeAddress) || null;
+    if (executor && !ethers.isAddress(executor)) {
+        throw new Error(`Safe address ${executor} is not an address`);
+    }
+    if (!executor) {
+        console.warn('⚠️  No Safe address in the batch or --safe; skipping owner checks and simulation');
+    }
+
+    for (const call of calls) {
+        if (executor && call.errors.length === 0) {
+            const owner = await contracts[call.key].owner();
+            if (owner.toLowerCase() !== executor.toLowerCase()) {
+                call.errors.push(`${call.key} is owned by ${owner}, not the Safe ${executor}`);
+            } else {
+                // Calls are simulated one at a time; one that depends on an earlier call in the batch may show as reverting
+                try {
+                    await ethers.provider.call({ from: executor, to: call.to, data: call.data });
+                } catch (error) {
+                    call.warnings.push(`Simulation reverts: ${error.shortMessage || error.message}`);
+                }
+            }
+        }
+
+        const icon = call.errors.length > 0 ? '❌' : call.warnings.length > 0 ? '⚠️ ' : '✅';
+        console.log(`\n${icon} [${call.index + 1}] ${call.key || call.to} ${call.method || ''}`);
+        Object.entries(call.args).forEach(([arg, value]) => {
+            console.log(`   ${arg}: ${value}`);
+        });
+        call.errors.forEach(error => console.log(`   ❌ ${error}`));
+        call.warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+    }
+
+    errors.forEach(error => console.log(`\n❌ ${error}`));
+    const failed = errors.length + calls.filter(call => call.errors.length > 0).length;
+
+    appendAuditEntry(name, {
+        chainId: Number(network.chainId),
+        command: 'safe-import',
+        safeBatch: file,
+        safe: executor,
+        status: failed > 0 ? 'batch-rejected' : 'batch-checked',
+        calls: calls.map(({ to, method, args, errors: callErrors, warnings }) => ({ to, method, args, errors: callErrors, warnings }))
+    }, manifestDir);
+
+    if (failed > 0) {
+        throw new Error(`The batch does not match deployments/${name}.json (${failed} problem${failed === 1 ? '' : 's'}); do not sign it`);
+    }
+    console.log(`\n✨ The batch checks out against deployments/${name}.json; review the calls above before signing`);
+    return { network: name, safe: executor, errors, calls };
+}
+
+module.exports = {
+    importSafeBatch
+};
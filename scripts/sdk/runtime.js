@@ -0,0 +1,191 @@
+// Hand-written half of frontend/public/zerodrop-sdk.js. scripts/generate-sdk.js splices
+// everything below this header into the bundle ahead of the generated contract bindings,
+// so edit this file (not the bundle) and re-run the generator.
+
+// Wallet and messaging helpers shared by every page
+
+/**
+ * Toast into the page's #messageContainer; type is 'success', 'error' or 'info'
+ */
+function showMessage(message, type) {
+    const messageContainer = document.getElementById('messageContainer');
+    const messageElement = document.createElement('div');
+
+    let bgColor = 'bg-green-400';
+    let textColor = 'text-black';
+
+    if (type === 'error') {
+        bgColor = 'bg-red-400';
+        textColor = 'text-white';
+    } else if (type === 'info') {
+        bgColor = 'bg-blue-400';
+        textColor = 'text-white';
+    }
+
+    messageElement.className = `${bgColor} ${textColor} px-6 py-3 rounded-lg mb-2 terminal-font text-sm font-bold shadow-lg`;
+    messageElement.textContent = message;
+
+    messageContainer.appendChild(messageElement);
+
+    setTimeout(() => {
+        messageElement.remove();
+    }, 5000);
+}
+
+/**
+ * Human-readable reason for a failed wallet request; action names the request ('Connection', ...)
+ */
+function describeWalletError(error, action = 'Request') {
+    if (error.code === 4001) return `${action} rejected by user.`;
+    if (error.code === -32002) return `${action} request already pending. Please check MetaMask.`;
+    if (String(error.message).includes('Provided address')) {
+        return 'Address validation failed. Please check MetaMask configuration.';
+    }
+    return error.message;
+}
+
+/**
+ * The wallet_addEthereumChain parameters of the network config.js selected (see deployments/)
+ */
+function getTargetChain() {
+    if (typeof CONTRACT_CONFIG === 'undefined') {
+        throw new Error('Configuration not loaded. Please refresh the page.');
+    }
+    return CONTRACT_CONFIG.NETWORK_CONFIG;
+}
+
+function requireProvider() {
+    if (typeof window === 'undefined' || typeof window.ethereum === 'undefined') {
+        throw new Error('MetaMask not detected. Please install MetaMask.');
+    }
+    return window.ethereum;
+}
+
+/**
+ * Prompt for accounts without touching the network; resolves with the first account
+ */
+async function requestAccounts() {
+    const accounts = await requireProvider().request({ method: 'eth_requestAccounts' });
+    if (!accounts || accounts.length === 0) {
+        throw new Error('No accounts found. Please unlock MetaMask.');
+    }
+    return accounts[0];
+}
+
+/**
+ * Switch the wallet to the target chain, adding it first when the wallet does not know it.
+ * Resolves with 'current', 'switched' or 'added'.
+ */
+async function ensureChain(chain = getTargetChain()) {
+    const provider = requireProvider();
+    const chainId = await provider.request({ method: 'eth_chainId' });
+    if (chainId === chain.chainId) return 'current';
+
+    try {
+        await provider.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: chain.chainId }]
+        });
+        return 'switched';
+    } catch (switchError) {
+        if (switchError.code !== 4902) throw switchError;
+        await provider.request({
+            method: 'wallet_addEthereumChain',
+            params: [chain]
+        });
+        return 'added';
+    }
+}
+
+/**
+ * Full connect flow: request accounts, validate, and move the wallet onto the target chain
+ * @returns {Promise<{ web3: Web3, account: string }>}
+ */
+async function connectWallet() {
+    const chain = getTargetChain();
+    const web3 = new Web3(requireProvider());
+    const account = await requestAccounts();
+
+    if (!web3.utils.isAddress(account)) {
+        throw new Error('Invalid wallet address detected.');
+    }
+
+    await ensureChain(chain);
+    return { web3, account };
+}
+
+/**
+ * The already-authorised account, without prompting; null when there is none
+ * @returns {Promise<{ web3: Web3, account: string } | null>}
+ */
+async function getConnectedAccount() {
+    if (typeof window === 'undefined' || typeof window.ethereum === 'undefined' || typeof CONTRACT_CONFIG === 'undefined') {
+        return null;
+    }
+
+    const web3 = new Web3(window.ethereum);
+    const accounts = await web3.eth.getAccounts();
+    if (accounts.length === 0 || !web3.utils.isAddress(accounts[0])) return null;
+    return { web3, account: accounts[0] };
+}
+
+// Binding runtime used by the generated factories below
+
+/**
+ * @template T
+ * @typedef {Object} ContractMethod
+ * @property {(options?: Object) => Promise<T>} call
+ * @property {(options: Object) => Object} send
+ * @property {(options?: Object) => Promise<number>} estimateGas
+ * @property {() => string} encodeABI
+ */
+
+/**
+ * @template T
+ * @typedef {Object} DecodedEvent
+ * @property {string} event
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ * @property {number} logIndex
+ * @property {T} returnValues
+ */
+
+/**
+ * @template T
+ * @typedef {Object} EventBinding
+ * @property {string} name
+ * @property {string} signature
+ * @property {string} topic
+ * @property {(options?: Object) => Promise<Array<DecodedEvent<T>>>} getPast
+ * @property {(log: { data: string, topics: string[] }) => T} decode
+ */
+
+// web3 1.x encodes numbers from strings or BN, not native BigInt
+function toArg(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (Array.isArray(value)) return value.map(toArg);
+    return value;
+}
+
+function createBinding(web3, abi, address) {
+    const contract = new web3.eth.Contract(abi, address);
+    const eventEntries = contract.options.jsonInterface.filter(item => item.type === 'event');
+
+    return {
+        address,
+        abi,
+        contract,
+        getPastEvents: (event, options) => contract.getPastEvents(event, options),
+        method: (signature, args) => contract.methods[signature](...args.map(toArg)),
+        event: (signature) => {
+            const entry = eventEntries.find(item => `${item.name}(${item.inputs.map(input => input.type).join(',')})` === signature);
+            return {
+                name: entry.name,
+                signature,
+                topic: entry.signature,
+                getPast: (options = {}) => contract.getPastEvents(entry.name, options),
+                decode: (log) => web3.eth.abi.decodeLog(entry.inputs, log.data, entry.anonymous ? log.topics : log.topics.slice(1))
+            };
+        }
+    };
+}
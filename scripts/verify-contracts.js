@@ -1,27 +1,34 @@
 const { ethers, run } = require("hardhat");
-const fs = require('fs');
-const path = require('path');
+const { DEPLOYMENT_SPEC, resolveParameters, resolveValue } = require('./lib/deployment-spec');
+const { manifestName, manifestPath, readManifest, toJson, writeManifest } = require('./lib/deployment-manifest');
 
 async function main() {
     console.log("🔍 Starting contract verification process...\n");
 
     const network = await ethers.provider.getNetwork();
-    const networkName = network.name === 'unknown' ? 'localhost' : network.name;
+    const networkName = manifestName(network);
     
     console.log("📋 Network:", networkName);
     console.log("🆔 Chain ID:", network.chainId);
 
-    // Load deployment info
-    const deploymentPath = path.join(__dirname, '../deployments', `${networkName}.json`);
-    
-    if (!fs.existsSync(deploymentPath)) {
+    // Load the deployment manifest written by the deploy scripts
+    const deploymentPath = manifestPath(networkName);
+    const deploymentInfo = readManifest(networkName);
+
+    if (!deploymentInfo) {
         console.error(`❌ Deployment file not found: ${deploymentPath}`);
         console.log("💡 Please run deployment first: npm run deploy:sepolia");
         process.exit(1);
     }
+    if (deploymentInfo.deployment.status === 'in-progress') {
+        console.warn("⚠️  The last deployment did not finish; rerun it before verifying");
+    }
 
-    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentPath, 'utf8'));
-    const contracts = deploymentInfo.contracts;
+    const contracts = Object.fromEntries(
+        Object.entries(deploymentInfo.contracts).map(([name, entry]) => [name, entry.address])
+    );
+    // Manifests record constructor arguments; older files only had addresses
+    const recordedArgs = (name, fallback) => deploymentInfo.contracts[name].constructorArgs || fallback;
 
     console.log("📦 Found deployed contracts:");
     console.log("============================");
@@ -39,45 +46,16 @@ async function main() {
     // Verify contracts on public networks
     console.log("\n🔍 Starting Etherscan verification...");
     
-    const verificationTasks = [
-        {
-            name: "FHECrypto",
-            address: contracts.fheCrypto,
-            constructorArguments: []
-        },
-        {
-            name: "VaultManager", 
-            address: contracts.vaultManager,
-            constructorArguments: []
-        },
-        {
-            name: "TestToken",
-            address: contracts.testToken,
-            constructorArguments: [
-                "ZeroDrop Test Token",
-                "ZTEST", 
-                18,
-                ethers.parseEther("1000000").toString()
-            ]
-        },
-        {
-            name: "SecretFundraiser",
-            address: contracts.secretFundraiser,
-            constructorArguments: [
-                deploymentInfo.deployment.deployer, // Fee collector
-                contracts.vaultManager,
-                contracts.fheCrypto
-            ]
-        },
-        {
-            name: "ConfidentialTrading",
-            address: contracts.confidentialTrading,
-            constructorArguments: [
-                deploymentInfo.deployment.deployer, // Fee collector
-                contracts.fheCrypto
-            ]
-        }
-    ];
+    // One task per contract in the deployment spec; arguments as recorded, else rebuilt from the spec
+    const parameters = resolveParameters(deploymentInfo.deployment.deployer, {}, deploymentInfo.configuration || {});
+    const verificationTasks = DEPLOYMENT_SPEC.contracts.map(contract => ({
+        name: contract.contractName,
+        address: contracts[contract.key],
+        constructorArguments: recordedArgs(
+            contract.key,
+            toJson(resolveValue(contract.args, { parameters, addresses: contracts }))
+        )
+    }));
 
     const verificationResults = [];
 
@@ -169,11 +147,10 @@ async function main() {
     };
 
     // Save updated deployment info
-    fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-    console.log(`\n💾 Verification results saved to: ${deploymentPath}`);
+    console.log(`\n💾 Verification results saved to: ${writeManifest(networkName, deploymentInfo)}`);
 
     // Display verified contract links
-    if (deploymentInfo.network.explorerBase && (verified > 0 || alreadyVerified > 0)) {
+    if (deploymentInfo.network && deploymentInfo.network.explorerBase && (verified > 0 || alreadyVerified > 0)) {
         console.log("\n🔗 VERIFIED CONTRACT LINKS:");
         console.log("===========================");
         
@@ -191,7 +168,7 @@ async function main() {
     console.log("1. Visit the contract links above to view verified source code");
     console.log("2. Test contract interactions through Etherscan");
     console.log("3. Start the frontend: npm run frontend");
-    console.log("4. Test the full application at http://localhost:3012");
+    console.log("4. Test the full application at http://localhost:3013");
 
     if (failed > 0) {
         console.log("\n⚠️  Some contracts failed verification. You can:");
@@ -0,0 +1,155 @@
+// `npx hardhat zerodrop admin <command> [values...]`: owner-only operations on a deployment.
+//
+// Addresses come from deployments/<network>.json. Before anything is sent the task prints the
+// call with its decoded calldata and simulates it; --dry-run stops there, otherwise it asks for
+// confirmation (--yes skips the prompt). With --safe-batch <file> the call is appended to a Safe
+// transaction batch for a multisig to sign instead of being sent; --safe <address> simulates it
+// as that Safe. Every run is appended to the network's audit log,
+// deployments/<network>-admin-audit.jsonl. hardhat.config.js loads it.
+const fs = require("fs");
+const readline = require("readline/promises");
+const { scope } = require("hardhat/config");
+const { ADMIN_COMMANDS, appendAuditEntry, buildAdminCall } = require("../scripts/lib/admin-commands");
+const { contractAddresses, manifestName, readManifest } = require("../scripts/lib/deployment-manifest");
+const { buildSafeBatch, readSafeBatch, safeBatchPath, safeTransaction, writeSafeBatch } = require("../scripts/lib/safe-batch");
+
+function printCommands() {
+    console.log("🛠️  Admin commands:");
+    console.log("===================");
+    Object.entries(ADMIN_COMMANDS).forEach(([name, command]) => {
+        const usage = [name, ...command.params.map(param => `<${param.name}>`)].join(" ");
+        console.log(`${usage.padEnd(44)} ${command.description}`);
+    });
+    console.log("\nAddress values also accept a contract key of the deployment, e.g. testToken");
+}
+
+async function confirm(question) {
+    if (!process.stdin.isTTY) {
+        throw new Error("No terminal to confirm on; rerun with --yes to send, or --dry-run to preview");
+    }
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        return /^y(es)?$/i.test((await prompt.question(question)).trim());
+    } finally {
+        prompt.close();
+    }
+}
+
+const zerodrop = scope("zerodrop", "ZeroDrop protocol tooling");
+
+zerodrop.task("admin", "Run an owner-only operation on the deployed ZeroDrop contracts")
+    .addPositionalParam("command", "Admin command, or \"list\" to show them")
+    .addOptionalVariadicPositionalParam("values", "Values for the command, in order", [])
+    .addFlag("dryRun", "Show and simulate the call without sending it")
+    .addFlag("yes", "Send without asking for confirmation")
+    .addOptionalParam("safeBatch", "Append the call to this Safe batch file (\"new\" for a new one) instead of sending it")
+    .addOptionalParam("safe", "Safe that executes the call; it is simulated from this address")
+    .setAction(async ({ command, values, dryRun, yes, safeBatch, safe }, hre) => {
+        if (command === "list") {
+            printCommands();
+            return;
+        }
+
+        const { ethers } = hre;
+        const network = await ethers.provider.getNetwork();
+        const name = manifestName(network);
+        const manifest = readManifest(name);
+        if (!manifest || manifest.network.chainId !== Number(network.chainId)) {
+            throw new Error(`No deployment manifest for chain ${network.chainId} (deployments/${name}.json); deploy first`);
+        }
+
+        const call = buildAdminCall(command, values, contractAddresses(manifest), ethers.isAddress);
+        const [signer] = await ethers.getSigners();
+        const contract = await ethers.getContractAt(call.contractName, call.address, signer);
+        const fragment = contract.interface.getFunction(call.command.method);
+        const calldata = contract.interface.encodeFunctionData(fragment, call.args);
+        const decoded = contract.interface.decodeFunctionData(fragment, calldata);
+
+        console.log(`🛠️  ${call.command.description}\n`);
+        console.log("📋 Network:", name, `(Chain ID: ${network.chainId})`);
+        console.log("👤 Signer:", signer.address);
+        console.log("📍 Contract:", call.contractName, call.address);
+        console.log("🔧 Function:", fragment.format(), `(selector ${fragment.selector})`);
+        fragment.inputs.forEach((input, index) => {
+            console.log(`   ${input.name || `arg${index}`} (${input.type}): ${decoded[index]}`);
+        });
+        console.log("📦 Calldata:", calldata);
+
+        // The account the call will come from: the Safe when exporting for one, else the signer
+        const from = safe || signer.address;
+        if (safe && !ethers.isAddress(safe)) {
+            throw new Error(`--safe must be an address, got ${safe}`);
+        }
+        const owner = await contract.owner();
+        if (owner.toLowerCase() !== from.toLowerCase()) {
+            console.warn(`⚠️  ${call.contractName} is owned by ${owner}, not ${safe ? "the Safe" : "the signer"}`);
+        }
+
+        // Simulate first so a call that would revert is never sent
+        let simulation = { ok: true, gas: null, error: null };
+        try {
+            await contract[fragment.name].staticCall(...call.args, { from });
+            simulation.gas = await contract[fragment.name].estimateGas(...call.args, { from });
+            console.log("🧪 Simulation: succeeds, estimated gas", simulation.gas.toString());
+        } catch (error) {
+            simulation = { ok: false, gas: null, error: error.shortMessage || error.message };
+            console.error("🧪 Simulation: reverts:", simulation.error);
+        }
+
+        const audit = {
+            chainId: Number(network.chainId),
+            signer: signer.address,
+            safe: safe || null,
+            command,
+            contract: call.contractName,
+            address: call.address,
+            method: fragment.format(),
+            args: call.args,
+            calldata,
+            simulation
+        };
+
+        if (dryRun) {
+            console.log(`\n📝 Dry run logged to ${appendAuditEntry(name, { ...audit, status: "dry-run" })}`);
+            return;
+        }
+        if (!simulation.ok) {
+            appendAuditEntry(name, { ...audit, status: "rejected" });
+            throw new Error(`${call.command.method} would revert (${simulation.error}); nothing was sent`);
+        }
+        if (safeBatch) {
+            // Append to an existing batch for this chain, or start one
+            const file = safeBatch === "new" ? safeBatchPath(name, command) : safeBatch;
+            const batch = fs.existsSync(file)
+                ? readSafeBatch(file)
+                : buildSafeBatch({ chainId: network.chainId, name: `ZeroDrop admin (${name})`, safeAddress: safe || "" });
+            if (String(batch.chainId) !== String(network.chainId)) {
+                throw new Error(`${file} is a batch for chain ${batch.chainId}, not ${network.chainId}`);
+            }
+            batch.transactions.push(safeTransaction(contract.interface, fragment, call.args, call.address));
+            const batchFile = writeSafeBatch(file, batch);
+            appendAuditEntry(name, { ...audit, status: "exported", safeBatch: batchFile });
+            console.log(`\n📤 Added to the Safe batch ${batchFile} (${batch.transactions.length} transaction${batch.transactions.length === 1 ? "" : "s"})`);
+            return;
+        }
+        if (!yes && !(await confirm("\nSend this transaction? [y/N] "))) {
+            console.log(`❎ Cancelled; logged to ${appendAuditEntry(name, { ...audit, status: "cancelled" })}`);
+            return;
+        }
+
+        const tx = await signer.sendTransaction({ to: call.address, data: calldata });
+        appendAuditEntry(name, { ...audit, status: "sent", txHash: tx.hash });
+        console.log("📤 Sent:", tx.hash);
+
+        try {
+            const receipt = await tx.wait();
+            const logFile = appendAuditEntry(name, { ...audit, status: "confirmed", txHash: tx.hash, blockNumber: receipt.blockNumber });
+            console.log(`✅ Confirmed in block ${receipt.blockNumber}; logged to ${logFile}`);
+            if (manifest.network.explorerBase) {
+                console.log("🔍", `${manifest.network.explorerBase}/tx/${tx.hash}`);
+            }
+        } catch (error) {
+            appendAuditEntry(name, { ...audit, status: "failed", txHash: tx.hash, error: error.shortMessage || error.message });
+            throw error;
+        }
+    });
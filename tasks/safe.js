@@ -0,0 +1,19 @@
+// `npx hardhat zerodrop safe-import <batch.json>`: check a Safe transaction batch before signing.
+//
+// The batch (from DEPLOY_SAFE_BATCH=1, `zerodrop admin --safe-batch` or the Safe Transaction
+// Builder) is decoded against deployments/<network>.json: right chain, only contracts of the
+// deployment, no value, calldata that matches the method shown to signers. On the connected
+// network it also checks that the batch's Safe owns each target and simulates every call from
+// it. Exits non-zero when the batch does not check out; the result goes to the admin audit log.
+// hardhat.config.js loads it.
+const { scope } = require("hardhat/config");
+const { importSafeBatch } = require("../scripts/lib/safe-import");
+
+const zerodrop = scope("zerodrop", "ZeroDrop protocol tooling");
+
+zerodrop.task("safe-import", "Check a Safe transaction batch against the deployment before anyone signs it")
+    .addPositionalParam("batch", "Safe Transaction Builder batch file")
+    .addOptionalParam("safe", "Safe that executes the batch (defaults to the batch's createdFromSafeAddress)")
+    .setAction(async ({ batch, safe }, hre) => {
+        await importSafeBatch(hre, { batch, safe });
+    });
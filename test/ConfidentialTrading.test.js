@@ -1,5 +1,6 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, fhevm } = require("hardhat");
+const { FhevmType } = require("@fhevm/hardhat-plugin");
 const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 
 describe("ConfidentialTrading", function () {
@@ -167,6 +168,98 @@ describe("ConfidentialTrading", function () {
         });
     });
 
+    describe("Encrypted Balance Access", function () {
+        // euint64 balances: amounts stay below 2^64 wei
+        const DEPOSIT = ethers.parseEther("10");
+
+        async function decryptBalance(confidentialTrading, trader, token, signer) {
+            const handle = await confidentialTrading.getEncryptedBalance(trader.address, token);
+            return fhevm.userDecryptEuint(FhevmType.euint64, handle, await confidentialTrading.getAddress(), signer);
+        }
+
+        async function expectDecryptDenied(confidentialTrading, trader, token, signer) {
+            let denied = false;
+            try {
+                await decryptBalance(confidentialTrading, trader, token, signer);
+            } catch (error) {
+                denied = true;
+            }
+            expect(denied, `${signer.address} decrypted ${trader.address}'s balance`).to.be.true;
+        }
+
+        it("Should let only the trader decrypt their balance after a deposit", async function () {
+            const { confidentialTrading, testToken, owner, trader1, trader2 } = await loadFixture(deployConfidentialTradingFixture);
+            const tokenAddress = await testToken.getAddress();
+
+            await confidentialTrading.connect(trader1).depositTokens(tokenAddress, DEPOSIT);
+
+            expect(await decryptBalance(confidentialTrading, trader1, tokenAddress, trader1)).to.equal(DEPOSIT);
+            await expectDecryptDenied(confidentialTrading, trader1, tokenAddress, trader2);
+            await expectDecryptDenied(confidentialTrading, trader1, tokenAddress, owner);
+        });
+
+        it("Should let only the trader decrypt their balance after a withdrawal", async function () {
+            const { confidentialTrading, testToken, owner, trader1, trader2 } = await loadFixture(deployConfidentialTradingFixture);
+            const tokenAddress = await testToken.getAddress();
+
+            await confidentialTrading.connect(trader1).depositTokens(tokenAddress, DEPOSIT);
+            const depositHandle = await confidentialTrading.getEncryptedBalance(trader1.address, tokenAddress);
+            await confidentialTrading.connect(trader1).withdrawTokens(tokenAddress, ethers.parseEther("4"));
+
+            // The withdrawal leaves a new handle, which needs its own grant
+            expect(await confidentialTrading.getEncryptedBalance(trader1.address, tokenAddress)).to.not.equal(depositHandle);
+            expect(await decryptBalance(confidentialTrading, trader1, tokenAddress, trader1)).to.equal(ethers.parseEther("6"));
+            await expectDecryptDenied(confidentialTrading, trader1, tokenAddress, trader2);
+            await expectDecryptDenied(confidentialTrading, trader1, tokenAddress, owner);
+        });
+
+        it("Should let only each trader decrypt their balances after a trade", async function () {
+            const { confidentialTrading, testToken, owner, trader1, trader2, trader3 } = await loadFixture(deployConfidentialTradingFixture);
+            const baseAddress = await testToken.getAddress();
+
+            const TestToken = await ethers.getContractFactory("TestToken");
+            const quoteToken = await TestToken.deploy("Quote Token", "QUOTE", 18, ethers.parseEther("1000000"));
+            const quoteAddress = await quoteToken.getAddress();
+            await confidentialTrading.connect(owner).addSupportedToken(quoteAddress, 18);
+            await quoteToken.mint(trader2.address, DEPOSIT);
+            await quoteToken.connect(trader2).approve(await confidentialTrading.getAddress(), DEPOSIT);
+
+            await confidentialTrading.connect(trader1).depositTokens(baseAddress, DEPOSIT);
+            await confidentialTrading.connect(trader2).depositTokens(quoteAddress, DEPOSIT);
+
+            // Trader1 sells 100 base units at 2 QUOTE per token; trader2 buys them
+            const price = ethers.parseEther("2");
+            for (const [trader, orderType] of [[trader1, 1], [trader2, 0]]) {
+                await confidentialTrading.connect(trader).placeOrder(
+                    baseAddress,
+                    quoteAddress,
+                    orderType,
+                    "0x1234567890123456789012345678901234567890123456789012345678901234",
+                    "0x5678901234567890123456789012345678901234567890123456789012345678",
+                    "0x",
+                    "0x",
+                    100,
+                    price
+                );
+            }
+            expect((await confidentialTrading.getOrder(1)).status).to.equal(2); // Filled
+
+            // 200 quote units change hands, less the 0.3% fee rounded down to 0
+            const balances = [
+                [trader1, baseAddress, DEPOSIT - 100n],
+                [trader1, quoteAddress, 200n],
+                [trader2, baseAddress, 100n],
+                [trader2, quoteAddress, DEPOSIT - 200n]
+            ];
+            for (const [trader, token, expected] of balances) {
+                expect(await decryptBalance(confidentialTrading, trader, token, trader)).to.equal(expected);
+                const counterparty = trader === trader1 ? trader2 : trader1;
+                await expectDecryptDenied(confidentialTrading, trader, token, counterparty);
+                await expectDecryptDenied(confidentialTrading, trader, token, trader3);
+            }
+        });
+    });
+
     describe("Order Placement", function () {
         async function setupTradingFixture() {
             const fixture = await deployConfidentialTradingFixture();
@@ -364,6 +457,156 @@ describe("ConfidentialTrading", function () {
             expect(activeOrders.length).to.equal(1);
             expect(activeOrders[0]).to.equal(orderId);
         });
+
+        it("Should report balance locked by open orders", async function () {
+            const { confidentialTrading, trader1, testToken, orderId } = await loadFixture(placeOrderFixture);
+            const tokenAddress = await testToken.getAddress();
+
+            expect(await confidentialTrading.getLockedBalance(trader1.address, tokenAddress)).to.equal(100);
+
+            await confidentialTrading.connect(trader1).cancelOrder(orderId);
+            expect(await confidentialTrading.getLockedBalance(trader1.address, tokenAddress)).to.equal(0);
+        });
+
+        async function partialFillFixture() {
+            const fixture = await loadFixture(deployConfidentialTradingFixture);
+            const { confidentialTrading, testToken, owner, trader1, trader2 } = fixture;
+
+            // Quote token for a TEST/QUOTE pair
+            const TestToken = await ethers.getContractFactory("TestToken");
+            const quoteToken = await TestToken.deploy("Quote Token", "QUOTE", 18, ethers.parseEther("1000000"));
+            await confidentialTrading.connect(owner).addSupportedToken(await quoteToken.getAddress(), 18);
+            await quoteToken.mint(trader2.address, ethers.parseEther("10000"));
+            await quoteToken.connect(trader2).approve(await confidentialTrading.getAddress(), ethers.parseEther("10000"));
+
+            await confidentialTrading.connect(trader1).depositTokens(await testToken.getAddress(), ethers.parseEther("1000"));
+            await confidentialTrading.connect(trader2).depositTokens(await quoteToken.getAddress(), ethers.parseEther("1000"));
+
+            // Trader1 sells 100 TEST at 1 QUOTE; trader2 buys 40 of them, leaving the sell order partially filled
+            await confidentialTrading.connect(trader1).placeOrder(
+                await testToken.getAddress(),
+                await quoteToken.getAddress(),
+                1, // Sell
+                "0x1234567890123456789012345678901234567890123456789012345678901234",
+                "0x5678901234567890123456789012345678901234567890123456789012345678",
+                "0x",
+                "0x",
+                100,
+                ethers.parseEther("1")
+            );
+            await confidentialTrading.connect(trader2).placeOrder(
+                await testToken.getAddress(),
+                await quoteToken.getAddress(),
+                0, // Buy
+                "0x1234567890123456789012345678901234567890123456789012345678901234",
+                "0x5678901234567890123456789012345678901234567890123456789012345678",
+                "0x",
+                "0x",
+                40,
+                ethers.parseEther("1")
+            );
+
+            return { ...fixture, quoteToken, sellOrderId: 1, buyOrderId: 2 };
+        }
+
+        it("Should cancel a partially filled order and unlock only its unfilled remainder", async function () {
+            const { confidentialTrading, testToken, quoteToken, trader1, trader2, sellOrderId, buyOrderId } = await loadFixture(partialFillFixture);
+            const tokenAddress = await testToken.getAddress();
+
+            let sellOrder = await confidentialTrading.getOrder(sellOrderId);
+            expect(sellOrder.status).to.equal(1); // PartiallyFilled
+            expect(sellOrder.filledAmount).to.equal(40);
+            expect(sellOrder.isActive).to.be.true;
+            // The 40 delivered to the buyer left the seller's lock; the buyer's order is filled
+            expect(await confidentialTrading.getLockedBalance(trader1.address, tokenAddress)).to.equal(60);
+            expect(await confidentialTrading.getLockedBalance(trader2.address, await quoteToken.getAddress())).to.equal(0);
+            expect((await confidentialTrading.getOrder(buyOrderId)).isActive).to.be.false;
+
+            await expect(
+                confidentialTrading.connect(trader1).cancelOrder(sellOrderId)
+            ).to.emit(confidentialTrading, "OrderCancelled")
+            .withArgs(sellOrderId, trader1.address, await time.latest() + 1);
+
+            expect(await confidentialTrading.getLockedBalance(trader1.address, tokenAddress)).to.equal(0);
+            sellOrder = await confidentialTrading.getOrder(sellOrderId);
+            expect(sellOrder.status).to.equal(3); // Cancelled
+            expect(sellOrder.isActive).to.be.false;
+            expect(sellOrder.filledAmount).to.equal(40);
+            expect(await confidentialTrading.getActiveOrders()).to.deep.equal([]);
+
+            await expect(
+                confidentialTrading.connect(trader1).cancelOrder(sellOrderId)
+            ).to.be.revertedWith("ConfidentialTrading: Order not active");
+            await expect(
+                confidentialTrading.connect(trader2).cancelOrder(buyOrderId)
+            ).to.be.revertedWith("ConfidentialTrading: Order not active");
+        });
+    });
+
+    describe("Order Matching", function () {
+        async function quotePairFixture() {
+            const fixture = await loadFixture(deployConfidentialTradingFixture);
+            const { confidentialTrading, testToken, owner, trader1, trader2 } = fixture;
+
+            const TestToken = await ethers.getContractFactory("TestToken");
+            const quoteToken = await TestToken.deploy("Quote Token", "QUOTE", 18, ethers.parseEther("1000000"));
+            await confidentialTrading.connect(owner).addSupportedToken(await quoteToken.getAddress(), 18);
+            await quoteToken.mint(trader2.address, ethers.parseEther("10"));
+            await quoteToken.connect(trader2).approve(await confidentialTrading.getAddress(), ethers.parseEther("10"));
+
+            await confidentialTrading.connect(trader1).depositTokens(await testToken.getAddress(), ethers.parseEther("10"));
+            await confidentialTrading.connect(trader2).depositTokens(await quoteToken.getAddress(), ethers.parseEther("10"));
+
+            return { ...fixture, quoteToken };
+        }
+
+        async function placeOrder(confidentialTrading, trader, baseToken, quoteToken, orderType, amount, price) {
+            return confidentialTrading.connect(trader).placeOrder(
+                await baseToken.getAddress(),
+                await quoteToken.getAddress(),
+                orderType,
+                "0x1234567890123456789012345678901234567890123456789012345678901234",
+                "0x5678901234567890123456789012345678901234567890123456789012345678",
+                "0x",
+                "0x",
+                amount,
+                price
+            );
+        }
+
+        it("Should settle a resting buy order matched by a later sell order", async function () {
+            const { confidentialTrading, testToken, quoteToken, feeCollector, trader1, trader2 } = await loadFixture(quotePairFixture);
+            const price = ethers.parseEther("2");
+
+            // Trader2 bids for 1 TEST at 2 QUOTE; trader1's sell arrives afterwards
+            await placeOrder(confidentialTrading, trader2, testToken, quoteToken, 0, ethers.parseEther("1"), price);
+            await expect(
+                placeOrder(confidentialTrading, trader1, testToken, quoteToken, 1, ethers.parseEther("1"), price)
+            ).to.emit(confidentialTrading, "OrderMatched")
+            .withArgs(1, 2, trader2.address, await time.latest() + 1);
+
+            expect((await confidentialTrading.getOrder(1)).status).to.equal(2); // Filled
+            expect((await confidentialTrading.getOrder(2)).status).to.equal(2); // Filled
+            expect(await confidentialTrading.getLockedBalance(trader1.address, await testToken.getAddress())).to.equal(0);
+            expect(await confidentialTrading.getLockedBalance(trader2.address, await quoteToken.getAddress())).to.equal(0);
+            // The 0.3% fee is taken in the quote token the buyer pays with
+            expect(await quoteToken.balanceOf(feeCollector.address)).to.equal(ethers.parseEther("0.006"));
+            expect(await testToken.balanceOf(feeCollector.address)).to.equal(0);
+        });
+
+        it("Should release the buyer's lock above the trade price", async function () {
+            const { confidentialTrading, testToken, quoteToken, trader1, trader2 } = await loadFixture(quotePairFixture);
+            const quoteAddress = await quoteToken.getAddress();
+
+            // The bid at 3 QUOTE locks 1.5 QUOTE for 0.5 TEST; the sell at 2 QUOTE fills it at 1 QUOTE
+            await placeOrder(confidentialTrading, trader2, testToken, quoteToken, 0, ethers.parseEther("0.5"), ethers.parseEther("3"));
+            expect(await confidentialTrading.getLockedBalance(trader2.address, quoteAddress)).to.equal(ethers.parseEther("1.5"));
+
+            await placeOrder(confidentialTrading, trader1, testToken, quoteToken, 1, ethers.parseEther("0.5"), ethers.parseEther("2"));
+
+            expect((await confidentialTrading.getOrder(1)).status).to.equal(2); // Filled
+            expect(await confidentialTrading.getLockedBalance(trader2.address, quoteAddress)).to.equal(0);
+        });
     });
 
     describe("Fee Management", function () {